@@ -2,12 +2,139 @@
 
 var libQ = require('kew');
 var fs = require('fs-extra');
-var exec = require('child_process').exec;
-var execSync = require('child_process').execSync;
 var io = require('socket.io-client');
+var i2cTransport = require('./lib/i2c-transport');
+var I2cQueue = require('./lib/i2c-queue').I2cQueue;
+var boards = require('./lib/boards');
+var chips = require('./lib/chips');
+var quietHours = require('./lib/quiet-hours');
+var control = require('./lib/control');
+var HttpApi = require('./lib/http-api').HttpApi;
+var mqttBridge = require('./lib/mqtt-bridge');
+var ControlSocket = require('./lib/control-socket').ControlSocket;
+var replayGain = require('./lib/replay-gain');
 
 module.exports = ControllerES9018K2M;
 
+// Source format families for automatic filter/DPLL profiles.
+// PCM families carry FIR, IIR and I2S DPLL; DSD carries IIR and DSD DPLL.
+var FORMAT_PROFILE_DEFAULTS = {
+  pcm44: { fir: 1, iir: 0, dpll: 0x50 },
+  pcm48: { fir: 1, iir: 0, dpll: 0x50 },
+  hires: { fir: 1, iir: 0, dpll: 0x50 },
+  dsd: { iir: 1, dpll: 0x0A }
+};
+
+// Volume curves map the 0-100 slider to attenuation in dB (0 = mute).
+// The chip attenuates in 0.5 dB steps down to -127.5 dB (0xFF).
+var VOLUME_CURVES = ['db', 'log', 'table'];
+var DAC_MAX_ATTENUATION_DB = 127.5;
+var VOLUME_PREVIEW_POINTS = [1, 10, 25, 50, 75, 90, 100];
+
+// Quiet hours: schedule check interval
+var QUIET_HOURS_CHECK_MS = 30000;
+var QUIET_HOURS_SLOTS = 3;
+var QUIET_WINDOW_DEFAULT = {
+  enabled: false,
+  start: '22:00',
+  end: '07:00',
+  days: [0, 1, 2, 3, 4, 5, 6],
+  maxVolume: 30,
+  action: 'none'
+};
+
+// Register 0x06 bits 2:0 set the chip's own volume ramp: attenuation glides
+// at 2^rate * Fs / 512 dB/s, rate 7 being effectively instant. Hardware ramp
+// mode picks the rate per change from the fade time and writes only the target.
+var VOLUME_RAMP_MODES = ['software', 'hardware'];
+var VOLUME_RAMP_FASTEST = 0x07;
+var VOLUME_RAMP_DEFAULT_FS = 44100;  // Until the DPLL reports a rate
+
+// Software ramps write attenuation every RAMP_STEP_MS along an easing curve.
+// Attenuation registers are 0.5 dB steps, so 'db' is linear in dB; 'scurve'
+// eases in and out; 'exp' moves fast first and settles gently.
+var RAMP_STEP_MS = 20;
+var RAMP_DURATION_MAX_MS = 2000;
+var RAMP_EASINGS = {
+  db: function(t) { return t; },
+  scurve: function(t) { return t * t * (3 - 2 * t); },
+  exp: function(t) { return (1 - Math.exp(-4 * t)) / (1 - Math.exp(-4)); }
+};
+
+// Register 0x06 de-emphasis values. Auto applies the curve matching the
+// sample rate, but only to tracks flagged as pre-emphasized.
+var DEEMPHASIS_OFF = 0x4A;
+var DEEMPHASIS_AUTO = -1;
+var DEEMPHASIS_CURVES = { 32000: 0x0A, 44100: 0x1A, 48000: 0x2A };
+
+// Register 0x01 input configuration: bits 7:6 serial width, bits 5:4 serial
+// framing (00 = I2S, 01 = left-justified), bits 3:2 auto-select, bits 1:0 input.
+// 'source' follows Volumio: S/PDIF for external inputs, auto otherwise.
+var INPUT_MODES = {
+  auto: 0x04,   // Auto-detect serial or DSD, I2S framing
+  i2s: 0x00,
+  lj: 0x10,
+  dsd: 0x03,
+  spdif: 0x01
+};
+var INPUT_MODE_SOURCE = 'source';
+var INPUT_WIDTHS = { 16: 0x00, 24: 0x40, 32: 0xC0 };
+var INPUT_SOURCE_DEFAULT = 'inputs, spdif, optical, coaxial, toslink';
+
+// Automute (0x04 time, 0x05 level) and soft start (0x0E) datasheet ranges.
+// Automute delay = 2096896 / (time * Fs); soft-start ramp = 4096 * 2^(time + 1) / MCLK.
+var AUTOMUTE_TIME_MIN = 1;  // 0 disables automute - use the switch
+var AUTOMUTE_TIME_MAX = 255;
+var AUTOMUTE_LEVEL_MAX = 127;  // dB below full scale
+var SOFT_START_TIME_MAX = 20;
+
+// Channel modes: source of each output (ch1 = left, ch2 = right).
+// Register 0x0B selects the source per output, 2 bits each:
+// 00 = left, 01 = right, 10 = mono sum (L+R)/2. Upper nibble is preserved.
+var CHANNEL_MODES = {
+  stereo: ['left', 'right'],
+  swapped: ['right', 'left'],
+  mono: ['mono', 'mono'],
+  left: ['left', 'left'],
+  right: ['right', 'right']
+};
+var CHANNEL_SOURCE_BITS = { left: 0x00, right: 0x01, mono: 0x02 };
+
+// Boards driven as one system (lib/boards.js). Slot 1 is the primary board
+// at i2cBus/i2cAddress; the other slots default to the next addresses.
+var BOARD_SLOTS = 4;
+
+// Local HTTP API (lib/http-api.js)
+var HTTP_API_PORT = 8018;
+var HTTP_API_PORT_MIN = 1024;
+
+// MQTT (lib/mqtt-bridge.js)
+var MQTT_BASE_TOPIC = 'volumio/es9018k2m';
+var MQTT_BROKER_URL = 'mqtt://localhost:1883';
+
+// Control socket for es9018k2m-ctl (lib/control-socket.js, lib/ctl-client.js),
+// in the plugin's config directory
+var CTL_SOCKET_PATH = '/data/configuration/system_hardware/es9018k2m/ctl.sock';
+
+// Registers shown by es9018k2m-ctl dump: configuration (incl. Q2M THD) and status
+var DUMP_REGISTERS = [
+  0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09, 0x0A, 0x0B, 0x0C,
+  0x0D, 0x0E, 0x0F, 0x10, 0x11, 0x12, 0x13, 0x14, 0x15, 0x16, 0x17, 0x18, 0x19,
+  0x40, 0x41, 0x42, 0x43, 0x44, 0x45
+];
+
+// Sound presets are exported to / imported from the Internal Storage share
+// so they can be copied between units over SMB.
+var PRESET_DIR = '/data/INTERNAL/es9018k2m/presets';
+var PRESET_FILE_FORMAT = 'es9018k2m-preset';
+
+// ReplayGain (lib/replay-gain.js)
+var REPLAYGAIN_PREAMP_MIN_DB = -15;
+var REPLAYGAIN_PREAMP_MAX_DB = 15;
+
+// Source trims: "service:dB" pairs, dB within +/- SOURCE_TRIM_MAX_DB
+var SOURCE_TRIM_MAX_DB = 20;
+
 function ControllerES9018K2M(context) {
   var self = this;
 
@@ -19,9 +146,19 @@ function ControllerES9018K2M(context) {
   // I2C configuration
   self.i2cBus = 1;
   self.i2cAddress = 0x48;
+  self.i2cTransport = 'auto';  // auto, native, i2ctools
+  self.transportOptions = null;  // Extra backend options (e.g. memory device model)
+  self.boards = [];  // Enabled boards, each with its own transport and queue (lib/i2c-queue.js)
 
   // Device state
   self.deviceFound = false;
+  self.deviceStarted = false;  // startDevice() ran since onStart
+  self.scanResults = null;     // Last scan: [{ bus, address, chip, revision }], null = none yet
+
+  // HTTP API (lib/http-api.js)
+  self.httpApi = null;         // Running HttpApi, null when off
+  self.httpApiError = null;    // Why the last start failed, e.g. EADDRINUSE message
+  self.ctlSocket = null;       // Running ControlSocket, null when off
 
   // External volume device (Allo Relay Attenuator, pre-amp, receiver)
   self.externalVolume = false;
@@ -39,6 +176,35 @@ function ControllerES9018K2M(context) {
   self.lastSavedVolume = -1;  // -1 = not saved
   self.startupVolumeApplied = false;  // Flag to prevent saving during startup
 
+  // Volume curve: dB-linear over volumeRangeDb, audio taper, or user table
+  self.volumeCurve = 'db';
+  self.volumeRangeDb = 49.5;
+  self.volumeCurveTable = [];  // Parsed [[volume, dB], ...] for 'table'
+  self.volumePreviewPosition = -1;  // Extra slider position in the preview, -1 for none
+
+  // Volume limits: slider ceiling and fixed gain offset (dB, <= 0)
+  self.maxVolume = 100;
+  self.gainOffsetDb = 0;
+
+  // ReplayGain: gain (dB, + = louder) of the playing track, applied as
+  // attenuation (see getAttenuationOffsetDb)
+  self.replayGainMode = 'off';
+  self.replayGainDb = 0;
+  self.replayGainTagged = false;  // Playing track has ReplayGain tags
+  self.replayGainKey = null;      // Track (and shuffle state) the gain is for
+
+  // Source trims: dB per Volumio service (+ = louder), applied like ReplayGain
+  self.sourceTrims = {};       // Parsed { service: dB }
+  self.sourceTrimDb = 0;
+  self.sourceTrimService = null;  // Service the trim is for, null = none seen
+
+  // Quiet hours (scheduled ceiling, see lib/quiet-hours.js)
+  self.quietHoursEnabled = false;
+  self.quietHoursFadeSeconds = 10;
+  self.activeQuietWindow = null;
+  self.quietHoursTimer = null;
+  self.quietFade = null;  // Token of the running fade-out ramp
+
   // Current volume/mute state for hardware mode
   self.currentVolume = 100;
   self.currentMute = false;
@@ -51,22 +217,69 @@ function ControllerES9018K2M(context) {
   self.debugLogging = false;
 
   // Graceful settings
-  self.gracefulSteps = 3;
+  self.rampDurationMs = 100;
+  self.rampEasing = 'db';
   self.gracefulTransitions = true;
   self.gracefulVolume = true;
 
+  // Ramp engine state (see rampTo)
+  self.activeRamp = null;
+  self.rampReg = null;  // Attenuation last written, before balance
+  self.pendingRampMute = null;  // Token of a ramp that sets the mute bit when done
+
+  // Hardware volume ramp (register 0x06 rate) instead of software steps
+  self.volumeRampMode = 'software';
+  self.hardwareFadeMs = 300;
+  self.volumeRampRate = VOLUME_RAMP_FASTEST;  // Rate last written to the chip
+
+  // Format profiles (automatic filter/DPLL switching)
+  self.autoFormatEnabled = false;
+  self.currentFormat = null;  // pcm44, pcm48, hires, dsd or null (unknown)
+
+  // Automatic de-emphasis (curve for the playing track in Auto mode)
+  self.autoDeemphasis = DEEMPHASIS_OFF;
+
+  // Sound presets (named FIR/IIR/de-emphasis/DPLL/balance bundles)
+  self.presetDir = PRESET_DIR;
+
   // Balance offsets
   self.lBal = 0;
   self.rBal = 0;
 
+  // Input configuration (see INPUT_MODES)
+  self.inputMode = 'auto';
+  self.inputBitWidth = 32;
+  self.sourceInput = 'auto';  // Mode picked for the current source in 'source' mode
+
+  // Channel mode (see CHANNEL_MODES)
+  self.channelMode = 'stereo';
+
+  // Absolute polarity per output, plus a one-album flip of both
+  self.invertLeft = false;
+  self.invertRight = false;
+  self.albumInvertKey = null;  // Album the flip applies to, null = off
+
+  // Chip model of the connected boards (register map, see lib/chips.js)
+  self.chip = chips.getChip(chips.DEFAULT_CHIP);
+
   // Register shadows
   self.reg7 = 0x80;   // General settings (mute, filters)
+  self.reg11 = 0x04;  // Channel mapping
+  self.reg13 = 0x00;  // Channel polarity inversion (and THD enable on the Q2M)
   self.reg12 = 0x5A;  // DPLL settings
   self.reg21 = 0x00;  // GPIO and OSF bypass
 
-  // Timing constants
-  self.I2C_THROTTLE_MS = 30;
-  self.lastI2cWrite = 0;
+  // Register watchdog
+  self.watchdogEnabled = true;
+  self.watchdogInterval = 30;  // seconds
+  self.watchdogTimer = null;
+  self.watchdogBusy = false;
+
+  // Signal status (read-only chip registers)
+  self.oscillatorMhz = 100;  // DAC master clock, used to derive sample rate
+  self.signalStatus = null;
+  self.statusPoller = null;
+  self.lockLostPolls = 0;
 
   // Socket.io state
   self.volumioSocket = null;
@@ -77,9 +290,20 @@ function ControllerES9018K2M(context) {
   self.socketFailedSince = null;
   self.fallbackPoller = null;
 
+  // MQTT state - reconnects like the socket (scheduleMqttReconnect)
+  self.mqttConnect = null;          // Client factory, mqtt.connect once loaded; replaced in tests
+  self.mqttClient = null;
+  self.mqttConnected = false;
+  self.mqttError = null;            // Last connection error, shown in the UI
+  self.mqttReconnectAttempts = 0;
+  self.mqttReconnectTimer = null;
+  self.mqttPublished = {};          // Topic -> last payload, to publish changes only
+  self.mqttDiscoveryChip = null;    // Chip the discovery configs were sent for
+
   // Seek intercept state
   self.originalSeek = null;
   self.seekInterceptInstalled = false;
+  self.seekToken = null;  // Latest seek; only it unmutes
 }
 
 // ---------------------------------------------------------------------------
@@ -106,37 +330,29 @@ ControllerES9018K2M.prototype.onStart = function() {
 
   self.loadI18nStrings();
   self.loadConfig();
+  self.openTransport();
 
   self.checkDevice()
+    .then(function(found) {
+      // First start with nothing at the configured address: look elsewhere
+      if (found || self.config.get('autoScanDone', false)) {
+        return found;
+      }
+      return self.discoverDevice();
+    })
     .then(function(found) {
       self.deviceFound = found;
+      self.config.set('autoScanDone', true);
       if (found) {
-        self.initDevice();
-        self.applySettings();
-        self.installSeekIntercept();
-
-        // Start appropriate volume control mode
-        if (self.externalVolume) {
-          // External device handles volume (Allo Relay Attenuator, pre-amp, receiver)
-          // DAC features, seek mute, and graceful transitions still work
-          self.startupVolumeApplied = true;  // No startup volume logic needed
-          self.logger.info('ES9018K2M: External volume device enabled - plugin manages DAC features only');
-        } else if (self.volumeMode === 'hardware') {
-          self.registerVolumeOverride();
-          self.applyStartupVolume();
-        } else {
-          // software mode - Volumio handles startup volume
-          self.startupVolumeApplied = true;
-          self.startVolumeSync();
-        }
-
-        self.startSocketConnection();
-        var modeDesc = self.externalVolume ? 'external' : self.volumeMode;
-        self.logger.info('ES9018K2M: Device initialized, volume mode: ' + modeDesc);
+        self.startDevice();
       } else {
         self.logger.warn('ES9018K2M: Device not found at address 0x' +
           self.i2cAddress.toString(16));
       }
+      // Serves the state even without a DAC, so clients can see why
+      self.startHttpApi();
+      self.startMqtt();
+      self.startCtlSocket();
       defer.resolve();
     })
     .fail(function(err) {
@@ -147,6 +363,37 @@ ControllerES9018K2M.prototype.onStart = function() {
   return defer.promise;
 };
 
+// Bring up a detected DAC: registers, volume mode and state tracking
+ControllerES9018K2M.prototype.startDevice = function() {
+  var self = this;
+
+  self.deviceStarted = true;
+  self.initDevice();
+  self.applySettings();
+  self.installSeekIntercept();
+  self.startWatchdog();
+  self.startQuietHours();
+
+  // Start appropriate volume control mode
+  if (self.externalVolume) {
+    // External device handles volume (Allo Relay Attenuator, pre-amp, receiver)
+    // DAC features, seek mute, and graceful transitions still work
+    self.startupVolumeApplied = true;  // No startup volume logic needed
+    self.logger.info('ES9018K2M: External volume device enabled - plugin manages DAC features only');
+  } else if (self.volumeMode === 'hardware') {
+    self.registerVolumeOverride();
+    self.applyStartupVolume();
+  } else {
+    // software mode - Volumio handles startup volume
+    self.startupVolumeApplied = true;
+    self.startVolumeSync();
+  }
+
+  self.startSocketConnection();
+  var modeDesc = self.externalVolume ? 'external' : self.volumeMode;
+  self.logger.info('ES9018K2M: Device initialized, volume mode: ' + modeDesc);
+};
+
 ControllerES9018K2M.prototype.onStop = function() {
   var self = this;
   var defer = libQ.defer();
@@ -167,6 +414,15 @@ ControllerES9018K2M.prototype.onStop = function() {
   // Remove seek intercept first
   self.removeSeekIntercept();
 
+  self.stopWatchdog();
+  self.stopStatusPoller();
+  self.stopQuietHours();
+  self.stopHttpApi();
+  self.stopMqtt();
+  self.stopCtlSocket();
+  self.cancelRampMute();
+  self.cancelRamp();
+
   // Stop socket connection
   self.stopSocketConnection();
 
@@ -183,6 +439,9 @@ ControllerES9018K2M.prototype.onStop = function() {
     self.setMuteSync(true);
   }
 
+  self.closeTransport();
+  self.deviceStarted = false;
+
   defer.resolve();
   return defer.promise;
 };
@@ -200,6 +459,9 @@ ControllerES9018K2M.prototype.onVolumioShutdown = function() {
   }
 
   self.removeSeekIntercept();
+  self.stopWatchdog();
+  self.stopStatusPoller();
+  self.stopQuietHours();
   if (self.volumeOverrideRegistered) {
     self.unregisterVolumeOverride();
   }
@@ -222,6 +484,9 @@ ControllerES9018K2M.prototype.onVolumioReboot = function() {
   }
 
   self.removeSeekIntercept();
+  self.stopWatchdog();
+  self.stopStatusPoller();
+  self.stopQuietHours();
   if (self.volumeOverrideRegistered) {
     self.unregisterVolumeOverride();
   }
@@ -238,8 +503,9 @@ ControllerES9018K2M.prototype.onVolumioReboot = function() {
 ControllerES9018K2M.prototype.applyStartupVolume = function() {
   var self = this;
 
-  // Check if any startup volume features are enabled
-  var hasStartupFeatures = self.startMuted || self.rememberLastVolume || self.safeStartupEnabled;
+  // Check if any startup volume features are enabled (a ceiling caps the startup volume too)
+  var hasStartupFeatures = self.startMuted || self.rememberLastVolume || self.safeStartupEnabled ||
+    self.getVolumeLimit() < 100;
 
   if (!hasStartupFeatures) {
     self.startupVolumeApplied = true;  // Allow volume saves immediately
@@ -322,6 +588,9 @@ ControllerES9018K2M.prototype.doApplyStartupVolume = function() {
       ' (was ' + systemVolume + ')');
   }
 
+  // Never start above the ceiling
+  targetVolume = self.limitVolume(targetVolume);
+
   // Apply to DAC directly (bypass alsavolume to avoid feedback loop)
   self.currentVolume = targetVolume;
   self.setVolumeImmediate(targetVolume);
@@ -357,7 +626,11 @@ ControllerES9018K2M.prototype.loadConfig = function() {
 
   self.i2cBus = self.config.get('i2cBus', 1);
   self.i2cAddress = self.config.get('i2cAddress', 0x48);
+  self.i2cTransport = self.config.get('i2cTransport', 'auto');
   self.debugLogging = self.config.get('debugLogging', false);
+  self.watchdogEnabled = self.config.get('watchdogEnabled', true);
+  self.watchdogInterval = self.config.get('watchdogInterval', 30);
+  self.oscillatorMhz = self.config.get('oscillatorMhz', 100);
 
   // External volume device
   self.externalVolume = self.config.get('externalVolume', false);
@@ -385,9 +658,70 @@ ControllerES9018K2M.prototype.loadConfig = function() {
 
   // Mute & transitions settings
   self.seekMuteMs = self.config.get('seekMuteMs', 150);
-  self.gracefulSteps = self.config.get('gracefulSteps', 3);
+
+  // Migration: graceful ramp steps became a ramp time, one step per interval
+  if (self.config.has('gracefulSteps')) {
+    if (!self.config.has('rampDurationMs')) {
+      var gracefulSteps = Math.max(1, Math.min(5, self.config.get('gracefulSteps')));
+      self.config.set('rampDurationMs', gracefulSteps > 1 ? gracefulSteps * RAMP_STEP_MS : 0);
+    }
+    self.config.delete('gracefulSteps');
+    self.logger.info('ES9018K2M: Migrated gracefulSteps to rampDurationMs');
+  }
+
+  self.rampDurationMs = self.config.get('rampDurationMs', 100);
+  self.rampEasing = self.config.get('rampEasing', 'db');
+  if (!RAMP_EASINGS.hasOwnProperty(self.rampEasing)) {
+    self.rampEasing = 'db';
+  }
   self.gracefulTransitions = self.config.get('gracefulTransitions', true);
   self.gracefulVolume = self.config.get('gracefulVolume', true);
+  self.volumeRampMode = self.config.get('volumeRampMode', 'software');
+  if (VOLUME_RAMP_MODES.indexOf(self.volumeRampMode) < 0) {
+    self.volumeRampMode = 'software';
+  }
+  self.hardwareFadeMs = self.config.get('hardwareFadeMs', 300);
+
+  self.autoFormatEnabled = self.config.get('autoFormatEnabled', false);
+
+  // Volume curve (fall back to dB-linear if the stored table is unusable)
+  self.volumeCurve = self.config.get('volumeCurve', 'db');
+  self.volumeRangeDb = self.config.get('volumeRangeDb', 49.5);
+  self.volumeCurveTable = self.parseVolumeCurveTable(self.config.get('volumeCurveTable', '')) || [];
+  self.volumePreviewPosition = self.config.get('volumePreviewPosition', -1);
+  if (VOLUME_CURVES.indexOf(self.volumeCurve) < 0 ||
+      (self.volumeCurve === 'table' && self.volumeCurveTable.length === 0)) {
+    self.volumeCurve = 'db';
+  }
+
+  self.maxVolume = self.config.get('maxVolume', 100);
+  self.gainOffsetDb = self.config.get('gainOffsetDb', 0);
+
+  self.replayGainMode = self.config.get('replayGainMode', 'off');
+  if (replayGain.MODES.indexOf(self.replayGainMode) < 0) {
+    self.replayGainMode = 'off';
+  }
+  self.sourceTrims = self.parseSourceTrims(self.config.get('sourceTrims', '')) || {};
+
+  self.quietHoursEnabled = self.config.get('quietHoursEnabled', false);
+  self.quietHoursFadeSeconds = self.config.get('quietHoursFadeSeconds', 10);
+
+  self.inputMode = self.config.get('inputMode', 'auto');
+  if (!INPUT_MODES.hasOwnProperty(self.inputMode) && self.inputMode !== INPUT_MODE_SOURCE) {
+    self.inputMode = 'auto';
+  }
+  self.inputBitWidth = parseInt(self.config.get('inputBitWidth', 32), 10);
+  if (!INPUT_WIDTHS.hasOwnProperty(self.inputBitWidth)) {
+    self.inputBitWidth = 32;
+  }
+
+  self.channelMode = self.config.get('channelMode', 'stereo');
+  if (!CHANNEL_MODES[self.channelMode]) {
+    self.channelMode = 'stereo';
+  }
+
+  self.invertLeft = self.config.get('polarityInvertLeft', false);
+  self.invertRight = self.config.get('polarityInvertRight', false);
 
   self.lBal = 0;
   self.rBal = 0;
@@ -411,12 +745,51 @@ ControllerES9018K2M.prototype.saveConfig = function() {
 
   self.config.set('i2cBus', self.i2cBus);
   self.config.set('i2cAddress', self.i2cAddress);
+  self.config.set('i2cTransport', self.i2cTransport);
   self.config.set('balance', self.config.get('balance', 0));
+  self.config.set('channelMode', self.config.get('channelMode', 'stereo'));
+  self.config.set('inputMode', self.config.get('inputMode', 'auto'));
+  self.config.set('inputBitWidth', self.config.get('inputBitWidth', 32));
+  self.config.set('inputSourceServices', self.config.get('inputSourceServices', INPUT_SOURCE_DEFAULT));
+  self.config.set('polarityInvertLeft', self.config.get('polarityInvertLeft', false));
+  self.config.set('polarityInvertRight', self.config.get('polarityInvertRight', false));
+  self.config.set('automuteEnabled', self.config.get('automuteEnabled', true));
+  self.config.set('automuteTime', self.config.get('automuteTime', 16));
+  self.config.set('automuteLevel', self.config.get('automuteLevel', 104));
+  self.config.set('softStartEnabled', self.config.get('softStartEnabled', true));
+  self.config.set('softStartTime', self.config.get('softStartTime', 10));
+  self.config.set('volumeCurve', self.config.get('volumeCurve', 'db'));
+  self.config.set('volumeRangeDb', self.config.get('volumeRangeDb', 49.5));
+  self.config.set('volumeCurveTable', self.config.get('volumeCurveTable', ''));
+  self.config.set('maxVolume', self.config.get('maxVolume', 100));
+  self.config.set('gainOffsetDb', self.config.get('gainOffsetDb', 0));
+  self.config.set('replayGainMode', self.config.get('replayGainMode', 'off'));
+  self.config.set('replayGainPreampDb', self.config.get('replayGainPreampDb', 0));
+  self.config.set('replayGainPreventClipping', self.config.get('replayGainPreventClipping', true));
+  self.config.set('sourceTrims', self.config.get('sourceTrims', ''));
+  self.config.set('quietHoursEnabled', self.config.get('quietHoursEnabled', false));
+  self.config.set('quietHoursFadeSeconds', self.config.get('quietHoursFadeSeconds', 10));
   self.config.set('fir', self.config.get('fir', 1));
   self.config.set('iir', self.config.get('iir', 0));
   self.config.set('deemphasis', self.config.get('deemphasis', 0x4A));
+  self.config.set('deemphasisPatterns', self.config.get('deemphasisPatterns', ''));
+  self.config.set('deemphasisUseTag', self.config.get('deemphasisUseTag', true));
   self.config.set('i2sDpll', self.config.get('i2sDpll', 0x50));
   self.config.set('dsdDpll', self.config.get('dsdDpll', 0x0A));
+  self.config.set('thdCompensation', self.config.get('thdCompensation', false));
+  self.config.set('thdC2', self.config.get('thdC2', 0));
+  self.config.set('thdC3', self.config.get('thdC3', 0));
+  self.config.set('httpApiEnabled', self.config.get('httpApiEnabled', false));
+  self.config.set('httpApiPort', self.config.get('httpApiPort', HTTP_API_PORT));
+  self.config.set('httpApiListenAll', self.config.get('httpApiListenAll', false));
+  self.config.set('httpApiToken', self.config.get('httpApiToken', ''));
+  self.config.set('mqttEnabled', self.config.get('mqttEnabled', false));
+  self.config.set('mqttBrokerUrl', self.config.get('mqttBrokerUrl', MQTT_BROKER_URL));
+  self.config.set('mqttUsername', self.config.get('mqttUsername', ''));
+  self.config.set('mqttPassword', self.config.get('mqttPassword', ''));
+  self.config.set('mqttBaseTopic', self.config.get('mqttBaseTopic', MQTT_BASE_TOPIC));
+  self.config.set('mqttDiscovery', self.config.get('mqttDiscovery', true));
+  self.config.set('mqttDiscoveryPrefix', self.config.get('mqttDiscoveryPrefix', 'homeassistant'));
 };
 
 ControllerES9018K2M.prototype.getUIConfig = function() {
@@ -424,11 +797,14 @@ ControllerES9018K2M.prototype.getUIConfig = function() {
   var defer = libQ.defer();
   var langCode = self.commandRouter.sharedVars.get('language_code');
 
-  self.commandRouter.i18nJson(
-    __dirname + '/i18n/strings_' + langCode + '.json',
-    __dirname + '/i18n/strings_en.json',
-    __dirname + '/UIConfig.json'
-  )
+  self.updateSignalStatus()
+  .then(function() {
+    return self.commandRouter.i18nJson(
+      __dirname + '/i18n/strings_' + langCode + '.json',
+      __dirname + '/i18n/strings_en.json',
+      __dirname + '/UIConfig.json'
+    );
+  })
   .then(function(uiconf) {
     // Section 0: Prerequisites (static text)
 
@@ -439,18 +815,76 @@ ControllerES9018K2M.prototype.getUIConfig = function() {
 
     uiconf.sections[1].content[0].value = self.i2cBus;
     uiconf.sections[1].content[1].value = '0x' + self.i2cAddress.toString(16).toUpperCase();
-    uiconf.sections[1].content[2].value = self.config.get('debugLogging', false);
+    uiconf.sections[1].content[2].value = self.getTransportOption(self.config.get('i2cTransport', 'auto'));
+    uiconf.sections[1].content[3].value = self.config.get('debugLogging', false);
+    uiconf.sections[1].content[4].value = self.config.get('watchdogEnabled', true);
+    uiconf.sections[1].content[5].value = self.config.get('watchdogInterval', 30);
+
+    // Boards: slot 1 (the address above) [6] Role, [7] Trim, [8] Balance,
+    // [9] Status; slots 2-4 from [10], seven fields each:
+    // Enabled/Bus/Address/Role/Trim/Balance/Status
+    self.getBoardSettings().forEach(function(board, index) {
+      var content = uiconf.sections[1].content;
+      var base = index === 0 ? 6 : 10 + (index - 1) * 7;
+
+      if (index > 0) {
+        content[base].value = board.enabled;
+        content[base + 1].value = board.bus;
+        content[base + 2].value = boards.formatAddress(board.address);
+        base += 3;
+      }
+      content[base].value = self.getBoardRoleOption(board.role);
+      content[base + 1].value = board.trimDb;
+      content[base + 2].value = board.balance;
+      content[base + 3].value = self.getBoardStatusLabel(index + 1);
+    });
 
-    // Section 2: Volume Control (merged)
+    // [31] check_device, [32] scan_devices, [33] scanResults, then a Use
+    // button per scan result that is not board 1 already, [34+] reset_device
+    uiconf.sections[1].content[33].value = self.getScanResultsLabel();
+    var useButtons = (self.scanResults || []).filter(function(result) {
+      return result.bus !== self.i2cBus || result.address !== self.i2cAddress;
+    }).map(function(result, index) {
+      return {
+        id: 'use_scanned_' + index,
+        element: 'button',
+        label: self.getI18nString('SCAN_USE') + ' ' + self.describeScanResult(result),
+        onClick: {
+          type: 'emit',
+          message: 'callMethod',
+          data: {
+            endpoint: 'system_hardware/es9018k2m',
+            method: 'useScannedDevice',
+            data: { bus: result.bus, address: result.address }
+          }
+        }
+      };
+    });
+    Array.prototype.splice.apply(uiconf.sections[1].content, [34, 0].concat(useButtons));
+
+    // Section 2: Signal Status (read-only, refreshed live)
+    // [0] lock, [1] input, [2] sample rate, [3] automute, [4] attenuation, [5] socket,
+    // [6] I2C queue, [7] oscillatorMhz
+    var status = self.getSignalStatusLabels();
+    uiconf.sections[2].content[0].value = status.lock;
+    uiconf.sections[2].content[1].value = status.input;
+    uiconf.sections[2].content[2].value = status.sampleRate;
+    uiconf.sections[2].content[3].value = status.automute;
+    uiconf.sections[2].content[4].value = status.attenuation;
+    uiconf.sections[2].content[5].value = status.socket;
+    uiconf.sections[2].content[6].value = status.i2cQueue;
+    uiconf.sections[2].content[7].value = self.config.get('oscillatorMhz', 100);
+
+    // Section 3: Volume Control (merged)
     // [0] externalVolume, [1] volumeMode, [2] cardNumber, [3] startMuted,
     // [4] safeStartupEnabled, [5] safeStartupVolume, [6] rememberLastVolume
-    uiconf.sections[2].content[0].value = self.config.get('externalVolume', false);
+    uiconf.sections[3].content[0].value = self.config.get('externalVolume', false);
 
     var volumeModeValue = self.config.get('volumeMode', 'hardware');
     var volumeModeLabel = (volumeModeValue === 'hardware')
       ? self.getI18nString('VOLUME_MODE_HARDWARE')
       : self.getI18nString('VOLUME_MODE_SOFTWARE');
-    uiconf.sections[2].content[1].value = {
+    uiconf.sections[3].content[1].value = {
       value: volumeModeValue,
       label: volumeModeLabel
     };
@@ -462,46 +896,195 @@ ControllerES9018K2M.prototype.getUIConfig = function() {
     var cardNum = self.config.get('cardNumber', -1);
     var detectedCard = self.getAutoDetectedCard();
     if (cardNum === -1) {
-      uiconf.sections[2].content[2].value = 'auto (' + detectedCard + ')';
+      uiconf.sections[3].content[2].value = 'auto (' + detectedCard + ')';
     } else {
-      uiconf.sections[2].content[2].value = String(cardNum);
+      uiconf.sections[3].content[2].value = String(cardNum);
     }
-    uiconf.sections[2].content[2].hidden = hideHardwareFields;
+    uiconf.sections[3].content[2].hidden = hideHardwareFields;
 
     // Start muted
-    uiconf.sections[2].content[3].value = self.config.get('startMuted', false);
-    uiconf.sections[2].content[3].hidden = hideHardwareFields;
+    uiconf.sections[3].content[3].value = self.config.get('startMuted', false);
+    uiconf.sections[3].content[3].hidden = hideHardwareFields;
 
     // Safe startup enabled
-    uiconf.sections[2].content[4].value = self.config.get('safeStartupEnabled', false);
-    uiconf.sections[2].content[4].hidden = hideHardwareFields;
+    uiconf.sections[3].content[4].value = self.config.get('safeStartupEnabled', false);
+    uiconf.sections[3].content[4].hidden = hideHardwareFields;
 
     // Safe startup volume
-    uiconf.sections[2].content[5].value = self.config.get('safeStartupVolume', 25);
-    uiconf.sections[2].content[5].hidden = hideHardwareFields;
+    uiconf.sections[3].content[5].value = self.config.get('safeStartupVolume', 25);
+    uiconf.sections[3].content[5].hidden = hideHardwareFields;
 
     // Remember last volume
-    uiconf.sections[2].content[6].value = self.config.get('rememberLastVolume', false);
-    uiconf.sections[2].content[6].hidden = hideHardwareFields;
-
-    // Section 3: Mute & Transitions
-    // [0] seekMuteMs, [1] gracefulSteps, [2] gracefulTransitions, [3] gracefulVolume
-    uiconf.sections[3].content[0].value = self.config.get('seekMuteMs', 150);
-    uiconf.sections[3].content[1].value = self.config.get('gracefulSteps', 3);
-    uiconf.sections[3].content[2].value = self.config.get('gracefulTransitions', true);
-    uiconf.sections[3].content[3].value = self.config.get('gracefulVolume', true);
+    uiconf.sections[3].content[6].value = self.config.get('rememberLastVolume', false);
+    uiconf.sections[3].content[6].hidden = hideHardwareFields;
+
+    // Section 4: Volume Curve
+    // [0] volumeCurve, [1] volumeRangeDb, [2] volumeCurveTable, [3] maxVolume,
+    // [4] gainOffsetDb, [5] preview (read-only), [6] volumePreviewPosition
+    uiconf.sections[4].content[0].value = self.getVolumeCurveOption(self.volumeCurve);
+    uiconf.sections[4].content[1].value = self.volumeRangeDb;
+    uiconf.sections[4].content[2].value = self.config.get('volumeCurveTable', '');
+    uiconf.sections[4].content[3].value = self.maxVolume;
+    uiconf.sections[4].content[4].value = self.gainOffsetDb;
+    uiconf.sections[4].content[5].value = self.getVolumeCurvePreview();
+    uiconf.sections[4].content[6].value = self.volumePreviewPosition >= 0 ? self.volumePreviewPosition : '';
+
+    // Section 5: Mute & Transitions
+    // [0] seekMuteMs, [1] rampDurationMs, [2] rampEasing, [3] gracefulTransitions,
+    // [4] gracefulVolume, [5] volumeRampMode, [6] hardwareFadeMs
+    uiconf.sections[5].content[0].value = self.config.get('seekMuteMs', 150);
+    uiconf.sections[5].content[1].value = self.rampDurationMs;
+    uiconf.sections[5].content[2].value = self.getRampEasingOption(self.rampEasing);
+    uiconf.sections[5].content[3].value = self.config.get('gracefulTransitions', true);
+    uiconf.sections[5].content[4].value = self.config.get('gracefulVolume', true);
+    uiconf.sections[5].content[5].value = self.getVolumeRampModeOption(self.volumeRampMode);
+    uiconf.sections[5].content[6].value = self.hardwareFadeMs;
+
+    // Section 6: Channel Balance
+    // [0] channelMode, [1] balance, [2] reset, [3] polarityInvertLeft,
+    // [4] polarityInvertRight, [5] album polarity button
+    uiconf.sections[6].content[0].value = self.getChannelModeOption(self.channelMode);
+    uiconf.sections[6].content[1].value = self.config.get('balance', 0);
+    uiconf.sections[6].content[3].value = self.invertLeft;
+    uiconf.sections[6].content[4].value = self.invertRight;
+    if (self.albumInvertKey) {
+      uiconf.sections[6].content[5].label = self.getI18nString('POLARITY_ALBUM_RESTORE');
+    }
 
-    // Section 4: Channel Balance
-    uiconf.sections[4].content[0].value = self.config.get('balance', 0);
+    // Section 7: Digital Filters
+    // [0] fir, [1] iir, [2] deemphasis, [3] deemphasisPatterns,
+    // [4] deemphasisUseTag, [5] thdCompensation, [6] thdC2, [7] thdC3
+    // Filter options and THD follow the detected chip
+    var hideThdFields = !self.chip.thd;
+    uiconf.sections[7].content[0].options = self.getFirOptions();
+    uiconf.sections[7].content[0].value = self.getFirOption(self.config.get('fir', 1));
+    uiconf.sections[7].content[1].options = self.getIirOptions();
+    uiconf.sections[7].content[1].value = self.getIirOption(self.config.get('iir', 0));
+    uiconf.sections[7].content[2].value = self.getDeemphasisOption(self.config.get('deemphasis', 0x4A));
+    uiconf.sections[7].content[3].value = self.config.get('deemphasisPatterns', '');
+    uiconf.sections[7].content[4].value = self.config.get('deemphasisUseTag', true);
+    uiconf.sections[7].content[5].value = self.config.get('thdCompensation', false);
+    uiconf.sections[7].content[5].hidden = hideThdFields;
+    uiconf.sections[7].content[6].value = self.config.get('thdC2', 0);
+    uiconf.sections[7].content[6].hidden = hideThdFields;
+    uiconf.sections[7].content[7].value = self.config.get('thdC3', 0);
+    uiconf.sections[7].content[7].hidden = hideThdFields;
+
+    // Section 8: DPLL
+    uiconf.sections[8].content[0].value = self.getDpllOption(self.config.get('i2sDpll', 0x50));
+    uiconf.sections[8].content[1].value = self.getDpllOption(self.config.get('dsdDpll', 0x0A));
+
+    // Section 9: Input Configuration
+    // [0] inputMode, [1] inputBitWidth, [2] inputSourceServices
+    uiconf.sections[9].description = self.getI18nString('INPUT_CONFIG_DESC') + ' ' +
+      self.getI18nString('INPUT_ACTIVE') + ': ' + self.getInputModeOption(self.getActiveInputMode()).label;
+    uiconf.sections[9].content[0].value = self.getInputModeOption(self.inputMode);
+    uiconf.sections[9].content[1].value = self.getInputWidthOption(self.inputBitWidth);
+    uiconf.sections[9].content[2].value = self.config.get('inputSourceServices', INPUT_SOURCE_DEFAULT);
+
+    // Section 10: Automute & Soft Start
+    // [0] automuteEnabled, [1] automuteTime, [2] automuteLevel,
+    // [3] softStartEnabled, [4] softStartTime, [5] timing (readonly)
+    var automute = self.getAutomuteSettings();
+    uiconf.sections[10].content[0].value = automute.automuteEnabled;
+    uiconf.sections[10].content[1].value = automute.automuteTime;
+    uiconf.sections[10].content[2].value = automute.automuteLevel;
+    uiconf.sections[10].content[3].value = automute.softStartEnabled;
+    uiconf.sections[10].content[4].value = automute.softStartTime;
+    uiconf.sections[10].content[5].value = self.getAutomuteTiming();
+
+    // Section 11: Sound Presets
+    // [0] presetSelect, [1] presetAction, [2] presetName
+    var presetNames = self.getPresetNames();
+    var matchingPreset = self.findMatchingPreset();
+    uiconf.sections[11].description = self.getI18nString('SOUND_PRESETS_DESC') + ' ' +
+      self.getI18nString('PRESET_ACTIVE') + ': ' + (matchingPreset || self.getI18nString('STATUS_NONE'));
+    uiconf.sections[11].content[0].options = presetNames.map(function(name) {
+      return { value: name, label: name };
+    });
+    var selectedPreset = matchingPreset || presetNames[0];
+    uiconf.sections[11].content[0].value = selectedPreset
+      ? { value: selectedPreset, label: selectedPreset }
+      : { value: '', label: self.getI18nString('STATUS_NONE') };
+
+    // Section 12: Format Profiles
+    // [0] autoFormatEnabled, then per family FIR/IIR/DPLL (DSD: IIR/DPLL)
+    var formatSection = uiconf.sections[12];
+    formatSection.description = self.getI18nString('FORMAT_PROFILES_DESC') + ' ' +
+      self.getI18nString('FORMAT_ACTIVE') + ': ' +
+      (self.autoFormatEnabled ? self.getFormatLabel(self.currentFormat) : self.getI18nString('STATUS_NONE'));
+    formatSection.content[0].value = self.autoFormatEnabled;
+
+    var formatIndex = 1;
+    Object.keys(FORMAT_PROFILE_DEFAULTS).forEach(function(family) {
+      var profile = self.getFormatProfile(family);
+      Object.keys(profile).forEach(function(field) {
+        var item = formatSection.content[formatIndex++];
+        if (field === 'fir') {
+          item.options = self.getFirOptions();
+          item.value = self.getFirOption(profile.fir);
+        } else if (field === 'iir') {
+          item.options = self.getIirOptions();
+          item.value = self.getIirOption(profile.iir);
+        } else {
+          item.value = self.getDpllOption(profile.dpll);
+        }
+      });
+    });
 
-    // Section 5: Digital Filters
-    uiconf.sections[5].content[0].value = self.getFirOption(self.config.get('fir', 1));
-    uiconf.sections[5].content[1].value = self.getIirOption(self.config.get('iir', 0));
-    uiconf.sections[5].content[2].value = self.getDeemphasisOption(self.config.get('deemphasis', 0x4A));
+    // Section 13: Quiet Hours
+    // [0] quietHoursEnabled, [1] quietHoursFadeSeconds, then per slot
+    // Enabled/Start/End/Days/MaxVolume/Action
+    var quietSection = uiconf.sections[13];
+    quietSection.description = self.getI18nString('QUIET_HOURS_DESC') + ' ' + self.getQuietHoursStatus();
+    quietSection.content[0].value = self.quietHoursEnabled;
+    quietSection.content[1].value = self.quietHoursFadeSeconds;
+
+    var quietWindows = self.getQuietWindows();
+    for (var slot = 0; slot < QUIET_HOURS_SLOTS; slot++) {
+      var quietWindow = quietWindows[slot] || QUIET_WINDOW_DEFAULT;
+      var base = 2 + slot * 6;
+      quietSection.content[base].value = quietWindow.enabled;
+      quietSection.content[base + 1].value = quietWindow.start;
+      quietSection.content[base + 2].value = quietWindow.end;
+      quietSection.content[base + 3].value = quietHours.formatDays(quietWindow.days);
+      quietSection.content[base + 4].value = quietWindow.maxVolume;
+      quietSection.content[base + 5].value = self.getQuietActionOption(quietWindow.action);
+    }
 
-    // Section 6: DPLL
-    uiconf.sections[6].content[0].value = self.getDpllOption(self.config.get('i2sDpll', 0x50));
-    uiconf.sections[6].content[1].value = self.getDpllOption(self.config.get('dsdDpll', 0x0A));
+    // Section 14: HTTP API
+    // [0] httpApiEnabled, [1] httpApiPort, [2] httpApiListenAll,
+    // [3] httpApiToken, [4] httpApiStatus
+    var apiSection = uiconf.sections[14];
+    apiSection.content[0].value = self.config.get('httpApiEnabled', false);
+    apiSection.content[1].value = self.config.get('httpApiPort', HTTP_API_PORT);
+    apiSection.content[2].value = self.config.get('httpApiListenAll', false);
+    apiSection.content[3].value = self.config.get('httpApiToken', '');
+    apiSection.content[4].value = self.getHttpApiStatus();
+
+    // Section 15: MQTT
+    // [0] mqttEnabled, [1] mqttBrokerUrl, [2] mqttUsername, [3] mqttPassword,
+    // [4] mqttBaseTopic, [5] mqttDiscovery, [6] mqttDiscoveryPrefix, [7] mqttStatus
+    var mqttSection = uiconf.sections[15];
+    mqttSection.content[0].value = self.config.get('mqttEnabled', false);
+    mqttSection.content[1].value = self.config.get('mqttBrokerUrl', MQTT_BROKER_URL);
+    mqttSection.content[2].value = self.config.get('mqttUsername', '');
+    mqttSection.content[3].value = self.config.get('mqttPassword', '');
+    mqttSection.content[4].value = self.getMqttBaseTopic();
+    mqttSection.content[5].value = self.config.get('mqttDiscovery', true);
+    mqttSection.content[6].value = self.config.get('mqttDiscoveryPrefix', 'homeassistant');
+    mqttSection.content[7].value = self.getMqttStatus();
+
+    // Section 16: Loudness Matching
+    // [0] replayGainMode, [1] replayGainPreampDb, [2] replayGainPreventClipping,
+    // [3] replayGainStatus (read-only), [4] sourceTrims, [5] sourceTrimStatus (read-only)
+    var loudnessSection = uiconf.sections[16];
+    loudnessSection.content[0].value = self.getReplayGainModeOption(self.replayGainMode);
+    loudnessSection.content[1].value = self.config.get('replayGainPreampDb', 0);
+    loudnessSection.content[2].value = self.config.get('replayGainPreventClipping', true);
+    loudnessSection.content[3].value = self.getReplayGainStatus();
+    loudnessSection.content[4].value = self.config.get('sourceTrims', '');
+    loudnessSection.content[5].value = self.getSourceTrimStatus();
 
     defer.resolve(uiconf);
   })
@@ -517,131 +1100,435 @@ ControllerES9018K2M.prototype.getUIConfig = function() {
 // I2C Operations
 // ---------------------------------------------------------------------------
 
+// Configured boards by slot; slot 1 is always the primary board
+ControllerES9018K2M.prototype.getBoardSettings = function() {
+  var self = this;
+  var stored = [];
+
+  try {
+    stored = JSON.parse(self.config.get('boards', '[]'));
+  } catch (e) {
+    self.logger.warn('ES9018K2M: Ignoring unreadable board list in config: ' + e.message);
+  }
+  if (!Array.isArray(stored)) {
+    stored = [];
+  }
+
+  var settings = [];
+  for (var slot = 0; slot < BOARD_SLOTS; slot++) {
+    var fallback = { bus: self.i2cBus, address: 0x48 + slot };
+    var entry = Object.assign({}, fallback, stored[slot]);
+
+    if (slot === 0) {
+      entry.enabled = true;
+      entry.bus = self.i2cBus;
+      entry.address = self.i2cAddress;
+    }
+    settings.push(boards.normalizeBoard(entry) || boards.normalizeBoard(fallback));
+  }
+
+  return settings;
+};
+
+ControllerES9018K2M.prototype.openTransport = function() {
+  var self = this;
+
+  self.closeTransport();
+
+  self.getBoardSettings().forEach(function(settings, index) {
+    if (settings.enabled) {
+      self.boards.push(self.openBoard(settings, index + 1));
+    }
+  });
+};
+
+ControllerES9018K2M.prototype.openBoard = function(settings, slot) {
+  var self = this;
+  var board = Object.assign({
+    slot: slot,
+    transport: null,
+    queue: null,
+    found: false,
+    chip: null,
+    revision: null,
+    mismatch: false
+  }, settings);
+
+  try {
+    board.transport = i2cTransport.createTransport(
+      self.i2cTransport, board.bus, board.address, self.transportOptions
+    );
+  } catch (err) {
+    self.logger.warn('ES9018K2M: ' + self.i2cTransport + ' I2C transport unavailable (' +
+      err.message + '), falling back to i2c-tools');
+    board.transport = i2cTransport.createTransport('i2ctools', board.bus, board.address);
+  }
+  board.queue = new I2cQueue(board.transport);
+
+  self.logger.info('ES9018K2M: Using ' + board.transport.name + ' I2C transport on bus ' +
+    board.bus + ', address 0x' + board.address.toString(16));
+
+  return board;
+};
+
+ControllerES9018K2M.prototype.closeTransport = function() {
+  var self = this;
+
+  self.boards.forEach(function(board) {
+    board.queue.close();
+    board.transport.close();
+  });
+  self.boards = [];
+};
+
+// Boards that answered the last detection; writes fan out to all of them
+ControllerES9018K2M.prototype.getConnectedBoards = function() {
+  return this.boards.filter(function(board) {
+    return board.found;
+  });
+};
+
+// Status and read-back source: the first board that answered
+ControllerES9018K2M.prototype.getPrimaryBoard = function() {
+  var self = this;
+
+  return self.getConnectedBoards()[0] || self.boards[0] || null;
+};
+
+// Immediate write to every board for ramps and mute; supersedes queued writes to the register
 ControllerES9018K2M.prototype.i2cWriteSync = function(register, value) {
   var self = this;
+  var ok = true;
+
+  self.getConnectedBoards().forEach(function(board) {
+    ok = self.boardWriteSync(board, register, value) && ok;
+  });
+  return ok;
+};
 
-  var cmd = 'i2cset -y ' + self.i2cBus + ' 0x' +
-    self.i2cAddress.toString(16) + ' 0x' +
-    register.toString(16) + ' 0x' +
-    value.toString(16);
+ControllerES9018K2M.prototype.boardWriteSync = function(board, register, value) {
+  var self = this;
 
   try {
-    execSync(cmd, { timeout: 100 });
+    board.queue.writeSync(register, value);
     return true;
   } catch (err) {
-    self.logger.error('ES9018K2M: I2C sync write failed: ' + err.message);
+    self.logger.error('ES9018K2M: I2C sync write failed (' + boards.describeBoard(board) + '): ' +
+      err.message);
     return false;
   }
 };
 
-ControllerES9018K2M.prototype.i2cWrite = function(register, value) {
+// Queued write to every board; priority 'high' for mute/volume traffic,
+// settings default to 'normal'
+ControllerES9018K2M.prototype.i2cWrite = function(register, value, priority) {
   var self = this;
-  var defer = libQ.defer();
 
-  var now = Date.now();
-  var delay = Math.max(0, self.I2C_THROTTLE_MS - (now - self.lastI2cWrite));
+  // Plugin stopped
+  if (self.boards.length === 0) {
+    return libQ.reject(new Error('I2C transport closed'));
+  }
+
+  return libQ.all(self.getConnectedBoards().map(function(board) {
+    return self.boardWrite(board, register, value, priority);
+  }));
+};
 
-  setTimeout(function() {
-    var cmd = 'i2cset -y ' + self.i2cBus + ' 0x' +
-      self.i2cAddress.toString(16) + ' 0x' +
-      register.toString(16) + ' 0x' +
-      value.toString(16);
-
-    exec(cmd, function(error, stdout, stderr) {
-      self.lastI2cWrite = Date.now();
-      if (error) {
-        self.logger.error('ES9018K2M: I2C write failed: ' + error);
-        defer.reject(error);
-      } else {
-        defer.resolve();
-      }
-    });
-  }, delay);
+ControllerES9018K2M.prototype.boardWrite = function(board, register, value, priority) {
+  var self = this;
 
-  return defer.promise;
+  return board.queue.write(register, value, priority)
+    .fail(function(error) {
+      self.logger.error('ES9018K2M: I2C write failed (' + boards.describeBoard(board) + '): ' + error);
+      throw error;
+    });
 };
 
-ControllerES9018K2M.prototype.i2cRead = function(register) {
+// Reads go to one board - the primary unless given
+ControllerES9018K2M.prototype.i2cRead = function(register, board) {
   var self = this;
-  var defer = libQ.defer();
+  var target = board || self.getPrimaryBoard();
+
+  if (!target) {
+    return libQ.reject(new Error('I2C transport closed'));
+  }
 
-  var cmd = 'i2cget -y ' + self.i2cBus + ' 0x' +
-    self.i2cAddress.toString(16) + ' 0x' +
-    register.toString(16);
+  return target.queue.read(register)
+    .fail(function(error) {
+      self.logger.error('ES9018K2M: I2C read failed (' + boards.describeBoard(target) + '): ' + error);
+      throw error;
+    });
+};
 
-  exec(cmd, function(error, stdout, stderr) {
-    if (error) {
-      self.logger.error('ES9018K2M: I2C read failed: ' + error);
-      defer.reject(error);
-    } else {
-      var value = parseInt(stdout.trim(), 16);
-      defer.resolve(value);
+// Read several registers in sequence; resolves to { register: value }
+ControllerES9018K2M.prototype.i2cReadMany = function(registers, board) {
+  var self = this;
+  var values = {};
+
+  function readNext(index) {
+    if (index >= registers.length) {
+      return libQ.resolve(values);
     }
-  });
+    return self.i2cRead(registers[index], board).then(function(value) {
+      values[registers[index]] = value;
+      return readNext(index + 1);
+    });
+  }
 
-  return defer.promise;
+  return readNext(0);
+};
+
+// Operations waiting or on the bus, all boards; 0 once the plugin is stopped
+ControllerES9018K2M.prototype.getI2cQueueDepth = function() {
+  return this.boards.reduce(function(depth, board) {
+    return depth + (board.queue ? board.queue.depth() : 0);
+  }, 0);
 };
 
 // ---------------------------------------------------------------------------
 // Device Detection and Initialization
 // ---------------------------------------------------------------------------
 
+// Detect every board; resolves true if at least one answered
 ControllerES9018K2M.prototype.checkDevice = function() {
   var self = this;
+
+  return self.boards.reduce(function(previous, board) {
+    return previous.then(function() {
+      return self.checkBoard(board);
+    });
+  }, libQ.resolve())
+    .then(function() {
+      self.selectChip();
+      return self.getConnectedBoards().length > 0;
+    });
+};
+
+ControllerES9018K2M.prototype.checkBoard = function(board) {
+  var self = this;
   var defer = libQ.defer();
 
-  self.i2cRead(64)
+  board.mismatch = false;
+
+  self.i2cRead(64, board)
     .then(function(status) {
-      var isES9018K2M = (status & 0x1C) === 0x10;
-      if (isES9018K2M) {
-        var revision = status & 0x03;
-        self.logger.info('ES9018K2M: Found device (reg64=0x' +
-          status.toString(16) + ', revision=' + revision + ')');
+      var detected = chips.identify(status);
+      board.found = detected !== null;
+      board.chip = detected ? detected.chip : null;
+      board.revision = detected ? detected.revision : null;
+      if (detected) {
+        self.logger.info('ES9018K2M: Found ' + board.chip.name + ' at ' + boards.describeBoard(board) +
+          ' (reg64=0x' + status.toString(16) +
+          (board.revision !== null ? ', revision=' + board.revision : '') + ')');
       }
-      defer.resolve(isES9018K2M);
+      defer.resolve(board.found);
     })
     .fail(function(err) {
-      self.logger.error('ES9018K2M: Device detection failed: ' + err);
+      self.logger.error('ES9018K2M: Device detection failed (' + boards.describeBoard(board) + '): ' + err);
+      board.found = false;
+      board.chip = null;
+      board.revision = null;
       defer.resolve(false);
     });
 
   return defer.promise;
 };
 
-ControllerES9018K2M.prototype.initDevice = function() {
+// The first detected board sets the chip model; boards of another model
+// would need a different register map and are left alone
+ControllerES9018K2M.prototype.selectChip = function() {
   var self = this;
+  var primary = self.getConnectedBoards()[0];
 
-  self.setMuteSync(true);
+  if (!primary) {
+    return;
+  }
+
+  if (self.chip !== primary.chip) {
+    // Filter bits of the old map mean something else on this chip;
+    // applySettings writes them again
+    self.reg7 = self.reg7 & ~(self.chip.fir.masks.filter | self.chip.iir.masks.filter) & 0xFF;
+    self.reg21 = self.reg21 & ~(self.chip.fir.masks.bypass | self.chip.iir.masks.bypass) & 0xFF;
+    self.chip = primary.chip;
+    self.logger.info('ES9018K2M: Using the ' + self.chip.name + ' register map');
+  }
+
+  self.getConnectedBoards().forEach(function(board) {
+    if (board.chip !== self.chip) {
+      self.logger.warn('ES9018K2M: ' + boards.describeBoard(board) + ' is an ' + board.chip.name +
+        ', not an ' + self.chip.name + ' like ' + boards.describeBoard(primary) + ' - ignored');
+      board.found = false;
+      board.mismatch = true;
+    }
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Device Scan - find Sabre DACs on every I2C bus
+// ---------------------------------------------------------------------------
+
+// Probe the chip addresses on every bus; resolves to
+// [{ bus, address, chip, revision }] and keeps it for the UI
+ControllerES9018K2M.prototype.scanDevices = function() {
+  var self = this;
+  var buses = i2cTransport.listBuses(self.i2cTransport, self.transportOptions);
+  var targets = [];
+  var results = [];
+
+  buses.forEach(function(bus) {
+    chips.ADDRESSES.forEach(function(address) {
+      targets.push({ bus: bus, address: address });
+    });
+  });
+
+  self.logger.info('ES9018K2M: Scanning I2C bus ' + (buses.join(', ') || '(none)'));
+
+  return targets.reduce(function(previous, target) {
+    return previous.then(function() {
+      return self.probeAddress(target.bus, target.address).then(function(detected) {
+        if (detected) {
+          results.push({
+            bus: target.bus,
+            address: target.address,
+            chip: detected.chip.name,
+            revision: detected.revision
+          });
+        }
+      });
+    });
+  }, libQ.resolve())
+    .then(function() {
+      self.scanResults = results;
+      self.logger.info('ES9018K2M: Scan found ' + (results.map(function(result) {
+        return self.describeScanResult(result);
+      }).join('; ') || 'no DAC'));
+      return results;
+    });
+};
+
+// Chip at one address, null if nothing supported answers. An open board is
+// read through its queue; anything else gets a throwaway transport
+ControllerES9018K2M.prototype.probeAddress = function(bus, address) {
+  var self = this;
+  var open = self.boards.find(function(board) {
+    return board.bus === bus && board.address === address;
+  });
+  var transport = null;
+  var request;
+
+  if (open) {
+    request = open.queue.read(64);
+  } else {
+    try {
+      transport = i2cTransport.createProbe(self.i2cTransport, bus, address, self.transportOptions);
+      request = transport.readByte(64);
+    } catch (err) {
+      request = libQ.reject(err);
+    }
+  }
+
+  return request.then(function(status) {
+    if (transport) {
+      transport.close();
+    }
+    return chips.identify(status);
+  }, function() {
+    if (transport) {
+      transport.close();
+    }
+    return null;
+  });
+};
+
+// First start without a DAC at the configured address: adopt the only one
+// found, otherwise leave the results for Device Detection
+ControllerES9018K2M.prototype.discoverDevice = function() {
+  var self = this;
+
+  return self.scanDevices().then(function(results) {
+    if (results.length !== 1) {
+      return false;
+    }
+
+    self.logger.info('ES9018K2M: Using the DAC found at ' + boards.describeBoard(results[0]));
+    self.setPrimaryAddress(results[0].bus, results[0].address);
+    return self.checkDevice();
+  });
+};
+
+// Move board 1 to another bus/address and reopen the transports
+ControllerES9018K2M.prototype.setPrimaryAddress = function(bus, address) {
+  var self = this;
+
+  self.i2cBus = bus;
+  self.i2cAddress = address;
+  self.config.set('i2cBus', bus);
+  self.config.set('i2cAddress', address);
+  self.openTransport();
+};
+
+// Scan results for Device Detection, "-" before the first scan
+ControllerES9018K2M.prototype.getScanResultsLabel = function() {
+  var self = this;
 
-  // Register 0x00: System settings
-  self.i2cWrite(0x00, 0x00);
+  if (self.scanResults === null) {
+    return self.getI18nString('STATUS_NONE');
+  }
+  if (self.scanResults.length === 0) {
+    return self.getI18nString('SCAN_NONE');
+  }
+  return self.scanResults.map(function(result) {
+    return self.describeScanResult(result);
+  }).join(', ');
+};
+
+// "bus 1, 0x48 (ES9018K2M, revision 0)"
+ControllerES9018K2M.prototype.describeScanResult = function(result) {
+  var self = this;
 
-  // Register 0x01: Input configuration (32-bit I2S, auto-detect)
-  self.i2cWrite(0x01, 0xC4);
+  return boards.describeBoard(result) + ' (' + self.getChipLabel(result.chip, result.revision) + ')';
+};
 
-  // Register 0x04: Automute time
-  self.i2cWrite(0x04, 0x10);
+// "ES9018K2M, revision 1" or "ES9038Q2M" (the Q2M has no revision field)
+ControllerES9018K2M.prototype.getChipLabel = function(name, revision) {
+  var self = this;
 
-  // Register 0x05: Automute level (-104dB)
-  self.i2cWrite(0x05, 0x68);
+  return name + (revision !== null ? ', ' + self.getI18nString('BOARD_REVISION') + ' ' + revision : '');
+};
 
-  // Register 0x06: De-emphasis and volume ramp rate
-  self.i2cWrite(0x06, 0x47);
+// Static register setup written by initDevice, as [register, value, description]
+ControllerES9018K2M.prototype.getInitRegisters = function() {
+  var self = this;
+  var automute = self.getAutomuteRegisters();
+
+  return [
+    [0x00, 0x00, 'System settings'],
+    [0x01, self.getInputRegister(), 'Input configuration'],
+    [0x04, automute[0x04], 'Automute time'],
+    [0x05, automute[0x05], 'Automute level'],
+    [0x06, 0x47, 'De-emphasis and volume ramp rate'],
+    [0x08, 0x01, 'GPIO configuration'],
+    [self.chip.dpll.register, 0x5F, 'DPLL/ASRC settings'],
+    [0x0E, automute[0x0E], 'Soft start - KEY FOR POP PREVENTION on format changes'],
+    [0x15, 0x00, 'GPIO and oversampling filter bypass'],
+    [0x1B, 0xD4, 'ASRC and volume latch']
+  ];
+};
 
-  // Register 0x08: GPIO configuration
-  self.i2cWrite(0x08, 0x01);
+ControllerES9018K2M.prototype.writeInitRegisters = function() {
+  var self = this;
 
-  // Register 0x0C: DPLL/ASRC settings
-  self.i2cWrite(0x0C, 0x5F);
+  self.getInitRegisters().forEach(function(entry) {
+    self.i2cWrite(entry[0], entry[1]);
+  });
+};
 
-  // Register 0x0E: Soft start - KEY FOR POP PREVENTION on format changes
-  self.i2cWrite(0x0E, 0x8A);
+ControllerES9018K2M.prototype.initDevice = function() {
+  var self = this;
 
-  // Register 0x15: GPIO and oversampling filter bypass
-  self.i2cWrite(0x15, 0x00);
+  self.setMuteSync(true);
 
-  // Register 0x1B: ASRC and volume latch
-  self.i2cWrite(0x1B, 0xD4);
+  self.writeInitRegisters();
 
   // Initialize volume to 100% (full scale, no attenuation)
   self.currentVolume = 100;
@@ -655,13 +1542,15 @@ ControllerES9018K2M.prototype.initDevice = function() {
 ControllerES9018K2M.prototype.applySettings = function() {
   var self = this;
 
-  self.setFirFilter(self.config.get('fir', 1));
-  self.setIirFilter(self.config.get('iir', 0));
-  self.setDeemphasis(self.config.get('deemphasis', 0x4A));
-  self.setDpll(
-    self.config.get('i2sDpll', 0x50),
-    self.config.get('dsdDpll', 0x0A)
-  );
+  var active = self.getActiveFilterSettings();
+
+  self.writeFirFilter(active.fir);
+  self.writeIirFilter(active.iir);
+  self.writeDeemphasis(self.getActiveDeemphasis());
+  self.writeDpll(active.i2sDpll, active.dsdDpll);
+  self.writeChannelMode(self.channelMode);
+  self.writePolarity();
+  self.writeThdCompensation();
 };
 
 // ---------------------------------------------------------------------------
@@ -756,19 +1645,30 @@ ControllerES9018K2M.prototype.alsavolume = function(VolumeInteger) {
     return libQ.resolve();
   }
 
+  // The user took over - stop a quiet hours fade-out
+  self.cancelQuietFade();
+
   var newVolume = parseInt(VolumeInteger, 10);
   if (isNaN(newVolume)) {
     newVolume = 100;
   }
   newVolume = Math.max(0, Math.min(100, newVolume));
 
+  // Hard ceiling - the slider is pushed back to the clamped value below
+  if (newVolume > self.getVolumeLimit()) {
+    self.logDebug('ES9018K2M: Volume ' + newVolume + ' clamped to ' + self.getVolumeLimit());
+    newVolume = self.getVolumeLimit();
+  }
+
   var oldVolume = self.currentVolume;
+  var ramp;
 
   // Use graceful ramping if enabled and volume change is significant
   if (self.gracefulVolume && Math.abs(newVolume - oldVolume) > 5) {
-    self.gracefulVolumeChangeSync(oldVolume, newVolume);
+    ramp = self.gracefulVolumeChange(newVolume);
   } else {
     self.setVolumeImmediate(newVolume);
+    ramp = libQ.resolve(true);
   }
 
   self.currentVolume = newVolume;
@@ -791,7 +1691,8 @@ ControllerES9018K2M.prototype.alsavolume = function(VolumeInteger) {
     mute: self.currentMute
   });
 
-  return libQ.resolve();
+  // Settles when the outputs reach the new level (or a newer change takes over)
+  return ramp;
 };
 
 // Called to retrieve current volume state (hardware mode)
@@ -815,51 +1716,448 @@ ControllerES9018K2M.prototype.updateVolumeSettings = function(data) {
 };
 
 // ---------------------------------------------------------------------------
-// Seek Intercept - Pre-emptive mute for pop-free seeks
+// Register Watchdog - Detect DAC resets (brown-out, power cycle) and recover
 // ---------------------------------------------------------------------------
 
-ControllerES9018K2M.prototype.installSeekIntercept = function() {
+ControllerES9018K2M.prototype.startWatchdog = function() {
   var self = this;
 
-  if (self.seekInterceptInstalled) {
-    return;
-  }
+  self.stopWatchdog();
 
-  if (typeof self.commandRouter.volumioSeek !== 'function') {
-    self.logger.warn('ES9018K2M: volumioSeek not found, seek intercept disabled');
+  if (!self.watchdogEnabled) {
     return;
   }
 
-  // Save original function
-  self.originalSeek = self.commandRouter.volumioSeek.bind(self.commandRouter);
+  self.watchdogTimer = setInterval(function() {
+    self.verifyRegisters();
+  }, self.watchdogInterval * 1000);
 
-  // Install wrapper
-  self.commandRouter.volumioSeek = function(position) {
-    self.logDebug('ES9018K2M: Seek intercept - position=' + position);
+  self.logDebug('ES9018K2M: Register watchdog started (' + self.watchdogInterval + 's)');
+};
 
-    // Pre-emptive mute (synchronous - blocks until complete)
-    if (self.deviceFound && self.seekMuteMs > 0) {
-      // Always use graceful mute for seeks (this is the primary use case)
-      self.gracefulMuteSync(true);
-      self.logDebug('ES9018K2M: Pre-emptive graceful mute applied');
-    }
+ControllerES9018K2M.prototype.stopWatchdog = function() {
+  var self = this;
 
-    // Execute original seek
-    var result = self.originalSeek(position);
+  if (self.watchdogTimer) {
+    clearInterval(self.watchdogTimer);
+    self.watchdogTimer = null;
+    self.logDebug('ES9018K2M: Register watchdog stopped');
+  }
+};
 
-    // Schedule unmute
-    if (self.deviceFound && self.seekMuteMs > 0) {
-      setTimeout(function() {
-        // Check if we should unmute (not user-muted, still playing)
-        var state = self.commandRouter.volumioGetState();
-        if (state && state.status === 'play' && !state.mute) {
-          self.gracefulMuteSync(false);
-          self.logDebug('ES9018K2M: Graceful unmute after seek');
-        }
-      }, self.seekMuteMs);
-    }
+// What a board (default: the primary) should hold right now: init sequence
+// overlaid with shadows
+ControllerES9018K2M.prototype.getExpectedRegisters = function(board) {
+  var self = this;
+  var expected = {};
 
-    return result;
+  self.getInitRegisters().forEach(function(entry) {
+    expected[entry[0]] = entry[1];
+  });
+
+  expected[0x06] = self.getDeemphasisRampRegister();
+  expected[0x07] = self.reg7;
+  expected[0x0B] = self.getChannelRegister(board || self.getPrimaryBoard());
+  expected[0x0D] = self.reg13;
+  expected[self.chip.dpll.register] = self.reg12;
+  expected[0x15] = self.reg21;
+
+  var thd = self.getThdRegisters();
+  Object.keys(thd).forEach(function(register) {
+    expected[register] = thd[register];
+  });
+
+  return expected;
+};
+
+// Read back and compare on every board; resolves true if drift was found
+// and recovered
+ControllerES9018K2M.prototype.verifyRegisters = function() {
+  var self = this;
+  var defer = libQ.defer();
+
+  // Queued writes would show up as false drift
+  if (!self.deviceFound || self.watchdogBusy || self.getI2cQueueDepth() > 0) {
+    return libQ.resolve(false);
+  }
+
+  self.watchdogBusy = true;
+
+  var drift = [];
+  var checks = self.getConnectedBoards().map(function(board) {
+    return function() {
+      return self.findRegisterDrift(board).then(function(found) {
+        drift = drift.concat(found);
+      });
+    };
+  });
+
+  checks.reduce(function(previous, check) {
+    return previous.then(check);
+  }, libQ.resolve())
+    .then(function() {
+      self.watchdogBusy = false;
+      if (drift.length === 0) {
+        defer.resolve(false);
+        return;
+      }
+      self.recoverDevice(drift);
+      defer.resolve(true);
+    })
+    .fail(function(err) {
+      // Unreadable bus - leave it to Check Device, don't re-init blindly
+      self.watchdogBusy = false;
+      self.logDebug('ES9018K2M: Watchdog read-back failed: ' + err);
+      defer.resolve(false);
+    });
+
+  return defer.promise;
+};
+
+// Resolves to a description per drifted register of one board
+ControllerES9018K2M.prototype.findRegisterDrift = function(board) {
+  var self = this;
+  var expected = self.getExpectedRegisters(board);
+  var registers = Object.keys(expected).map(function(r) { return parseInt(r, 10); });
+  // Name the board only when there is more than one
+  var prefix = self.boards.length > 1 ? boards.describeBoard(board) + ' ' : '';
+
+  return self.i2cReadMany(registers, board).then(function(values) {
+    return registers.filter(function(register) {
+      return values[register] !== expected[register];
+    }).map(function(register) {
+      return prefix + '0x' + register.toString(16) + ': expected 0x' +
+        expected[register].toString(16) + ', read 0x' + values[register].toString(16);
+    });
+  });
+};
+
+ControllerES9018K2M.prototype.recoverDevice = function(drift) {
+  var self = this;
+
+  self.logger.warn('ES9018K2M: Register drift detected (' + drift.join('; ') +
+    ') - DAC reset suspected, re-applying state');
+
+  self.restoreDeviceState();
+
+  self.commandRouter.pushToastMessage('warning',
+    self.getI18nString('PLUGIN_NAME'),
+    self.getI18nString('WATCHDOG_RECOVERED'));
+};
+
+// Rewrite every register on every board from settings and shadows
+ControllerES9018K2M.prototype.restoreDeviceState = function() {
+  var self = this;
+
+  var volume = self.currentVolume;
+  var mute = self.currentMute;
+
+  // Stay muted while registers are rewritten; the queued async writes
+  // capture the muted reg7, so unmute is queued behind them
+  self.setMuteSync(true);
+  self.writeInitRegisters();
+  self.applySettings();
+  if (volume !== null) {
+    self.setVolumeImmediate(volume);
+  }
+  if (!mute) {
+    self.setMute(false);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Signal Status - DPLL lock, input type, sample rate, automute
+// ---------------------------------------------------------------------------
+
+// Register 64: [7:5] revision, [4:2] chip ID, [1] automute, [0] lock
+// Register 65: [0] DSD input
+// Registers 66-69: DPLL_NUM (32-bit, LSB first), FSR = DPLL_NUM * MCLK / 2^32
+ControllerES9018K2M.prototype.readSignalStatus = function() {
+  var self = this;
+  var volume = self.chip.volume;
+
+  return self.i2cReadMany([0x40, 0x41, 0x42, 0x43, 0x44, 0x45, volume.left, volume.right])
+    .then(function(regs) {
+      var dpllNum = (regs[0x42] | (regs[0x43] << 8) | (regs[0x44] << 16)) +
+        regs[0x45] * 0x1000000;
+      var locked = (regs[0x40] & 0x01) === 0x01;
+
+      return {
+        locked: locked,
+        automute: (regs[0x40] & 0x02) === 0x02,
+        dsd: (regs[0x41] & 0x01) === 0x01,
+        sampleRate: locked
+          ? Math.round(dpllNum * self.oscillatorMhz * 1000000 / 4294967296)
+          : 0,
+        attenuationLeft: regs[volume.left],
+        attenuationRight: regs[volume.right]
+      };
+    });
+};
+
+// Refresh self.signalStatus; never rejects (UI must render without a DAC)
+ControllerES9018K2M.prototype.updateSignalStatus = function() {
+  var self = this;
+  var defer = libQ.defer();
+
+  if (!self.deviceFound) {
+    self.signalStatus = null;
+    return libQ.resolve(null);
+  }
+
+  self.readSignalStatus()
+    .then(function(status) {
+      self.signalStatus = status;
+      defer.resolve(status);
+    })
+    .fail(function(err) {
+      self.logDebug('ES9018K2M: Signal status read failed: ' + err);
+      self.signalStatus = null;
+      defer.resolve(null);
+    });
+
+  return defer.promise;
+};
+
+ControllerES9018K2M.prototype.startStatusPoller = function() {
+  var self = this;
+
+  if (self.statusPoller || !self.deviceFound) {
+    return;
+  }
+
+  self.lockLostPolls = 0;
+  self.statusPoller = setInterval(function() {
+    self.pollSignalStatus();
+  }, 2000);
+};
+
+ControllerES9018K2M.prototype.stopStatusPoller = function() {
+  var self = this;
+
+  if (self.statusPoller) {
+    clearInterval(self.statusPoller);
+    self.statusPoller = null;
+  }
+  self.lockLostPolls = 0;
+};
+
+ControllerES9018K2M.prototype.pollSignalStatus = function() {
+  var self = this;
+  var previous = self.signalStatus;
+
+  return self.updateSignalStatus().then(function(status) {
+    if (!status) {
+      return;
+    }
+
+    // Lock drops briefly on every format change; require two polls in a row
+    if (!status.locked && self.lastStatus === 'play') {
+      self.lockLostPolls++;
+      if (self.lockLostPolls === 2) {
+        self.logger.warn('ES9018K2M: DPLL lock lost during playback');
+        self.commandRouter.pushToastMessage('warning',
+          self.getI18nString('PLUGIN_NAME'),
+          self.getI18nString('SIGNAL_LOCK_LOST'));
+      }
+    } else {
+      self.lockLostPolls = 0;
+    }
+
+    var changed = !previous ||
+      previous.locked !== status.locked ||
+      previous.dsd !== status.dsd ||
+      previous.automute !== status.automute ||
+      previous.sampleRate !== status.sampleRate;
+
+    if (changed) {
+      self.refreshUIConfig();
+      self.publishMqttState();
+    }
+  });
+};
+
+// Button handler
+ControllerES9018K2M.prototype.refreshSignalStatus = function() {
+  var self = this;
+
+  self.logDebug('ES9018K2M: I2C queue ' + self.getI2cQueueLabel());
+  self.refreshUIConfig();
+};
+
+ControllerES9018K2M.prototype.saveSignalSettings = function(data) {
+  var self = this;
+
+  var oscillatorMhz = parseFloat(data.oscillatorMhz) || 100;
+  self.oscillatorMhz = Math.max(10, Math.min(200, oscillatorMhz));
+  self.config.set('oscillatorMhz', self.oscillatorMhz);
+
+  self.commandRouter.pushToastMessage('success',
+    self.getI18nString('PLUGIN_NAME'),
+    self.getI18nString('SETTINGS_SAVED'));
+
+  self.refreshUIConfig();
+};
+
+ControllerES9018K2M.prototype.formatSampleRate = function(status) {
+  var self = this;
+
+  if (!status.locked || status.sampleRate <= 0) {
+    return self.getI18nString('STATUS_NONE');
+  }
+
+  if (status.dsd) {
+    var multiple = Math.round(status.sampleRate / 44100);
+    return 'DSD' + multiple + ' (' + (status.sampleRate / 1000000).toFixed(4) + ' MHz)';
+  }
+
+  // Snap to the nominal rate when within 0.5%
+  var nominal = [32000, 44100, 48000, 88200, 96000, 176400, 192000, 352800, 384000];
+  var rate = status.sampleRate;
+  for (var i = 0; i < nominal.length; i++) {
+    if (Math.abs(rate - nominal[i]) <= nominal[i] * 0.005) {
+      rate = nominal[i];
+      break;
+    }
+  }
+  return (rate / 1000) + ' kHz';
+};
+
+ControllerES9018K2M.prototype.formatAttenuation = function(regValue) {
+  if (regValue >= 0xFF) {
+    return '-inf';
+  }
+  return (-regValue / 2).toFixed(1) + ' dB';
+};
+
+// Queue statistics summed over all boards (latencies: worst board)
+ControllerES9018K2M.prototype.getI2cQueueStats = function() {
+  var self = this;
+
+  return self.boards.reduce(function(total, board) {
+    var stats = board.queue.getStats();
+
+    total.depth += stats.depth;
+    total.maxDepth = Math.max(total.maxDepth, stats.maxDepth);
+    total.coalesced += stats.coalesced;
+    total.avgLatencyMs = Math.max(total.avgLatencyMs, stats.avgLatencyMs);
+    total.maxLatencyMs = Math.max(total.maxLatencyMs, stats.maxLatencyMs);
+    return total;
+  }, { depth: 0, maxDepth: 0, coalesced: 0, avgLatencyMs: 0, maxLatencyMs: 0 });
+};
+
+// "0 queued (max 4), 0.4 ms avg / 31 ms max, 12 coalesced"
+ControllerES9018K2M.prototype.getI2cQueueLabel = function() {
+  var self = this;
+
+  if (self.boards.length === 0) {
+    return self.getI18nString('STATUS_NONE');
+  }
+
+  var stats = self.getI2cQueueStats();
+  return stats.depth + ' ' + self.getI18nString('STATUS_QUEUED') + ' (max ' + stats.maxDepth + '), ' +
+    stats.avgLatencyMs.toFixed(1) + ' ms avg / ' + stats.maxLatencyMs + ' ms max, ' +
+    stats.coalesced + ' ' + self.getI18nString('STATUS_COALESCED');
+};
+
+ControllerES9018K2M.prototype.getSignalStatusLabels = function() {
+  var self = this;
+  var status = self.signalStatus;
+  var socket = self.socketConnected
+    ? self.getI18nString('STATUS_CONNECTED')
+    : self.getI18nString('STATUS_DISCONNECTED');
+  var i2cQueue = self.getI2cQueueLabel();
+  var na = self.getI18nString('STATUS_NONE');
+
+  if (!status) {
+    return {
+      lock: na,
+      input: na,
+      sampleRate: na,
+      automute: na,
+      attenuation: na,
+      socket: socket,
+      i2cQueue: i2cQueue
+    };
+  }
+
+  var attenuation = (self.reg7 & 0x01)
+    ? self.getI18nString('STATUS_MUTED')
+    : 'L ' + self.formatAttenuation(status.attenuationLeft) +
+      ' / R ' + self.formatAttenuation(status.attenuationRight);
+
+  return {
+    lock: status.locked
+      ? self.getI18nString('STATUS_LOCKED')
+      : self.getI18nString('STATUS_UNLOCKED'),
+    input: status.locked
+      ? (status.dsd ? 'DSD' : 'PCM')
+      : na,
+    sampleRate: self.formatSampleRate(status),
+    automute: status.automute
+      ? self.getI18nString('STATUS_ACTIVE')
+      : self.getI18nString('STATUS_INACTIVE'),
+    attenuation: attenuation,
+    socket: socket,
+    i2cQueue: i2cQueue
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Seek Intercept - Pre-emptive mute for pop-free seeks
+// ---------------------------------------------------------------------------
+
+ControllerES9018K2M.prototype.installSeekIntercept = function() {
+  var self = this;
+
+  if (self.seekInterceptInstalled) {
+    return;
+  }
+
+  if (typeof self.commandRouter.volumioSeek !== 'function') {
+    self.logger.warn('ES9018K2M: volumioSeek not found, seek intercept disabled');
+    return;
+  }
+
+  // Save original function
+  self.originalSeek = self.commandRouter.volumioSeek.bind(self.commandRouter);
+
+  // Install wrapper
+  self.commandRouter.volumioSeek = function(position) {
+    self.logDebug('ES9018K2M: Seek intercept - position=' + position);
+
+    if (!self.deviceFound || self.seekMuteMs <= 0) {
+      return self.originalSeek(position);
+    }
+
+    // Pre-emptive mute - always graceful for seeks (this is the primary use case).
+    // The ramp runs alongside the seek instead of delaying it. Only the latest
+    // seek unmutes; an earlier one's timer would cut its mute short.
+    var token = {};
+    self.seekToken = token;
+    self.gracefulMute(true);
+    self.logDebug('ES9018K2M: Pre-emptive graceful mute started');
+
+    // Execute original seek
+    var result = self.originalSeek(position);
+
+    // Schedule unmute
+    setTimeout(function() {
+      // A newer seek is muting for its own seek and unmutes after it
+      if (self.seekToken !== token) {
+        return;
+      }
+      self.seekToken = null;
+
+      // Check if we should unmute (not user-muted, still playing)
+      var state = self.commandRouter.volumioGetState();
+      if (state && state.status === 'play' && !state.mute) {
+        self.gracefulMute(false);
+        self.logDebug('ES9018K2M: Graceful unmute after seek');
+      }
+    }, self.seekMuteMs);
+
+    return result;
   };
 
   self.seekInterceptInstalled = true;
@@ -928,6 +2226,7 @@ ControllerES9018K2M.prototype.connectSocket = function() {
       ' volume=' + state.volume + ' seek=' + state.seek);
 
     self.handleStateChange(state);
+    self.publishMqttState();
   });
 
   self.volumioSocket.on('disconnect', function() {
@@ -1018,6 +2317,7 @@ ControllerES9018K2M.prototype.startFallbackPoller = function() {
     var state = self.commandRouter.volumioGetState();
     if (state) {
       self.handleStateChange(state);
+      self.publishMqttState();
     }
   }, 60000);  // 60 seconds - minimal impact
 };
@@ -1052,11 +2352,17 @@ ControllerES9018K2M.prototype.startVolumeSync = function() {
     self.logDebug('ES9018K2M: Volume callback: ' + JSON.stringify(volume));
 
     if (typeof volume === 'object' && typeof volume.vol === 'number') {
+      if (volume.vol !== self.lastVolume) {
+        self.cancelQuietFade();
+      }
+      if (self.enforceVolumeLimit(volume.vol, volume.mute)) {
+        return;
+      }
       if (volume.vol !== self.lastVolume) {
         // Use graceful volume change if enabled
         if (self.gracefulVolume && self.lastVolume !== null &&
             Math.abs(volume.vol - self.lastVolume) > 5) {
-          self.gracefulVolumeChangeSync(self.lastVolume, volume.vol);
+          self.gracefulVolumeChange(volume.vol);
         } else {
           self.setVolumeImmediate(volume.vol);
         }
@@ -1068,7 +2374,7 @@ ControllerES9018K2M.prototype.startVolumeSync = function() {
         var state = self.commandRouter.volumioGetState();
         if (state && state.status === 'play') {
           if (self.gracefulTransitions) {
-            self.gracefulMuteSync(volume.mute);
+            self.gracefulMute(volume.mute);
           } else {
             self.setMuteSync(volume.mute);
           }
@@ -1094,16 +2400,40 @@ ControllerES9018K2M.prototype.stopVolumeSync = function() {
 // State Change Handler
 // ---------------------------------------------------------------------------
 
+// Returns a promise that settles once any transition ramp has finished
 ControllerES9018K2M.prototype.handleStateChange = function(state) {
   var self = this;
 
   if (!self.deviceFound || !state) {
-    return;
+    return libQ.resolve();
   }
 
   var status = state.status;
   var volume = state.volume;
   var mute = state.mute;
+  var transition = null;  // Graceful mute/unmute ramp, if one started
+
+  if (self.autoFormatEnabled) {
+    self.updateSourceFormat(state);
+  }
+
+  if (self.config.get('deemphasis', DEEMPHASIS_OFF) === DEEMPHASIS_AUTO) {
+    self.updateAutoDeemphasis(state);
+  }
+
+  if (self.albumInvertKey) {
+    self.updateAlbumPolarity(state);
+  }
+
+  if (self.replayGainMode !== 'off') {
+    self.updateReplayGain(state);
+  }
+
+  self.updateSourceTrim(state);
+
+  if (self.inputMode === INPUT_MODE_SOURCE) {
+    self.updateSourceInput(state);
+  }
 
   // Status change handling
   if (status !== self.lastStatus) {
@@ -1113,7 +2443,7 @@ ControllerES9018K2M.prototype.handleStateChange = function(state) {
       if (self.lastStatus === 'play') {
         // Use graceful mute for transitions if enabled
         if (self.gracefulTransitions) {
-          self.gracefulMuteSync(true);
+          transition = self.gracefulMute(true);
         } else {
           self.setMuteSync(true);
         }
@@ -1123,7 +2453,7 @@ ControllerES9018K2M.prototype.handleStateChange = function(state) {
       if (self.lastStatus !== 'play' && !mute) {
         // Use graceful unmute for transitions if enabled
         if (self.gracefulTransitions) {
-          self.gracefulMuteSync(false);
+          transition = self.gracefulMute(false);
         } else {
           self.setMuteSync(false);
         }
@@ -1131,79 +2461,140 @@ ControllerES9018K2M.prototype.handleStateChange = function(state) {
       }
     }
     self.lastStatus = status;
+
+    // Signal status only changes while playing
+    if (status === 'play') {
+      self.startStatusPoller();
+    } else {
+      self.stopStatusPoller();
+    }
   }
 
   // Volume sync from state (backup path for software mode)
   if (self.volumeMode === 'software') {
+    if (typeof volume === 'number' && self.enforceVolumeLimit(volume, mute)) {
+      return transition || libQ.resolve(true);
+    }
     if (typeof volume === 'number' && volume !== self.lastVolume) {
-      if (self.gracefulVolume && self.lastVolume !== null &&
-          Math.abs(volume - self.lastVolume) > 5) {
-        self.gracefulVolumeChangeSync(self.lastVolume, volume);
-      } else {
+      var ramped = self.gracefulVolume && self.lastVolume !== null &&
+        Math.abs(volume - self.lastVolume) > 5;
+      var applyVolume = function() {
+        if (ramped) {
+          return self.gracefulVolumeChange(volume);
+        }
         self.setVolumeImmediate(volume);
-      }
+        return true;
+      };
+
+      // After a transition ramp, so the new level does not cut a fade to mute short
+      transition = transition ? transition.then(applyVolume) : libQ.resolve(applyVolume());
       self.lastVolume = volume;
       self.currentVolume = volume;
     }
   }
+
+  return transition || libQ.resolve(true);
 };
 
 // ---------------------------------------------------------------------------
 // DAC Control Functions
 // ---------------------------------------------------------------------------
 
-// Convert Volumio volume (0-100) to register value (0x00-0x63)
+// Convert Volumio volume (0-100) to register value (0x00-0xFF, 0.5 dB steps).
+// The ceiling and gain offset apply here so every volume path honours them.
 ControllerES9018K2M.prototype.volumeToRegister = function(vol) {
-  var DAC_MIN_GAIN = 0x63;  // -49.5dB
+  var self = this;
   var DAC_MUTE_GAIN = 0xFF;
 
-  if (vol <= 0) {
+  var limited = self.limitVolume(vol);
+  if (limited <= 0) {
     return DAC_MUTE_GAIN;
   }
-  return Math.round(DAC_MIN_GAIN - (vol * DAC_MIN_GAIN / 100));
+
+  // Offsets may lift a quiet track, but never above the ceiling's own level
+  var ceilingDb = -self.volumeToDb(self.getVolumeLimit());
+  var attenuationDb = Math.max(ceilingDb, -self.volumeToDb(limited) + self.getAttenuationOffsetDb());
+  return Math.max(0, Math.min(DAC_MUTE_GAIN, Math.round(attenuationDb * 2)));
 };
 
 // Set volume immediately without ramping
 ControllerES9018K2M.prototype.setVolumeImmediate = function(vol) {
   var self = this;
 
-  var attenuation = self.volumeToRegister(vol);
+  self.cancelRamp();
 
-  var leftAtten = Math.min(255, attenuation + self.lBal);
-  self.i2cWriteSync(0x0F, leftAtten);
+  if (self.volumeRampMode === 'hardware') {
+    self.writeRampRate(VOLUME_RAMP_FASTEST);
+  }
 
-  var rightAtten = Math.min(255, attenuation + self.rBal);
-  self.i2cWriteSync(0x10, rightAtten);
+  self.writeAttenuationSync(self.volumeToRegister(vol));
 };
 
 // Async version for non-critical paths
 ControllerES9018K2M.prototype.setVolume = function(vol) {
   var self = this;
 
+  self.cancelRamp();
+
+  if (self.volumeRampMode === 'hardware') {
+    self.writeRampRate(VOLUME_RAMP_FASTEST);
+  }
+
   var attenuation = self.volumeToRegister(vol);
+  self.rampReg = attenuation;
+
+  self.getConnectedBoards().forEach(function(board) {
+    var outputs = self.getBoardAttenuation(board, attenuation);
+    self.boardWrite(board, self.chip.volume.left, outputs.left, 'high');
+    self.boardWrite(board, self.chip.volume.right, outputs.right, 'high');
+  });
+};
+
+// Write an attenuation (before trim and balance) to the outputs of every board
+ControllerES9018K2M.prototype.writeAttenuationSync = function(reg) {
+  var self = this;
 
-  var leftAtten = Math.min(255, attenuation + self.lBal);
-  self.i2cWrite(0x0F, leftAtten);
+  self.rampReg = reg;
+  self.getConnectedBoards().forEach(function(board) {
+    var outputs = self.getBoardAttenuation(board, reg);
+    self.boardWriteSync(board, self.chip.volume.left, outputs.left);
+    self.boardWriteSync(board, self.chip.volume.right, outputs.right);
+  });
+};
+
+// Register values of one board's outputs: attenuation, board trim, balance
+ControllerES9018K2M.prototype.getBoardAttenuation = function(board, reg) {
+  var self = this;
+  var offsets = self.getOutputBalance(board);
+  var trim = boards.trimToRegister(board.trimDb);
 
-  var rightAtten = Math.min(255, attenuation + self.rBal);
-  self.i2cWrite(0x10, rightAtten);
+  return {
+    left: Math.min(0xFF, reg + trim + offsets.left),
+    right: Math.min(0xFF, reg + trim + offsets.right)
+  };
 };
 
 ControllerES9018K2M.prototype.setMute = function(mute) {
   var self = this;
 
+  // An explicit mute state wins over a pending ramp mute
+  self.cancelRampMute();
+
   if (mute) {
     self.reg7 = self.reg7 | 0x01;
   } else {
     self.reg7 = self.reg7 & 0xFE;
   }
 
-  self.i2cWrite(0x07, self.reg7);
+  self.i2cWrite(0x07, self.reg7, 'high');
 };
 
 ControllerES9018K2M.prototype.setMuteSync = function(mute) {
   var self = this;
 
+  // An explicit mute state wins over a pending ramp mute
+  self.cancelRampMute();
+
   if (mute) {
     self.reg7 = self.reg7 | 0x01;
   } else {
@@ -1214,205 +2605,2281 @@ ControllerES9018K2M.prototype.setMuteSync = function(mute) {
 };
 
 // ---------------------------------------------------------------------------
-// Graceful Volume/Mute - Volume ramping for smooth transitions
+// Ramp Engine - Timed, cancellable attenuation ramps
 // ---------------------------------------------------------------------------
 
-// Graceful volume change between two levels
-ControllerES9018K2M.prototype.gracefulVolumeChangeSync = function(fromVol, toVol) {
+// Attenuation (before balance) the outputs are at right now
+ControllerES9018K2M.prototype.getRampPosition = function() {
   var self = this;
+  var ramp = self.activeRamp;
+
+  // The chip glides on its own - estimate how far it got
+  if (ramp && ramp.hardware) {
+    var moved = Math.floor((Date.now() - ramp.start) * ramp.regPerMs);
+    return ramp.to > ramp.from
+      ? Math.min(ramp.to, ramp.from + moved)
+      : Math.max(ramp.to, ramp.from - moved);
+  }
 
-  var steps = self.gracefulSteps;
-
-  // If steps is 0 or 1, just set directly
-  if (steps <= 1) {
-    self.setVolumeImmediate(toVol);
-    return;
+  if (self.rampReg !== null) {
+    return self.rampReg;
   }
+  return self.volumeToRegister(self.currentVolume !== null ? self.currentVolume : 50);
+};
 
-  // Calculate intermediate volume levels
-  var volDiff = toVol - fromVol;
+// Ramp both outputs to an attenuation over durationMs (default
+// getRampDurationMs()) along an easing curve (default rampEasing). A ramp
+// already running is cancelled and the new one starts from where the outputs
+// really are.
+// Resolves true when the target is reached, false if superseded or cancelled.
+ControllerES9018K2M.prototype.rampTo = function(toReg, durationMs, easing) {
+  var self = this;
+  var fromReg = self.getRampPosition();
+  var duration = typeof durationMs === 'number' ? durationMs : self.getRampDurationMs();
+  var curve = RAMP_EASINGS[easing || self.rampEasing] || RAMP_EASINGS.db;
+  var ramp = {
+    from: fromReg,
+    to: toReg,
+    start: Date.now(),
+    hardware: false,
+    regPerMs: 0,
+    timer: null,
+    defer: libQ.defer()
+  };
 
-  for (var i = 1; i <= steps; i++) {
-    var ratio = i / steps;
-    var stepVol;
+  self.cancelRamp();
+  self.pendingRampMute = null;
 
-    if (i === steps) {
-      stepVol = toVol;  // Final step is exact target
-    } else {
-      stepVol = Math.round(fromVol + (volDiff * ratio));
+  if (fromReg === toReg || duration <= 0) {
+    if (self.volumeRampMode === 'hardware') {
+      self.writeRampRate(VOLUME_RAMP_FASTEST);
     }
+    self.writeAttenuationSync(toReg);
+    ramp.defer.resolve(true);
+    return ramp.defer.promise;
+  }
 
-    var regVal = self.volumeToRegister(stepVol);
-    var leftVal = Math.min(0xFF, regVal + self.lBal);
-    var rightVal = Math.min(0xFF, regVal + self.rBal);
+  self.activeRamp = ramp;
+
+  // Ramps longer than the setting allows (a quiet hours fade) are too slow
+  // for the chip's slowest rate and step in software instead
+  if (self.volumeRampMode === 'hardware' && duration <= RAMP_DURATION_MAX_MS) {
+    var hardwareMs = self.hardwareRampSync(fromReg, toReg, duration);
+    ramp.hardware = true;
+    ramp.regPerMs = self.getRampDbPerSecond(self.volumeRampRate) * 2 / 1000;
+    ramp.timer = setTimeout(function() {
+      self.finishRamp(ramp, true);
+    }, hardwareMs);
+    self.logDebug('ES9018K2M: Hardware ramp ' + fromReg + ' -> ' + toReg + ', ' + hardwareMs + 'ms');
+    return ramp.defer.promise;
+  }
 
-    self.i2cWriteSync(0x0F, leftVal);
-    self.i2cWriteSync(0x10, rightVal);
+  if (self.volumeRampMode === 'hardware') {
+    self.writeRampRate(VOLUME_RAMP_FASTEST);
   }
-};
 
-// Graceful mute/unmute using volume ramping
-ControllerES9018K2M.prototype.gracefulMuteSync = function(mute) {
-  var self = this;
+  var step = function() {
+    var t = Math.min(1, (Date.now() - ramp.start) / duration);
+    var reg = Math.round(fromReg + (toReg - fromReg) * curve(t));
 
-  var steps = self.gracefulSteps;
+    if (reg !== self.rampReg) {
+      self.writeAttenuationSync(reg);
+    }
+    if (t >= 1) {
+      self.finishRamp(ramp, true);
+    }
+  };
 
-  // If steps is 0 or 1, fall back to instant mute
-  if (steps <= 1) {
-    self.setMuteSync(mute);
-    return;
-  }
+  ramp.timer = setInterval(step, RAMP_STEP_MS);
+  step();
 
-  // Get current volume register value based on last known volume
-  var currentVol = self.currentVolume !== null ? self.currentVolume : 50;
-  var targetReg = self.volumeToRegister(currentVol);
-  var muteReg = 0xFF;
+  return ramp.defer.promise;
+};
 
-  // Calculate ramp values using linear interpolation
-  var rampValues = [];
+// The fade time when the chip glides, the ramp time when stepping in software
+ControllerES9018K2M.prototype.getRampDurationMs = function() {
+  var self = this;
 
-  if (mute) {
-    // Ramp from current volume to mute
-    for (var i = 1; i <= steps; i++) {
-      var ratio = i / steps;
-      if (i === steps) {
-        // Final step is always full mute
-        rampValues.push(muteReg);
-      } else {
-        // Linear interpolation from current to mute
-        var stepReg = Math.round(targetReg + (muteReg - targetReg) * ratio);
-        rampValues.push(Math.min(0xFF, stepReg));
-      }
-    }
-  } else {
-    // Ramp from mute to current volume
-    for (var j = steps - 1; j >= 0; j--) {
-      var ratio = j / steps;
-      if (j === steps - 1) {
-        // First step from mute - start at high attenuation
-        var startReg = Math.round(targetReg + (muteReg - targetReg) * ratio);
-        rampValues.push(Math.min(0xFF, startReg));
-      } else if (j === 0) {
-        // Final step is target volume
-        rampValues.push(targetReg);
-      } else {
-        var stepReg = Math.round(targetReg + (muteReg - targetReg) * ratio);
-        rampValues.push(Math.min(0xFF, stepReg));
-      }
-    }
-  }
+  return self.volumeRampMode === 'hardware' ? self.hardwareFadeMs : self.rampDurationMs;
+};
 
-  // Execute ramp with balance applied
-  for (var k = 0; k < rampValues.length; k++) {
-    var regVal = rampValues[k];
-    var leftVal = Math.min(0xFF, regVal + self.lBal);
-    var rightVal = Math.min(0xFF, regVal + self.rBal);
+ControllerES9018K2M.prototype.finishRamp = function(ramp, completed) {
+  var self = this;
 
-    self.i2cWriteSync(0x0F, leftVal);
-    self.i2cWriteSync(0x10, rightVal);
+  if (self.activeRamp !== ramp) {
+    return;
   }
 
-  // For mute, also set hardware mute bit for complete silence
-  // For unmute, clear hardware mute bit
-  if (mute) {
-    self.reg7 = self.reg7 | 0x01;
+  if (ramp.hardware) {
+    clearTimeout(ramp.timer);
   } else {
-    self.reg7 = self.reg7 & 0xFE;
+    clearInterval(ramp.timer);
   }
-  self.i2cWriteSync(0x07, self.reg7);
+  self.activeRamp = null;
+  ramp.defer.resolve(completed);
+};
+
+// Stop a running ramp where it is (a hardware glide still reaches its target)
+ControllerES9018K2M.prototype.cancelRamp = function() {
+  var self = this;
+
+  if (self.activeRamp) {
+    self.finishRamp(self.activeRamp, false);
+  }
+};
+
+// Ramp to a slider position; resolves like rampTo
+ControllerES9018K2M.prototype.gracefulVolumeChange = function(toVol) {
+  var self = this;
+
+  return self.rampTo(self.volumeToRegister(toVol));
+};
+
+// Mute: ramp to 0xFF, then set the mute bit and restore the slider level
+// behind it, so any later unmute returns to the right volume.
+// Unmute: jump to 0xFF while still muted, clear the bit, ramp up.
+ControllerES9018K2M.prototype.gracefulMute = function(mute) {
+  var self = this;
+  var currentVol = self.currentVolume !== null ? self.currentVolume : 50;
+
+  if (mute) {
+    var promise = self.rampTo(0xFF);
+    var token = {};
+
+    self.pendingRampMute = token;
+    return promise.then(function(completed) {
+      if (!completed || self.pendingRampMute !== token) {
+        return false;
+      }
+      self.setMuteSync(true);
+      self.setVolumeImmediate(self.currentVolume !== null ? self.currentVolume : 50);
+      return true;
+    });
+  }
+
+  if (self.reg7 & 0x01) {
+    self.cancelRamp();
+    if (self.volumeRampMode === 'hardware') {
+      self.writeRampRate(VOLUME_RAMP_FASTEST);
+    }
+    self.writeAttenuationSync(0xFF);
+    self.setMuteSync(false);
+  }
+
+  return self.rampTo(self.volumeToRegister(currentVol));
+};
+
+// An explicit mute state wins over a ramp that would set the mute bit
+ControllerES9018K2M.prototype.cancelRampMute = function() {
+  var self = this;
+
+  if (self.pendingRampMute) {
+    self.pendingRampMute = null;
+    self.cancelRamp();
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Hardware Volume Ramp - Let the chip glide between attenuation values
+// ---------------------------------------------------------------------------
+
+ControllerES9018K2M.prototype.getRampSampleRate = function() {
+  var self = this;
+  var status = self.signalStatus;
+
+  if (status && status.locked && !status.dsd && status.sampleRate > 0) {
+    return status.sampleRate;
+  }
+  return VOLUME_RAMP_DEFAULT_FS;
+};
+
+ControllerES9018K2M.prototype.getRampDbPerSecond = function(rate) {
+  var self = this;
+
+  return Math.pow(2, rate) * self.getRampSampleRate() / 512;
+};
+
+// Rate whose speed covers deltaDb closest to durationMs
+ControllerES9018K2M.prototype.getRampRate = function(deltaDb, durationMs) {
+  var self = this;
+  var wanted = deltaDb / (Math.max(1, durationMs) / 1000);
+  var rate = Math.round(Math.log(wanted * 512 / self.getRampSampleRate()) / Math.LN2);
+
+  return Math.max(0, Math.min(VOLUME_RAMP_FASTEST, rate));
+};
+
+ControllerES9018K2M.prototype.writeRampRate = function(rate) {
+  var self = this;
+
+  if (rate === self.volumeRampRate) {
+    return;
+  }
+
+  self.volumeRampRate = rate;
+  self.i2cWriteSync(0x06, self.getDeemphasisRampRegister());
+};
+
+// Program the rate and write only the target; returns the ramp duration in ms
+ControllerES9018K2M.prototype.hardwareRampSync = function(fromReg, toReg, durationMs) {
+  var self = this;
+  var deltaDb = Math.abs(toReg - fromReg) / 2;
+
+  if (deltaDb === 0) {
+    self.writeRampRate(VOLUME_RAMP_FASTEST);
+  } else {
+    self.writeRampRate(self.getRampRate(deltaDb, durationMs));
+  }
+
+  self.writeAttenuationSync(toReg);
+
+  return deltaDb === 0 ? 0 : Math.ceil(deltaDb / self.getRampDbPerSecond(self.volumeRampRate) * 1000);
+};
+
+// ---------------------------------------------------------------------------
+// Volume Limits - Ceiling and fixed attenuation offset
+// ---------------------------------------------------------------------------
+
+// Highest slider position currently allowed (quiet hours may lower it)
+ControllerES9018K2M.prototype.getVolumeLimit = function() {
+  var self = this;
+
+  if (self.activeQuietWindow) {
+    return Math.min(self.maxVolume, self.activeQuietWindow.maxVolume);
+  }
+  return self.maxVolume;
+};
+
+ControllerES9018K2M.prototype.limitVolume = function(vol) {
+  var self = this;
+
+  return Math.min(vol, self.getVolumeLimit());
+};
+
+// Attenuation in dB added on top of the volume curve: the fixed offset,
+// less the track's ReplayGain and the source trim. Below zero (a quiet
+// track) it lifts the level only as far as the volume ceiling (maxVolume or
+// quiet hours), where volumeToRegister clamps.
+ControllerES9018K2M.prototype.getAttenuationOffsetDb = function() {
+  var self = this;
+
+  return -self.gainOffsetDb - self.replayGainDb - self.sourceTrimDb;
+};
+
+// Ceiling lowered by a save: pull the current volume down and move the slider
+ControllerES9018K2M.prototype.applyVolumeLimit = function() {
+  var self = this;
+  var limit = self.getVolumeLimit();
+
+  if (!self.deviceFound || self.externalVolume || self.currentVolume === null ||
+      self.currentVolume <= limit) {
+    return;
+  }
+
+  self.currentVolume = limit;
+  self.lastVolume = limit;
+  self.setVolumeImmediate(limit);
+
+  self.commandRouter.volumioupdatevolume({
+    vol: limit,
+    mute: self.currentMute
+  });
+};
+
+// Software mode: Volumio reported a volume above the ceiling. Apply the
+// ceiling and push it back so the slider follows; true if clamped.
+ControllerES9018K2M.prototype.enforceVolumeLimit = function(vol, mute) {
+  var self = this;
+  var limit = self.getVolumeLimit();
+
+  if (vol <= limit) {
+    return false;
+  }
+
+  self.logDebug('ES9018K2M: Volume ' + vol + ' above ceiling, clamped to ' + limit);
+
+  if (limit !== self.lastVolume) {
+    if (self.gracefulVolume && self.lastVolume !== null &&
+        Math.abs(limit - self.lastVolume) > 5) {
+      self.gracefulVolumeChange(limit);
+    } else {
+      self.setVolumeImmediate(limit);
+    }
+    self.lastVolume = limit;
+    self.currentVolume = limit;
+  }
+
+  self.commandRouter.volumioupdatevolume({
+    vol: limit,
+    mute: typeof mute === 'boolean' ? mute : self.currentMute
+  });
+  return true;
+};
+
+// ---------------------------------------------------------------------------
+// Quiet Hours - Scheduled volume ceiling with optional mute/fade at start
+// ---------------------------------------------------------------------------
+
+ControllerES9018K2M.prototype.getQuietWindows = function() {
+  var self = this;
+
+  try {
+    var windows = JSON.parse(self.config.get('quietHoursWindows', '[]'));
+    return Array.isArray(windows)
+      ? windows.map(quietHours.normalizeWindow).filter(function(w) { return w !== null; })
+      : [];
+  } catch (e) {
+    self.logger.warn('ES9018K2M: Ignoring unreadable quiet hours in config: ' + e.message);
+    return [];
+  }
+};
+
+// Identity of a window, so a save does not re-trigger its start action
+ControllerES9018K2M.prototype.quietWindowKey = function(quietWindow) {
+  return quietWindow ? [quietWindow.start, quietWindow.end, quietWindow.days.join('')].join('|') : null;
+};
+
+ControllerES9018K2M.prototype.startQuietHours = function() {
+  var self = this;
+
+  self.stopQuietHours();
+
+  // Already inside a window (boot, save): enforce the ceiling only
+  self.activeQuietWindow = self.findQuietWindow(new Date());
+  if (self.activeQuietWindow) {
+    self.logger.info('ES9018K2M: Quiet hours active (max ' + self.activeQuietWindow.maxVolume + '%)');
+  }
+
+  if (!self.quietHoursEnabled) {
+    return;
+  }
+
+  self.quietHoursTimer = setInterval(function() {
+    self.checkQuietHours(new Date());
+  }, QUIET_HOURS_CHECK_MS);
+};
+
+ControllerES9018K2M.prototype.stopQuietHours = function() {
+  var self = this;
+
+  if (self.quietHoursTimer) {
+    clearInterval(self.quietHoursTimer);
+    self.quietHoursTimer = null;
+  }
+  self.cancelQuietFade();
+};
+
+ControllerES9018K2M.prototype.findQuietWindow = function(date) {
+  var self = this;
+
+  if (!self.quietHoursEnabled) {
+    return null;
+  }
+  return quietHours.findActiveWindow(self.getQuietWindows(), date);
+};
+
+ControllerES9018K2M.prototype.checkQuietHours = function(date) {
+  var self = this;
+  var quietWindow = self.findQuietWindow(date);
+
+  if (self.quietWindowKey(quietWindow) === self.quietWindowKey(self.activeQuietWindow)) {
+    self.activeQuietWindow = quietWindow;
+    return;
+  }
+
+  if (!quietWindow) {
+    self.logger.info('ES9018K2M: Quiet hours ended');
+    self.activeQuietWindow = null;
+    return;
+  }
+
+  self.logger.info('ES9018K2M: Quiet hours started ' + quietWindow.start + '-' + quietWindow.end +
+    ' (max ' + quietWindow.maxVolume + '%, action ' + quietWindow.action + ')');
+  self.beginQuietWindow(quietWindow);
+};
+
+// Window start: ramp down to the ceiling, then mute or fade if configured
+ControllerES9018K2M.prototype.beginQuietWindow = function(quietWindow) {
+  var self = this;
+
+  if (!self.deviceFound) {
+    self.activeQuietWindow = quietWindow;
+    return;
+  }
+
+  var playing = (self.lastStatus === 'play');
+  var lowered = libQ.resolve(true);
+
+  if (!self.externalVolume && self.currentVolume > quietWindow.maxVolume) {
+    if (playing && self.gracefulVolume) {
+      lowered = self.gracefulVolumeChange(quietWindow.maxVolume);
+    } else {
+      self.setVolumeImmediate(quietWindow.maxVolume);
+    }
+    self.currentVolume = quietWindow.maxVolume;
+    self.lastVolume = quietWindow.maxVolume;
+  }
+
+  self.activeQuietWindow = quietWindow;
+
+  if (quietWindow.action === 'mute' && !self.currentMute) {
+    if (playing && self.gracefulTransitions) {
+      self.gracefulMute(true);
+    } else {
+      self.setMuteSync(true);
+    }
+    self.currentMute = true;
+  } else if (quietWindow.action === 'fade' && !self.currentMute && playing) {
+    self.fadeOutQuietHours(lowered);
+    return;
+  } else if (quietWindow.action === 'fade' && !self.currentMute) {
+    self.setMuteSync(true);
+    self.currentMute = true;
+  }
+
+  self.commandRouter.volumioupdatevolume({
+    vol: self.currentVolume,
+    mute: self.currentMute
+  });
+};
+
+// Slow fade to silence over quietHoursFadeSeconds, linear in dB, then mute.
+// Starts once the ramp to the ceiling (after) is done; a volume change before
+// or during the fade cancels it.
+ControllerES9018K2M.prototype.fadeOutQuietHours = function(after) {
+  var self = this;
+  var fade = {};
+
+  self.quietFade = fade;
+  return after.then(function(completed) {
+    if (!completed || self.quietFade !== fade) {
+      return false;
+    }
+    return self.rampTo(0xFF, self.quietHoursFadeSeconds * 1000, 'db');
+  }).then(function(completed) {
+    if (!completed || self.quietFade !== fade) {
+      return false;
+    }
+
+    self.quietFade = null;
+    self.setMuteSync(true);
+    self.currentMute = true;
+
+    // Restore attenuation behind the mute bit so unmute returns to the slider level
+    self.setVolumeImmediate(self.currentVolume);
+
+    self.commandRouter.volumioupdatevolume({
+      vol: self.currentVolume,
+      mute: true
+    });
+    return true;
+  });
+};
+
+ControllerES9018K2M.prototype.cancelQuietFade = function() {
+  var self = this;
+
+  if (self.quietFade) {
+    self.quietFade = null;
+    self.cancelRamp();
+  }
+};
+
+ControllerES9018K2M.prototype.getQuietHoursStatus = function() {
+  var self = this;
+  var quietWindow = self.activeQuietWindow;
+
+  if (!quietWindow) {
+    return self.getI18nString('QUIET_HOURS_INACTIVE');
+  }
+  return self.getI18nString('QUIET_HOURS_ACTIVE') + ': ' + quietWindow.start + '-' + quietWindow.end +
+    ', ' + quietHours.formatDays(quietWindow.days) + ', max ' + quietWindow.maxVolume + '%';
+};
+
+// ---------------------------------------------------------------------------
+// Volume Curves - Slider position to attenuation
+// ---------------------------------------------------------------------------
+
+// Attenuation in dB (<= 0) for a slider position 1-100
+ControllerES9018K2M.prototype.volumeToDb = function(vol) {
+  var self = this;
+  var v = Math.max(0, Math.min(100, vol));
+
+  switch (self.volumeCurve) {
+    case 'log':
+      // Audio taper: cubic amplitude (60 dB per decade), floored at the range
+      return Math.max(-self.volumeRangeDb, 60 * Math.log10(v / 100));
+    case 'table':
+      return self.interpolateVolumeTable(v);
+    default:
+      return -self.volumeRangeDb * (100 - v) / 100;
+  }
+};
+
+// Linear in dB between the two surrounding table points
+ControllerES9018K2M.prototype.interpolateVolumeTable = function(vol) {
+  var self = this;
+  var table = self.volumeCurveTable;
+
+  if (vol <= table[0][0]) {
+    return table[0][1];
+  }
+  for (var i = 1; i < table.length; i++) {
+    if (vol <= table[i][0]) {
+      var from = table[i - 1];
+      var to = table[i];
+      return from[1] + (to[1] - from[1]) * (vol - from[0]) / (to[0] - from[0]);
+    }
+  }
+  return table[table.length - 1][1];
+};
+
+// "0:-90, 50:-30, 100:0" -> [[0, -90], [50, -30], [100, 0]]; null if invalid.
+// Volumes strictly increasing, dB within the chip range and never rising
+// above a later point.
+ControllerES9018K2M.prototype.parseVolumeCurveTable = function(text) {
+  var points = [];
+  var entries = String(text || '').split(/[,;\n]/)
+    .map(function(e) { return e.trim(); })
+    .filter(function(e) { return e.length > 0; });
+
+  for (var i = 0; i < entries.length; i++) {
+    var match = entries[i].match(/^(\d+(?:\.\d+)?)\s*:\s*(-?\d+(?:\.\d+)?)$/);
+    if (!match) {
+      return null;
+    }
+    var vol = parseFloat(match[1]);
+    var db = parseFloat(match[2]);
+    if (vol > 100 || db > 0 || db < -DAC_MAX_ATTENUATION_DB) {
+      return null;
+    }
+    if (points.length > 0) {
+      var last = points[points.length - 1];
+      if (vol <= last[0] || db < last[1]) {
+        return null;
+      }
+    }
+    points.push([vol, db]);
+  }
+
+  return points.length >= 2 ? points : null;
+};
+
+// "1%: -49.0 dB, 10%: ..." for the UI preview, plus the looked-up position
+ControllerES9018K2M.prototype.getVolumeCurvePreview = function() {
+  var self = this;
+  var points = VOLUME_PREVIEW_POINTS.slice();
+
+  if (self.volumePreviewPosition >= 0 && points.indexOf(self.volumePreviewPosition) < 0) {
+    points.push(self.volumePreviewPosition);
+    points.sort(function(a, b) { return a - b; });
+  }
+
+  return points.map(function(vol) {
+    return vol + '%: ' + self.formatVolumeDb(self.volumeToRegister(vol));
+  }).join(', ');
+};
+
+ControllerES9018K2M.prototype.formatVolumeDb = function(register) {
+  return (register === 0 ? '0' : (-register / 2).toFixed(1)) + ' dB';
+};
+
+// ---------------------------------------------------------------------------
+// Balance Control
+// ---------------------------------------------------------------------------
+
+ControllerES9018K2M.prototype.setBalance = function(balance) {
+  var self = this;
+
+  self.lBal = 0;
+  self.rBal = 0;
+
+  if (balance > 0) {
+    self.lBal = Math.min(balance, 40);
+  } else if (balance < 0) {
+    self.rBal = Math.min(-balance, 40);
+  }
+
+  self.config.set('balance', balance);
+
+  if (self.currentVolume !== null) {
+    self.setVolumeImmediate(self.currentVolume);
+  }
+};
+
+// Balance offsets per output. Balance belongs to the source channel, so it
+// follows the signal when the channels are swapped (boards wired in reverse)
+// and does not apply to the mono sum. A board's own balance evens out its
+// two outputs, whatever they carry.
+ControllerES9018K2M.prototype.getOutputBalance = function(board) {
+  var self = this;
+  var sources = self.getBoardSources(board);
+  var offsets = { left: self.lBal, right: self.rBal, mono: 0 };
+  var balance = board ? board.balance : 0;
+
+  return {
+    left: offsets[sources[0]] + Math.max(0, balance),
+    right: offsets[sources[1]] + Math.max(0, -balance)
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Channel Mode
+// ---------------------------------------------------------------------------
+
+// Source of each output: a left or right board carries its channel on both,
+// a stereo board follows Channel Mode
+ControllerES9018K2M.prototype.getBoardSources = function(board) {
+  var self = this;
+  var mode = board && board.role !== 'stereo' ? board.role : self.channelMode;
+
+  return CHANNEL_MODES[mode] || CHANNEL_MODES.stereo;
+};
+
+ControllerES9018K2M.prototype.getChannelBits = function(sources) {
+  return CHANNEL_SOURCE_BITS[sources[0]] | (CHANNEL_SOURCE_BITS[sources[1]] << 2);
+};
+
+// Register 0x0B of a board; reg11 is the shadow for stereo boards
+ControllerES9018K2M.prototype.getChannelRegister = function(board) {
+  var self = this;
+
+  if (!board || board.role === 'stereo') {
+    return self.reg11;
+  }
+  return (self.reg11 & 0xF0) | self.getChannelBits(self.getBoardSources(board));
+};
+
+ControllerES9018K2M.prototype.writeChannelMode = function(mode) {
+  var self = this;
+  var sources = CHANNEL_MODES[mode] || CHANNEL_MODES.stereo;
+
+  self.reg11 = (self.reg11 & 0xF0) | self.getChannelBits(sources);
+  self.getConnectedBoards().forEach(function(board) {
+    self.boardWrite(board, 0x0B, self.getChannelRegister(board));
+  });
+};
+
+ControllerES9018K2M.prototype.setChannelMode = function(mode) {
+  var self = this;
+
+  if (!CHANNEL_MODES[mode]) {
+    return;
+  }
+
+  self.channelMode = mode;
+  self.config.set('channelMode', mode);
+  self.writeChannelMode(mode);
+
+  // Balance offsets move with the channels
+  if (self.currentVolume !== null) {
+    self.setVolumeImmediate(self.currentVolume);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Input Configuration - Register 0x01
+// ---------------------------------------------------------------------------
+
+ControllerES9018K2M.prototype.getActiveInputMode = function() {
+  var self = this;
+
+  return self.inputMode === INPUT_MODE_SOURCE ? self.sourceInput : self.inputMode;
+};
+
+ControllerES9018K2M.prototype.getInputRegister = function() {
+  var self = this;
+
+  return INPUT_WIDTHS[self.inputBitWidth] | INPUT_MODES[self.getActiveInputMode()];
+};
+
+ControllerES9018K2M.prototype.writeInputConfig = function() {
+  var self = this;
+
+  self.i2cWrite(0x01, self.getInputRegister());
+};
+
+// External input plugins report their own service (e.g. 'inputs')
+ControllerES9018K2M.prototype.isExternalInput = function(state) {
+  var self = this;
+  var names = String(self.config.get('inputSourceServices', INPUT_SOURCE_DEFAULT))
+    .toLowerCase()
+    .split(/[\s,]+/)
+    .filter(function(n) { return n.length > 0; });
+  var service = String(state.service || '').toLowerCase();
+  var trackType = String(state.trackType || '').toLowerCase();
+
+  return names.indexOf(service) >= 0 || names.indexOf(trackType) >= 0;
+};
+
+ControllerES9018K2M.prototype.updateSourceInput = function(state) {
+  var self = this;
+
+  // No source reported (stopped, empty queue) - keep the current input
+  if (!state.service) {
+    return;
+  }
+
+  var mode = self.isExternalInput(state) ? 'spdif' : 'auto';
+  if (mode === self.sourceInput) {
+    return;
+  }
+
+  self.logger.info('ES9018K2M: Source ' + state.service + ', input ' + mode);
+  self.sourceInput = mode;
+  self.writeInputConfig();
+};
+
+ControllerES9018K2M.prototype.setInputConfig = function(mode, bitWidth) {
+  var self = this;
+
+  self.inputMode = mode;
+  self.inputBitWidth = bitWidth;
+  self.config.set('inputMode', mode);
+  self.config.set('inputBitWidth', bitWidth);
+
+  if (mode === INPUT_MODE_SOURCE) {
+    var state = self.commandRouter.volumioGetState();
+    self.sourceInput = (state && self.isExternalInput(state)) ? 'spdif' : 'auto';
+  }
+
+  self.writeInputConfig();
+};
+
+// ---------------------------------------------------------------------------
+// Automute & Soft Start - Registers 0x04, 0x05 and 0x0E
+// ---------------------------------------------------------------------------
+
+ControllerES9018K2M.prototype.getAutomuteSettings = function() {
+  var self = this;
+
+  return {
+    automuteEnabled: self.config.get('automuteEnabled', true),
+    automuteTime: self.config.get('automuteTime', 16),
+    automuteLevel: self.config.get('automuteLevel', 104),
+    softStartEnabled: self.config.get('softStartEnabled', true),
+    softStartTime: self.config.get('softStartTime', 10)
+  };
+};
+
+ControllerES9018K2M.prototype.getAutomuteRegisters = function() {
+  var self = this;
+  var settings = self.getAutomuteSettings();
+  var registers = {};
+
+  registers[0x04] = settings.automuteEnabled ? settings.automuteTime : 0x00;
+  registers[0x05] = settings.automuteLevel & 0x7F;
+  // Bit 7: ramp to AVCC/2 on start and lock changes (0 = ramp to ground)
+  registers[0x0E] = (settings.softStartEnabled ? 0x80 : 0x00) | (settings.softStartTime & 0x1F);
+
+  return registers;
+};
+
+ControllerES9018K2M.prototype.writeAutomuteSettings = function() {
+  var self = this;
+  var registers = self.getAutomuteRegisters();
+
+  self.i2cWrite(0x04, registers[0x04]);
+  self.i2cWrite(0x05, registers[0x05]);
+  self.i2cWrite(0x0E, registers[0x0E]);
+};
+
+// "Automute after 2.97 s at 44.1 kHz, soft-start ramp 83.9 ms"
+ControllerES9018K2M.prototype.getAutomuteTiming = function() {
+  var self = this;
+  var settings = self.getAutomuteSettings();
+  var parts = [];
+
+  if (settings.automuteEnabled) {
+    var seconds = 2096896 / (settings.automuteTime * 44100);
+    parts.push(self.getI18nString('AUTOMUTE_AFTER') + ' ' + seconds.toFixed(2) + ' s @ 44.1 kHz');
+  } else {
+    parts.push(self.getI18nString('AUTOMUTE_OFF'));
+  }
+
+  var rampMs = 4096 * Math.pow(2, settings.softStartTime + 1) / (self.oscillatorMhz * 1000);
+  parts.push(self.getI18nString('SOFT_START_RAMP') + ' ' +
+    (rampMs < 1000 ? rampMs.toFixed(1) + ' ms' : (rampMs / 1000).toFixed(1) + ' s'));
+
+  return parts.join(', ');
+};
+
+// ---------------------------------------------------------------------------
+// Polarity - Register 0x0D bit 0 inverts output 1 (left), bit 1 output 2
+// ---------------------------------------------------------------------------
+
+// Output polarity right now: configured inversion, flipped for a marked album
+ControllerES9018K2M.prototype.getActivePolarity = function() {
+  var self = this;
+  var album = self.albumInvertKey !== null;
+
+  return {
+    left: self.invertLeft !== album,
+    right: self.invertRight !== album
+  };
+};
+
+ControllerES9018K2M.prototype.writePolarity = function() {
+  var self = this;
+  var active = self.getActivePolarity();
+
+  self.reg13 = (self.reg13 & 0xFC) |
+    (active.left ? 0x01 : 0x00) |
+    (active.right ? 0x02 : 0x00);
+  self.i2cWrite(0x0D, self.reg13);
+};
+
+ControllerES9018K2M.prototype.setPolarity = function(invertLeft, invertRight) {
+  var self = this;
+
+  self.invertLeft = invertLeft === true;
+  self.invertRight = invertRight === true;
+  self.config.set('polarityInvertLeft', self.invertLeft);
+  self.config.set('polarityInvertRight', self.invertRight);
+
+  self.writePolarity();
+};
+
+// Album identity from pushState: artist/album tags, else the track's folder
+ControllerES9018K2M.prototype.getAlbumKey = function(state) {
+  if (!state) {
+    return null;
+  }
+
+  if (state.album) {
+    return 'album:' + (state.albumartist || state.artist || '') + '|' + state.album;
+  }
+
+  if (state.uri) {
+    var slash = state.uri.lastIndexOf('/');
+    return 'uri:' + (slash > 0 ? state.uri.slice(0, slash) : state.uri);
+  }
+
+  return null;
+};
+
+// Flip polarity for the playing album; calling again on the same album undoes it
+ControllerES9018K2M.prototype.toggleAlbumPolarity = function() {
+  var self = this;
+  var key = self.getAlbumKey(self.commandRouter.volumioGetState());
+
+  if (!key) {
+    self.commandRouter.pushToastMessage('warning',
+      self.getI18nString('PLUGIN_NAME'),
+      self.getI18nString('POLARITY_NO_ALBUM'));
+    return;
+  }
+
+  self.albumInvertKey = (self.albumInvertKey === key) ? null : key;
+  self.writePolarity();
+
+  self.logger.info('ES9018K2M: Album polarity ' +
+    (self.albumInvertKey ? 'inverted for ' : 'restored for ') + key);
+
+  self.commandRouter.pushToastMessage('success',
+    self.getI18nString('PLUGIN_NAME'),
+    self.getI18nString(self.albumInvertKey ? 'POLARITY_ALBUM_ON' : 'POLARITY_ALBUM_OFF'));
+
+  self.refreshUIConfig();
+};
+
+// Drop the album flip once a different album plays
+ControllerES9018K2M.prototype.updateAlbumPolarity = function(state) {
+  var self = this;
+  var key = self.getAlbumKey(state);
+
+  // Stopped or between tracks - keep it
+  if (!key || key === self.albumInvertKey) {
+    return;
+  }
+
+  self.logger.info('ES9018K2M: New album, album polarity inversion reverted');
+  self.albumInvertKey = null;
+  self.writePolarity();
+};
+
+// Register writers - update shadows and chip without touching config
+// Filter options map to chip bits through self.chip; an option the chip
+// lacks falls back to the default
+ControllerES9018K2M.prototype.writeFirFilter = function(mode) {
+  var self = this;
+
+  self.writeFilterRegisters(chips.applyFir(self.chip, mode, { filter: self.reg7, bypass: self.reg21 }));
+};
+
+ControllerES9018K2M.prototype.writeIirFilter = function(mode) {
+  var self = this;
+
+  self.writeFilterRegisters(chips.applyIir(self.chip, mode, { filter: self.reg7, bypass: self.reg21 }));
+};
+
+ControllerES9018K2M.prototype.writeFilterRegisters = function(shadows) {
+  var self = this;
+
+  self.reg7 = shadows.filter;
+  self.reg21 = shadows.bypass;
+  self.i2cWrite(0x07, self.reg7);
+  self.i2cWrite(0x15, self.reg21);
+};
+
+ControllerES9018K2M.prototype.writeDpll = function(i2sValue, dsdValue) {
+  var self = this;
+  var dpll = self.chip.dpll;
+
+  self.reg12 = (i2sValue & dpll.serialMask) | (dsdValue & dpll.dsdMask);
+  self.i2cWrite(dpll.register, self.reg12);
+};
+
+// THD compensation (Q2M only): enable bit in the polarity register plus
+// the second and third harmonic coefficients
+ControllerES9018K2M.prototype.getThdRegisters = function() {
+  var self = this;
+  var thd = self.chip.thd;
+  var registers = {};
+
+  if (!thd) {
+    return registers;
+  }
+
+  var c2 = chips.thdBytes(self.config.get('thdC2', 0));
+  var c3 = chips.thdBytes(self.config.get('thdC3', 0));
+  registers[thd.c2[0]] = c2[0];
+  registers[thd.c2[1]] = c2[1];
+  registers[thd.c3[0]] = c3[0];
+  registers[thd.c3[1]] = c3[1];
+  return registers;
+};
+
+ControllerES9018K2M.prototype.setThdCompensation = function(enabled, c2, c3) {
+  var self = this;
+
+  self.config.set('thdCompensation', enabled);
+  self.config.set('thdC2', chips.clampThd(c2));
+  self.config.set('thdC3', chips.clampThd(c3));
+  self.writeThdCompensation();
+};
+
+ControllerES9018K2M.prototype.writeThdCompensation = function() {
+  var self = this;
+  var thd = self.chip.thd;
+
+  if (!thd) {
+    return;
+  }
+
+  if (self.config.get('thdCompensation', false)) {
+    self.reg13 = self.reg13 | thd.enableBit;
+  } else {
+    self.reg13 = self.reg13 & ~thd.enableBit & 0xFF;
+  }
+  self.i2cWrite(thd.enableRegister, self.reg13);
+
+  var registers = self.getThdRegisters();
+  Object.keys(registers).forEach(function(register) {
+    self.i2cWrite(Number(register), registers[register]);
+  });
+};
+
+// Setters - persist the global setting, then write whatever is active
+// (a format profile may override the global value)
+// An option the detected chip lacks (e.g. from a preset saved on another
+// board) is stored as the default instead
+ControllerES9018K2M.prototype.setFirFilter = function(mode) {
+  var self = this;
+
+  if (!chips.supportsFir(self.chip, mode)) {
+    self.logger.warn('ES9018K2M: ' + self.chip.name + ' has no FIR filter ' + mode +
+      ', using ' + chips.FIR_LABELS[chips.FIR_DEFAULT]);
+    mode = chips.FIR_DEFAULT;
+  }
+
+  self.config.set('fir', mode);
+  self.writeFirFilter(self.getActiveFilterSettings().fir);
+  self.publishMqttState();
+};
+
+ControllerES9018K2M.prototype.setIirFilter = function(mode) {
+  var self = this;
+
+  if (!chips.supportsIir(self.chip, mode)) {
+    self.logger.warn('ES9018K2M: ' + self.chip.name + ' has no IIR bandwidth ' + mode +
+      ', using ' + chips.IIR_LABELS[chips.IIR_DEFAULT]);
+    mode = chips.IIR_DEFAULT;
+  }
+
+  self.config.set('iir', mode);
+  self.writeIirFilter(self.getActiveFilterSettings().iir);
+  self.publishMqttState();
+};
+
+ControllerES9018K2M.prototype.writeDeemphasis = function(value) {
+  var self = this;
+
+  self.i2cWrite(0x06, self.getDeemphasisRampRegister(value));
+};
+
+// Register 0x06: de-emphasis as configured; in hardware ramp mode the ramp
+// rate bits are owned by the ramp instead
+ControllerES9018K2M.prototype.getDeemphasisRampRegister = function(deemphasis) {
+  var self = this;
+  var value = deemphasis !== undefined ? deemphasis : self.getActiveDeemphasis();
+
+  if (self.volumeRampMode !== 'hardware') {
+    return value;
+  }
+  return (value & 0xF8) | self.volumeRampRate;
+};
+
+// mode: register value, or DEEMPHASIS_AUTO to follow flagged tracks
+ControllerES9018K2M.prototype.setDeemphasis = function(mode) {
+  var self = this;
+
+  self.config.set('deemphasis', mode);
+
+  if (mode === DEEMPHASIS_AUTO) {
+    var state = self.commandRouter.volumioGetState();
+    self.autoDeemphasis = state ? self.getAutoDeemphasis(state) : DEEMPHASIS_OFF;
+  }
+
+  self.writeDeemphasis(self.getActiveDeemphasis());
+};
+
+ControllerES9018K2M.prototype.setDpll = function(i2sValue, dsdValue) {
+  var self = this;
+
+  self.config.set('i2sDpll', i2sValue);
+  self.config.set('dsdDpll', dsdValue);
+
+  var active = self.getActiveFilterSettings();
+  self.writeDpll(active.i2sDpll, active.dsdDpll);
+  self.publishMqttState();
+};
+
+// ---------------------------------------------------------------------------
+// Format Profiles - Automatic filter/DPLL switching by source format
+// ---------------------------------------------------------------------------
+
+// Config key for one profile field, e.g. ('pcm44', 'fir') -> 'fmtPcm44Fir'
+ControllerES9018K2M.prototype.formatProfileKey = function(family, field) {
+  return 'fmt' + family.charAt(0).toUpperCase() + family.slice(1) +
+    field.charAt(0).toUpperCase() + field.slice(1);
+};
+
+ControllerES9018K2M.prototype.getFormatProfile = function(family) {
+  var self = this;
+  var defaults = FORMAT_PROFILE_DEFAULTS[family];
+  var profile = {};
+
+  Object.keys(defaults).forEach(function(field) {
+    var key = self.formatProfileKey(family, field);
+    profile[field] = self.config.get(key, defaults[field]);
+  });
+
+  return profile;
+};
+
+// Parse pushState samplerate ("44.1 kHz", "2.82 MHz", "96000") to Hz
+ControllerES9018K2M.prototype.parseSampleRate = function(samplerate) {
+  var match = String(samplerate || '').match(/([\d.]+)\s*(k|m)?hz/i) ||
+    String(samplerate || '').match(/^\s*([\d.]+)\s*$/);
+
+  if (!match) {
+    return 0;
+  }
+
+  var value = parseFloat(match[1]);
+  var unit = (match[2] || '').toLowerCase();
+  if (unit === 'k') {
+    value *= 1000;
+  } else if (unit === 'm') {
+    value *= 1000000;
+  }
+  return Math.round(value);
+};
+
+// Classify the playing track: pcm44, pcm48, hires, dsd or null if unknown
+ControllerES9018K2M.prototype.detectFormat = function(state) {
+  var self = this;
+
+  var trackType = String(state.trackType || '').toLowerCase();
+  var bitdepth = String(state.bitdepth || '').toLowerCase();
+  var rate = self.parseSampleRate(state.samplerate);
+
+  if (/^(dsf|dff|dsd)/.test(trackType) || /^1\s*bit/.test(bitdepth) ||
+      /dsd/i.test(String(state.samplerate || '')) || rate >= 1000000) {
+    return 'dsd';
+  }
+  if (!rate) {
+    return null;
+  }
+  if (rate > 48000) {
+    return 'hires';
+  }
+  return (rate % 11025 === 0) ? 'pcm44' : 'pcm48';
+};
+
+// Global filter settings, overlaid with the active format profile
+ControllerES9018K2M.prototype.getActiveFilterSettings = function() {
+  var self = this;
+
+  var active = {
+    fir: self.config.get('fir', 1),
+    iir: self.config.get('iir', 0),
+    i2sDpll: self.config.get('i2sDpll', 0x50),
+    dsdDpll: self.config.get('dsdDpll', 0x0A)
+  };
+
+  if (!self.autoFormatEnabled || !self.currentFormat) {
+    return active;
+  }
+
+  var profile = self.getFormatProfile(self.currentFormat);
+  if (self.currentFormat === 'dsd') {
+    active.iir = profile.iir;
+    active.dsdDpll = profile.dpll;
+  } else {
+    active.fir = profile.fir;
+    active.iir = profile.iir;
+    active.i2sDpll = profile.dpll;
+  }
+
+  return active;
+};
+
+ControllerES9018K2M.prototype.applyFormatProfile = function() {
+  var self = this;
+  var active = self.getActiveFilterSettings();
+
+  self.writeFirFilter(active.fir);
+  self.writeIirFilter(active.iir);
+  self.writeDpll(active.i2sDpll, active.dsdDpll);
+};
+
+ControllerES9018K2M.prototype.updateSourceFormat = function(state) {
+  var self = this;
+  var format = self.detectFormat(state);
+
+  // Unknown (stopped, webradio without rate) - keep the current profile
+  if (!format || format === self.currentFormat) {
+    return;
+  }
+
+  self.logDebug('ES9018K2M: Source format ' + self.currentFormat + ' -> ' + format +
+    ' (samplerate=' + state.samplerate + ', bitdepth=' + state.bitdepth +
+    ', trackType=' + state.trackType + ')');
+
+  self.currentFormat = format;
+  self.applyFormatProfile();
+};
+
+ControllerES9018K2M.prototype.getFormatLabel = function(format) {
+  var self = this;
+
+  switch (format) {
+    case 'pcm44':
+      return self.getI18nString('FORMAT_PCM44');
+    case 'pcm48':
+      return self.getI18nString('FORMAT_PCM48');
+    case 'hires':
+      return self.getI18nString('FORMAT_HIRES');
+    case 'dsd':
+      return self.getI18nString('FORMAT_DSD');
+    default:
+      return self.getI18nString('STATUS_NONE');
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Automatic De-emphasis - Curve by sample rate for flagged tracks
+// ---------------------------------------------------------------------------
+
+// Comma or newline separated; '*' matches anything, otherwise substring
+ControllerES9018K2M.prototype.getDeemphasisPatterns = function() {
+  var self = this;
+
+  return String(self.config.get('deemphasisPatterns', ''))
+    .split(/[,\n]/)
+    .map(function(p) { return p.trim(); })
+    .filter(function(p) { return p.length > 0; });
+};
+
+ControllerES9018K2M.prototype.matchesDeemphasisPattern = function(uri, pattern) {
+  var target = String(uri || '').toLowerCase();
+  var needle = pattern.toLowerCase();
+
+  if (needle.indexOf('*') < 0) {
+    return target.indexOf(needle) >= 0;
+  }
+
+  var regex = new RegExp('^' + needle.split('*').map(function(part) {
+    return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }).join('.*') + '$');
+  return regex.test(target);
+};
+
+// Pre-emphasis flag from metadata, when the music service exposes one
+ControllerES9018K2M.prototype.hasPreEmphasisTag = function(state) {
+  return ['preemphasis', 'emphasis', 'deemphasis'].some(function(key) {
+    var value = state[key];
+    return value === true || /^(1|yes|true|on)$/i.test(String(value));
+  });
+};
+
+ControllerES9018K2M.prototype.isPreEmphasized = function(state) {
+  var self = this;
+
+  if (self.config.get('deemphasisUseTag', true) && self.hasPreEmphasisTag(state)) {
+    return true;
+  }
+
+  return self.getDeemphasisPatterns().some(function(pattern) {
+    return self.matchesDeemphasisPattern(state.uri, pattern);
+  });
+};
+
+// Register 0x06 value for a track in Auto mode
+ControllerES9018K2M.prototype.getAutoDeemphasis = function(state) {
+  var self = this;
+
+  if (!self.isPreEmphasized(state)) {
+    return DEEMPHASIS_OFF;
+  }
+
+  var rate = self.parseSampleRate(state.samplerate);
+  if (DEEMPHASIS_CURVES[rate] === undefined) {
+    self.logDebug('ES9018K2M: No de-emphasis curve for ' + state.samplerate + ', leaving off');
+    return DEEMPHASIS_OFF;
+  }
+  return DEEMPHASIS_CURVES[rate];
+};
+
+ControllerES9018K2M.prototype.updateAutoDeemphasis = function(state) {
+  var self = this;
+
+  // Stopped or between tracks - keep the current curve
+  if (!state.uri) {
+    return;
+  }
+
+  var value = self.getAutoDeemphasis(state);
+  if (value === self.autoDeemphasis) {
+    return;
+  }
+
+  self.logDebug('ES9018K2M: Auto de-emphasis 0x' + value.toString(16) + ' for ' + state.uri);
+  self.autoDeemphasis = value;
+  self.writeDeemphasis(value);
+};
+
+// Register 0x06 value the chip should hold now
+ControllerES9018K2M.prototype.getActiveDeemphasis = function() {
+  var self = this;
+  var mode = self.config.get('deemphasis', DEEMPHASIS_OFF);
+
+  return (mode === DEEMPHASIS_AUTO) ? self.autoDeemphasis : mode;
+};
+
+// ---------------------------------------------------------------------------
+// ReplayGain - Track/album gain as attenuation offset (lib/replay-gain.js)
+// ---------------------------------------------------------------------------
+
+// Parsed tags of a track: from the state when the service sends them,
+// otherwise asked from MPD for library tracks; null without tags
+ControllerES9018K2M.prototype.getReplayGainTags = function(state) {
+  var self = this;
+
+  var parsed = replayGain.fromTags(state);
+  if (parsed) {
+    return libQ.resolve(parsed);
+  }
+
+  var uri = state.service === 'mpd' ? replayGain.mpdUri(state.uri) : null;
+  if (!uri) {
+    return libQ.resolve(null);
+  }
+
+  return self.readMpdComments(uri)
+    .then(replayGain.fromTags)
+    .fail(function(err) {
+      self.logDebug('ES9018K2M: No ReplayGain tags for ' + uri + ': ' + err.message);
+      return null;
+    });
+};
+
+// Tags MPD reads from a library file, as { NAME: value }
+ControllerES9018K2M.prototype.readMpdComments = function(uri) {
+  var self = this;
+  var mpd = self.commandRouter.pluginManager.getPlugin('music_service', 'mpd');
+
+  if (!mpd || typeof mpd.sendMpdCommand !== 'function') {
+    return libQ.reject(new Error('MPD plugin not available'));
+  }
+  return mpd.sendMpdCommand('readcomments', [uri]);
+};
+
+ControllerES9018K2M.prototype.updateReplayGain = function(state) {
+  var self = this;
+
+  // Stopped or between tracks - keep the current gain
+  if (!state.uri) {
+    return libQ.resolve(false);
+  }
+
+  // Auto picks album or track gain by shuffle, so a toggle re-evaluates
+  var key = state.uri + (self.replayGainMode === 'auto' ? '|' + !!state.random : '');
+  if (key === self.replayGainKey) {
+    return libQ.resolve(false);
+  }
+  self.replayGainKey = key;
+
+  return self.getReplayGainTags(state).then(function(parsed) {
+    // Superseded by the next track while the file was read
+    if (self.replayGainKey !== key) {
+      return false;
+    }
+
+    self.replayGainTagged = parsed !== null;
+    return self.setReplayGainDb(replayGain.gainDb(parsed, {
+      mode: self.replayGainMode,
+      preampDb: self.config.get('replayGainPreampDb', 0),
+      preventClipping: self.config.get('replayGainPreventClipping', true),
+      random: !!state.random
+    }));
+  });
+};
+
+// New gain in the chip's 0.5 dB steps; glides there while playing
+ControllerES9018K2M.prototype.setReplayGainDb = function(gainDb) {
+  var self = this;
+  var rounded = Math.round(gainDb * 2) / 2;
+
+  if (rounded === self.replayGainDb) {
+    return libQ.resolve(false);
+  }
+
+  self.logDebug('ES9018K2M: ReplayGain ' + self.formatGainDb(rounded));
+  self.replayGainDb = rounded;
+  return self.applyAttenuationOffset();
+};
+
+// The attenuation offset changed: ramp the outputs to the new level
+ControllerES9018K2M.prototype.applyAttenuationOffset = function() {
+  var self = this;
+
+  if (!self.deviceFound || self.externalVolume || self.currentVolume === null) {
+    return libQ.resolve(false);
+  }
+
+  // Muted: move the level behind the mute bit, as gracefulMute does
+  if (self.reg7 & 0x01) {
+    self.setVolumeImmediate(self.currentVolume);
+    return libQ.resolve(true);
+  }
+
+  // Fading to mute: the level restored behind the mute bit picks it up
+  if (self.pendingRampMute || self.currentMute) {
+    return libQ.resolve(false);
+  }
+
+  return self.rampTo(self.volumeToRegister(self.currentVolume));
+};
+
+ControllerES9018K2M.prototype.formatGainDb = function(gainDb) {
+  return (gainDb > 0 ? '+' : '') + gainDb.toFixed(1) + ' dB';
+};
+
+// Read-only UI status: gain of the playing track
+ControllerES9018K2M.prototype.getReplayGainStatus = function() {
+  var self = this;
+
+  if (self.replayGainMode === 'off') {
+    return self.getI18nString('REPLAYGAIN_STATUS_OFF');
+  }
+  if (!self.replayGainTagged) {
+    return self.getI18nString('REPLAYGAIN_STATUS_UNTAGGED');
+  }
+  return self.formatGainDb(self.replayGainDb);
+};
+
+// ---------------------------------------------------------------------------
+// Source Trims - Level offset per Volumio service
+// ---------------------------------------------------------------------------
+
+// "spop:-3, airplay_emulation:-2" -> { spop: -3, airplay_emulation: -2 },
+// in the chip's 0.5 dB steps; null if any entry is invalid
+ControllerES9018K2M.prototype.parseSourceTrims = function(text) {
+  var trims = {};
+  var entries = String(text || '').split(/[,;\n]/)
+    .map(function(e) { return e.trim(); })
+    .filter(function(e) { return e.length > 0; });
+
+  for (var i = 0; i < entries.length; i++) {
+    var match = entries[i].match(/^([\w.-]+)\s*:\s*([+-]?\d+(?:\.\d+)?)$/);
+    if (!match) {
+      return null;
+    }
+    var db = parseFloat(match[2]);
+    if (Math.abs(db) > SOURCE_TRIM_MAX_DB) {
+      return null;
+    }
+    trims[match[1].toLowerCase()] = Math.round(db * 2) / 2;
+  }
+
+  return trims;
+};
+
+ControllerES9018K2M.prototype.updateSourceTrim = function(state) {
+  var self = this;
+
+  // No source reported (stopped, empty queue) - keep the current trim
+  if (!state.service) {
+    return libQ.resolve(false);
+  }
+
+  var service = String(state.service).toLowerCase();
+  if (service === self.sourceTrimService) {
+    return libQ.resolve(false);
+  }
+  self.sourceTrimService = service;
+
+  var trimDb = self.sourceTrims[service] || 0;
+  if (trimDb === self.sourceTrimDb) {
+    return libQ.resolve(false);
+  }
+
+  self.logDebug('ES9018K2M: Source ' + service + ', trim ' + self.formatGainDb(trimDb));
+  self.sourceTrimDb = trimDb;
+  return self.applyAttenuationOffset();
+};
+
+// Read-only UI status: the current service and its trim, so the service
+// name to enter is easy to find
+ControllerES9018K2M.prototype.getSourceTrimStatus = function() {
+  var self = this;
+
+  if (self.sourceTrimService === null) {
+    return '-';
+  }
+  return self.sourceTrimService + ': ' + self.formatGainDb(self.sourceTrimDb);
+};
+
+// ---------------------------------------------------------------------------
+// Sound Presets - Named FIR/IIR/de-emphasis/DPLL/balance bundles
+// ---------------------------------------------------------------------------
+
+// Presets live in config as a JSON object keyed by name
+ControllerES9018K2M.prototype.getPresets = function() {
+  var self = this;
+
+  try {
+    var presets = JSON.parse(self.config.get('presets', '{}'));
+    return (presets && typeof presets === 'object' && !Array.isArray(presets)) ? presets : {};
+  } catch (e) {
+    self.logger.warn('ES9018K2M: Ignoring unreadable presets in config: ' + e.message);
+    return {};
+  }
+};
+
+ControllerES9018K2M.prototype.storePresets = function(presets) {
+  var self = this;
+
+  self.config.set('presets', JSON.stringify(presets));
+};
+
+ControllerES9018K2M.prototype.getPresetNames = function() {
+  var self = this;
+
+  return Object.keys(self.getPresets()).sort(function(a, b) {
+    return a.localeCompare(b);
+  });
+};
+
+// Global (non-profile) settings that make up a preset
+ControllerES9018K2M.prototype.getCurrentSoundSettings = function() {
+  var self = this;
+
+  return {
+    fir: self.config.get('fir', 1),
+    iir: self.config.get('iir', 0),
+    deemphasis: self.config.get('deemphasis', 0x4A),
+    i2sDpll: self.config.get('i2sDpll', 0x50),
+    dsdDpll: self.config.get('dsdDpll', 0x0A),
+    balance: self.config.get('balance', 0)
+  };
+};
+
+// Validate preset settings (config or imported file); null if invalid
+ControllerES9018K2M.prototype.normalizePreset = function(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return null;
+  }
+
+  var fir = Number(settings.fir);
+  var iir = Number(settings.iir);
+  var deemphasis = Number(settings.deemphasis);
+  var i2sDpll = Number(settings.i2sDpll);
+  var dsdDpll = Number(settings.dsdDpll);
+  var balance = Number(settings.balance || 0);
+
+  // Any chip's options: a preset may come from another board; setFirFilter()
+  // and setIirFilter() map what the detected chip lacks to the default
+  var supportedBySome = function(supports, mode) {
+    return Object.keys(chips.CHIPS).some(function(id) {
+      return supports(chips.CHIPS[id], mode);
+    });
+  };
+  var valid = supportedBySome(chips.supportsFir, fir) &&
+    supportedBySome(chips.supportsIir, iir) &&
+    [DEEMPHASIS_OFF, DEEMPHASIS_AUTO, 0x0A, 0x1A, 0x2A].indexOf(deemphasis) >= 0 &&
+    Number.isInteger(i2sDpll) && i2sDpll >= 0 && i2sDpll <= 0xF0 && (i2sDpll & 0x0F) === 0 &&
+    Number.isInteger(dsdDpll) && dsdDpll >= 0 && dsdDpll <= 0x0F &&
+    Number.isInteger(balance) && balance >= -40 && balance <= 40;
+
+  if (!valid) {
+    return null;
+  }
+
+  return {
+    fir: fir,
+    iir: iir,
+    deemphasis: deemphasis,
+    i2sDpll: i2sDpll,
+    dsdDpll: dsdDpll,
+    balance: balance
+  };
+};
+
+ControllerES9018K2M.prototype.normalizePresetName = function(name) {
+  var trimmed = String(name || '').trim();
+  return (trimmed.length > 0 && trimmed.length <= 40) ? trimmed : null;
+};
+
+// Name of the preset matching the current settings, or null
+ControllerES9018K2M.prototype.findMatchingPreset = function() {
+  var self = this;
+  var presets = self.getPresets();
+  var current = JSON.stringify(self.getCurrentSoundSettings());
+
+  var names = self.getPresetNames().filter(function(name) {
+    return JSON.stringify(self.normalizePreset(presets[name])) === current;
+  });
+  return names.length > 0 ? names[0] : null;
+};
+
+// Errors are thrown with a translated message for the toast
+ControllerES9018K2M.prototype.presetError = function(key, name) {
+  var self = this;
+  var message = self.getI18nString(key);
+  return new Error(name !== undefined ? message + ': ' + name : message);
+};
+
+ControllerES9018K2M.prototype.savePreset = function(name) {
+  var self = this;
+  var presetName = self.normalizePresetName(name);
+
+  if (!presetName) {
+    throw self.presetError('PRESET_NAME_INVALID');
+  }
+
+  var presets = self.getPresets();
+  presets[presetName] = self.getCurrentSoundSettings();
+  self.storePresets(presets);
+
+  self.logDebug('ES9018K2M: Saved preset ' + presetName);
+  return presetName;
+};
+
+ControllerES9018K2M.prototype.loadPreset = function(name) {
+  var self = this;
+  var settings = self.normalizePreset(self.getPresets()[name]);
+
+  if (!settings) {
+    throw self.presetError('PRESET_NOT_FOUND', name);
+  }
+
+  self.setFirFilter(settings.fir);
+  self.setIirFilter(settings.iir);
+  self.setDeemphasis(settings.deemphasis);
+  self.setDpll(settings.i2sDpll, settings.dsdDpll);
+  self.setBalance(settings.balance);
+
+  self.logDebug('ES9018K2M: Loaded preset ' + name);
+  return settings;
+};
+
+ControllerES9018K2M.prototype.renamePreset = function(name, newName) {
+  var self = this;
+  var presets = self.getPresets();
+  var target = self.normalizePresetName(newName);
+
+  if (!presets[name]) {
+    throw self.presetError('PRESET_NOT_FOUND', name);
+  }
+  if (!target) {
+    throw self.presetError('PRESET_NAME_INVALID');
+  }
+  if (target !== name && presets[target]) {
+    throw self.presetError('PRESET_EXISTS', target);
+  }
+
+  var renamed = {};
+  Object.keys(presets).forEach(function(key) {
+    renamed[key === name ? target : key] = presets[key];
+  });
+  self.storePresets(renamed);
+
+  return target;
+};
+
+ControllerES9018K2M.prototype.deletePreset = function(name) {
+  var self = this;
+  var presets = self.getPresets();
+
+  if (!presets[name]) {
+    throw self.presetError('PRESET_NOT_FOUND', name);
+  }
+
+  delete presets[name];
+  self.storePresets(presets);
+};
+
+// File name for a preset: "Minimum Phase + DPLL 3" -> minimum-phase-dpll-3.json
+ControllerES9018K2M.prototype.presetFileName = function(name) {
+  var slug = String(name).toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return (slug || 'preset') + '.json';
+};
+
+// Write one preset to the preset directory, returns the file path
+ControllerES9018K2M.prototype.exportPreset = function(name) {
+  var self = this;
+  var settings = self.normalizePreset(self.getPresets()[name]);
+
+  if (!settings) {
+    throw self.presetError('PRESET_NOT_FOUND', name);
+  }
+
+  var file = self.presetDir + '/' + self.presetFileName(name);
+  fs.outputJsonSync(file, {
+    format: PRESET_FILE_FORMAT,
+    version: 1,
+    name: name,
+    settings: settings
+  }, { spaces: 2 });
+
+  return file;
+};
+
+// Read a preset file from the preset directory (name only, no paths),
+// returns the name it was stored under
+ControllerES9018K2M.prototype.importPreset = function(fileName) {
+  var self = this;
+  var base = String(fileName || '').trim().split('/').pop();
+
+  if (!base) {
+    throw self.presetError('PRESET_FILE_INVALID');
+  }
+  if (!/\.json$/i.test(base)) {
+    base += '.json';
+  }
+
+  var data;
+  try {
+    data = fs.readJsonSync(self.presetDir + '/' + base);
+  } catch (e) {
+    throw self.presetError('PRESET_FILE_INVALID', base);
+  }
+
+  var name = data && data.format === PRESET_FILE_FORMAT && self.normalizePresetName(data.name);
+  var settings = data && self.normalizePreset(data.settings);
+  if (!name || !settings) {
+    throw self.presetError('PRESET_FILE_INVALID', base);
+  }
+
+  var presets = self.getPresets();
+  presets[name] = settings;
+  self.storePresets(presets);
+
+  return name;
+};
+
+// ---------------------------------------------------------------------------
+// Control API - DAC state and validated changes for remote control
+// (HTTP API, lib/http-api.js)
+// ---------------------------------------------------------------------------
+
+ControllerES9018K2M.prototype.controlError = function(code, message) {
+  var err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+// Resolves to the full state as plain JSON; reads the signal status fresh
+ControllerES9018K2M.prototype.getControlState = function() {
+  var self = this;
+
+  return self.updateSignalStatus().then(function() {
+    var active = self.getActiveFilterSettings();
+
+    return {
+      device: {
+        found: self.deviceFound,
+        chip: self.chip.name,
+        boards: self.boards.map(function(board) {
+          return {
+            bus: board.bus,
+            address: boards.formatAddress(board.address),
+            role: board.role,
+            found: board.found
+          };
+        })
+      },
+      volume: self.currentVolume,
+      mute: self.currentMute,
+      volumeMode: self.externalVolume ? 'external' : self.volumeMode,
+      volumeLimit: self.getVolumeLimit(),
+      balance: self.config.get('balance', 0),
+      channelMode: self.channelMode,
+      fir: self.config.get('fir', 1),
+      iir: self.config.get('iir', 0),
+      deemphasis: self.config.get('deemphasis', DEEMPHASIS_OFF),
+      dpll: { i2s: self.config.get('i2sDpll', 0x50), dsd: self.config.get('dsdDpll', 0x0A) },
+      // What the chip runs now - a format profile or Auto de-emphasis may differ
+      active: {
+        format: self.autoFormatEnabled ? self.currentFormat : null,
+        fir: active.fir,
+        iir: active.iir,
+        deemphasis: self.getActiveDeemphasis(),
+        dpll: { i2s: active.i2sDpll, dsd: active.dsdDpll }
+      },
+      signal: self.signalStatus,
+      options: {
+        fir: self.getFirOptions(),
+        iir: self.getIirOptions(),
+        deemphasis: self.getDeemphasisOptions()
+      }
+    };
+  });
+};
+
+// Validate every field, then apply through the same setters as the settings
+// page; resolves to the new state once ramps and mute transitions finish
+ControllerES9018K2M.prototype.applyControl = function(input) {
+  var self = this;
+  var result = control.normalizeChanges(input, {
+    fir: chips.listFir(self.chip),
+    iir: chips.listIir(self.chip),
+    deemphasis: self.getDeemphasisOptions().map(function(o) { return o.value; })
+  });
+  var changes = result.changes;
+
+  if (result.errors.length > 0) {
+    return libQ.reject(self.controlError('INVALID', result.errors.join('; ')));
+  }
+  if ((changes.volume !== undefined || changes.mute !== undefined) && !self.deviceFound) {
+    return libQ.reject(self.controlError('UNAVAILABLE', 'DAC not detected'));
+  }
+  if (changes.volume !== undefined && self.externalVolume) {
+    return libQ.reject(self.controlError('UNAVAILABLE', 'Volume is handled by the external volume device'));
+  }
+
+  var transitions = [];
+
+  if (changes.fir !== undefined) {
+    self.setFirFilter(changes.fir);
+  }
+  if (changes.iir !== undefined) {
+    self.setIirFilter(changes.iir);
+  }
+  if (changes.deemphasis !== undefined) {
+    self.setDeemphasis(changes.deemphasis);
+  }
+  if (changes.dpll) {
+    self.setDpll(
+      changes.dpll.i2s !== undefined ? changes.dpll.i2s : self.config.get('i2sDpll', 0x50),
+      changes.dpll.dsd !== undefined ? changes.dpll.dsd : self.config.get('dsdDpll', 0x0A)
+    );
+  }
+  if (changes.balance !== undefined) {
+    self.setBalance(changes.balance);
+  }
+  // Volume before unmute, so the outputs come back at the new level
+  if (changes.volume !== undefined) {
+    transitions.push(self.alsavolume(changes.volume));
+  }
+  if (changes.mute !== undefined) {
+    transitions.push(self.setControlMute(changes.mute));
+  }
+
+  self.logDebug('ES9018K2M: Control change ' + JSON.stringify(changes));
+
+  return libQ.all(transitions).then(function() {
+    self.publishMqttState();
+    return self.getControlState();
+  });
+};
+
+// Mute or unmute like a play/pause transition and tell Volumio
+ControllerES9018K2M.prototype.setControlMute = function(mute) {
+  var self = this;
+  var transition = libQ.resolve(true);
+
+  if (mute === self.currentMute) {
+    return transition;
+  }
+
+  if (self.gracefulTransitions) {
+    transition = self.gracefulMute(mute);
+  } else {
+    self.setMuteSync(mute);
+  }
+  self.currentMute = mute;
+
+  self.commandRouter.volumioupdatevolume({
+    vol: self.currentVolume,
+    mute: mute
+  });
+  return transition;
+};
+
+ControllerES9018K2M.prototype.startHttpApi = function() {
+  var self = this;
+
+  return self.stopHttpApi().then(function() {
+    if (!self.config.get('httpApiEnabled', false)) {
+      return null;
+    }
+
+    var api = new HttpApi(self, {
+      port: self.config.get('httpApiPort', HTTP_API_PORT),
+      listenAll: self.config.get('httpApiListenAll', false),
+      token: self.config.get('httpApiToken', '')
+    });
+
+    self.httpApiError = null;
+    return api.start()
+      .then(function(port) {
+        self.httpApi = api;
+        self.logger.info('ES9018K2M: HTTP API listening on ' + api.host + ':' + port);
+        return port;
+      })
+      .fail(function(err) {
+        self.httpApiError = err.message;
+        self.logger.error('ES9018K2M: HTTP API could not start: ' + err.message);
+        return null;
+      });
+  });
+};
+
+ControllerES9018K2M.prototype.stopHttpApi = function() {
+  var self = this;
+  var api = self.httpApi;
+
+  self.httpApi = null;
+  return api ? api.stop() : libQ.resolve();
+};
+
+// "Listening on 127.0.0.1:8018", "Off" or the start error
+ControllerES9018K2M.prototype.getHttpApiStatus = function() {
+  var self = this;
+
+  if (self.httpApi) {
+    return self.getI18nString('HTTP_API_LISTENING') + ' ' + self.httpApi.host + ':' +
+      self.httpApi.server.address().port;
+  }
+  if (self.httpApiError) {
+    return self.getI18nString('HTTP_API_FAILED') + ': ' + self.httpApiError;
+  }
+  return self.getI18nString('HTTP_API_OFF');
 };
 
 // ---------------------------------------------------------------------------
-// Balance Control
+// MQTT - Retained state topics, /set commands and Home Assistant discovery
+// (lib/mqtt-bridge.js)
 // ---------------------------------------------------------------------------
 
-ControllerES9018K2M.prototype.setBalance = function(balance) {
+ControllerES9018K2M.prototype.getMqttBaseTopic = function() {
+  return this.config.get('mqttBaseTopic', MQTT_BASE_TOPIC);
+};
+
+ControllerES9018K2M.prototype.startMqtt = function() {
   var self = this;
 
-  self.lBal = 0;
-  self.rBal = 0;
+  self.stopMqtt();
 
-  if (balance > 0) {
-    self.lBal = Math.min(balance, 40);
-  } else if (balance < 0) {
-    self.rBal = Math.min(-balance, 40);
+  if (!self.config.get('mqttEnabled', false)) {
+    return;
   }
 
-  self.config.set('balance', balance);
+  self.mqttReconnectAttempts = 0;
+  self.connectMqtt();
+};
 
-  if (self.currentVolume !== null) {
-    self.setVolumeImmediate(self.currentVolume);
+ControllerES9018K2M.prototype.connectMqtt = function() {
+  var self = this;
+  var base = self.getMqttBaseTopic();
+  var url = self.config.get('mqttBrokerUrl', MQTT_BROKER_URL);
+
+  // Clean up existing connection
+  self.closeMqttClient();
+
+  // Loaded on first use, so a missing module only matters with MQTT enabled
+  if (!self.mqttConnect) {
+    try {
+      self.mqttConnect = require('mqtt').connect;
+    } catch (err) {
+      self.mqttError = 'mqtt module not installed';
+      self.logger.error('ES9018K2M: MQTT unavailable, the mqtt module is not installed');
+      return;
+    }
+  }
+
+  self.mqttClient = self.mqttConnect(url, {
+    username: self.config.get('mqttUsername', '') || undefined,
+    password: self.config.get('mqttPassword', '') || undefined,
+    clientId: 'es9018k2m_' + Math.random().toString(16).slice(2, 10),
+    reconnectPeriod: 0,  // We handle reconnection ourselves
+    connectTimeout: 5000,
+    will: { topic: base + '/availability', payload: 'offline', qos: 1, retain: true }
+  });
+
+  self.mqttClient.on('connect', function() {
+    self.mqttConnected = true;
+    self.mqttError = null;
+    self.mqttReconnectAttempts = 0;
+    self.mqttPublished = {};
+    self.mqttDiscoveryChip = null;
+
+    self.logger.info('ES9018K2M: MQTT connected to ' + url);
+
+    self.mqttClient.subscribe(base + '/+/set');
+    self.publishMqttState();
+  });
+
+  self.mqttClient.on('message', function(topic, payload) {
+    self.handleMqttMessage(topic, payload);
+  });
+
+  self.mqttClient.on('close', function() {
+    if (self.mqttConnected) {
+      self.logger.warn('ES9018K2M: MQTT connection lost');
+    }
+    self.mqttConnected = false;
+    self.scheduleMqttReconnect();
+  });
+
+  self.mqttClient.on('error', function(err) {
+    self.mqttError = err.message;
+    self.logDebug('ES9018K2M: MQTT error: ' + err.message);
+  });
+};
+
+ControllerES9018K2M.prototype.scheduleMqttReconnect = function() {
+  var self = this;
+
+  if (self.mqttReconnectTimer || !self.mqttClient) {
+    return;  // Already scheduled, or stopped
   }
+
+  self.mqttReconnectAttempts++;
+
+  // Exponential backoff: 1s, 2s, 4s, 8s, 16s, 30s max
+  var delay = Math.min(
+    1000 * Math.pow(2, self.mqttReconnectAttempts - 1),
+    self.maxReconnectDelay
+  );
+
+  self.logDebug('ES9018K2M: Scheduling MQTT reconnect in ' + delay + 'ms (attempt ' +
+    self.mqttReconnectAttempts + ')');
+
+  self.mqttReconnectTimer = setTimeout(function() {
+    self.mqttReconnectTimer = null;
+    self.connectMqtt();
+  }, delay);
 };
 
-ControllerES9018K2M.prototype.setFirFilter = function(mode) {
+ControllerES9018K2M.prototype.stopMqtt = function() {
   var self = this;
 
-  self.reg7 = self.reg7 & 0x9F;
-  self.reg21 = self.reg21 & 0xFE;
+  if (self.mqttReconnectTimer) {
+    clearTimeout(self.mqttReconnectTimer);
+    self.mqttReconnectTimer = null;
+  }
 
-  switch (mode) {
-    case 0:
-      self.reg7 = self.reg7 | 0x20;
-      break;
-    case 1:
-      break;
-    case 2:
-      self.reg7 = self.reg7 | 0x40;
-      break;
-    case 3:
-      self.reg21 = self.reg21 | 0x01;
-      break;
+  // A clean disconnect skips the last will
+  if (self.mqttConnected) {
+    self.mqttClient.publish(self.getMqttBaseTopic() + '/availability', 'offline',
+      { qos: 1, retain: true });
   }
 
-  self.i2cWrite(0x07, self.reg7);
-  self.i2cWrite(0x15, self.reg21);
-  self.config.set('fir', mode);
+  if (self.mqttClient) {
+    self.closeMqttClient();
+    self.logger.info('ES9018K2M: MQTT stopped');
+  }
+  self.mqttError = null;
 };
 
-ControllerES9018K2M.prototype.setIirFilter = function(mode) {
+ControllerES9018K2M.prototype.closeMqttClient = function() {
+  var self = this;
+
+  if (!self.mqttClient) {
+    return;
+  }
+
+  self.mqttClient.removeAllListeners();
+  // Errors while closing are of no interest, but must not go unhandled
+  self.mqttClient.on('error', function() {});
+  self.mqttClient.end();
+  self.mqttClient = null;
+  self.mqttConnected = false;
+};
+
+// Publish every state topic whose payload changed; called wherever the
+// state may have changed, a no-op while disconnected
+ControllerES9018K2M.prototype.publishMqttState = function() {
   var self = this;
 
-  self.reg7 = self.reg7 & 0xF3;
-  self.reg21 = self.reg21 & 0xFB;
+  if (!self.mqttConnected) {
+    return;
+  }
+
+  var base = self.getMqttBaseTopic();
+  var options = { fir: self.getFirOptions(), iir: self.getIirOptions() };
 
-  switch (mode) {
-    case 0:
-      break;
-    case 1:
-      self.reg7 = self.reg7 | 0x04;
-      break;
-    case 2:
-      self.reg7 = self.reg7 | 0x08;
-      break;
-    case 3:
-      self.reg7 = self.reg7 | 0x0C;
-      break;
-    case 4:
-      self.reg21 = self.reg21 | 0x04;
-      break;
+  // The select options follow the detected chip
+  if (self.mqttDiscoveryChip !== self.chip.id) {
+    self.mqttDiscoveryChip = self.chip.id;
+    self.publishMqttDiscovery(options);
   }
 
-  self.i2cWrite(0x07, self.reg7);
-  self.i2cWrite(0x15, self.reg21);
-  self.config.set('iir', mode);
+  var messages = mqttBridge.stateMessages({
+    available: self.deviceFound,
+    volume: self.currentVolume,
+    mute: self.currentMute,
+    fir: self.config.get('fir', 1),
+    iir: self.config.get('iir', 0),
+    i2sDpll: self.config.get('i2sDpll', 0x50),
+    dsdDpll: self.config.get('dsdDpll', 0x0A),
+    locked: self.signalStatus ? self.signalStatus.locked : false,
+    status: self.lastStatus
+  }, options);
+
+  Object.keys(messages).forEach(function(name) {
+    var topic = base + '/' + name;
+    if (self.mqttPublished[topic] !== messages[name]) {
+      self.mqttPublished[topic] = messages[name];
+      self.mqttClient.publish(topic, messages[name], { qos: 1, retain: true });
+    }
+  });
 };
 
-ControllerES9018K2M.prototype.setDeemphasis = function(mode) {
+ControllerES9018K2M.prototype.publishMqttDiscovery = function(options) {
   var self = this;
 
-  self.i2cWrite(0x06, mode);
-  self.config.set('deemphasis', mode);
+  if (!self.config.get('mqttDiscovery', true)) {
+    return;
+  }
+
+  var messages = mqttBridge.discoveryMessages(
+    self.getMqttBaseTopic(),
+    self.config.get('mqttDiscoveryPrefix', 'homeassistant'),
+    { name: self.chip.name + ' DAC', model: self.chip.name },
+    options
+  );
+
+  messages.forEach(function(message) {
+    self.mqttClient.publish(message.topic, JSON.stringify(message.payload), { qos: 1, retain: true });
+  });
+  self.logDebug('ES9018K2M: MQTT discovery published (' + messages.length + ' entities)');
 };
 
-ControllerES9018K2M.prototype.setDpll = function(i2sValue, dsdValue) {
+// Empty retained payloads remove the entities from Home Assistant
+ControllerES9018K2M.prototype.clearMqttDiscovery = function() {
   var self = this;
 
-  self.reg12 = (i2sValue & 0xF0) | (dsdValue & 0x0F);
-  self.i2cWrite(0x0C, self.reg12);
+  mqttBridge.discoveryMessages(
+    self.getMqttBaseTopic(),
+    self.config.get('mqttDiscoveryPrefix', 'homeassistant'),
+    { name: '', model: '' },
+    { fir: [], iir: [] }
+  ).forEach(function(message) {
+    self.mqttClient.publish(message.topic, '', { qos: 1, retain: true });
+  });
+};
 
-  self.config.set('i2sDpll', i2sValue);
-  self.config.set('dsdDpll', dsdValue);
+// A /set topic: same validation and setters as the HTTP API. A rejected
+// command republishes the state so the entity snaps back.
+ControllerES9018K2M.prototype.handleMqttMessage = function(topic, payload) {
+  var self = this;
+  var name = mqttBridge.commandName(self.getMqttBaseTopic(), topic);
+
+  if (!name) {
+    return libQ.resolve();
+  }
+
+  var changes = mqttBridge.parseCommand(name, payload.toString(), {
+    fir: self.getFirOptions(),
+    iir: self.getIirOptions()
+  });
+
+  self.logDebug('ES9018K2M: MQTT command ' + name + ' = ' + payload.toString());
+
+  return self.applyControl(changes).fail(function(err) {
+    self.logger.warn('ES9018K2M: MQTT command ' + name + ' rejected: ' + err.message);
+    self.mqttPublished = {};
+    self.publishMqttState();
+  });
+};
+
+// "Connected to mqtt://...", the last error, or "Off"
+ControllerES9018K2M.prototype.getMqttStatus = function() {
+  var self = this;
+  var url = self.config.get('mqttBrokerUrl', MQTT_BROKER_URL);
+
+  if (self.mqttConnected) {
+    return self.getI18nString('MQTT_CONNECTED') + ' ' + url;
+  }
+  if (self.mqttClient) {
+    return self.getI18nString('MQTT_CONNECTING') + ' ' + url +
+      (self.mqttError ? ' (' + self.mqttError + ')' : '');
+  }
+  if (self.mqttError) {
+    return self.getI18nString('MQTT_UNAVAILABLE') + ' (' + self.mqttError + ')';
+  }
+  return self.getI18nString('MQTT_OFF');
+};
+
+// ---------------------------------------------------------------------------
+// Control Socket - es9018k2m-ctl requests over a Unix domain socket
+// (lib/control-socket.js, lib/ctl-client.js)
+// ---------------------------------------------------------------------------
+
+ControllerES9018K2M.prototype.startCtlSocket = function() {
+  var self = this;
+
+  return self.stopCtlSocket().then(function() {
+    if (!self.config.get('ctlSocketEnabled', true)) {
+      return null;
+    }
+
+    var socket = new ControlSocket(function(request) {
+      return self.handleCtlRequest(request);
+    }, { path: self.config.get('ctlSocketPath', CTL_SOCKET_PATH) });
+
+    return socket.start()
+      .then(function(path) {
+        self.ctlSocket = socket;
+        self.logDebug('ES9018K2M: Control socket listening on ' + path);
+        return path;
+      })
+      .fail(function(err) {
+        self.logger.error('ES9018K2M: Control socket could not start: ' + err.message);
+        return null;
+      });
+  });
+};
+
+ControllerES9018K2M.prototype.stopCtlSocket = function() {
+  var self = this;
+  var socket = self.ctlSocket;
+
+  self.ctlSocket = null;
+  return socket ? socket.stop() : libQ.resolve();
+};
+
+// Changes take the same path as the HTTP API; the settings page is
+// refreshed so it does not show stale values
+ControllerES9018K2M.prototype.handleCtlRequest = function(request) {
+  var self = this;
+
+  self.logDebug('ES9018K2M: ctl ' + JSON.stringify(request));
+
+  switch (request.command) {
+    case 'status':
+      return self.getControlState();
+    case 'set':
+      return self.applyControl(request.changes).then(function(state) {
+        self.refreshUIConfig();
+        return state;
+      });
+    case 'preset':
+      return self.runCtlPreset(request.action, request.name);
+    case 'dump':
+      return self.dumpRegisters();
+    default:
+      return libQ.reject(self.controlError('INVALID', 'Unknown command: ' + request.command));
+  }
+};
+
+// Preset errors carry the translated message of the settings page
+ControllerES9018K2M.prototype.runCtlPreset = function(action, name) {
+  var self = this;
+  var message;
+
+  try {
+    switch (action) {
+      case 'list':
+        return libQ.resolve({ presets: self.getPresetNames(), current: self.findMatchingPreset() });
+      case 'load':
+        self.loadPreset(name);
+        message = self.getI18nString('PRESET_LOADED') + ': ' + name;
+        break;
+      case 'save':
+        message = self.getI18nString('PRESET_SAVED') + ': ' + self.savePreset(name);
+        break;
+      case 'delete':
+        self.deletePreset(name);
+        message = self.getI18nString('PRESET_DELETED') + ': ' + name;
+        break;
+      default:
+        throw new Error('Unknown preset action ' + action);
+    }
+  } catch (err) {
+    return libQ.reject(err);
+  }
+
+  self.refreshUIConfig();
+  return libQ.resolve({ message: message });
+};
+
+// Read back every connected board next to what the plugin expects it to
+// hold; expected is null for registers the plugin does not own (volume,
+// status)
+ControllerES9018K2M.prototype.dumpRegisters = function() {
+  var self = this;
+
+  if (!self.deviceFound) {
+    return libQ.reject(self.controlError('UNAVAILABLE', 'DAC not detected'));
+  }
+
+  var dumps = [];
+
+  function dumpNext(index) {
+    var connected = self.getConnectedBoards();
+    if (index >= connected.length) {
+      return libQ.resolve(dumps);
+    }
+
+    var board = connected[index];
+    var expected = self.getExpectedRegisters(board);
+
+    return self.i2cReadMany(DUMP_REGISTERS, board).then(function(values) {
+      dumps.push({
+        board: boards.describeBoard(board),
+        chip: self.chip.name,
+        registers: DUMP_REGISTERS.map(function(register) {
+          return {
+            register: register,
+            value: values[register],
+            expected: expected[register] !== undefined ? expected[register] : null
+          };
+        })
+      });
+      return dumpNext(index + 1);
+    });
+  }
+
+  return dumpNext(0);
 };
 
 // ---------------------------------------------------------------------------
@@ -1422,25 +4889,95 @@ ControllerES9018K2M.prototype.setDpll = function(i2sValue, dsdValue) {
 ControllerES9018K2M.prototype.checkDeviceStatus = function() {
   var self = this;
 
-  self.checkDevice()
+  return self.checkDevice()
     .then(function(found) {
+      var missing = self.boards.length - self.getConnectedBoards().length;
+
       self.deviceFound = found;
-      if (found) {
+      if (found && missing === 0) {
         self.commandRouter.pushToastMessage('success',
           self.getI18nString('PLUGIN_NAME'),
-          self.getI18nString('DEVICE_FOUND'));
+          self.getI18nString('DEVICE_FOUND') + ' (' + self.chip.name + ')');
+      } else if (found) {
+        self.commandRouter.pushToastMessage('warning',
+          self.getI18nString('PLUGIN_NAME'),
+          self.getI18nString('BOARDS_MISSING') + ' ' + missing);
       } else {
         self.commandRouter.pushToastMessage('warning',
           self.getI18nString('PLUGIN_NAME'),
           self.getI18nString('DEVICE_NOT_FOUND'));
       }
+      self.refreshUIConfig();
+      return found;
+    });
+};
+
+// "Detected (ES9018K2M, revision 1)", "Not detected" or "-" for a disabled slot
+ControllerES9018K2M.prototype.getBoardStatusLabel = function(slot) {
+  var self = this;
+  var board = self.boards.find(function(b) { return b.slot === slot; });
+
+  if (!board) {
+    return self.getI18nString('STATUS_NONE');
+  }
+  if (board.mismatch) {
+    return self.getI18nString('BOARD_CHIP_MISMATCH') + ' (' + board.chip.name + ')';
+  }
+  if (!board.found) {
+    return self.getI18nString('BOARD_NOT_DETECTED');
+  }
+  return self.getI18nString('BOARD_DETECTED') + ' (' + self.getChipLabel(board.chip.name, board.revision) + ')';
+};
+
+// Board list from the Device Detection form; null (after a toast) if invalid
+ControllerES9018K2M.prototype.parseBoardSettings = function(data, bus, address) {
+  var self = this;
+  var stored = self.getBoardSettings();
+  var list = [];
+  var used = {};
+
+  for (var slot = 1; slot <= BOARD_SLOTS; slot++) {
+    var prefix = 'board' + slot;
+    var enabled = slot === 1 || data[prefix + 'Enabled'] === true;
+    var board = boards.normalizeBoard({
+      enabled: enabled,
+      bus: slot === 1 ? bus : data[prefix + 'Bus'],
+      address: slot === 1 ? address : data[prefix + 'Address'],
+      role: data[prefix + 'Role'] && data[prefix + 'Role'].value,
+      trimDb: data[prefix + 'TrimDb'],
+      balance: data[prefix + 'Balance']
     });
+
+    if (!board && enabled) {
+      self.commandRouter.pushToastMessage('error',
+        self.getI18nString('PLUGIN_NAME'),
+        self.getI18nString('BOARD_INVALID') + ' ' + slot);
+      return null;
+    }
+
+    // A disabled slot with bad input keeps what it had
+    board = board || stored[slot - 1];
+
+    var key = board.bus + ':' + board.address;
+    if (board.enabled && used[key]) {
+      self.commandRouter.pushToastMessage('error',
+        self.getI18nString('PLUGIN_NAME'),
+        self.getI18nString('BOARD_DUPLICATE') + ' ' + boards.describeBoard(board));
+      return null;
+    }
+    if (board.enabled) {
+      used[key] = true;
+    }
+    list.push(board);
+  }
+
+  return list;
 };
 
 ControllerES9018K2M.prototype.saveDeviceDetection = function(data) {
   var self = this;
 
-  self.i2cBus = parseInt(data.i2cBus, 10) || 1;
+  var bus = parseInt(data.i2cBus, 10) || 1;
 
   var addr = data.i2cAddress;
   if (typeof addr === 'string') {
@@ -1448,19 +4985,109 @@ ControllerES9018K2M.prototype.saveDeviceDetection = function(data) {
       ? parseInt(addr, 16)
       : parseInt(addr, 10);
   }
-  self.i2cAddress = addr || 0x48;
+  addr = addr || 0x48;
+
+  var boardList = self.parseBoardSettings(data, bus, addr);
+  if (!boardList) {
+    return;
+  }
+
+  self.i2cBus = bus;
+  self.i2cAddress = addr;
+
+  var transportType = (data.i2cTransport && data.i2cTransport.value) || 'auto';
+  self.i2cTransport = i2cTransport.SELECTABLE_TRANSPORT_TYPES.indexOf(transportType) >= 0
+    ? transportType
+    : 'auto';
 
   self.debugLogging = data.debugLogging || false;
 
+  self.watchdogEnabled = data.watchdogEnabled !== false;
+  var watchdogInterval = parseInt(data.watchdogInterval, 10) || 30;
+  self.watchdogInterval = Math.max(5, Math.min(3600, watchdogInterval));
+
   self.config.set('i2cBus', self.i2cBus);
   self.config.set('i2cAddress', self.i2cAddress);
+  self.config.set('i2cTransport', self.i2cTransport);
   self.config.set('debugLogging', self.debugLogging);
+  self.config.set('watchdogEnabled', self.watchdogEnabled);
+  self.config.set('watchdogInterval', self.watchdogInterval);
+  self.config.set('boards', JSON.stringify(boardList));
+
+  // Boards, addresses or backend may have changed
+  self.openTransport();
+
+  if (self.deviceFound) {
+    self.startWatchdog();
+  }
+
+  self.commandRouter.pushToastMessage('success',
+    self.getI18nString('PLUGIN_NAME'),
+    self.getI18nString('SETTINGS_SAVED'));
+
+  return self.reconnectDevice();
+};
+
+// After the transports were reopened: boards added while running start out
+// with datasheet defaults, and a DAC that answers only now needs the full startup
+ControllerES9018K2M.prototype.reconnectDevice = function() {
+  var self = this;
+
+  return self.checkDeviceStatus().then(function(found) {
+    if (found && self.deviceStarted) {
+      self.restoreDeviceState();
+    } else if (found) {
+      self.startDevice();
+    }
+    return found;
+  });
+};
+
+ControllerES9018K2M.prototype.scanDeviceStatus = function() {
+  var self = this;
+
+  return self.scanDevices().then(function(results) {
+    if (results.length > 0) {
+      self.commandRouter.pushToastMessage('success',
+        self.getI18nString('PLUGIN_NAME'),
+        self.getI18nString('SCAN_FOUND') + ' ' + results.map(function(result) {
+          return self.describeScanResult(result);
+        }).join(', '));
+    } else {
+      self.commandRouter.pushToastMessage('warning',
+        self.getI18nString('PLUGIN_NAME'),
+        self.getI18nString('SCAN_NONE'));
+    }
+    self.refreshUIConfig();
+    return results;
+  });
+};
+
+// "Use" button of a scan result: make it board 1
+ControllerES9018K2M.prototype.useScannedDevice = function(data) {
+  var self = this;
+  var bus = parseInt(data && data.bus, 10);
+  var address = boards.parseAddress(data && data.address);
+
+  if (isNaN(bus) || address === null) {
+    return libQ.resolve(false);
+  }
+
+  // Another slot already drives it
+  var taken = self.getBoardSettings().slice(1).find(function(board) {
+    return board.enabled && board.bus === bus && board.address === address;
+  });
+  if (taken) {
+    self.commandRouter.pushToastMessage('error',
+      self.getI18nString('PLUGIN_NAME'),
+      self.getI18nString('BOARD_DUPLICATE') + ' ' + boards.describeBoard(taken));
+    return libQ.resolve(false);
+  }
 
-  self.commandRouter.pushToastMessage('success',
-    self.getI18nString('PLUGIN_NAME'),
-    self.getI18nString('SETTINGS_SAVED'));
+  self.setPrimaryAddress(bus, address);
+  self.logger.info('ES9018K2M: Board 1 moved to ' + boards.describeBoard({ bus: bus, address: address }));
 
-  self.checkDeviceStatus();
+  return self.reconnectDevice();
 };
 
 ControllerES9018K2M.prototype.saveVolumeControl = function(data) {
@@ -1562,6 +5189,136 @@ ControllerES9018K2M.prototype.refreshUIConfig = function() {
   }, 100);
 };
 
+ControllerES9018K2M.prototype.saveVolumeCurve = function(data) {
+  var self = this;
+
+  var curve = (data.volumeCurve && data.volumeCurve.value) || 'db';
+  if (VOLUME_CURVES.indexOf(curve) < 0) {
+    curve = 'db';
+  }
+
+  // Range in 0.5 dB steps, as the chip attenuates
+  var rangeDb = parseFloat(data.volumeRangeDb) || 49.5;
+  rangeDb = Math.round(Math.max(10, Math.min(DAC_MAX_ATTENUATION_DB, rangeDb)) * 2) / 2;
+
+  var tableText = String(data.volumeCurveTable || '').trim();
+  var table = self.parseVolumeCurveTable(tableText);
+  if (curve === 'table' && !table) {
+    self.commandRouter.pushToastMessage('error',
+      self.getI18nString('PLUGIN_NAME'),
+      self.getI18nString('VOLUME_CURVE_TABLE_INVALID'));
+    return;
+  }
+
+  var maxVolume = parseInt(data.maxVolume, 10);
+  maxVolume = isNaN(maxVolume) ? 100 : Math.max(1, Math.min(100, maxVolume));
+
+  // Gain offset in 0.5 dB steps, never a boost
+  var gainOffsetDb = parseFloat(data.gainOffsetDb) || 0;
+  gainOffsetDb = Math.round(Math.max(-60, Math.min(0, gainOffsetDb)) * 2) / 2;
+
+  self.volumeCurve = curve;
+  self.volumeRangeDb = rangeDb;
+  self.volumeCurveTable = table || [];
+  self.maxVolume = maxVolume;
+  self.gainOffsetDb = gainOffsetDb;
+  self.config.set('volumeCurve', curve);
+  self.config.set('volumeRangeDb', rangeDb);
+  self.config.set('volumeCurveTable', tableText);
+  self.config.set('maxVolume', maxVolume);
+  self.config.set('gainOffsetDb', gainOffsetDb);
+
+  // Position to look up in the preview; empty or out of range clears it
+  var previewPosition = parseInt(data.volumePreviewPosition, 10);
+  self.volumePreviewPosition = (previewPosition >= 0 && previewPosition <= 100) ? previewPosition : -1;
+  self.config.set('volumePreviewPosition', self.volumePreviewPosition);
+
+  // Re-map the current slider position onto the new curve and ceiling
+  if (self.deviceFound && self.currentVolume !== null) {
+    self.setVolumeImmediate(self.currentVolume);
+    self.applyVolumeLimit();
+  }
+
+  self.commandRouter.pushToastMessage('success',
+    self.getI18nString('PLUGIN_NAME'),
+    self.getI18nString('SETTINGS_SAVED'));
+
+  self.refreshUIConfig();
+};
+
+ControllerES9018K2M.prototype.saveInputSettings = function(data) {
+  var self = this;
+
+  var mode = (data.inputMode && data.inputMode.value) || 'auto';
+  if (!INPUT_MODES.hasOwnProperty(mode) && mode !== INPUT_MODE_SOURCE) {
+    mode = 'auto';
+  }
+
+  // The UI may send the width as a string; store the number the options use
+  var bitWidth = parseInt(data.inputBitWidth && data.inputBitWidth.value, 10) || 32;
+  if (!INPUT_WIDTHS.hasOwnProperty(bitWidth)) {
+    bitWidth = 32;
+  }
+
+  if (data.inputSourceServices !== undefined) {
+    self.config.set('inputSourceServices', String(data.inputSourceServices).trim());
+  }
+
+  if (self.deviceFound) {
+    self.setInputConfig(mode, bitWidth);
+  } else {
+    self.config.set('inputMode', mode);
+    self.config.set('inputBitWidth', bitWidth);
+  }
+
+  self.commandRouter.pushToastMessage('success',
+    self.getI18nString('PLUGIN_NAME'),
+    self.getI18nString('SETTINGS_SAVED'));
+
+  self.refreshUIConfig();
+};
+
+ControllerES9018K2M.prototype.saveAutomuteSettings = function(data) {
+  var self = this;
+
+  var fields = [
+    ['automuteTime', AUTOMUTE_TIME_MIN, AUTOMUTE_TIME_MAX, 'AUTOMUTE_TIME'],
+    ['automuteLevel', 0, AUTOMUTE_LEVEL_MAX, 'AUTOMUTE_LEVEL'],
+    ['softStartTime', 0, SOFT_START_TIME_MAX, 'SOFT_START_TIME']
+  ];
+  var values = {};
+
+  // Reject rather than clamp - a silently changed threshold is hard to spot
+  for (var i = 0; i < fields.length; i++) {
+    var text = String(data[fields[i][0]]).trim();
+    var value = Number(text);
+    if (text === '' || !Number.isInteger(value) || value < fields[i][1] || value > fields[i][2]) {
+      self.commandRouter.pushToastMessage('error',
+        self.getI18nString('PLUGIN_NAME'),
+        self.getI18nString('AUTOMUTE_INVALID') + ': ' + self.getI18nString(fields[i][3]) +
+        ' (' + fields[i][1] + '-' + fields[i][2] + ')');
+      return;
+    }
+    values[fields[i][0]] = value;
+  }
+
+  self.config.set('automuteEnabled', data.automuteEnabled !== false);
+  self.config.set('automuteTime', values.automuteTime);
+  self.config.set('automuteLevel', values.automuteLevel);
+  self.config.set('softStartEnabled', data.softStartEnabled !== false);
+  self.config.set('softStartTime', values.softStartTime);
+
+  if (self.deviceFound) {
+    self.writeAutomuteSettings();
+  }
+
+  self.commandRouter.pushToastMessage('success',
+    self.getI18nString('PLUGIN_NAME'),
+    self.getI18nString('SETTINGS_SAVED'));
+
+  self.refreshUIConfig();
+};
+
 ControllerES9018K2M.prototype.saveMuteSettings = function(data) {
   var self = this;
 
@@ -1570,10 +5327,15 @@ ControllerES9018K2M.prototype.saveMuteSettings = function(data) {
   self.seekMuteMs = Math.max(0, Math.min(2000, seekMuteMs));
   self.config.set('seekMuteMs', self.seekMuteMs);
 
-  // Graceful mute steps
-  var gracefulSteps = parseInt(data.gracefulSteps, 10) || 3;
-  self.gracefulSteps = Math.max(1, Math.min(5, gracefulSteps));
-  self.config.set('gracefulSteps', self.gracefulSteps);
+  // Ramp duration (0 = instant) and easing curve
+  var rampDurationMs = parseInt(data.rampDurationMs, 10);
+  self.rampDurationMs = isNaN(rampDurationMs) ? 100 :
+    Math.max(0, Math.min(RAMP_DURATION_MAX_MS, rampDurationMs));
+  self.config.set('rampDurationMs', self.rampDurationMs);
+
+  var rampEasing = (data.rampEasing && data.rampEasing.value) || 'db';
+  self.rampEasing = RAMP_EASINGS.hasOwnProperty(rampEasing) ? rampEasing : 'db';
+  self.config.set('rampEasing', self.rampEasing);
 
   // Graceful transitions toggle
   self.gracefulTransitions = data.gracefulTransitions !== false;
@@ -1583,6 +5345,23 @@ ControllerES9018K2M.prototype.saveMuteSettings = function(data) {
   self.gracefulVolume = data.gracefulVolume !== false;
   self.config.set('gracefulVolume', self.gracefulVolume);
 
+  // Ramp mode and hardware fade time
+  var rampMode = (data.volumeRampMode && data.volumeRampMode.value) || 'software';
+  self.volumeRampMode = VOLUME_RAMP_MODES.indexOf(rampMode) >= 0 ? rampMode : 'software';
+  self.config.set('volumeRampMode', self.volumeRampMode);
+
+  var hardwareFadeMs = parseInt(data.hardwareFadeMs, 10) || 300;
+  self.hardwareFadeMs = Math.max(20, Math.min(2000, hardwareFadeMs));
+  self.config.set('hardwareFadeMs', self.hardwareFadeMs);
+
+  // Back to software: the chip must not keep gliding on immediate writes
+  if (self.volumeRampMode === 'software' && self.volumeRampRate !== VOLUME_RAMP_FASTEST) {
+    self.cancelRampMute();
+    self.cancelRamp();
+    self.volumeRampRate = VOLUME_RAMP_FASTEST;
+    self.writeDeemphasis(self.getActiveDeemphasis());
+  }
+
   self.commandRouter.pushToastMessage('success',
     self.getI18nString('PLUGIN_NAME'),
     self.getI18nString('SETTINGS_SAVED'));
@@ -1591,6 +5370,14 @@ ControllerES9018K2M.prototype.saveMuteSettings = function(data) {
 ControllerES9018K2M.prototype.saveBalanceSettings = function(data) {
   var self = this;
 
+  if (data.channelMode && data.channelMode.value !== undefined) {
+    self.setChannelMode(data.channelMode.value);
+  }
+
+  if (data.polarityInvertLeft !== undefined || data.polarityInvertRight !== undefined) {
+    self.setPolarity(data.polarityInvertLeft === true, data.polarityInvertRight === true);
+  }
+
   var balance = parseInt(data.balance, 10) || 0;
   self.setBalance(balance);
 
@@ -1612,15 +5399,34 @@ ControllerES9018K2M.prototype.resetBalance = function() {
 ControllerES9018K2M.prototype.saveFilterSettings = function(data) {
   var self = this;
 
+  // The form lists only the chip's options; anything else is a stale page
+  if ((data.fir && data.fir.value !== undefined && !chips.supportsFir(self.chip, data.fir.value)) ||
+      (data.iir && data.iir.value !== undefined && !chips.supportsIir(self.chip, data.iir.value))) {
+    self.commandRouter.pushToastMessage('error',
+      self.getI18nString('PLUGIN_NAME'),
+      self.getI18nString('FILTER_UNSUPPORTED') + ' ' + self.chip.name);
+    return;
+  }
+
   if (data.fir && data.fir.value !== undefined) {
     self.setFirFilter(data.fir.value);
   }
   if (data.iir && data.iir.value !== undefined) {
     self.setIirFilter(data.iir.value);
   }
+  // Flags first - switching to Auto evaluates the playing track
+  if (data.deemphasisPatterns !== undefined) {
+    self.config.set('deemphasisPatterns', String(data.deemphasisPatterns).trim());
+  }
+  if (data.deemphasisUseTag !== undefined) {
+    self.config.set('deemphasisUseTag', data.deemphasisUseTag !== false);
+  }
   if (data.deemphasis && data.deemphasis.value !== undefined) {
     self.setDeemphasis(data.deemphasis.value);
   }
+  if (data.thdCompensation !== undefined) {
+    self.setThdCompensation(data.thdCompensation === true, data.thdC2, data.thdC3);
+  }
 
   self.commandRouter.pushToastMessage('success',
     self.getI18nString('PLUGIN_NAME'),
@@ -1640,6 +5446,265 @@ ControllerES9018K2M.prototype.saveDpllSettings = function(data) {
     self.getI18nString('SETTINGS_SAVED'));
 };
 
+ControllerES9018K2M.prototype.saveFormatProfiles = function(data) {
+  var self = this;
+
+  self.autoFormatEnabled = data.autoFormatEnabled || false;
+  self.config.set('autoFormatEnabled', self.autoFormatEnabled);
+
+  Object.keys(FORMAT_PROFILE_DEFAULTS).forEach(function(family) {
+    Object.keys(FORMAT_PROFILE_DEFAULTS[family]).forEach(function(field) {
+      var key = self.formatProfileKey(family, field);
+      if (data[key] && data[key].value !== undefined) {
+        self.config.set(key, data[key].value);
+      }
+    });
+  });
+
+  if (self.autoFormatEnabled) {
+    var state = self.commandRouter.volumioGetState();
+    self.currentFormat = state ? self.detectFormat(state) : null;
+  } else {
+    self.currentFormat = null;
+  }
+
+  if (self.deviceFound) {
+    self.applyFormatProfile();
+  }
+
+  self.commandRouter.pushToastMessage('success',
+    self.getI18nString('PLUGIN_NAME'),
+    self.getI18nString('SETTINGS_SAVED'));
+};
+
+// Sound Presets section: one Apply button, the action select picks what to do
+ControllerES9018K2M.prototype.managePreset = function(data) {
+  var self = this;
+
+  var selected = (data.presetSelect && data.presetSelect.value) || '';
+  var action = (data.presetAction && data.presetAction.value) || 'load';
+  var name = data.presetName || '';
+  var message;
+
+  try {
+    switch (action) {
+      case 'load':
+        self.loadPreset(selected);
+        message = self.getI18nString('PRESET_LOADED') + ': ' + selected;
+        break;
+      case 'save':
+        message = self.getI18nString('PRESET_SAVED') + ': ' + self.savePreset(name || selected);
+        break;
+      case 'rename':
+        message = self.getI18nString('PRESET_RENAMED') + ': ' + self.renamePreset(selected, name);
+        break;
+      case 'delete':
+        self.deletePreset(selected);
+        message = self.getI18nString('PRESET_DELETED') + ': ' + selected;
+        break;
+      case 'export':
+        message = self.getI18nString('PRESET_EXPORTED') + ': ' + self.exportPreset(selected);
+        break;
+      case 'import':
+        message = self.getI18nString('PRESET_IMPORTED') + ': ' + self.importPreset(name);
+        break;
+      default:
+        throw new Error('Unknown preset action ' + action);
+    }
+  } catch (err) {
+    self.logger.error('ES9018K2M: Preset ' + action + ' failed: ' + err.message);
+    self.commandRouter.pushToastMessage('error',
+      self.getI18nString('PLUGIN_NAME'),
+      err.message);
+    return;
+  }
+
+  self.commandRouter.pushToastMessage('success',
+    self.getI18nString('PLUGIN_NAME'),
+    message);
+
+  self.refreshUIConfig();
+};
+
+ControllerES9018K2M.prototype.saveQuietHours = function(data) {
+  var self = this;
+
+  var stored = self.getQuietWindows();
+  var windows = [];
+
+  for (var slot = 1; slot <= QUIET_HOURS_SLOTS; slot++) {
+    var prefix = 'qh' + slot;
+    var quietWindow = quietHours.normalizeWindow({
+      enabled: data[prefix + 'Enabled'] === true,
+      start: data[prefix + 'Start'],
+      end: data[prefix + 'End'],
+      days: data[prefix + 'Days'],
+      maxVolume: data[prefix + 'MaxVolume'],
+      action: data[prefix + 'Action'] && data[prefix + 'Action'].value
+    });
+
+    if (!quietWindow && data[prefix + 'Enabled'] === true) {
+      self.commandRouter.pushToastMessage('error',
+        self.getI18nString('PLUGIN_NAME'),
+        self.getI18nString('QUIET_WINDOW_INVALID') + ' ' + slot);
+      return;
+    }
+
+    // A disabled slot with bad input keeps what it had
+    windows.push(quietWindow || stored[slot - 1] || QUIET_WINDOW_DEFAULT);
+  }
+
+  var fadeSeconds = parseInt(data.quietHoursFadeSeconds, 10) || 10;
+  self.quietHoursFadeSeconds = Math.max(1, Math.min(300, fadeSeconds));
+  self.quietHoursEnabled = data.quietHoursEnabled || false;
+
+  self.config.set('quietHoursEnabled', self.quietHoursEnabled);
+  self.config.set('quietHoursFadeSeconds', self.quietHoursFadeSeconds);
+  self.config.set('quietHoursWindows', JSON.stringify(windows));
+
+  // Re-evaluate now; a window we are already inside only lowers the ceiling
+  if (self.deviceFound) {
+    self.startQuietHours();
+    self.applyVolumeLimit();
+  }
+
+  self.commandRouter.pushToastMessage('success',
+    self.getI18nString('PLUGIN_NAME'),
+    self.getI18nString('SETTINGS_SAVED'));
+
+  self.refreshUIConfig();
+};
+
+ControllerES9018K2M.prototype.saveHttpApi = function(data) {
+  var self = this;
+  var port = parseInt(data.httpApiPort, 10);
+
+  if (isNaN(port) || port < HTTP_API_PORT_MIN || port > 65535) {
+    self.commandRouter.pushToastMessage('error',
+      self.getI18nString('PLUGIN_NAME'),
+      self.getI18nString('HTTP_API_PORT_INVALID'));
+    return libQ.resolve();
+  }
+
+  // Never open the API to the network without a token
+  var listenAll = data.httpApiListenAll || false;
+  var token = (data.httpApiToken || '').trim();
+  if (listenAll && !token) {
+    self.commandRouter.pushToastMessage('error',
+      self.getI18nString('PLUGIN_NAME'),
+      self.getI18nString('HTTP_API_TOKEN_REQUIRED'));
+    return libQ.resolve();
+  }
+
+  self.config.set('httpApiEnabled', data.httpApiEnabled || false);
+  self.config.set('httpApiPort', port);
+  self.config.set('httpApiListenAll', listenAll);
+  self.config.set('httpApiToken', token);
+
+  return self.startHttpApi().then(function() {
+    if (self.httpApiError) {
+      self.commandRouter.pushToastMessage('error',
+        self.getI18nString('PLUGIN_NAME'),
+        self.getI18nString('HTTP_API_FAILED') + ': ' + self.httpApiError);
+    } else {
+      self.commandRouter.pushToastMessage('success',
+        self.getI18nString('PLUGIN_NAME'),
+        self.getI18nString('SETTINGS_SAVED'));
+    }
+    self.refreshUIConfig();
+  });
+};
+
+ControllerES9018K2M.prototype.saveMqtt = function(data) {
+  var self = this;
+  var url = (data.mqttBrokerUrl || '').trim();
+  var baseTopic = (data.mqttBaseTopic || '').trim();
+  var prefix = (data.mqttDiscoveryPrefix || '').trim();
+
+  if (!/^(mqtts?|wss?):\/\/[^\s]+$/.test(url) || !mqttBridge.isValidBaseTopic(baseTopic) ||
+      !mqttBridge.isValidBaseTopic(prefix)) {
+    self.commandRouter.pushToastMessage('error',
+      self.getI18nString('PLUGIN_NAME'),
+      self.getI18nString('MQTT_INVALID'));
+    return;
+  }
+
+  // Retained discovery configs under the old topic would linger as stale
+  // entities; Home Assistant drops an entity when its config is emptied
+  if (self.mqttConnected && self.config.get('mqttDiscovery', true) &&
+      (baseTopic !== self.getMqttBaseTopic() || prefix !== self.config.get('mqttDiscoveryPrefix', 'homeassistant') ||
+       !data.mqttDiscovery || !data.mqttEnabled)) {
+    self.clearMqttDiscovery();
+  }
+
+  self.config.set('mqttEnabled', data.mqttEnabled || false);
+  self.config.set('mqttBrokerUrl', url);
+  self.config.set('mqttUsername', (data.mqttUsername || '').trim());
+  self.config.set('mqttPassword', data.mqttPassword || '');
+  self.config.set('mqttBaseTopic', baseTopic);
+  self.config.set('mqttDiscovery', data.mqttDiscovery || false);
+  self.config.set('mqttDiscoveryPrefix', prefix);
+
+  self.startMqtt();
+
+  self.commandRouter.pushToastMessage('success',
+    self.getI18nString('PLUGIN_NAME'),
+    self.getI18nString('SETTINGS_SAVED'));
+
+  self.refreshUIConfig();
+};
+
+ControllerES9018K2M.prototype.saveLoudness = function(data) {
+  var self = this;
+
+  var mode = (data.replayGainMode && data.replayGainMode.value) || 'off';
+  if (replayGain.MODES.indexOf(mode) < 0) {
+    mode = 'off';
+  }
+
+  // Preamp in 0.5 dB steps, as the chip attenuates
+  var preampDb = parseFloat(data.replayGainPreampDb) || 0;
+  preampDb = Math.round(Math.max(REPLAYGAIN_PREAMP_MIN_DB, Math.min(REPLAYGAIN_PREAMP_MAX_DB, preampDb)) * 2) / 2;
+
+  var trimsText = String(data.sourceTrims || '').trim();
+  var trims = self.parseSourceTrims(trimsText);
+  if (!trims) {
+    self.commandRouter.pushToastMessage('error',
+      self.getI18nString('PLUGIN_NAME'),
+      self.getI18nString('SOURCE_TRIMS_INVALID'));
+    return libQ.resolve();
+  }
+
+  self.replayGainMode = mode;
+  self.sourceTrims = trims;
+  self.config.set('replayGainMode', mode);
+  self.config.set('replayGainPreampDb', preampDb);
+  self.config.set('replayGainPreventClipping', data.replayGainPreventClipping || false);
+  self.config.set('sourceTrims', trimsText);
+
+  // Re-evaluate the playing track and source with the new settings
+  self.replayGainKey = null;
+  self.sourceTrimService = null;
+  var state = self.commandRouter.volumioGetState();
+  var update = (mode !== 'off' && state) ? self.updateReplayGain(state) : libQ.resolve();
+  if (state) {
+    self.updateSourceTrim(state);
+  }
+
+  return update.then(function() {
+    if (mode === 'off') {
+      self.replayGainTagged = false;
+      self.setReplayGainDb(0);
+    }
+
+    self.commandRouter.pushToastMessage('success',
+      self.getI18nString('PLUGIN_NAME'),
+      self.getI18nString('SETTINGS_SAVED'));
+
+    self.refreshUIConfig();
+  });
+};
+
 ControllerES9018K2M.prototype.resetDevice = function() {
   var self = this;
 
@@ -1659,16 +5724,54 @@ ControllerES9018K2M.prototype.resetDevice = function() {
   self.config.set('rememberLastVolume', false);
   self.config.set('lastSavedVolume', -1);
   self.config.set('balance', 0);
+  self.config.set('channelMode', 'stereo');
+  self.config.set('inputMode', 'auto');
+  self.config.set('inputBitWidth', 32);
+  self.config.set('inputSourceServices', INPUT_SOURCE_DEFAULT);
+  self.config.set('polarityInvertLeft', false);
+  self.config.set('polarityInvertRight', false);
+  self.config.set('volumeCurve', 'db');
+  self.config.set('volumeRangeDb', 49.5);
+  self.config.set('volumeCurveTable', '');
+  self.config.set('maxVolume', 100);
+  self.config.set('gainOffsetDb', 0);
+  self.config.set('replayGainMode', 'off');
+  self.config.set('replayGainPreampDb', 0);
+  self.config.set('replayGainPreventClipping', true);
+  self.config.set('sourceTrims', '');
+  self.config.set('quietHoursEnabled', false);
+  self.config.set('quietHoursFadeSeconds', 10);
+  self.config.set('quietHoursWindows', '[]');
   self.config.set('fir', 1);
   self.config.set('iir', 0);
   self.config.set('deemphasis', 0x4A);
+  self.config.set('deemphasisPatterns', '');
+  self.config.set('deemphasisUseTag', true);
   self.config.set('i2sDpll', 0x50);
   self.config.set('dsdDpll', 0x0A);
+  self.config.set('thdCompensation', false);
+  self.config.set('thdC2', 0);
+  self.config.set('thdC3', 0);
   self.config.set('seekMuteMs', 150);
-  self.config.set('gracefulSteps', 3);
+  self.config.set('rampDurationMs', 100);
+  self.config.set('rampEasing', 'db');
   self.config.set('gracefulTransitions', true);
   self.config.set('gracefulVolume', true);
+  self.config.set('volumeRampMode', 'software');
+  self.config.set('hardwareFadeMs', 300);
   self.config.set('debugLogging', false);
+  self.config.set('watchdogEnabled', true);
+  self.config.set('watchdogInterval', 30);
+  self.config.set('oscillatorMhz', 100);
+  self.config.set('autoFormatEnabled', false);
+  Object.keys(FORMAT_PROFILE_DEFAULTS).forEach(function(family) {
+    Object.keys(FORMAT_PROFILE_DEFAULTS[family]).forEach(function(field) {
+      self.config.set(self.formatProfileKey(family, field),
+        FORMAT_PROFILE_DEFAULTS[family][field]);
+    });
+  });
+
+  // Automute and soft start are board tuning - kept, and rewritten by initDevice
 
   // Unregister volume override if active
   if (self.volumeOverrideRegistered) {
@@ -1676,8 +5779,23 @@ ControllerES9018K2M.prototype.resetDevice = function() {
   }
 
   self.loadConfig();
+  self.currentFormat = null;
+  self.autoDeemphasis = DEEMPHASIS_OFF;
+  self.albumInvertKey = null;
+  self.sourceInput = 'auto';
+  self.replayGainDb = 0;
+  self.replayGainTagged = false;
+  self.replayGainKey = null;
+  self.sourceTrimDb = 0;
+  self.sourceTrimService = null;
+  self.cancelRampMute();
+  self.cancelRamp();
+  self.rampReg = null;
+  self.volumeRampRate = VOLUME_RAMP_FASTEST;  // initDevice writes 0x47
   self.initDevice();
   self.applySettings();
+  self.startWatchdog();
+  self.startQuietHours();
 
   // Start software mode volume sync
   self.startVolumeSync();
@@ -1691,35 +5809,148 @@ ControllerES9018K2M.prototype.resetDevice = function() {
 // Option Helpers for UI
 // ---------------------------------------------------------------------------
 
-ControllerES9018K2M.prototype.getFirOption = function(value) {
+ControllerES9018K2M.prototype.getTransportOption = function(value) {
+  var self = this;
   var options = [
-    { value: 0, label: 'Slow Roll-Off' },
-    { value: 1, label: 'Fast Roll-Off' },
-    { value: 2, label: 'Minimum Phase' },
-    { value: 3, label: 'Bypass' }
+    { value: 'auto', label: self.getI18nString('I2C_TRANSPORT_AUTO') },
+    { value: 'native', label: self.getI18nString('I2C_TRANSPORT_NATIVE') },
+    { value: 'i2ctools', label: self.getI18nString('I2C_TRANSPORT_I2CTOOLS') }
   ];
-  return options.find(function(o) { return o.value === value; }) || options[1];
+  return options.find(function(o) { return o.value === value; }) || options[0];
 };
 
-ControllerES9018K2M.prototype.getIirOption = function(value) {
+ControllerES9018K2M.prototype.getVolumeCurveOption = function(value) {
+  var self = this;
   var options = [
-    { value: 0, label: '47K (PCM)' },
-    { value: 1, label: '50K (DSD)' },
-    { value: 2, label: '60K (DSD)' },
-    { value: 3, label: '70K (DSD)' },
-    { value: 4, label: 'Bypass' }
+    { value: 'db', label: self.getI18nString('VOLUME_CURVE_DB') },
+    { value: 'log', label: self.getI18nString('VOLUME_CURVE_LOG') },
+    { value: 'table', label: self.getI18nString('VOLUME_CURVE_TABLE') }
   ];
   return options.find(function(o) { return o.value === value; }) || options[0];
 };
 
-ControllerES9018K2M.prototype.getDeemphasisOption = function(value) {
+ControllerES9018K2M.prototype.getReplayGainModeOption = function(value) {
+  var self = this;
+  var options = [
+    { value: 'off', label: self.getI18nString('REPLAYGAIN_MODE_OFF') },
+    { value: 'track', label: self.getI18nString('REPLAYGAIN_MODE_TRACK') },
+    { value: 'album', label: self.getI18nString('REPLAYGAIN_MODE_ALBUM') },
+    { value: 'auto', label: self.getI18nString('REPLAYGAIN_MODE_AUTO') }
+  ];
+  return options.find(function(o) { return o.value === value; }) || options[0];
+};
+
+ControllerES9018K2M.prototype.getRampEasingOption = function(value) {
+  var self = this;
+  var options = [
+    { value: 'db', label: self.getI18nString('RAMP_EASING_DB') },
+    { value: 'scurve', label: self.getI18nString('RAMP_EASING_SCURVE') },
+    { value: 'exp', label: self.getI18nString('RAMP_EASING_EXP') }
+  ];
+  return options.find(function(o) { return o.value === value; }) || options[0];
+};
+
+ControllerES9018K2M.prototype.getVolumeRampModeOption = function(value) {
+  var self = this;
+  var options = [
+    { value: 'software', label: self.getI18nString('VOLUME_RAMP_SOFTWARE') },
+    { value: 'hardware', label: self.getI18nString('VOLUME_RAMP_HARDWARE') }
+  ];
+  return options.find(function(o) { return o.value === value; }) || options[0];
+};
+
+ControllerES9018K2M.prototype.getInputModeOption = function(value) {
+  var self = this;
+  var options = [
+    { value: 'auto', label: self.getI18nString('INPUT_MODE_AUTO') },
+    { value: 'i2s', label: self.getI18nString('INPUT_MODE_I2S') },
+    { value: 'lj', label: self.getI18nString('INPUT_MODE_LJ') },
+    { value: 'dsd', label: self.getI18nString('INPUT_MODE_DSD') },
+    { value: 'spdif', label: self.getI18nString('INPUT_MODE_SPDIF') },
+    { value: 'source', label: self.getI18nString('INPUT_MODE_SOURCE') }
+  ];
+  return options.find(function(o) { return o.value === value; }) || options[0];
+};
+
+ControllerES9018K2M.prototype.getInputWidthOption = function(value) {
+  var options = [
+    { value: 16, label: '16-bit' },
+    { value: 24, label: '24-bit' },
+    { value: 32, label: '32-bit' }
+  ];
+  return options.find(function(o) { return o.value === value; }) || options[2];
+};
+
+ControllerES9018K2M.prototype.getChannelModeOption = function(value) {
+  var self = this;
+  var options = [
+    { value: 'stereo', label: self.getI18nString('CHANNEL_MODE_STEREO') },
+    { value: 'swapped', label: self.getI18nString('CHANNEL_MODE_SWAPPED') },
+    { value: 'mono', label: self.getI18nString('CHANNEL_MODE_MONO') },
+    { value: 'left', label: self.getI18nString('CHANNEL_MODE_LEFT') },
+    { value: 'right', label: self.getI18nString('CHANNEL_MODE_RIGHT') }
+  ];
+  return options.find(function(o) { return o.value === value; }) || options[0];
+};
+
+ControllerES9018K2M.prototype.getBoardRoleOption = function(value) {
+  var self = this;
+  var options = [
+    { value: 'stereo', label: self.getI18nString('BOARD_ROLE_STEREO') },
+    { value: 'left', label: self.getI18nString('BOARD_ROLE_LEFT') },
+    { value: 'right', label: self.getI18nString('BOARD_ROLE_RIGHT') }
+  ];
+  return options.find(function(o) { return o.value === value; }) || options[0];
+};
+
+ControllerES9018K2M.prototype.getQuietActionOption = function(value) {
+  var self = this;
   var options = [
+    { value: 'none', label: self.getI18nString('QUIET_ACTION_NONE') },
+    { value: 'mute', label: self.getI18nString('QUIET_ACTION_MUTE') },
+    { value: 'fade', label: self.getI18nString('QUIET_ACTION_FADE') }
+  ];
+  return options.find(function(o) { return o.value === value; }) || options[0];
+};
+
+// Filter options of the detected chip (see lib/chips.js)
+ControllerES9018K2M.prototype.getFirOptions = function() {
+  return chips.listFir(this.chip).map(function(value) {
+    return { value: value, label: chips.FIR_LABELS[value] };
+  });
+};
+
+ControllerES9018K2M.prototype.getIirOptions = function() {
+  return chips.listIir(this.chip).map(function(value) {
+    return { value: value, label: chips.IIR_LABELS[value] };
+  });
+};
+
+ControllerES9018K2M.prototype.getFirOption = function(value) {
+  var options = this.getFirOptions();
+  return options.find(function(o) { return o.value === value; }) ||
+    options.find(function(o) { return o.value === chips.FIR_DEFAULT; });
+};
+
+ControllerES9018K2M.prototype.getIirOption = function(value) {
+  var options = this.getIirOptions();
+  return options.find(function(o) { return o.value === value; }) ||
+    options.find(function(o) { return o.value === chips.IIR_DEFAULT; });
+};
+
+ControllerES9018K2M.prototype.getDeemphasisOption = function(value) {
+  var options = this.getDeemphasisOptions();
+  return options.find(function(o) { return o.value === value; }) || options[0];
+};
+
+ControllerES9018K2M.prototype.getDeemphasisOptions = function() {
+  return [
     { value: 0x4A, label: 'Off' },
     { value: 0x0A, label: '32 kHz' },
     { value: 0x1A, label: '44.1 kHz' },
-    { value: 0x2A, label: '48 kHz' }
+    { value: 0x2A, label: '48 kHz' },
+    { value: DEEMPHASIS_AUTO, label: 'Auto (flagged tracks)' }
   ];
-  return options.find(function(o) { return o.value === value; }) || options[0];
 };
 
 ControllerES9018K2M.prototype.getDpllOption = function(value) {
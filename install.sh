@@ -10,6 +10,11 @@ if ! command -v i2cset &> /dev/null; then
   apt-get install -y i2c-tools
 fi
 
+# Command line control of the running plugin
+PLUGIN_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+chmod +x "$PLUGIN_DIR/bin/es9018k2m-ctl"
+ln -sf "$PLUGIN_DIR/bin/es9018k2m-ctl" /usr/local/bin/es9018k2m-ctl
+
 echo ""
 echo "=========================================="
 echo "ES9018K2M DAC Control Plugin installed"
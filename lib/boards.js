@@ -0,0 +1,82 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Boards - several ES9018K2M driven as one system (dual-mono, multi-zone)
+//
+// A board is:
+//   { enabled, bus, address, role, trimDb, balance }
+//   address  - 7-bit I2C address (0x48-0x4B on the common boards)
+//   role     - 'stereo' follows Channel Mode; 'left' / 'right' put that
+//              channel on both outputs (one board per channel)
+//   trimDb   - 0 to -20 dB, cut on top of the system volume
+//   balance  - -40..40 half-dB steps, added to the system balance
+//
+// Pure functions only; the controller owns transports and writes.
+// ---------------------------------------------------------------------------
+
+var ROLES = ['stereo', 'left', 'right'];
+var BUS_MAX = 10;
+var TRIM_MIN_DB = -20;
+var BALANCE_MAX = 40;
+
+// "0x49", "73" or 73 -> 73, null if not a valid 7-bit address
+function parseAddress(text) {
+  var input = String(text === undefined || text === null ? '' : text).trim().toLowerCase();
+  var address = input.startsWith('0x') ? parseInt(input, 16) : parseInt(input, 10);
+
+  if (isNaN(address) || address < 0x03 || address > 0x77) {
+    return null;
+  }
+  return address;
+}
+
+function formatAddress(address) {
+  return '0x' + address.toString(16).toUpperCase();
+}
+
+// Validate a board from config or the UI; null if bus or address is invalid
+function normalizeBoard(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+
+  var bus = parseInt(entry.bus, 10);
+  var address = parseAddress(entry.address);
+  var trimDb = parseFloat(entry.trimDb);
+  var balance = parseInt(entry.balance, 10);
+
+  if (isNaN(bus) || bus < 0 || bus > BUS_MAX || address === null) {
+    return null;
+  }
+
+  return {
+    enabled: entry.enabled === true,
+    bus: bus,
+    address: address,
+    role: ROLES.indexOf(entry.role) >= 0 ? entry.role : 'stereo',
+    // Half-dB steps, like the attenuation registers
+    trimDb: isNaN(trimDb) ? 0 : Math.round(Math.max(TRIM_MIN_DB, Math.min(0, trimDb)) * 2) / 2,
+    balance: isNaN(balance) ? 0 : Math.max(-BALANCE_MAX, Math.min(BALANCE_MAX, balance))
+  };
+}
+
+// Attenuation steps (0.5 dB) for a trim
+function trimToRegister(trimDb) {
+  return Math.round(-trimDb * 2);
+}
+
+// "bus 1, 0x49"
+function describeBoard(board) {
+  return 'bus ' + board.bus + ', ' + formatAddress(board.address);
+}
+
+module.exports = {
+  ROLES: ROLES,
+  TRIM_MIN_DB: TRIM_MIN_DB,
+  BALANCE_MAX: BALANCE_MAX,
+  parseAddress: parseAddress,
+  formatAddress: formatAddress,
+  normalizeBoard: normalizeBoard,
+  trimToRegister: trimToRegister,
+  describeBoard: describeBoard
+};
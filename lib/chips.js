@@ -0,0 +1,234 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Chips - register maps of the supported Sabre DACs
+//
+// Register 64 identifies the chip:
+//   ES9018K2M         [7:5] revision, [4:2] chip ID = 0b100
+//   ES9038Q2M / 28Q2M [7:2] chip ID, no revision field
+// The Q2M IDs are compared first; their low bits would also pass the
+// ES9018K2M check.
+//
+// A chip is:
+//   { id, name, volume, fir, iir, dpll, thd }
+//   volume - attenuation registers of the two outputs
+//   fir    - filter option -> bits in the filter register (0x07) and the
+//            bypass register (0x15), with the mask of each
+//   iir    - same for the IIR bandwidth
+//   dpll   - DPLL bandwidth register and the serial / DSD nibble masks
+//   thd    - THD compensation registers, null if the chip has none
+//
+// Option numbers are shared across chips so presets and format profiles
+// keep their meaning; a chip lists only the options it supports.
+// ---------------------------------------------------------------------------
+
+var FIR_LABELS = {
+  0: 'Slow Roll-Off',
+  1: 'Fast Roll-Off',
+  2: 'Minimum Phase',
+  3: 'Bypass',
+  4: 'Slow Minimum Phase',
+  5: 'Apodizing',
+  6: 'Hybrid',
+  7: 'Brick Wall'
+};
+
+var IIR_LABELS = {
+  0: '47K (PCM)',
+  1: '50K (DSD)',
+  2: '60K (DSD)',
+  3: '70K (DSD)',
+  4: 'Bypass'
+};
+
+var FIR_DEFAULT = 1;
+var IIR_DEFAULT = 0;
+
+// THD coefficients are 16-bit two's complement
+var THD_MIN = -32768;
+var THD_MAX = 32767;
+
+var K2M_IIR = {
+  masks: { filter: 0x0C, bypass: 0x04 },
+  options: {
+    0: { filter: 0x00, bypass: 0x00 },
+    1: { filter: 0x04, bypass: 0x00 },
+    2: { filter: 0x08, bypass: 0x00 },
+    3: { filter: 0x0C, bypass: 0x00 },
+    4: { filter: 0x00, bypass: 0x04 }
+  }
+};
+
+// filter_shape [7:5]; the Q2M has no OSF bypass
+var Q2M_FIR = {
+  masks: { filter: 0xE0, bypass: 0x00 },
+  options: {
+    0: { filter: 0x20, bypass: 0x00 },
+    1: { filter: 0x00, bypass: 0x00 },
+    2: { filter: 0x40, bypass: 0x00 },
+    4: { filter: 0x60, bypass: 0x00 },
+    5: { filter: 0x80, bypass: 0x00 },
+    6: { filter: 0xC0, bypass: 0x00 },
+    7: { filter: 0xE0, bypass: 0x00 }
+  }
+};
+
+// IIR bandwidth [3:2]; no IIR bypass
+var Q2M_IIR = {
+  masks: { filter: 0x0C, bypass: 0x00 },
+  options: {
+    0: { filter: 0x00, bypass: 0x00 },
+    1: { filter: 0x04, bypass: 0x00 },
+    2: { filter: 0x08, bypass: 0x00 },
+    3: { filter: 0x0C, bypass: 0x00 }
+  }
+};
+
+var VOLUME = { left: 0x0F, right: 0x10 };
+var DPLL = { register: 0x0C, serialMask: 0xF0, dsdMask: 0x0F };
+
+// Enable bit shares register 0x0D with channel polarity
+var Q2M_THD = {
+  enableRegister: 0x0D,
+  enableBit: 0x40,
+  c2: [0x16, 0x17],
+  c3: [0x18, 0x19]
+};
+
+var CHIPS = {
+  es9018k2m: {
+    id: 'es9018k2m',
+    name: 'ES9018K2M',
+    volume: VOLUME,
+    fir: {
+      masks: { filter: 0x60, bypass: 0x01 },
+      options: {
+        0: { filter: 0x20, bypass: 0x00 },
+        1: { filter: 0x00, bypass: 0x00 },
+        2: { filter: 0x40, bypass: 0x00 },
+        3: { filter: 0x00, bypass: 0x01 }
+      }
+    },
+    iir: K2M_IIR,
+    dpll: DPLL,
+    thd: null
+  },
+  es9038q2m: {
+    id: 'es9038q2m',
+    name: 'ES9038Q2M',
+    chipId: 0x1C,
+    volume: VOLUME,
+    fir: Q2M_FIR,
+    iir: Q2M_IIR,
+    dpll: DPLL,
+    thd: Q2M_THD
+  },
+  es9028q2m: {
+    id: 'es9028q2m',
+    name: 'ES9028Q2M',
+    chipId: 0x1A,
+    volume: VOLUME,
+    fir: Q2M_FIR,
+    iir: Q2M_IIR,
+    dpll: DPLL,
+    thd: Q2M_THD
+  }
+};
+
+var DEFAULT_CHIP = 'es9018k2m';
+
+// I2C addresses the chips can be strapped to (ADDR pins)
+var ADDRESSES = [0x48, 0x49, 0x4A, 0x4B];
+
+// Register 64 -> { chip, revision }, null if no supported chip answered
+function identify(status) {
+  var ids = Object.keys(CHIPS);
+
+  for (var i = 0; i < ids.length; i++) {
+    var chip = CHIPS[ids[i]];
+    if (chip.chipId !== undefined && (status >> 2) === chip.chipId) {
+      return { chip: chip, revision: null };
+    }
+  }
+  if ((status & 0x1C) === 0x10) {
+    return { chip: CHIPS.es9018k2m, revision: (status >> 5) & 0x07 };
+  }
+  return null;
+}
+
+function getChip(id) {
+  return CHIPS[id] || CHIPS[DEFAULT_CHIP];
+}
+
+function supportsFir(chip, mode) {
+  return chip.fir.options[mode] !== undefined;
+}
+
+function supportsIir(chip, mode) {
+  return chip.iir.options[mode] !== undefined;
+}
+
+// Option numbers the chip supports, ascending
+function listFir(chip) {
+  return Object.keys(chip.fir.options).map(Number);
+}
+
+function listIir(chip) {
+  return Object.keys(chip.iir.options).map(Number);
+}
+
+// Apply a filter option to the shadows { filter, bypass }; an unsupported
+// option falls back to the default
+function applyFilter(map, mode, fallback, shadows) {
+  var bits = map.options[mode] || map.options[fallback];
+
+  return {
+    filter: (shadows.filter & ~map.masks.filter & 0xFF) | bits.filter,
+    bypass: (shadows.bypass & ~map.masks.bypass & 0xFF) | bits.bypass
+  };
+}
+
+function applyFir(chip, mode, shadows) {
+  return applyFilter(chip.fir, mode, FIR_DEFAULT, shadows);
+}
+
+function applyIir(chip, mode, shadows) {
+  return applyFilter(chip.iir, mode, IIR_DEFAULT, shadows);
+}
+
+function clampThd(value) {
+  var number = parseInt(value, 10);
+
+  if (isNaN(number)) {
+    return 0;
+  }
+  return Math.max(THD_MIN, Math.min(THD_MAX, number));
+}
+
+// Coefficient -> [low byte, high byte]
+function thdBytes(value) {
+  var word = clampThd(value) & 0xFFFF;
+  return [word & 0xFF, word >> 8];
+}
+
+module.exports = {
+  CHIPS: CHIPS,
+  DEFAULT_CHIP: DEFAULT_CHIP,
+  ADDRESSES: ADDRESSES,
+  FIR_LABELS: FIR_LABELS,
+  IIR_LABELS: IIR_LABELS,
+  FIR_DEFAULT: FIR_DEFAULT,
+  IIR_DEFAULT: IIR_DEFAULT,
+  THD_MIN: THD_MIN,
+  THD_MAX: THD_MAX,
+  identify: identify,
+  getChip: getChip,
+  supportsFir: supportsFir,
+  supportsIir: supportsIir,
+  listFir: listFir,
+  listIir: listIir,
+  applyFir: applyFir,
+  applyIir: applyIir,
+  clampThd: clampThd,
+  thdBytes: thdBytes
+};
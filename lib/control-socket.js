@@ -0,0 +1,159 @@
+'use strict';
+
+var net = require('net');
+var fs = require('fs-extra');
+var libQ = require('kew');
+
+// ---------------------------------------------------------------------------
+// Control Socket - local Unix domain socket for es9018k2m-ctl
+//
+// One JSON object per line each way:
+//   -> { "command": "status" }
+//   <- { "ok": true, "result": { ... } }  or  { "ok": false, "error": "..." }
+//
+// The controller does the work: handler(request) returns a kew promise of
+// the result. Access is by file permission (mode, default 0660), so only
+// the plugin's user and group can connect.
+// ---------------------------------------------------------------------------
+
+var MAX_LINE_BYTES = 16384;
+
+// Unlink a socket left at the path; never delete a file, directory or symlink
+function removeStaleSocket(path) {
+  var stat;
+
+  try {
+    stat = fs.lstatSync(path);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return;
+    }
+    throw err;
+  }
+
+  if (!stat.isSocket()) {
+    throw new Error(path + ' exists and is not a socket');
+  }
+  fs.unlinkSync(path);
+}
+
+function ControlSocket(handler, options) {
+  var opts = options || {};
+
+  this.handler = handler;
+  this.path = opts.path;
+  this.mode = opts.mode !== undefined ? opts.mode : 0o660;
+  this.server = null;
+}
+
+// Resolves once listening. A socket file left by a crashed run is replaced.
+ControlSocket.prototype.start = function() {
+  var self = this;
+  var defer = libQ.defer();
+
+  try {
+    removeStaleSocket(self.path);
+  } catch (e) {
+    return libQ.reject(e);
+  }
+
+  self.server = net.createServer(function(connection) {
+    self.serve(connection);
+  });
+
+  self.server.once('error', function(err) {
+    self.server = null;
+    defer.reject(err);
+  });
+
+  self.server.listen(self.path, function() {
+    try {
+      fs.chmodSync(self.path, self.mode);
+    } catch (e) {
+      // Listening still works, with the umask's permissions
+    }
+    defer.resolve(self.path);
+  });
+
+  return defer.promise;
+};
+
+ControlSocket.prototype.stop = function() {
+  var self = this;
+  var defer = libQ.defer();
+
+  if (!self.server) {
+    return libQ.resolve();
+  }
+
+  self.server.close(function() {
+    defer.resolve();
+  });
+  self.server = null;
+
+  return defer.promise;
+};
+
+ControlSocket.prototype.serve = function(connection) {
+  var self = this;
+  var buffer = '';
+
+  connection.setEncoding('utf8');
+
+  connection.on('data', function(chunk) {
+    buffer += chunk;
+
+    if (buffer.length > MAX_LINE_BYTES && buffer.indexOf('\n') < 0) {
+      self.reply(connection, { ok: false, error: 'Request too large' });
+      connection.end();
+      return;
+    }
+
+    var newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      var line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) {
+        self.answer(connection, line);
+      }
+    }
+  });
+
+  // A client that goes away mid-request is not our problem
+  connection.on('error', function() {});
+};
+
+ControlSocket.prototype.answer = function(connection, line) {
+  var self = this;
+  var request;
+
+  try {
+    request = JSON.parse(line);
+  } catch (e) {
+    return self.reply(connection, { ok: false, error: 'Request is not valid JSON' });
+  }
+  if (!request || typeof request.command !== 'string') {
+    return self.reply(connection, { ok: false, error: 'Request needs a command' });
+  }
+
+  libQ.resolve()
+    .then(function() {
+      return self.handler(request);
+    })
+    .then(function(result) {
+      self.reply(connection, { ok: true, result: result === undefined ? null : result });
+    })
+    .fail(function(err) {
+      self.reply(connection, { ok: false, error: err.message });
+    });
+};
+
+ControlSocket.prototype.reply = function(connection, response) {
+  if (!connection.destroyed) {
+    connection.write(JSON.stringify(response) + '\n');
+  }
+};
+
+module.exports = {
+  ControlSocket: ControlSocket
+};
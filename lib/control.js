@@ -0,0 +1,114 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Control - validation of changes coming from outside the settings page
+//
+// Changes are a plain object with any of:
+//   volume      0-100
+//   mute        true / false
+//   balance     -40..40 (half-dB steps)
+//   fir / iir   filter option number
+//   deemphasis  de-emphasis option value (-1 = Auto)
+//   dpll        { i2s: 0x00-0xF0 in steps of 0x10, dsd: 0-15 }, either or both
+//
+// normalizeChanges() checks every field first so a request with one bad
+// value changes nothing. Option lists come from the controller, since they
+// depend on the detected chip.
+// ---------------------------------------------------------------------------
+
+var FIELDS = ['volume', 'mute', 'balance', 'fir', 'iir', 'deemphasis', 'dpll'];
+var BALANCE_MAX = 40;
+
+function isInteger(value, min, max) {
+  return typeof value === 'number' && Number.isInteger(value) && value >= min && value <= max;
+}
+
+// allowed: { fir: [..], iir: [..], deemphasis: [..] }
+// -> { changes, errors }; changes holds only valid fields, dpll fields as given
+function normalizeChanges(input, allowed) {
+  var changes = {};
+  var errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { changes: changes, errors: ['Changes must be an object'] };
+  }
+
+  Object.keys(input).forEach(function(field) {
+    var value = input[field];
+
+    switch (field) {
+      case 'volume':
+        if (isInteger(value, 0, 100)) {
+          changes.volume = value;
+        } else {
+          errors.push('volume must be an integer from 0 to 100');
+        }
+        break;
+      case 'mute':
+        if (typeof value === 'boolean') {
+          changes.mute = value;
+        } else {
+          errors.push('mute must be true or false');
+        }
+        break;
+      case 'balance':
+        if (isInteger(value, -BALANCE_MAX, BALANCE_MAX)) {
+          changes.balance = value;
+        } else {
+          errors.push('balance must be an integer from -40 to 40');
+        }
+        break;
+      case 'fir':
+      case 'iir':
+      case 'deemphasis':
+        if (allowed[field].indexOf(value) >= 0) {
+          changes[field] = value;
+        } else {
+          errors.push(field + ' must be one of ' + allowed[field].join(', '));
+        }
+        break;
+      case 'dpll':
+        var dpll = normalizeDpll(value);
+        if (dpll) {
+          changes.dpll = dpll;
+        } else {
+          errors.push('dpll must be { i2s: 0-240 in steps of 16, dsd: 0-15 }');
+        }
+        break;
+      default:
+        errors.push('Unknown setting: ' + field);
+    }
+  });
+
+  if (Object.keys(input).length === 0) {
+    errors.push('Nothing to change');
+  }
+
+  return { changes: changes, errors: errors };
+}
+
+function normalizeDpll(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+
+  var dpll = {};
+  if (value.i2s !== undefined) {
+    if (!isInteger(value.i2s, 0, 0xF0) || (value.i2s & 0x0F) !== 0) {
+      return null;
+    }
+    dpll.i2s = value.i2s;
+  }
+  if (value.dsd !== undefined) {
+    if (!isInteger(value.dsd, 0, 0x0F)) {
+      return null;
+    }
+    dpll.dsd = value.dsd;
+  }
+  return Object.keys(dpll).length > 0 ? dpll : null;
+}
+
+module.exports = {
+  FIELDS: FIELDS,
+  normalizeChanges: normalizeChanges
+};
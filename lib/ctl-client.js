@@ -0,0 +1,341 @@
+'use strict';
+
+var net = require('net');
+var libQ = require('kew');
+
+// ---------------------------------------------------------------------------
+// es9018k2m-ctl - command line client of the control socket
+// (lib/control-socket.js)
+//
+// Every command goes through the running plugin, so shadow registers,
+// config and the Volumio slider stay in step. Requests:
+//   { command: 'status' }
+//   { command: 'set', changes }          - same changes as the HTTP API
+//   { command: 'preset', action, name }  - list, load, save, delete
+//   { command: 'dump' }
+// ---------------------------------------------------------------------------
+
+var DEFAULT_SOCKET = '/data/configuration/system_hardware/es9018k2m/ctl.sock';
+var TIMEOUT_MS = 10000;
+
+var USAGE = [
+  'Usage: es9018k2m-ctl [--json] [--socket PATH] <command>',
+  '',
+  '  status                          DAC, volume, filters, DPLL and signal',
+  '  volume [0-100]                  show or set the volume',
+  '  mute [on|off]                   show or set mute',
+  '  filter [fir|iir|deemphasis X]   show filters, or set one by number or name',
+  '  dpll [i2s 0-15] [dsd 0-15]      show or set DPLL bandwidth',
+  '  balance [-40..40]               show or set balance (half-dB steps, + = right quieter)',
+  '  preset [list|load|save|delete NAME]',
+  '  dump                            registers of every board, * = differs from the plugin',
+  '',
+  'The socket defaults to $ES9018K2M_SOCKET or ' + DEFAULT_SOCKET + '.'
+].join('\n');
+
+function usageError(message) {
+  var err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+function parseInteger(text, min, max, what) {
+  var number = Number(text);
+
+  if (text === undefined || !Number.isInteger(number) || number < min || number > max) {
+    throw usageError(what + ' must be an integer from ' + min + ' to ' + max);
+  }
+  return number;
+}
+
+// argv (without node and script) -> { command, args, json, socket }
+function parseArgs(argv, env) {
+  var parsed = { command: null, args: [], json: false, socket: (env || {}).ES9018K2M_SOCKET || DEFAULT_SOCKET };
+
+  for (var i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') {
+      parsed.json = true;
+    } else if (argv[i] === '--socket') {
+      parsed.socket = argv[++i];
+      if (!parsed.socket) {
+        throw usageError('--socket needs a path');
+      }
+    } else if (argv[i] === '--help' || argv[i] === '-h') {
+      throw usageError('');
+    } else if (parsed.command === null) {
+      parsed.command = argv[i];
+    } else {
+      parsed.args.push(argv[i]);
+    }
+  }
+
+  if (!parsed.command) {
+    throw usageError('');
+  }
+  return parsed;
+}
+
+// Option value by number (0x4A works) or name: exact, then unique prefix,
+// ignoring case
+function findOption(options, text) {
+  var lower = text.toLowerCase();
+  var number = Number(text);
+
+  var found = options.filter(function(o) { return o.value === number && text.trim() !== ''; });
+  if (found.length === 0) {
+    found = options.filter(function(o) { return o.label.toLowerCase() === lower; });
+  }
+  if (found.length === 0) {
+    found = options.filter(function(o) { return o.label.toLowerCase().indexOf(lower) === 0; });
+  }
+  if (found.length !== 1) {
+    throw usageError('"' + text + '" is not one of: ' + options.map(function(o) { return o.label; }).join(', '));
+  }
+  return found[0].value;
+}
+
+// Parsed command -> socket request. state is the current status, needed
+// only to resolve filter names (see needsState).
+function toRequest(parsed, state) {
+  var args = parsed.args;
+
+  switch (parsed.command) {
+    case 'status':
+    case 'dump':
+      return { command: parsed.command };
+
+    case 'volume':
+      return args.length === 0 ? { command: 'status' }
+        : { command: 'set', changes: { volume: parseInteger(args[0], 0, 100, 'Volume') } };
+
+    case 'mute':
+      if (args.length === 0) {
+        return { command: 'status' };
+      }
+      if (!/^(on|off)$/i.test(args[0])) {
+        throw usageError('mute takes on or off');
+      }
+      return { command: 'set', changes: { mute: args[0].toLowerCase() === 'on' } };
+
+    case 'balance':
+      return args.length === 0 ? { command: 'status' }
+        : { command: 'set', changes: { balance: parseInteger(args[0], -40, 40, 'Balance') } };
+
+    case 'filter':
+      if (args.length === 0) {
+        return { command: 'status' };
+      }
+      if (['fir', 'iir', 'deemphasis'].indexOf(args[0]) < 0 || args.length < 2) {
+        throw usageError('filter takes fir, iir or deemphasis and a value');
+      }
+      var changes = {};
+      changes[args[0]] = findOption(state.options[args[0]], args.slice(1).join(' '));
+      return { command: 'set', changes: changes };
+
+    case 'dpll':
+      if (args.length === 0) {
+        return { command: 'status' };
+      }
+      var dpll = {};
+      for (var i = 0; i < args.length; i += 2) {
+        if (args[i] === 'i2s') {
+          dpll.i2s = parseInteger(args[i + 1], 0, 15, 'I2S DPLL') << 4;
+        } else if (args[i] === 'dsd') {
+          dpll.dsd = parseInteger(args[i + 1], 0, 15, 'DSD DPLL');
+        } else {
+          throw usageError('dpll takes i2s and/or dsd followed by 0-15');
+        }
+      }
+      return { command: 'set', changes: { dpll: dpll } };
+
+    case 'preset':
+      var action = args[0] || 'list';
+      var name = args.slice(1).join(' ');
+      if (['list', 'load', 'save', 'delete'].indexOf(action) < 0) {
+        throw usageError('preset takes list, load, save or delete');
+      }
+      if (action !== 'list' && !name) {
+        throw usageError('preset ' + action + ' needs a name');
+      }
+      return { command: 'preset', action: action, name: name };
+
+    default:
+      throw usageError('Unknown command: ' + parsed.command);
+  }
+}
+
+// Setting a filter by name needs the chip's option list first
+function needsState(parsed) {
+  return parsed.command === 'filter' && parsed.args.length > 0;
+}
+
+// One request over the socket; resolves to the result, rejects with the
+// plugin's error message
+function send(socketPath, request) {
+  var defer = libQ.defer();
+  var buffer = '';
+  var connection = net.createConnection(socketPath);
+
+  connection.setEncoding('utf8');
+  connection.setTimeout(TIMEOUT_MS, function() {
+    connection.destroy();
+    defer.reject(new Error('No answer from the plugin within ' + (TIMEOUT_MS / 1000) + ' s'));
+  });
+
+  connection.on('connect', function() {
+    connection.write(JSON.stringify(request) + '\n');
+  });
+
+  connection.on('data', function(chunk) {
+    buffer += chunk;
+    var newline = buffer.indexOf('\n');
+    if (newline < 0) {
+      return;
+    }
+
+    connection.end();
+    var response;
+    try {
+      response = JSON.parse(buffer.slice(0, newline));
+    } catch (e) {
+      return defer.reject(new Error('Unreadable answer from the plugin'));
+    }
+    if (response.ok) {
+      defer.resolve(response.result);
+    } else {
+      defer.reject(new Error(response.error));
+    }
+  });
+
+  connection.on('error', function(err) {
+    var message = (err.code === 'ENOENT' || err.code === 'ECONNREFUSED')
+      ? 'Plugin not running (no socket at ' + socketPath + ')'
+      : err.message;
+    defer.reject(new Error(message));
+  });
+
+  return defer.promise;
+}
+
+function labelOf(options, value) {
+  var option = options.find(function(o) { return o.value === value; });
+  return option ? option.label : String(value);
+}
+
+function hex(value) {
+  return '0x' + ('0' + value.toString(16).toUpperCase()).slice(-2);
+}
+
+function formatSignal(signal) {
+  if (!signal) {
+    return 'unknown';
+  }
+  if (!signal.locked) {
+    return 'no lock';
+  }
+  return 'locked, ' + (signal.dsd ? 'DSD' : 'PCM') + ' ' +
+    (signal.sampleRate / 1000).toFixed(1) + ' kHz';
+}
+
+function formatStatus(state) {
+  var primary = state.device.boards[0];
+  var rows = [
+    ['DAC', state.device.chip + (primary ? ' at bus ' + primary.bus + ', ' + primary.address : '') +
+      (state.device.found ? '' : ' (not detected)')],
+    ['Volume', (state.volume === null ? '-' : state.volume) + ' (' + state.volumeMode + ')'],
+    ['Mute', state.mute ? 'on' : 'off'],
+    ['Balance', String(state.balance)],
+    ['FIR', labelOf(state.options.fir, state.fir)],
+    ['IIR', labelOf(state.options.iir, state.iir)],
+    ['De-emphasis', labelOf(state.options.deemphasis, state.deemphasis)],
+    ['DPLL', 'I2S ' + (state.dpll.i2s >> 4) + ', DSD ' + state.dpll.dsd],
+    ['Signal', formatSignal(state.signal)]
+  ];
+
+  return rows.map(function(row) {
+    return (row[0] + '            ').slice(0, 12) + row[1];
+  }).join('\n');
+}
+
+function formatDump(boardDumps) {
+  return boardDumps.map(function(dump) {
+    var lines = dump.registers.map(function(entry) {
+      var differs = entry.expected !== null && entry.expected !== entry.value;
+      return '  ' + hex(entry.register) + '  ' + hex(entry.value) +
+        (differs ? '  * expected ' + hex(entry.expected) : '');
+    });
+    return dump.board + ' (' + dump.chip + ')\n' + lines.join('\n');
+  }).join('\n\n');
+}
+
+// Result -> text for the terminal; the answer to "show" forms of a command
+// is the bare value, so scripts can use $(es9018k2m-ctl volume)
+function format(parsed, result) {
+  switch (parsed.command) {
+    case 'status':
+      return formatStatus(result);
+    case 'volume':
+      return String(result.volume);
+    case 'mute':
+      return result.mute ? 'on' : 'off';
+    case 'balance':
+      return String(result.balance);
+    case 'filter':
+      return [
+        'fir         ' + labelOf(result.options.fir, result.fir),
+        'iir         ' + labelOf(result.options.iir, result.iir),
+        'deemphasis  ' + labelOf(result.options.deemphasis, result.deemphasis)
+      ].join('\n');
+    case 'dpll':
+      return 'i2s ' + (result.dpll.i2s >> 4) + '\ndsd ' + result.dpll.dsd;
+    case 'preset':
+      if (parsed.args[0] && parsed.args[0] !== 'list') {
+        return result.message;
+      }
+      return result.presets.map(function(name) {
+        return (name === result.current ? '* ' : '  ') + name;
+      }).join('\n');
+    case 'dump':
+      return formatDump(result);
+    default:
+      return JSON.stringify(result, null, 2);
+  }
+}
+
+// Whole command line; resolves to the exit code.
+// out: { stdout, stderr, env } (process by default)
+function run(argv, out) {
+  var io = out || process;
+  var parsed;
+
+  try {
+    parsed = parseArgs(argv, io.env);
+  } catch (err) {
+    io.stderr.write((err.message ? err.message + '\n\n' : '') + USAGE + '\n');
+    return libQ.resolve(2);
+  }
+
+  var state = needsState(parsed) ? send(parsed.socket, { command: 'status' }) : libQ.resolve(null);
+
+  return state
+    .then(function(current) {
+      return send(parsed.socket, toRequest(parsed, current));
+    })
+    .then(function(result) {
+      io.stdout.write((parsed.json ? JSON.stringify(result, null, 2) : format(parsed, result)) + '\n');
+      return 0;
+    })
+    .fail(function(err) {
+      io.stderr.write('es9018k2m-ctl: ' + err.message + '\n');
+      return err.usage ? 2 : 1;
+    });
+}
+
+module.exports = {
+  DEFAULT_SOCKET: DEFAULT_SOCKET,
+  parseArgs: parseArgs,
+  toRequest: toRequest,
+  send: send,
+  format: format,
+  run: run
+};
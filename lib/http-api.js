@@ -0,0 +1,194 @@
+'use strict';
+
+var crypto = require('crypto');
+var http = require('http');
+var libQ = require('kew');
+var control = require('./control');
+
+// ---------------------------------------------------------------------------
+// HTTP API - local JSON control of the DAC
+//
+//   GET  /api/state                    - full state
+//   POST /api/state   { field: value } - change several settings at once
+//   POST /api/<field> { value: x }     - volume, mute, balance, fir, iir,
+//                                        deemphasis; dpll takes { i2s, dsd }
+//
+// The controller does the work:
+//   controller.getControlState()     - kew promise resolving to the state
+//   controller.applyControl(changes) - validates every field before writing,
+//                                      resolves to the new state
+// A rejection's err.code picks the status: 'INVALID' 400, 'UNAVAILABLE' 503.
+//
+// Listens on 127.0.0.1 unless listenAll. With a token set, requests need
+// "Authorization: Bearer <token>". Request bodies must be sent as
+// application/json, which a cross-site HTML form cannot do.
+// ---------------------------------------------------------------------------
+
+var MAX_BODY_BYTES = 16384;
+var ERROR_STATUS = { INVALID: 400, UNAVAILABLE: 503 };
+
+// Media type only, so 'application/json; charset=utf-8' passes too
+function isJsonRequest(req) {
+  var type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  return type === 'application/json';
+}
+
+function HttpApi(controller, options) {
+  var opts = options || {};
+
+  this.controller = controller;
+  this.port = opts.port !== undefined ? opts.port : 8018;
+  this.host = opts.listenAll ? '0.0.0.0' : '127.0.0.1';
+  this.token = opts.token || '';
+  this.server = null;
+}
+
+// Resolves to the bound port once listening
+HttpApi.prototype.start = function() {
+  var self = this;
+  var defer = libQ.defer();
+
+  self.server = http.createServer(function(req, res) {
+    self.handle(req, res);
+  });
+
+  self.server.once('error', function(err) {
+    self.server = null;
+    defer.reject(err);
+  });
+
+  self.server.listen(self.port, self.host, function() {
+    defer.resolve(self.server.address().port);
+  });
+
+  return defer.promise;
+};
+
+HttpApi.prototype.stop = function() {
+  var self = this;
+  var defer = libQ.defer();
+
+  if (!self.server) {
+    return libQ.resolve();
+  }
+
+  self.server.close(function() {
+    defer.resolve();
+  });
+  // Keep-alive clients would hold close() open
+  if (typeof self.server.closeAllConnections === 'function') {
+    self.server.closeAllConnections();
+  }
+  self.server = null;
+
+  return defer.promise;
+};
+
+HttpApi.prototype.handle = function(req, res) {
+  var self = this;
+  var path = req.url.split('?')[0].replace(/\/+$/, '');
+  var match = /^\/api\/([a-z]+)$/.exec(path);
+  var field = match ? match[1] : null;
+
+  if (self.token && !self.isAuthorized(req.headers.authorization)) {
+    return self.send(res, 401, { error: 'Missing or wrong token' });
+  }
+  if (!field || (field !== 'state' && control.FIELDS.indexOf(field) < 0)) {
+    return self.send(res, 404, { error: 'Not found' });
+  }
+
+  if (req.method === 'GET' && field === 'state') {
+    return self.reply(res, self.controller.getControlState());
+  }
+  if (req.method !== 'POST' && req.method !== 'PUT') {
+    return self.send(res, 405, { error: 'Method not allowed' });
+  }
+  if (!isJsonRequest(req)) {
+    return self.send(res, 415, { error: 'Content-Type must be application/json' });
+  }
+
+  self.readBody(req, function(err, body) {
+    if (err) {
+      return self.send(res, err.status, { error: err.message });
+    }
+    self.reply(res, self.controller.applyControl(self.toChanges(field, body)));
+  });
+};
+
+// Constant-time check; hashing gives timingSafeEqual() inputs of equal length
+HttpApi.prototype.isAuthorized = function(header) {
+  var expected = crypto.createHash('sha256').update('Bearer ' + this.token).digest();
+  var given = crypto.createHash('sha256').update(String(header || '')).digest();
+
+  return crypto.timingSafeEqual(given, expected);
+};
+
+// Request body -> applyControl() changes
+HttpApi.prototype.toChanges = function(field, body) {
+  var changes = {};
+
+  if (field === 'state') {
+    return body;
+  }
+  changes[field] = field === 'dpll' ? body : body.value;
+  return changes;
+};
+
+HttpApi.prototype.readBody = function(req, callback) {
+  var chunks = [];
+  var size = 0;
+  var failed = false;
+
+  req.on('data', function(chunk) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES && !failed) {
+      failed = true;
+      callback({ status: 413, message: 'Request body too large' });
+    }
+    if (!failed) {
+      chunks.push(chunk);
+    }
+  });
+
+  req.on('end', function() {
+    if (failed) {
+      return;
+    }
+    var body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    } catch (e) {
+      return callback({ status: 400, message: 'Body is not valid JSON' });
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return callback({ status: 400, message: 'Body must be a JSON object' });
+    }
+    callback(null, body);
+  });
+};
+
+HttpApi.prototype.reply = function(res, promise) {
+  var self = this;
+
+  promise
+    .then(function(state) {
+      self.send(res, 200, state);
+    })
+    .fail(function(err) {
+      self.send(res, ERROR_STATUS[err.code] || 500, { error: err.message });
+    });
+};
+
+HttpApi.prototype.send = function(res, status, body) {
+  var json = JSON.stringify(body);
+
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(json)
+  });
+  res.end(json);
+};
+
+module.exports = {
+  HttpApi: HttpApi
+};
@@ -0,0 +1,268 @@
+'use strict';
+
+var libQ = require('kew');
+
+// ---------------------------------------------------------------------------
+// I2C Queue - single scheduler that owns the bus
+//
+// Every register access goes through one queue on top of a transport:
+//   writeSync(register, value)        - immediate (ramps, mute), bypasses the queue
+//   write(register, value, priority)  - queued, kew promise
+//   read(register, priority)          - queued, kew promise resolving to value
+//
+// Priorities: 'high' (mute, volume, seek) is always sent before 'normal'
+// (settings, status reads). One operation is in flight at a time, spaced by
+// the transport's throttleMs.
+//
+// Ordering: the chip always ends up with the last value issued for a
+// register. A queued write to a register that already has one pending
+// replaces its value (coalescing); a sync write drops pending writes to its
+// register and, if an async write to it is on the bus, re-sends itself once
+// that lands. Read-modify-write registers (0x07, 0x15) therefore cannot be
+// overwritten by a stale shadow.
+// ---------------------------------------------------------------------------
+
+var PRIORITIES = ['high', 'normal'];
+var LATENCY_WINDOW = 50;  // Operations averaged for getStats().avgLatencyMs
+
+function I2cQueue(transport, options) {
+  var opts = options || {};
+
+  this.transport = transport;
+  this.throttleMs = opts.throttleMs !== undefined ? opts.throttleMs : transport.throttleMs;
+  this.lanes = { high: [], normal: [] };
+  this.inFlight = null;
+  this.timer = null;
+  this.lastOperation = 0;
+  this.closed = false;
+
+  this.stats = {
+    writes: 0,
+    syncWrites: 0,
+    reads: 0,
+    coalesced: 0,
+    failures: 0,
+    maxDepth: 0,
+    maxLatencyMs: 0,
+    latencies: []
+  };
+}
+
+I2cQueue.prototype.writeSync = function(register, value) {
+  var self = this;
+
+  if (self.closed) {
+    throw new Error('I2C transport closed');
+  }
+
+  // Queued writes to this register are superseded
+  PRIORITIES.forEach(function(priority) {
+    self.lanes[priority] = self.lanes[priority].filter(function(op) {
+      if (op.type === 'write' && op.register === register) {
+        op.defers.forEach(function(defer) {
+          defer.resolve();
+        });
+        self.stats.coalesced++;
+        return false;
+      }
+      return true;
+    });
+  });
+
+  self.transport.writeByteSync(register, value);
+  self.stats.syncWrites++;
+
+  // An older value on the bus may land after this one - send ours again
+  if (self.inFlight && self.inFlight.type === 'write' && self.inFlight.register === register) {
+    self.write(register, value, 'high');
+  }
+};
+
+I2cQueue.prototype.write = function(register, value, priority) {
+  var self = this;
+  var lane = priority === 'high' ? 'high' : 'normal';
+  var defer = libQ.defer();
+
+  if (self.closed) {
+    return libQ.reject(new Error('I2C transport closed'));
+  }
+
+  var pending = self.findWrite(register);
+  if (pending) {
+    pending.op.value = value;
+    pending.op.defers.push(defer);
+    self.stats.coalesced++;
+
+    // Promote: a high-priority value must not wait behind settings traffic
+    if (lane === 'high' && pending.lane === 'normal') {
+      self.lanes.normal.splice(self.lanes.normal.indexOf(pending.op), 1);
+      self.lanes.high.push(pending.op);
+    }
+    return defer.promise;
+  }
+
+  self.enqueue(lane, {
+    type: 'write',
+    register: register,
+    value: value,
+    queued: Date.now(),
+    defers: [defer]
+  });
+  return defer.promise;
+};
+
+I2cQueue.prototype.read = function(register, priority) {
+  var self = this;
+  var defer = libQ.defer();
+
+  if (self.closed) {
+    return libQ.reject(new Error('I2C transport closed'));
+  }
+
+  self.enqueue(priority === 'high' ? 'high' : 'normal', {
+    type: 'read',
+    register: register,
+    queued: Date.now(),
+    defers: [defer]
+  });
+  return defer.promise;
+};
+
+I2cQueue.prototype.findWrite = function(register) {
+  var self = this;
+
+  for (var i = 0; i < PRIORITIES.length; i++) {
+    var lane = PRIORITIES[i];
+    var ops = self.lanes[lane];
+    for (var j = 0; j < ops.length; j++) {
+      if (ops[j].type === 'write' && ops[j].register === register) {
+        return { lane: lane, op: ops[j] };
+      }
+    }
+  }
+  return null;
+};
+
+I2cQueue.prototype.enqueue = function(lane, op) {
+  var self = this;
+
+  self.lanes[lane].push(op);
+  self.stats.maxDepth = Math.max(self.stats.maxDepth, self.depth());
+  self.schedule();
+};
+
+I2cQueue.prototype.schedule = function() {
+  var self = this;
+
+  if (self.closed || self.inFlight || self.timer || self.depth() === 0) {
+    return;
+  }
+
+  var delay = Math.max(0, self.throttleMs - (Date.now() - self.lastOperation));
+  self.timer = setTimeout(function() {
+    self.timer = null;
+    self.dispatch();
+  }, delay);
+};
+
+I2cQueue.prototype.dispatch = function() {
+  var self = this;
+  var op = self.lanes.high.shift() || self.lanes.normal.shift();
+
+  if (!op || self.closed) {
+    return;
+  }
+
+  self.inFlight = op;
+
+  var request = op.type === 'write'
+    ? self.transport.writeByte(op.register, op.value)
+    : self.transport.readByte(op.register);
+
+  request
+    .then(function(value) {
+      self.complete(op);
+      op.defers.forEach(function(defer) {
+        defer.resolve(value);
+      });
+    })
+    .fail(function(err) {
+      self.complete(op);
+      self.stats.failures++;
+      op.defers.forEach(function(defer) {
+        defer.reject(err);
+      });
+    });
+};
+
+I2cQueue.prototype.complete = function(op) {
+  var self = this;
+  var latency = Date.now() - op.queued;
+
+  self.inFlight = null;
+  self.lastOperation = Date.now();
+
+  if (op.type === 'write') {
+    self.stats.writes++;
+  } else {
+    self.stats.reads++;
+  }
+  self.stats.maxLatencyMs = Math.max(self.stats.maxLatencyMs, latency);
+  self.stats.latencies.push(latency);
+  if (self.stats.latencies.length > LATENCY_WINDOW) {
+    self.stats.latencies.shift();
+  }
+
+  self.schedule();
+};
+
+// Operations waiting or on the bus
+I2cQueue.prototype.depth = function() {
+  return this.lanes.high.length + this.lanes.normal.length + (this.inFlight ? 1 : 0);
+};
+
+I2cQueue.prototype.getStats = function() {
+  var stats = this.stats;
+  var total = stats.latencies.reduce(function(sum, ms) { return sum + ms; }, 0);
+
+  return {
+    depth: this.depth(),
+    high: this.lanes.high.length,
+    normal: this.lanes.normal.length,
+    maxDepth: stats.maxDepth,
+    writes: stats.writes,
+    syncWrites: stats.syncWrites,
+    reads: stats.reads,
+    coalesced: stats.coalesced,
+    failures: stats.failures,
+    avgLatencyMs: stats.latencies.length > 0 ? total / stats.latencies.length : 0,
+    maxLatencyMs: stats.maxLatencyMs
+  };
+};
+
+// Reject everything still waiting; an operation on the bus finishes normally
+// but schedules nothing after it
+I2cQueue.prototype.close = function() {
+  var self = this;
+  var err = new Error('I2C transport closed');
+
+  self.closed = true;
+  if (self.timer) {
+    clearTimeout(self.timer);
+    self.timer = null;
+  }
+
+  PRIORITIES.forEach(function(priority) {
+    self.lanes[priority].forEach(function(op) {
+      op.defers.forEach(function(defer) {
+        defer.reject(err);
+      });
+    });
+    self.lanes[priority] = [];
+  });
+};
+
+module.exports = {
+  PRIORITIES: PRIORITIES,
+  I2cQueue: I2cQueue
+};
@@ -0,0 +1,313 @@
+'use strict';
+
+var libQ = require('kew');
+var fs = require('fs-extra');
+var exec = require('child_process').exec;
+var execSync = require('child_process').execSync;
+
+// ---------------------------------------------------------------------------
+// I2C Transport - pluggable register access backends
+//
+// Every backend exposes the same interface:
+//   writeByteSync(register, value)  - throws on failure
+//   readByteSync(register)          - returns value, throws on failure
+//   writeByte(register, value)      - kew promise
+//   readByte(register)              - kew promise resolving to value
+//   close()
+//
+// throttleMs is the minimum spacing the controller should keep between
+// asynchronous writes (only meaningful for process-spawning backends).
+// ---------------------------------------------------------------------------
+
+var TRANSPORT_TYPES = ['auto', 'native', 'i2ctools', 'memory'];
+
+// Backends offered in the settings; memory never drives a real DAC
+var SELECTABLE_TRANSPORT_TYPES = ['auto', 'native', 'i2ctools'];
+
+function hex(value) {
+  return '0x' + value.toString(16);
+}
+
+function loadI2cBus() {
+  try {
+    return require('i2c-bus');
+  } catch (err) {
+    return null;
+  }
+}
+
+function isNativeAvailable(bus) {
+  return loadI2cBus() !== null && fs.existsSync('/dev/i2c-' + bus);
+}
+
+// ---------------------------------------------------------------------------
+// Native - talks to /dev/i2c-N through the i2c-dev ioctl interface
+// ---------------------------------------------------------------------------
+
+function NativeTransport(bus, address) {
+  var i2c = loadI2cBus();
+
+  if (!i2c) {
+    throw new Error('i2c-bus module not available');
+  }
+
+  this.name = 'native';
+  this.bus = bus;
+  this.address = address;
+  this.throttleMs = 0;
+  this.handle = i2c.openSync(bus);
+}
+
+NativeTransport.prototype.writeByteSync = function(register, value) {
+  this.handle.writeByteSync(this.address, register, value);
+};
+
+NativeTransport.prototype.readByteSync = function(register) {
+  return this.handle.readByteSync(this.address, register);
+};
+
+NativeTransport.prototype.writeByte = function(register, value) {
+  var defer = libQ.defer();
+
+  this.handle.writeByte(this.address, register, value, function(err) {
+    if (err) {
+      defer.reject(err);
+    } else {
+      defer.resolve();
+    }
+  });
+
+  return defer.promise;
+};
+
+NativeTransport.prototype.readByte = function(register) {
+  var defer = libQ.defer();
+
+  this.handle.readByte(this.address, register, function(err, value) {
+    if (err) {
+      defer.reject(err);
+    } else {
+      defer.resolve(value);
+    }
+  });
+
+  return defer.promise;
+};
+
+NativeTransport.prototype.close = function() {
+  if (this.handle) {
+    try {
+      this.handle.closeSync();
+    } catch (err) {
+      // Bus already closed
+    }
+    this.handle = null;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// i2c-tools - spawns i2cset/i2cget per register (fallback)
+// ---------------------------------------------------------------------------
+
+function I2cToolsTransport(bus, address) {
+  this.name = 'i2ctools';
+  this.bus = bus;
+  this.address = address;
+  this.throttleMs = 30;
+}
+
+I2cToolsTransport.prototype.setCommand = function(register, value) {
+  return 'i2cset -y ' + this.bus + ' ' + hex(this.address) + ' ' +
+    hex(register) + ' ' + hex(value);
+};
+
+I2cToolsTransport.prototype.getCommand = function(register) {
+  return 'i2cget -y ' + this.bus + ' ' + hex(this.address) + ' ' + hex(register);
+};
+
+I2cToolsTransport.prototype.writeByteSync = function(register, value) {
+  execSync(this.setCommand(register, value), { timeout: 100 });
+};
+
+I2cToolsTransport.prototype.readByteSync = function(register) {
+  var stdout = execSync(this.getCommand(register), { timeout: 100 });
+  return parseInt(stdout.toString().trim(), 16);
+};
+
+I2cToolsTransport.prototype.writeByte = function(register, value) {
+  var defer = libQ.defer();
+
+  exec(this.setCommand(register, value), function(error) {
+    if (error) {
+      defer.reject(error);
+    } else {
+      defer.resolve();
+    }
+  });
+
+  return defer.promise;
+};
+
+I2cToolsTransport.prototype.readByte = function(register) {
+  var defer = libQ.defer();
+
+  exec(this.getCommand(register), function(error, stdout) {
+    if (error) {
+      defer.reject(error);
+    } else {
+      defer.resolve(parseInt(stdout.trim(), 16));
+    }
+  });
+
+  return defer.promise;
+};
+
+I2cToolsTransport.prototype.close = function() {
+};
+
+// ---------------------------------------------------------------------------
+// Memory - in-process register file, optionally persisted to a JSON file
+//
+// options.device routes all access to a register model implementing
+// read(register) and write(register, value) (e.g. a simulated DAC);
+// options.devices maps addresses to models when several boards are attached
+// ---------------------------------------------------------------------------
+
+function MemoryTransport(bus, address, options) {
+  var opts = options || {};
+
+  this.name = 'memory';
+  this.bus = bus;
+  this.address = address;
+  this.throttleMs = 0;
+  this.file = opts.file || null;
+  this.device = (opts.devices && opts.devices[address]) || opts.device || null;
+  this.registers = [];
+
+  for (var i = 0; i < 256; i++) {
+    this.registers.push(0);
+  }
+
+  if (this.file && fs.existsSync(this.file)) {
+    var saved = fs.readJsonSync(this.file);
+    for (var j = 0; j < 256 && j < saved.length; j++) {
+      this.registers[j] = saved[j] & 0xFF;
+    }
+  }
+
+  if (opts.registers) {
+    for (var reg in opts.registers) {
+      this.registers[parseInt(reg, 10)] = opts.registers[reg] & 0xFF;
+    }
+  }
+}
+
+MemoryTransport.prototype.writeByteSync = function(register, value) {
+  if (this.device) {
+    this.device.write(register & 0xFF, value & 0xFF);
+    return;
+  }
+  this.registers[register & 0xFF] = value & 0xFF;
+  if (this.file) {
+    fs.writeJsonSync(this.file, this.registers);
+  }
+};
+
+MemoryTransport.prototype.readByteSync = function(register) {
+  if (this.device) {
+    return this.device.read(register & 0xFF);
+  }
+  return this.registers[register & 0xFF];
+};
+
+MemoryTransport.prototype.writeByte = function(register, value) {
+  try {
+    this.writeByteSync(register, value);
+    return libQ.resolve();
+  } catch (err) {
+    return libQ.reject(err);
+  }
+};
+
+MemoryTransport.prototype.readByte = function(register) {
+  try {
+    return libQ.resolve(this.readByteSync(register));
+  } catch (err) {
+    return libQ.reject(err);
+  }
+};
+
+MemoryTransport.prototype.close = function() {
+};
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+// Bus numbers with a /dev/i2c-N node, ascending. The memory backend has no
+// device nodes and reports options.buses (default: bus 1).
+function listBuses(type, options) {
+  if (type === 'memory') {
+    return ((options && options.buses) || [1]).slice();
+  }
+
+  var names = [];
+  try {
+    names = fs.readdirSync('/dev');
+  } catch (err) {
+    return [];
+  }
+
+  return names
+    .map(function(name) {
+      var match = /^i2c-(\d+)$/.exec(name);
+      return match ? parseInt(match[1], 10) : null;
+    })
+    .filter(function(bus) { return bus !== null; })
+    .sort(function(a, b) { return a - b; });
+}
+
+// type: 'auto' picks native when the addon and /dev/i2c-N are present,
+// otherwise falls back to i2c-tools
+function createTransport(type, bus, address, options) {
+  switch (type) {
+    case 'native':
+      return new NativeTransport(bus, address);
+    case 'i2ctools':
+      return new I2cToolsTransport(bus, address);
+    case 'memory':
+      return new MemoryTransport(bus, address, options);
+    default:
+      if (isNativeAvailable(bus)) {
+        try {
+          return new NativeTransport(bus, address);
+        } catch (err) {
+          // Fall through to i2c-tools
+        }
+      }
+      return new I2cToolsTransport(bus, address);
+  }
+}
+
+// Transport for a one-off probe. A memory probe answers only where
+// options.devices has a model - the default device would answer everywhere
+function createProbe(type, bus, address, options) {
+  var opts = options;
+
+  if (type === 'memory') {
+    opts = { devices: (options && options.devices) || {} };
+  }
+  return createTransport(type, bus, address, opts);
+}
+
+module.exports = {
+  TRANSPORT_TYPES: TRANSPORT_TYPES,
+  SELECTABLE_TRANSPORT_TYPES: SELECTABLE_TRANSPORT_TYPES,
+  createTransport: createTransport,
+  createProbe: createProbe,
+  listBuses: listBuses,
+  isNativeAvailable: isNativeAvailable,
+  NativeTransport: NativeTransport,
+  I2cToolsTransport: I2cToolsTransport,
+  MemoryTransport: MemoryTransport
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// MQTT Bridge - topics, payloads and Home Assistant discovery
+//
+// Under the base topic (default volumio/es9018k2m), all retained:
+//   availability   online / offline (also the broker's last will)
+//   volume         0-100
+//   mute           ON / OFF
+//   fir, iir       option label, e.g. "Fast Roll-Off"
+//   dpll_i2s       0-15
+//   dpll_dsd       0-15
+//   lock           ON / OFF (DPLL lock)
+//   playback       play / pause / stop
+//
+// Commands arrive on <topic>/set for volume, mute, fir, iir and the two
+// DPLL settings. parseCommand() only translates payloads into control
+// changes (lib/control.js); the controller validates and applies them.
+//
+// Discovery configs go to <prefix>/<component>/<node id>/<entity>/config.
+// ---------------------------------------------------------------------------
+
+var ENTITIES = [
+  { id: 'volume', component: 'number', name: 'Volume', icon: 'mdi:volume-high',
+    config: { min: 0, max: 100, step: 1, mode: 'slider' } },
+  { id: 'mute', component: 'switch', name: 'Mute', icon: 'mdi:volume-off',
+    config: { payload_on: 'ON', payload_off: 'OFF' } },
+  { id: 'fir', component: 'select', name: 'FIR Filter', icon: 'mdi:sine-wave', options: 'fir' },
+  { id: 'iir', component: 'select', name: 'IIR Bandwidth', icon: 'mdi:sine-wave', options: 'iir' },
+  { id: 'dpll_i2s', component: 'number', name: 'I2S DPLL', icon: 'mdi:tune',
+    config: { min: 0, max: 15, step: 1, mode: 'box', entity_category: 'config' } },
+  { id: 'dpll_dsd', component: 'number', name: 'DSD DPLL', icon: 'mdi:tune',
+    config: { min: 0, max: 15, step: 1, mode: 'box', entity_category: 'config' } },
+  { id: 'lock', component: 'binary_sensor', name: 'DPLL Lock', icon: 'mdi:lock',
+    readOnly: true, config: { payload_on: 'ON', payload_off: 'OFF', entity_category: 'diagnostic' } },
+  { id: 'playback', component: 'sensor', name: 'Playback', icon: 'mdi:play-pause', readOnly: true }
+];
+
+// Discovery node id from the base topic: volumio/es9018k2m -> volumio_es9018k2m
+function nodeId(baseTopic) {
+  return baseTopic.replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// A base topic is non-empty and has no wildcards or empty levels
+function isValidBaseTopic(topic) {
+  return typeof topic === 'string' && topic.length > 0 &&
+    !/[+#]/.test(topic) && topic.split('/').every(function(level) { return level.length > 0; });
+}
+
+function onOff(value) {
+  return value ? 'ON' : 'OFF';
+}
+
+function labelOf(options, value) {
+  var option = options.find(function(o) { return o.value === value; });
+  return option ? option.label : String(value);
+}
+
+// snapshot: { available, volume, mute, fir, iir, i2sDpll, dsdDpll, locked, status }
+// options: { fir: [{ value, label }], iir: [...] }
+// -> { topic suffix: payload string }; unknown volume is left out
+function stateMessages(snapshot, options) {
+  var messages = {
+    availability: snapshot.available ? 'online' : 'offline',
+    mute: onOff(snapshot.mute),
+    fir: labelOf(options.fir, snapshot.fir),
+    iir: labelOf(options.iir, snapshot.iir),
+    dpll_i2s: String(snapshot.i2sDpll >> 4),
+    dpll_dsd: String(snapshot.dsdDpll),
+    lock: onOff(snapshot.locked),
+    playback: snapshot.status || 'stop'
+  };
+
+  if (typeof snapshot.volume === 'number') {
+    messages.volume = String(snapshot.volume);
+  }
+  return messages;
+}
+
+// -> [{ topic, payload }], payload an object to send as JSON
+function discoveryMessages(baseTopic, prefix, device, options) {
+  var node = nodeId(baseTopic);
+
+  return ENTITIES.map(function(entity) {
+    var payload = {
+      name: entity.name,
+      unique_id: node + '_' + entity.id,
+      object_id: node + '_' + entity.id,
+      icon: entity.icon,
+      state_topic: baseTopic + '/' + entity.id,
+      availability_topic: baseTopic + '/availability',
+      device: {
+        identifiers: [node],
+        name: device.name,
+        manufacturer: 'ESS Technology',
+        model: device.model
+      }
+    };
+
+    if (!entity.readOnly) {
+      payload.command_topic = baseTopic + '/' + entity.id + '/set';
+    }
+    if (entity.options) {
+      payload.options = options[entity.options].map(function(o) { return o.label; });
+    }
+    Object.assign(payload, entity.config || {});
+
+    return {
+      topic: prefix + '/' + entity.component + '/' + node + '/' + entity.id + '/config',
+      payload: payload
+    };
+  });
+}
+
+// Entity id of a command topic, null if it is not one
+function commandName(baseTopic, topic) {
+  var match = /^([a-z0-9_]+)\/set$/.exec(topic.slice(baseTopic.length + 1));
+
+  if (topic.indexOf(baseTopic + '/') !== 0 || !match) {
+    return null;
+  }
+  var entity = ENTITIES.find(function(e) { return e.id === match[1]; });
+  return entity && !entity.readOnly ? entity.id : null;
+}
+
+// Payload of a /set topic -> control changes. Values that do not parse are
+// passed on as they are, so validation reports them like any other bad value.
+function parseCommand(name, payload, options) {
+  var text = String(payload).trim();
+  var number = text !== '' ? Number(text) : NaN;
+
+  switch (name) {
+    case 'volume':
+      return { volume: Math.round(number) };
+    case 'mute':
+      if (/^(on|true|1)$/i.test(text)) {
+        return { mute: true };
+      }
+      if (/^(off|false|0)$/i.test(text)) {
+        return { mute: false };
+      }
+      return { mute: text };
+    case 'fir':
+    case 'iir':
+      var changes = {};
+      var option = options[name].find(function(o) { return o.label === text; });
+      changes[name] = option ? option.value : (isNaN(number) ? text : number);
+      return changes;
+    case 'dpll_i2s':
+      return { dpll: { i2s: Number.isInteger(number) ? number << 4 : text } };
+    case 'dpll_dsd':
+      return { dpll: { dsd: Number.isInteger(number) ? number : text } };
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  ENTITIES: ENTITIES,
+  nodeId: nodeId,
+  isValidBaseTopic: isValidBaseTopic,
+  stateMessages: stateMessages,
+  discoveryMessages: discoveryMessages,
+  commandName: commandName,
+  parseCommand: parseCommand
+};
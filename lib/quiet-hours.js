@@ -0,0 +1,182 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Quiet Hours - time windows with a volume ceiling
+//
+// A window is:
+//   { enabled, start, end, days, maxVolume, action }
+//   start/end  - "HH:MM" (24h); end <= start runs past midnight
+//   days       - weekdays the window starts on, 0 = Sunday (Date#getDay)
+//   maxVolume  - 0-100 ceiling while the window is active
+//   action     - 'none', 'mute' or 'fade', applied once at the start
+//
+// Pure functions only; the controller owns timers and volume changes.
+// ---------------------------------------------------------------------------
+
+var ACTIONS = ['none', 'mute', 'fade'];
+var DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+var ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// "22:30" -> 1350 minutes after midnight, null if invalid
+function parseTime(text) {
+  var match = String(text || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+
+  var hours = parseInt(match[1], 10);
+  var minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+function formatTime(minutes) {
+  var hours = Math.floor(minutes / 60);
+  var mins = minutes % 60;
+  return (hours < 10 ? '0' : '') + hours + ':' + (mins < 10 ? '0' : '') + mins;
+}
+
+// "mon-fri", "sat, sun", "daily" -> sorted day numbers, null if invalid
+function parseDays(text) {
+  var input = String(text || '').trim().toLowerCase();
+
+  if (input === '' || input === 'daily' || input === 'all') {
+    return ALL_DAYS.slice();
+  }
+
+  var days = [];
+  var tokens = input.split(/[\s,]+/).filter(function(t) { return t.length > 0; });
+
+  for (var i = 0; i < tokens.length; i++) {
+    var range = tokens[i].split('-');
+    var from = DAY_NAMES.indexOf(range[0].slice(0, 3));
+    var to = range.length > 1 ? DAY_NAMES.indexOf(range[1].slice(0, 3)) : from;
+
+    if (range.length > 2 || from < 0 || to < 0) {
+      return null;
+    }
+
+    // Ranges may wrap the week: "fri-mon"
+    for (var d = from; ; d = (d + 1) % 7) {
+      if (days.indexOf(d) < 0) {
+        days.push(d);
+      }
+      if (d === to) {
+        break;
+      }
+    }
+  }
+
+  return days.sort(function(a, b) { return a - b; });
+}
+
+// [1, 2, 3, 4, 5] -> "Mon-Fri", [0, 6] -> "Sat, Sun"
+function formatDays(days) {
+  if (days.length === 7) {
+    return 'Daily';
+  }
+
+  // Monday-first runs read naturally for weekends
+  var order = [1, 2, 3, 4, 5, 6, 0];
+  var runs = [];
+  var run = null;
+
+  order.forEach(function(day) {
+    if (days.indexOf(day) >= 0) {
+      if (run) {
+        run.to = day;
+      } else {
+        run = { from: day, to: day };
+        runs.push(run);
+      }
+    } else {
+      run = null;
+    }
+  });
+
+  return runs.map(function(r) {
+    var from = capitalize(DAY_NAMES[r.from]);
+    return r.from === r.to ? from : from + '-' + capitalize(DAY_NAMES[r.to]);
+  }).join(', ');
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Validate a window from config or the UI; null if invalid
+function normalizeWindow(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+
+  var start = parseTime(entry.start);
+  var end = parseTime(entry.end);
+  var days = Array.isArray(entry.days)
+    ? entry.days.filter(function(d) { return ALL_DAYS.indexOf(d) >= 0; })
+    : parseDays(entry.days);
+  var maxVolume = parseInt(entry.maxVolume, 10);
+  var action = ACTIONS.indexOf(entry.action) >= 0 ? entry.action : 'none';
+
+  if (start === null || end === null || !days || days.length === 0 ||
+      isNaN(maxVolume) || maxVolume < 0 || maxVolume > 100) {
+    return null;
+  }
+
+  return {
+    enabled: entry.enabled === true,
+    start: formatTime(start),
+    end: formatTime(end),
+    days: days,
+    maxVolume: maxVolume,
+    action: action
+  };
+}
+
+function isWindowActive(entry, date) {
+  var start = parseTime(entry.start);
+  var end = parseTime(entry.end);
+  var minutes = date.getHours() * 60 + date.getMinutes();
+  var today = date.getDay();
+  var yesterday = (today + 6) % 7;
+
+  // Same start and end: the whole day
+  if (start === end) {
+    return entry.days.indexOf(today) >= 0;
+  }
+
+  if (start < end) {
+    return entry.days.indexOf(today) >= 0 && minutes >= start && minutes < end;
+  }
+
+  // Past midnight: belongs to the day it started on
+  return (entry.days.indexOf(today) >= 0 && minutes >= start) ||
+    (entry.days.indexOf(yesterday) >= 0 && minutes < end);
+}
+
+// Active window with the lowest ceiling, or null
+function findActiveWindow(windows, date) {
+  var active = null;
+
+  windows.forEach(function(entry) {
+    if (entry.enabled && isWindowActive(entry, date) &&
+        (!active || entry.maxVolume < active.maxVolume)) {
+      active = entry;
+    }
+  });
+
+  return active;
+}
+
+module.exports = {
+  ACTIONS: ACTIONS,
+  parseTime: parseTime,
+  formatTime: formatTime,
+  parseDays: parseDays,
+  formatDays: formatDays,
+  normalizeWindow: normalizeWindow,
+  isWindowActive: isWindowActive,
+  findActiveWindow: findActiveWindow
+};
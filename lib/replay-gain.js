@@ -0,0 +1,90 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// ReplayGain - track/album gain from tags, applied as DAC attenuation
+//
+// Tags come from the Volumio state when a music service exposes them, or
+// from MPD ('readcomments') for library tracks, so every format MPD can tag
+// is covered. Parsed tags are:
+//   { trackGain, trackPeak, albumGain, albumPeak }  - null where missing
+// Gains are dB (positive = louder), peaks linear full scale (1.0 = 0 dBFS).
+// ---------------------------------------------------------------------------
+
+var MODES = ['off', 'track', 'album', 'auto'];
+var TAG_NAME = /^(?:replaygain|rg)(track|album)(gain|peak)$/;
+
+// "-6.52 dB", "+1.2", -6.52 -> number, null if unreadable
+function parseGain(value) {
+  var match = String(value === undefined || value === null ? '' : value)
+    .trim().match(/^([+-]?\d+(?:\.\d+)?)\s*(?:db)?$/i);
+  return match ? parseFloat(match[1]) : null;
+}
+
+function parsePeak(value) {
+  var peak = parseGain(value);
+  return (peak !== null && peak > 0) ? peak : null;
+}
+
+// Any object of tags (state keys, MPD comment names) ->
+// parsed tags, null without a gain. Names ignore case and separators, so
+// REPLAYGAIN_TRACK_GAIN, replaygain_track_gain and replayGainTrackGain match.
+function fromTags(tags) {
+  var parsed = { trackGain: null, trackPeak: null, albumGain: null, albumPeak: null };
+
+  Object.keys(tags || {}).forEach(function(key) {
+    var match = key.toLowerCase().replace(/[^a-z]/g, '').match(TAG_NAME);
+    if (!match) {
+      return;
+    }
+    var field = match[1] + match[2].charAt(0).toUpperCase() + match[2].slice(1);
+    parsed[field] = match[2] === 'gain' ? parseGain(tags[key]) : parsePeak(tags[key]);
+  });
+
+  return (parsed.trackGain === null && parsed.albumGain === null) ? null : parsed;
+}
+
+// Gain in dB to apply for parsed tags, 0 without tags.
+// options: { mode, preampDb, preventClipping, random }
+// 'auto' takes album gain unless the queue is shuffled. A missing scope
+// falls back to the other one; clipping prevention caps the gain so the
+// peak stays at or below full scale.
+function gainDb(parsed, options) {
+  if (!parsed || options.mode === 'off') {
+    return 0;
+  }
+
+  var album = options.mode === 'album' || (options.mode === 'auto' && !options.random);
+  var gain = album ? parsed.albumGain : parsed.trackGain;
+  var peak = album ? parsed.albumPeak : parsed.trackPeak;
+  if (gain === null) {
+    gain = album ? parsed.trackGain : parsed.albumGain;
+    peak = album ? parsed.trackPeak : parsed.albumPeak;
+  }
+
+  gain += options.preampDb || 0;
+  if (options.preventClipping && peak !== null) {
+    gain = Math.min(gain, -20 * Math.log10(peak));
+  }
+  return gain;
+}
+
+// Volumio library URI -> MPD URI for 'readcomments', null for streams and
+// service tracks. 'music-library/NAS/a.flac' and 'mnt/NAS/a.flac' both map
+// to 'NAS/a.flac', relative to MPD's music directory.
+function mpdUri(uri) {
+  var text = String(uri || '').replace(/^\/+/, '');
+  var relative = text.replace(/^(music-library|mnt)\//, '');
+
+  if (!text || text.indexOf('://') >= 0 || relative === text) {
+    return null;
+  }
+  return relative;
+}
+
+module.exports = {
+  MODES: MODES,
+  parseGain: parseGain,
+  fromTags: fromTags,
+  gainDb: gainDb,
+  mpdUri: mpdUri
+};
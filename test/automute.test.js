@@ -0,0 +1,106 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+function settings(overrides) {
+  return Object.assign({
+    automuteEnabled: true,
+    automuteTime: '16',
+    automuteLevel: '104',
+    softStartEnabled: true,
+    softStartTime: '10'
+  }, overrides);
+}
+
+describe('Automute and soft start', function() {
+  it('initializes with the datasheet-compatible defaults', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      assert.equal(h.dac.registers[0x04], 0x10);
+      assert.equal(h.dac.registers[0x05], 0x68);
+      assert.equal(h.dac.registers[0x0E], 0x8A);
+    });
+  });
+
+  it('initializes from the saved settings', function() {
+    var h = harness.createPlugin({
+      config: { automuteEnabled: false, automuteLevel: 90, softStartEnabled: false, softStartTime: 4 }
+    });
+
+    return harness.start(h).then(function() {
+      assert.equal(h.dac.registers[0x04], 0x00);
+      assert.equal(h.dac.registers[0x05], 90);
+      assert.equal(h.dac.registers[0x0E], 0x04);
+    });
+  });
+
+  it('applies saved values live and the watchdog expects them', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.saveAutomuteSettings(settings({ automuteTime: '40', automuteLevel: '80', softStartTime: '12' }));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x04], 40);
+      assert.equal(h.dac.registers[0x05], 80);
+      assert.equal(h.dac.registers[0x0E], 0x8C);
+      assert.equal(h.router.lastToast().type, 'success');
+
+      var expected = h.plugin.getExpectedRegisters();
+      assert.equal(expected[0x04], 40);
+      assert.equal(expected[0x0E], 0x8C);
+    });
+  });
+
+  it('rejects values outside the datasheet ranges', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.dac.clearLog();
+
+      [
+        { automuteTime: '0' },
+        { automuteTime: '256' },
+        { automuteLevel: '128' },
+        { softStartTime: '21' },
+        { softStartTime: '2.5' },
+        { automuteLevel: '' }
+      ].forEach(function(invalid) {
+        h.plugin.saveAutomuteSettings(settings(invalid));
+        assert.equal(h.router.lastToast().type, 'error', JSON.stringify(invalid));
+      });
+
+      return harness.settle();
+    }).then(function() {
+      assert.deepEqual(h.dac.writesTo(0x04), []);
+      assert.equal(h.plugin.config.get('automuteTime'), 16);
+    });
+  });
+
+  it('keeps the settings through a device reset', function() {
+    var h = harness.createPlugin({ config: { automuteTime: 64, softStartTime: 6 } });
+
+    return harness.start(h).then(function() {
+      h.plugin.resetDevice();
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.config.get('automuteTime'), 64);
+      assert.equal(h.dac.registers[0x04], 64);
+      assert.equal(h.dac.registers[0x0E], 0x86);
+    });
+  });
+
+  it('describes the resulting timing', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      assert.equal(h.plugin.getAutomuteTiming(),
+        'Automute after 2.97 s @ 44.1 kHz, soft-start ramp 83.9 ms');
+    });
+  });
+});
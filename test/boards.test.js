@@ -0,0 +1,252 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var boards = require('../lib/boards');
+var harness = require('./helpers/harness');
+
+// Primary at 0x48 plus the given extra boards (slots 2..)
+function boardConfig(extra, primary) {
+  var list = [Object.assign({ enabled: true, bus: 1, address: 0x48 }, primary)];
+
+  extra.forEach(function(board, index) {
+    list.push(Object.assign({ enabled: true, bus: 1, address: 0x49 + index }, board));
+  });
+  return JSON.stringify(list);
+}
+
+function dualMono(config, dacs) {
+  return harness.createPlugin({
+    config: Object.assign({
+      boards: boardConfig([{ role: 'right' }], { role: 'left' }),
+      rampDurationMs: 40
+    }, config),
+    boards: dacs || { 0x49: {} }
+  });
+}
+
+function getUIConfig(h) {
+  return new Promise(function(resolve, reject) {
+    h.plugin.getUIConfig().then(resolve).fail(reject);
+  });
+}
+
+function field(uiconf, id) {
+  return uiconf.sections[1].content.find(function(f) { return f.id === id; });
+}
+
+describe('Board list', function() {
+  it('parses hex and decimal addresses', function() {
+    assert.equal(boards.parseAddress('0x49'), 0x49);
+    assert.equal(boards.parseAddress('75'), 0x4B);
+    assert.equal(boards.parseAddress(0x48), 0x48);
+    assert.equal(boards.parseAddress('0x80'), null);
+    assert.equal(boards.parseAddress('dac'), null);
+    assert.equal(boards.formatAddress(0x4A), '0x4A');
+  });
+
+  it('normalizes role, trim and balance', function() {
+    assert.deepEqual(boards.normalizeBoard({
+      enabled: true, bus: '1', address: '0x49', role: 'centre', trimDb: '-3.3', balance: 50
+    }), { enabled: true, bus: 1, address: 0x49, role: 'stereo', trimDb: -3.5, balance: 40 });
+    assert.equal(boards.normalizeBoard({ bus: 1, address: 'x' }), null);
+    assert.equal(boards.normalizeBoard({ bus: 11, address: 0x48 }), null);
+  });
+});
+
+describe('Multiple boards', function() {
+  it('detects and drives every enabled board', function() {
+    var h = dualMono();
+
+    return harness.start(h).then(function() {
+      assert.equal(h.plugin.boards.length, 2);
+      assert.deepEqual(h.plugin.boards.map(function(b) { return b.found; }), [true, true]);
+
+      h.plugin.setVolumeImmediate(50);
+      h.plugin.setMuteSync(true);
+      [h.dac, h.boards[0x49]].forEach(function(dac) {
+        assert.deepEqual(dac.attenuation(), { left: 50, right: 50 });
+        assert.equal(dac.isMuted(), true);
+      });
+    });
+  });
+
+  it('gives each board the channel of its role', function() {
+    var h = dualMono({ channelMode: 'swapped' });
+
+    return harness.start(h).then(function() {
+      return harness.settle();
+    }).then(function() {
+      assert.deepEqual(h.dac.channelMapping(), { left: 'left', right: 'left' });
+      assert.deepEqual(h.boards[0x49].channelMapping(), { left: 'right', right: 'right' });
+
+      h.plugin.boards.forEach(function(board, index) {
+        var dac = index === 0 ? h.dac : h.boards[0x49];
+        assert.equal(h.plugin.getExpectedRegisters(board)[0x0B], dac.registers[0x0B]);
+      });
+    });
+  });
+
+  it('a stereo board follows Channel Mode', function() {
+    var h = harness.createPlugin({
+      config: { boards: boardConfig([{ role: 'stereo' }]), channelMode: 'swapped' },
+      boards: { 0x49: {} }
+    });
+
+    return harness.start(h).then(function() {
+      return harness.settle();
+    }).then(function() {
+      assert.deepEqual(h.boards[0x49].channelMapping(), { left: 'right', right: 'left' });
+    });
+  });
+
+  it('applies trim and board balance on top of the system balance', function() {
+    var h = harness.createPlugin({
+      config: {
+        boards: boardConfig([{ trimDb: -3, balance: -4 }]),
+        balance: 2
+      },
+      boards: { 0x49: {} }
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(50);
+      assert.deepEqual(h.dac.attenuation(), { left: 52, right: 50 });
+      // 50 + 6 trim, +2 system balance left, +4 board balance right
+      assert.deepEqual(h.boards[0x49].attenuation(), { left: 58, right: 60 });
+    });
+  });
+
+  it('ramps all boards in lock-step', function() {
+    var h = dualMono();
+
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 50;
+      h.plugin.setVolumeImmediate(50);
+      h.dac.clearLog();
+      h.boards[0x49].clearLog();
+      return h.plugin.gracefulMute(true);
+    }).then(function(completed) {
+      assert.equal(completed, true);
+      assert.deepEqual(h.boards[0x49].writesTo(0x0F), h.dac.writesTo(0x0F));
+      assert.equal(h.dac.isMuted(), true);
+      assert.equal(h.boards[0x49].isMuted(), true);
+    });
+  });
+
+  it('keeps driving the boards that answer', function() {
+    var h = dualMono({
+      boards: boardConfig([{ role: 'right' }, { address: 0x4B }], { role: 'left' })
+    }, { 0x49: {}, 0x4B: { present: false } });
+
+    return harness.start(h).then(function() {
+      assert.equal(h.plugin.deviceFound, true);
+      assert.deepEqual(h.plugin.getConnectedBoards().map(function(b) { return b.slot; }), [1, 2]);
+
+      h.plugin.setVolumeImmediate(40);
+      assert.equal(h.boards[0x49].attenuation().left, h.plugin.volumeToRegister(40));
+      return getUIConfig(h);
+    }).then(function(uiconf) {
+      assert.equal(field(uiconf, 'board1Status').value, 'Detected (ES9018K2M, revision 0)');
+      assert.equal(field(uiconf, 'board2Enabled').value, true);
+      assert.equal(field(uiconf, 'board2Role').value.value, 'right');
+      assert.equal(field(uiconf, 'board3Address').value, '0x4B');
+      assert.equal(field(uiconf, 'board3Status').value, 'Not detected');
+      assert.equal(field(uiconf, 'board4Enabled').value, false);
+      assert.equal(field(uiconf, 'board4Status').value, '-');
+    });
+  });
+
+  it('the watchdog restores a board that was reset', function() {
+    var h = dualMono({ fir: 2 });
+
+    return harness.start(h).then(function() {
+      return harness.settle();
+    }).then(function() {
+      h.boards[0x49].reset();
+      return new Promise(function(resolve, reject) {
+        h.plugin.verifyRegisters().then(resolve).fail(reject);
+      });
+    }).then(function(recovered) {
+      assert.equal(recovered, true);
+      assert.match(h.logger.lines.warn.join('\n'), /bus 1, 0x49 0x7/);
+      return harness.drain(h);
+    }).then(function() {
+      assert.equal(h.boards[0x49].firFilter(), h.dac.firFilter());
+      assert.deepEqual(h.boards[0x49].channelMapping(), { left: 'right', right: 'right' });
+    });
+  });
+});
+
+describe('saveDeviceDetection with boards', function() {
+  function form(extra) {
+    return Object.assign({
+      i2cBus: 1,
+      i2cAddress: '0x48',
+      i2cTransport: { value: 'auto' },
+      watchdogEnabled: false,
+      board1Role: { value: 'stereo' },
+      board1TrimDb: 0,
+      board1Balance: 0
+    }, extra);
+  }
+
+  // The form only offers real backends; keep the virtual DACs behind them
+  function keepVirtualBus(h) {
+    var openTransport = h.plugin.openTransport;
+
+    h.plugin.openTransport = function() {
+      h.plugin.i2cTransport = 'memory';
+      return openTransport.apply(h.plugin, arguments);
+    };
+  }
+
+  it('stores the list and initializes an added board', function() {
+    var h = harness.createPlugin({ boards: { 0x49: {} } });
+
+    keepVirtualBus(h);
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 50;
+      h.plugin.setVolumeImmediate(50);
+      return h.plugin.saveDeviceDetection(form({
+        board2Enabled: true,
+        board2Bus: 1,
+        board2Address: '0x49',
+        board2Role: { value: 'left' },
+        board2TrimDb: '-1.5',
+        board2Balance: 0
+      }));
+    }).then(function() {
+      return harness.drain(h);
+    }).then(function() {
+      var stored = JSON.parse(h.plugin.config.get('boards'));
+
+      assert.equal(h.plugin.config.get('i2cTransport'), 'auto');
+      assert.equal(stored.length, 4);
+      assert.deepEqual(stored[1], {
+        enabled: true, bus: 1, address: 0x49, role: 'left', trimDb: -1.5, balance: 0
+      });
+      assert.equal(stored[2].enabled, false);
+      assert.equal(h.boards[0x49].attenuation().left, 53);
+      assert.deepEqual(h.boards[0x49].channelMapping(), { left: 'left', right: 'left' });
+      assert.equal(h.boards[0x49].isMuted(), false);
+    });
+  });
+
+  it('rejects two boards at the same address', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.saveDeviceDetection(form({
+        board2Enabled: true,
+        board2Bus: 1,
+        board2Address: '72'
+      }));
+
+      assert.equal(h.router.lastToast().type, 'error');
+      assert.equal(h.plugin.config.get('boards'), '[]');
+    });
+  });
+});
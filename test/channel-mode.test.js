@@ -0,0 +1,105 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+describe('Channel mode', function() {
+  it('maps each mode onto the DAC outputs', function() {
+    var h = harness.createPlugin();
+    var expected = {
+      stereo: { left: 'left', right: 'right' },
+      swapped: { left: 'right', right: 'left' },
+      mono: { left: 'mono', right: 'mono' },
+      left: { left: 'left', right: 'left' },
+      right: { left: 'right', right: 'right' }
+    };
+
+    var chain = harness.start(h).then(function() {
+      return harness.settle();
+    }).then(function() {
+      assert.deepEqual(h.dac.channelMapping(), expected.stereo);
+    });
+
+    Object.keys(expected).forEach(function(mode) {
+      chain = chain.then(function() {
+        h.plugin.setChannelMode(mode);
+        return harness.settle();
+      }).then(function() {
+        assert.deepEqual(h.dac.channelMapping(), expected[mode], mode);
+        assert.equal(h.plugin.config.get('channelMode'), mode);
+      });
+    });
+
+    return chain;
+  });
+
+  it('keeps the upper bits of the mapping register', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.reg11 = 0x34;
+      h.plugin.writeChannelMode('swapped');
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x0B], 0x31);
+    });
+  });
+
+  it('applies the saved mode on start', function() {
+    var h = harness.createPlugin({ config: { channelMode: 'mono' } });
+
+    return harness.start(h).then(function() {
+      return harness.settle();
+    }).then(function() {
+      assert.deepEqual(h.dac.channelMapping(), { left: 'mono', right: 'mono' });
+      assert.equal(h.plugin.getExpectedRegisters()[0x0B], h.dac.registers[0x0B]);
+    });
+  });
+
+  it('moves balance with the channels when swapped', function() {
+    var h = harness.createPlugin({ config: { balance: 10 } });
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(50);
+      var stereo = h.dac.attenuation();
+      assert.equal(stereo.left, stereo.right + 10);
+
+      h.plugin.currentVolume = 50;
+      h.plugin.setChannelMode('swapped');
+      var swapped = h.dac.attenuation();
+      assert.equal(swapped.right, swapped.left + 10);
+    });
+  });
+
+  it('ignores balance for the mono sum', function() {
+    var h = harness.createPlugin({ config: { balance: -12, channelMode: 'mono' } });
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(50);
+      var atten = h.dac.attenuation();
+      assert.equal(atten.left, atten.right);
+      assert.equal(atten.left, h.plugin.volumeToRegister(50));
+    });
+  });
+
+  it('saves from the balance section and resets to stereo', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.saveBalanceSettings({ channelMode: { value: 'left' }, balance: 0 });
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.config.get('channelMode'), 'left');
+      assert.deepEqual(h.dac.channelMapping(), { left: 'left', right: 'left' });
+
+      h.plugin.resetDevice();
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.channelMode, 'stereo');
+      assert.deepEqual(h.dac.channelMapping(), { left: 'left', right: 'right' });
+    });
+  });
+});
@@ -0,0 +1,185 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var chips = require('../lib/chips');
+var harness = require('./helpers/harness');
+
+function q2m(config) {
+  return harness.createPlugin({ config: config, dac: { model: 'es9038q2m' } });
+}
+
+function getUIConfig(h) {
+  return new Promise(function(resolve, reject) {
+    h.plugin.getUIConfig().then(resolve).fail(reject);
+  });
+}
+
+function field(uiconf, section, id) {
+  return uiconf.sections[section].content.find(function(f) { return f.id === id; });
+}
+
+function optionValues(item) {
+  return item.options.map(function(o) { return o.value; });
+}
+
+describe('Chip identification', function() {
+  it('reads model and revision from register 64', function() {
+    assert.equal(chips.identify(0x31).chip.name, 'ES9018K2M');
+    assert.equal(chips.identify(0x31).revision, 1);
+    assert.equal(chips.identify(0x71).chip.name, 'ES9038Q2M');
+    assert.equal(chips.identify(0x71).revision, null);
+    assert.equal(chips.identify(0x6A).chip.name, 'ES9028Q2M');
+    assert.equal(chips.identify(0x00), null);
+  });
+
+  it('maps filter options to the bits of each chip', function() {
+    var shadows = { filter: 0x81, bypass: 0x00 };
+
+    assert.deepEqual(chips.applyFir(chips.CHIPS.es9018k2m, 3, shadows), { filter: 0x81, bypass: 0x01 });
+    assert.deepEqual(chips.applyFir(chips.CHIPS.es9038q2m, 7, shadows), { filter: 0xE1, bypass: 0x00 });
+    // Bypass does not exist on the Q2M - falls back to fast roll-off
+    assert.deepEqual(chips.applyFir(chips.CHIPS.es9038q2m, 3, shadows), { filter: 0x01, bypass: 0x00 });
+    assert.deepEqual(chips.listIir(chips.CHIPS.es9028q2m), [0, 1, 2, 3]);
+  });
+
+  it('encodes THD coefficients as 16-bit two\'s complement', function() {
+    assert.deepEqual(chips.thdBytes(-2), [0xFE, 0xFF]);
+    assert.deepEqual(chips.thdBytes(300), [0x2C, 0x01]);
+    assert.deepEqual(chips.thdBytes(40000), [0xFF, 0x7F]);
+    assert.deepEqual(chips.thdBytes('x'), [0x00, 0x00]);
+  });
+});
+
+describe('ES9038Q2M', function() {
+  it('is detected and driven through its register map', function() {
+    var h = q2m({ fir: 5, iir: 2 });
+
+    return harness.start(h).then(function() {
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.deviceFound, true);
+      assert.equal(h.plugin.chip.name, 'ES9038Q2M');
+      assert.match(h.logger.lines.info.join('\n'), /Found ES9038Q2M at bus 1, 0x48/);
+      assert.equal(h.dac.firFilter(), 5);
+      assert.equal(h.dac.iirFilter(), 2);
+
+      h.plugin.setVolumeImmediate(50);
+      assert.deepEqual(h.dac.attenuation(), { left: 50, right: 50 });
+    });
+  });
+
+  it('falls back to the default for a filter the chip lacks', function() {
+    var h = q2m({ fir: 3, iir: 4 });
+
+    return harness.start(h).then(function() {
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.firFilter(), 1);
+      assert.equal(h.dac.iirFilter(), 0);
+      assert.equal(h.dac.osfBypass(), false);
+    });
+  });
+
+  it('rejects a filter the chip lacks from the settings form', function() {
+    var h = q2m({ fir: 5 });
+
+    return harness.start(h).then(function() {
+      h.plugin.saveFilterSettings({ fir: { value: 3 }, iir: { value: 1 } });
+
+      assert.equal(h.router.lastToast().type, 'error');
+      assert.equal(h.plugin.config.get('fir'), 5);
+      assert.equal(h.plugin.config.get('iir'), 0);
+      assert.equal(h.dac.firFilter(), 5);
+    });
+  });
+
+  it('loads a preset from another chip with the defaults for what it lacks', function() {
+    var presets = { K2M: { fir: 3, iir: 4, deemphasis: 0x4A, i2sDpll: 0x50, dsdDpll: 0x0A, balance: 0 } };
+    var h = q2m({ presets: JSON.stringify(presets) });
+
+    return harness.start(h).then(function() {
+      h.plugin.loadPreset('K2M');
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.config.get('fir'), 1);
+      assert.equal(h.plugin.config.get('iir'), 0);
+      assert.equal(h.dac.firFilter(), 1);
+      assert.match(h.logger.lines.warn.join('\n'), /ES9038Q2M has no FIR filter 3/);
+      assert.match(h.logger.lines.warn.join('\n'), /ES9038Q2M has no IIR bandwidth 4/);
+    });
+  });
+
+  it('writes THD compensation and keeps it under the watchdog', function() {
+    var h = q2m({ polarityInvertLeft: true });
+
+    return harness.start(h).then(function() {
+      h.plugin.setThdCompensation(true, -120, '45');
+      return harness.settle();
+    }).then(function() {
+      assert.deepEqual(h.dac.thdCompensation(), { enabled: true, c2: -120, c3: 45 });
+      assert.equal(h.dac.polarity().left, true);
+
+      h.dac.reset();
+      return new Promise(function(resolve, reject) {
+        h.plugin.verifyRegisters().then(resolve).fail(reject);
+      });
+    }).then(function(recovered) {
+      assert.equal(recovered, true);
+      return harness.drain(h);
+    }).then(function() {
+      assert.deepEqual(h.dac.thdCompensation(), { enabled: true, c2: -120, c3: 45 });
+    });
+  });
+
+  it('shows only the options of the detected chip', function() {
+    var h = q2m();
+
+    return harness.start(h).then(function() {
+      return getUIConfig(h);
+    }).then(function(uiconf) {
+      assert.deepEqual(optionValues(field(uiconf, 7, 'fir')), [0, 1, 2, 4, 5, 6, 7]);
+      assert.deepEqual(optionValues(field(uiconf, 7, 'iir')), [0, 1, 2, 3]);
+      assert.deepEqual(optionValues(field(uiconf, 12, 'fmtPcm44Fir')), [0, 1, 2, 4, 5, 6, 7]);
+      assert.equal(field(uiconf, 7, 'thdCompensation').hidden, false);
+      assert.equal(field(uiconf, 1, 'board1Status').value, 'Detected (ES9038Q2M)');
+    });
+  });
+});
+
+describe('ES9018K2M chip map', function() {
+  it('hides Q2M-only settings', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      return getUIConfig(h);
+    }).then(function(uiconf) {
+      assert.deepEqual(optionValues(field(uiconf, 7, 'fir')), [0, 1, 2, 3]);
+      assert.equal(field(uiconf, 7, 'thdCompensation').hidden, true);
+      assert.equal(field(uiconf, 7, 'thdC2').hidden, true);
+      h.dac.clearLog();
+      h.plugin.setThdCompensation(true, 100, 100);
+      assert.deepEqual(h.dac.writes, []);
+    });
+  });
+
+  it('ignores a board of another model', function() {
+    var h = harness.createPlugin({
+      config: {
+        boards: JSON.stringify([
+          { enabled: true, bus: 1, address: 0x48 },
+          { enabled: true, bus: 1, address: 0x49 }
+        ])
+      },
+      boards: { 0x49: { model: 'es9028q2m' } }
+    });
+
+    return harness.start(h).then(function() {
+      assert.deepEqual(h.plugin.getConnectedBoards().map(function(b) { return b.slot; }), [1]);
+      assert.match(h.logger.lines.warn.join('\n'), /0x49 is an ES9028Q2M/);
+      assert.equal(h.plugin.getBoardStatusLabel(2), 'Ignored, different chip (ES9028Q2M)');
+    });
+  });
+});
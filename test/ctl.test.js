@@ -0,0 +1,215 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var ControlSocket = require('../lib/control-socket').ControlSocket;
+var ctl = require('../lib/ctl-client');
+var harness = require('./helpers/harness');
+
+var SOCKET = path.join(os.tmpdir(), 'es9018k2m-test-' + process.pid + '.sock');
+
+var OPTIONS = {
+  fir: [
+    { value: 0, label: 'Slow Roll-Off' },
+    { value: 1, label: 'Fast Roll-Off' },
+    { value: 2, label: 'Minimum Phase' }
+  ]
+};
+
+function toPromise(promise) {
+  return new Promise(function(resolve, reject) {
+    promise.then(resolve).fail(reject);
+  });
+}
+
+// Plugin with the control socket on a private path
+function startPlugin(options) {
+  var h = harness.createPlugin(Object.assign({
+    config: { ctlSocketEnabled: true, ctlSocketPath: SOCKET, gracefulVolume: false }
+  }, options));
+
+  return harness.start(h).then(function() {
+    assert.ok(h.plugin.ctlSocket, 'socket is listening');
+    return h;
+  });
+}
+
+// Run one command line; resolves to { code, stdout, stderr }
+function ctlRun(argv) {
+  var out = { stdout: '', stderr: '' };
+  var io = {
+    env: { ES9018K2M_SOCKET: SOCKET },
+    stdout: { write: function(text) { out.stdout += text; } },
+    stderr: { write: function(text) { out.stderr += text; } }
+  };
+
+  return toPromise(ctl.run(argv, io)).then(function(code) {
+    out.code = code;
+    return out;
+  });
+}
+
+describe('es9018k2m-ctl arguments', function() {
+  function request(argv, state) {
+    return ctl.toRequest(ctl.parseArgs(argv, {}), state);
+  }
+
+  it('turns commands into socket requests', function() {
+    assert.deepEqual(request(['volume', '30']), { command: 'set', changes: { volume: 30 } });
+    assert.deepEqual(request(['volume']), { command: 'status' });
+    assert.deepEqual(request(['dpll', 'i2s', '3', 'dsd', '2']),
+      { command: 'set', changes: { dpll: { i2s: 0x30, dsd: 2 } } });
+    assert.deepEqual(request(['preset', 'load', 'Late', 'Night']),
+      { command: 'preset', action: 'load', name: 'Late Night' });
+    assert.equal(ctl.parseArgs(['--socket', '/run/x.sock', 'status'], {}).socket, '/run/x.sock');
+  });
+
+  it('finds filters by number or unambiguous name', function() {
+    var state = { options: OPTIONS };
+
+    assert.deepEqual(request(['filter', 'fir', 'minimum'], state).changes, { fir: 2 });
+    assert.deepEqual(request(['filter', 'fir', 'Slow', 'Roll-Off'], state).changes, { fir: 0 });
+    assert.deepEqual(request(['filter', 'fir', '1'], state).changes, { fir: 1 });
+    assert.throws(function() { request(['filter', 'fir', 'roll'], state); }, /is not one of/);
+  });
+
+  it('rejects bad values before contacting the plugin', function() {
+    assert.throws(function() { request(['volume', '101']); }, /Volume must be an integer/);
+    assert.throws(function() { request(['mute', 'maybe']); }, /on or off/);
+    assert.throws(function() { request(['dpll', 'i2s', '16']); }, /I2S DPLL/);
+    assert.throws(function() { request(['reboot']); }, /Unknown command/);
+  });
+});
+
+describe('Control socket', function() {
+  it('stays off in tests unless enabled', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      assert.equal(h.plugin.ctlSocket, null);
+    });
+  });
+
+  it('reports the status', function() {
+    return startPlugin().then(function() {
+      return ctlRun(['status']);
+    }).then(function(out) {
+      assert.equal(out.code, 0);
+      assert.match(out.stdout, /DAC {9}ES9018K2M at bus 1, 0x48/);
+      assert.match(out.stdout, /FIR {9}Fast Roll-Off/);
+      assert.match(out.stdout, /DPLL {8}I2S 5, DSD 10/);
+    });
+  });
+
+  it('sets volume through the plugin and moves the Volumio slider', function() {
+    var h;
+
+    return startPlugin().then(function(started) {
+      h = started;
+      return ctlRun(['volume', '30']);
+    }).then(function(out) {
+      assert.equal(out.code, 0);
+      assert.equal(h.plugin.currentVolume, 30);
+      assert.equal(h.router.volumeUpdates[h.router.volumeUpdates.length - 1].vol, 30);
+      return ctlRun(['volume']);
+    }).then(function(out) {
+      assert.equal(out.stdout, '30\n');
+    });
+  });
+
+  it('sets filters by name and keeps the shadows in step', function() {
+    var h;
+
+    return startPlugin().then(function(started) {
+      h = started;
+      return ctlRun(['filter', 'fir', 'minimum']);
+    }).then(function(out) {
+      assert.equal(out.code, 0);
+      assert.match(out.stdout, /fir {9}Minimum Phase/);
+      assert.equal(h.plugin.config.get('fir'), 2);
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.firFilter(), 2);
+      assert.equal(h.plugin.getExpectedRegisters()[0x07], h.dac.read(0x07));
+    });
+  });
+
+  it('saves, lists and loads presets', function() {
+    var h;
+
+    return startPlugin({ config: { ctlSocketEnabled: true, ctlSocketPath: SOCKET, iir: 2 } }).then(function(started) {
+      h = started;
+      return ctlRun(['preset', 'save', 'Late', 'Night']);
+    }).then(function(out) {
+      assert.equal(out.stdout, 'Preset saved: Late Night\n');
+      h.plugin.setIirFilter(0);
+      return ctlRun(['preset']);
+    }).then(function(out) {
+      assert.equal(out.stdout, '  Late Night\n');
+      return ctlRun(['preset', 'load', 'Late', 'Night']);
+    }).then(function(out) {
+      assert.equal(out.code, 0);
+      assert.equal(h.plugin.config.get('iir'), 2);
+      return ctlRun(['preset', 'delete', 'Early']);
+    }).then(function(out) {
+      assert.equal(out.code, 1);
+      assert.match(out.stderr, /Preset not found: Early/);
+    });
+  });
+
+  it('dumps registers and marks what differs from the plugin', function() {
+    var h;
+
+    return startPlugin().then(function(started) {
+      h = started;
+      // What a raw i2cset behind the plugin's back does
+      h.dac.write(0x0C, 0x11);
+      return ctlRun(['dump']);
+    }).then(function(out) {
+      assert.equal(out.code, 0);
+      assert.match(out.stdout, /^bus 1, 0x48 \(ES9018K2M\)/);
+      assert.match(out.stdout, / {2}0x0C {2}0x11 {2}\* expected 0x5A/);
+      assert.doesNotMatch(out.stdout, /0x07 {2}0x.. {2}\*/);
+    });
+  });
+
+  it('reports bad values and a stopped plugin', function() {
+    return ctlRun(['volume', '30']).then(function(out) {
+      assert.equal(out.code, 1);
+      assert.match(out.stderr, /Plugin not running/);
+      return ctlRun(['mute', 'maybe']);
+    }).then(function(out) {
+      assert.equal(out.code, 2);
+      assert.match(out.stderr, /on or off/);
+    });
+  });
+
+  it('replaces a stale socket but leaves any other file alone', function() {
+    var handler = function() {};
+    var crashed = new ControlSocket(handler, { path: SOCKET });
+    var restarted = new ControlSocket(handler, { path: SOCKET });
+
+    return toPromise(crashed.start()).then(function() {
+      return toPromise(restarted.start());
+    }).then(function() {
+      assert.ok(restarted.server);
+      return toPromise(restarted.stop());
+    }).then(function() {
+      fs.writeFileSync(SOCKET, 'keep me');
+      return toPromise(new ControlSocket(handler, { path: SOCKET }).start()).then(function() {
+        assert.fail('listened over a regular file');
+      }, function(err) {
+        assert.match(err.message, /exists and is not a socket/);
+        assert.equal(fs.readFileSync(SOCKET, 'utf8'), 'keep me');
+      });
+    }).finally(function() {
+      crashed.server.close();
+      fs.rmSync(SOCKET, { force: true });
+    });
+  });
+});
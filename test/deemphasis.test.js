@@ -0,0 +1,119 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+function track(uri, samplerate, extra) {
+  return Object.assign({
+    status: 'play',
+    volume: 50,
+    mute: false,
+    uri: uri,
+    samplerate: samplerate
+  }, extra);
+}
+
+describe('Automatic de-emphasis', function() {
+  it('applies the curve for the sample rate on flagged tracks only', function() {
+    var h = harness.createPlugin({
+      config: { deemphasis: -1, deemphasisPatterns: 'Pre-Emphasis, */Vintage/*.flac' }
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.handleStateChange(track('NAS/Music/Pre-Emphasis/01.flac', '44.1 kHz'));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x06], 0x1A);
+
+      h.plugin.handleStateChange(track('NAS/Music/Vintage/02.flac', '48 kHz'));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x06], 0x2A);
+
+      h.plugin.handleStateChange(track('NAS/Music/Modern/03.flac', '44.1 kHz'));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x06], 0x4A);
+      assert.equal(h.plugin.config.get('deemphasis'), -1);
+    });
+  });
+
+  it('honours a pre-emphasis metadata flag', function() {
+    var h = harness.createPlugin({ config: { deemphasis: -1 } });
+
+    return harness.start(h).then(function() {
+      h.plugin.handleStateChange(track('qobuz://track/1', '32 kHz', { emphasis: true }));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x06], 0x0A);
+
+      h.plugin.saveFilterSettings({ deemphasisUseTag: false, deemphasis: { value: -1 } });
+      h.plugin.handleStateChange(track('qobuz://track/2', '32 kHz', { emphasis: true }));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x06], 0x4A);
+    });
+  });
+
+  it('leaves de-emphasis off for rates without a curve', function() {
+    var h = harness.createPlugin({
+      config: { deemphasis: -1, deemphasisPatterns: 'Pre-Emphasis' }
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.handleStateChange(track('Pre-Emphasis/hires.flac', '96 kHz'));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x06], 0x4A);
+    });
+  });
+
+  it('keeps the curve while stopped and in the watchdog expectation', function() {
+    var h = harness.createPlugin({
+      config: { deemphasis: -1, deemphasisPatterns: 'Pre-Emphasis' }
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.handleStateChange(track('Pre-Emphasis/01.flac', '44.1 kHz'));
+      h.plugin.handleStateChange({ status: 'stop', volume: 50, mute: false });
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x06], 0x1A);
+      assert.equal(h.plugin.getExpectedRegisters()[0x06], 0x1A);
+    });
+  });
+
+  it('switching to Auto evaluates the playing track', function() {
+    var h = harness.createPlugin({
+      state: track('CD/Pre-Emphasis/05.flac', '44.1 kHz')
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.saveFilterSettings({
+        deemphasis: { value: -1 },
+        deemphasisPatterns: 'pre-emphasis',
+        deemphasisUseTag: true
+      });
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.config.get('deemphasisPatterns'), 'pre-emphasis');
+      assert.equal(h.dac.registers[0x06], 0x1A);
+    });
+  });
+
+  it('fixed modes ignore flags', function() {
+    var h = harness.createPlugin({
+      config: { deemphasis: 0x4A, deemphasisPatterns: 'Pre-Emphasis' }
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.handleStateChange(track('Pre-Emphasis/01.flac', '44.1 kHz'));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x06], 0x4A);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+function playing(samplerate, bitdepth, trackType) {
+  return {
+    status: 'play',
+    volume: 50,
+    mute: false,
+    samplerate: samplerate,
+    bitdepth: bitdepth,
+    trackType: trackType
+  };
+}
+
+describe('Format detection', function() {
+  var h = harness.createPlugin();
+
+  it('classifies PCM rates by family', function() {
+    assert.equal(h.plugin.detectFormat(playing('44.1 kHz', '16 bit', 'flac')), 'pcm44');
+    assert.equal(h.plugin.detectFormat(playing('22.05 kHz', '16 bit', 'mp3')), 'pcm44');
+    assert.equal(h.plugin.detectFormat(playing('48 kHz', '24 bit', 'flac')), 'pcm48');
+    assert.equal(h.plugin.detectFormat(playing('96000', '24 bit', 'wav')), 'hires');
+    assert.equal(h.plugin.detectFormat(playing('88.2 kHz', '24 bit', 'flac')), 'hires');
+  });
+
+  it('recognises DSD by track type, bit depth or rate', function() {
+    assert.equal(h.plugin.detectFormat(playing('2.82 MHz', '1 bit', 'dsf')), 'dsd');
+    assert.equal(h.plugin.detectFormat(playing('', '', 'dff')), 'dsd');
+    assert.equal(h.plugin.detectFormat(playing('5.64 MHz', '', '')), 'dsd');
+    assert.equal(h.plugin.detectFormat(playing('DSD64', '', '')), 'dsd');
+  });
+
+  it('returns null when the rate is unknown', function() {
+    assert.equal(h.plugin.detectFormat({ status: 'play', trackType: 'webradio' }), null);
+    assert.equal(h.plugin.detectFormat({ status: 'stop' }), null);
+  });
+});
+
+describe('Automatic format switching', function() {
+  it('applies the matching profile without touching the global settings', function() {
+    var h = harness.createPlugin({
+      config: {
+        autoFormatEnabled: true,
+        fir: 1,
+        i2sDpll: 0x50,
+        fmtPcm44Fir: 2,
+        fmtHiresFir: 0,
+        fmtHiresIir: 4,
+        fmtHiresDpll: 0x20,
+        fmtDsdIir: 3,
+        fmtDsdDpll: 0x0C
+      }
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.handleStateChange(playing('44.1 kHz', '16 bit', 'flac'));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.currentFormat, 'pcm44');
+      assert.equal(h.dac.firFilter(), 2);
+
+      h.plugin.handleStateChange(playing('192 kHz', '24 bit', 'flac'));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.firFilter(), 0);
+      assert.equal(h.dac.iirFilter(), 4);
+      assert.equal(h.dac.dpll().i2s, 2);
+
+      h.plugin.handleStateChange(playing('2.82 MHz', '1 bit', 'dsf'));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.iirFilter(), 3);
+      assert.equal(h.dac.dpll().dsd, 0x0C);
+      // DSD profile has no FIR field - global FIR applies
+      assert.equal(h.dac.firFilter(), 1);
+
+      assert.equal(h.plugin.config.get('fir'), 1);
+      assert.equal(h.plugin.config.get('i2sDpll'), 0x50);
+    });
+  });
+
+  it('keeps the current profile while the format is unknown', function() {
+    var h = harness.createPlugin({
+      config: { autoFormatEnabled: true, fmtHiresFir: 0 }
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.handleStateChange(playing('96 kHz', '24 bit', 'flac'));
+      h.plugin.handleStateChange({ status: 'stop', volume: 50, mute: false });
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.currentFormat, 'hires');
+      assert.equal(h.dac.firFilter(), 0);
+    });
+  });
+
+  it('leaves filters alone when disabled', function() {
+    var h = harness.createPlugin({ config: { fmtPcm48Fir: 2 } });
+
+    return harness.start(h).then(function() {
+      h.dac.clearLog();
+      h.plugin.handleStateChange(playing('48 kHz', '16 bit', 'flac'));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.currentFormat, null);
+      assert.deepEqual(h.dac.writesTo(0x15), []);
+      assert.equal(h.dac.firFilter(), 1);
+    });
+  });
+
+  it('restores the global filters when switched off', function() {
+    var h = harness.createPlugin({
+      config: { autoFormatEnabled: true, fmtPcm48Fir: 2, fmtPcm48Dpll: 0x10 },
+      state: playing('48 kHz', '16 bit', 'flac')
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.handleStateChange(playing('48 kHz', '16 bit', 'flac'));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.firFilter(), 2);
+
+      h.plugin.saveFormatProfiles({ autoFormatEnabled: false });
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.config.get('autoFormatEnabled'), false);
+      assert.equal(h.dac.firFilter(), 1);
+      assert.equal(h.dac.dpll().i2s, 5);
+    });
+  });
+
+  it('saving global filters keeps the active profile on the DAC', function() {
+    var h = harness.createPlugin({
+      config: { autoFormatEnabled: true, fmtPcm44Fir: 2 }
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.handleStateChange(playing('44.1 kHz', '16 bit', 'flac'));
+      h.plugin.saveFilterSettings({ fir: { value: 0 } });
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.config.get('fir'), 0);
+      assert.equal(h.dac.firFilter(), 2);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+var libQ = require('kew');
+var fs = require('fs-extra');
+
+// ---------------------------------------------------------------------------
+// Fake Volumio commandRouter - records everything the plugin asks of it
+// ---------------------------------------------------------------------------
+
+function FakeCommandRouter(options) {
+  var self = this;
+  var opts = options || {};
+
+  self.state = Object.assign({
+    status: 'stop',
+    volume: 50,
+    mute: false,
+    seek: 0,
+    service: 'mpd'
+  }, opts.state || {});
+
+  // Values returned by executeOnPlugin, keyed 'type/name/method'
+  self.pluginResponses = Object.assign({
+    'audio_interface/alsa_controller/getConfigParam': 0
+  }, opts.pluginResponses || {});
+
+  // Plugin instances returned by pluginManager.getPlugin, keyed 'type/name'
+  self.plugins = opts.plugins || {};
+
+  self.callbacks = {};
+  self.volumeUpdates = [];
+  self.pluginCalls = [];
+  self.seeks = [];
+  self.toasts = [];
+  self.broadcasts = [];
+
+  self.sharedVars = {
+    get: function(key) {
+      return key === 'language_code' ? 'en' : undefined;
+    }
+  };
+
+  self.pluginManager = {
+    getConfigurationFile: function(context, file) {
+      return file;
+    },
+    getPlugin: function(type, name) {
+      return self.plugins[type + '/' + name];
+    }
+  };
+}
+
+FakeCommandRouter.prototype.volumioGetState = function() {
+  return Object.assign({}, this.state);
+};
+
+FakeCommandRouter.prototype.volumioupdatevolume = function(volume) {
+  var self = this;
+
+  self.volumeUpdates.push(volume);
+  if (typeof volume.vol === 'number') {
+    self.state.volume = volume.vol;
+  }
+  if (typeof volume.mute === 'boolean') {
+    self.state.mute = volume.mute;
+  }
+
+  (self.callbacks.volumioupdatevolume || []).forEach(function(callback) {
+    callback(volume);
+  });
+};
+
+FakeCommandRouter.prototype.executeOnPlugin = function(type, name, method, data) {
+  var key = type + '/' + name + '/' + method;
+
+  this.pluginCalls.push({ type: type, name: name, method: method, data: data });
+  return this.pluginResponses[key];
+};
+
+FakeCommandRouter.prototype.addCallback = function(name, callback) {
+  if (!this.callbacks[name]) {
+    this.callbacks[name] = [];
+  }
+  this.callbacks[name].push(callback);
+};
+
+FakeCommandRouter.prototype.volumioSeek = function(position) {
+  this.seeks.push(position);
+  this.state.seek = position;
+  return libQ.resolve();
+};
+
+FakeCommandRouter.prototype.pushToastMessage = function(type, title, message) {
+  this.toasts.push({ type: type, title: title, message: message });
+};
+
+FakeCommandRouter.prototype.broadcastMessage = function(message, data) {
+  this.broadcasts.push({ message: message, data: data });
+};
+
+// Same contract as Volumio's i18nJson: replace TRANSLATE.KEY strings
+FakeCommandRouter.prototype.i18nJson = function(dictionaryFile, defaultDictionaryFile, jsonFile) {
+  var dictionary = {};
+  var defaults = {};
+
+  try {
+    dictionary = fs.readJsonSync(dictionaryFile);
+  } catch (e) {
+    dictionary = {};
+  }
+  try {
+    defaults = fs.readJsonSync(defaultDictionaryFile);
+  } catch (e) {
+    defaults = {};
+  }
+
+  function translate(node) {
+    if (typeof node === 'string' && node.indexOf('TRANSLATE.') === 0) {
+      var key = node.substring('TRANSLATE.'.length);
+      if (dictionary[key] !== undefined) {
+        return dictionary[key];
+      }
+      return defaults[key] !== undefined ? defaults[key] : node;
+    }
+    if (Array.isArray(node)) {
+      return node.map(translate);
+    }
+    if (node && typeof node === 'object') {
+      var out = {};
+      Object.keys(node).forEach(function(k) {
+        out[k] = translate(node[k]);
+      });
+      return out;
+    }
+    return node;
+  }
+
+  try {
+    return libQ.resolve(translate(fs.readJsonSync(jsonFile)));
+  } catch (err) {
+    return libQ.reject(err);
+  }
+};
+
+// Last toast, or null
+FakeCommandRouter.prototype.lastToast = function() {
+  return this.toasts.length ? this.toasts[this.toasts.length - 1] : null;
+};
+
+module.exports = FakeCommandRouter;
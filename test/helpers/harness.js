@@ -0,0 +1,153 @@
+'use strict';
+
+var afterEach = require('node:test').afterEach;
+var path = require('path');
+var fs = require('fs-extra');
+var Vconf = require('v-conf');
+
+var ControllerES9018K2M = require('../../index.js');
+var VirtualES9018K2M = require('./virtual-es9018k2m');
+var FakeCommandRouter = require('./command-router');
+var FakeMqttClient = require('./mqtt-client');
+
+var CONFIG_TEMPLATE = path.join(__dirname, '..', '..', 'config.json');
+
+// Plugins created by the current test, stopped afterwards so no poller or
+// timer keeps the test process alive
+var running = [];
+
+// ---------------------------------------------------------------------------
+// Plugin harness - controller wired to a virtual DAC and fake commandRouter
+// ---------------------------------------------------------------------------
+
+function createLogger() {
+  var lines = { info: [], warn: [], error: [] };
+
+  return {
+    lines: lines,
+    info: function(msg) { lines.info.push(msg); },
+    warn: function(msg) { lines.warn.push(msg); },
+    error: function(msg) { lines.error.push(msg); }
+  };
+}
+
+// In-memory v-conf seeded from config.json (no filePath, never touches disk)
+function createConfig(overrides) {
+  var config = new Vconf();
+
+  config.data = fs.readJsonSync(CONFIG_TEMPLATE);
+  Object.keys(overrides || {}).forEach(function(key) {
+    config.set(key, overrides[key]);
+  });
+
+  return config;
+}
+
+// options: { config, state, dac, boards, pluginResponses, plugins }
+// boards: { address: dac options } adds a virtual DAC per extra address;
+// a scan finds those and the main DAC at the configured address
+function createPlugin(options) {
+  var opts = options || {};
+  var router = new FakeCommandRouter({
+    state: opts.state,
+    pluginResponses: opts.pluginResponses,
+    plugins: opts.plugins
+  });
+  var logger = createLogger();
+  var dac = new VirtualES9018K2M(opts.dac);
+  var boards = {};
+
+  Object.keys(opts.boards || {}).forEach(function(address) {
+    boards[address] = new VirtualES9018K2M(opts.boards[address]);
+  });
+
+  var plugin = new ControllerES9018K2M({
+    coreCommand: router,
+    logger: logger,
+    configManager: {}
+  });
+
+  // Timers are opt-in so test processes can exit
+  plugin.config = createConfig(Object.assign({
+    i2cTransport: 'memory',
+    watchdogEnabled: false,
+    ctlSocketEnabled: false
+  }, opts.config));
+  var devices = Object.assign({}, boards);
+  devices[plugin.config.get('i2cAddress')] = dac;
+  plugin.transportOptions = { device: dac, devices: devices };
+
+  // No Volumio backend to talk to
+  plugin.startSocketConnection = function() {};
+
+  var harness = { plugin: plugin, dac: dac, boards: boards, router: router, logger: logger, mqtt: null };
+
+  // No broker either; h.mqtt is the client of the latest connection
+  plugin.mqttConnect = function(url, clientOptions) {
+    harness.mqtt = new FakeMqttClient(url, clientOptions);
+    return harness.mqtt;
+  };
+  running.push(harness);
+  return harness;
+}
+
+function stopAll() {
+  var stopping = running;
+  running = [];
+
+  stopping.forEach(function(h) {
+    if (h.plugin.config) {
+      h.plugin.onStop();
+    }
+  });
+}
+
+afterEach(stopAll);
+
+// Run onStart with the system already reported ready, then wait for the
+// init writes it queued (the watchdog skips its check while writes are queued)
+function start(harness) {
+  process.env.VOLUMIO_SYSTEM_STATUS = 'ready';
+  return new Promise(function(resolve) {
+    harness.plugin.onStart().then(function() {
+      resolve();
+    });
+  }).then(function() {
+    return settle();
+  }).then(function() {
+    return drain(harness);
+  });
+}
+
+// Let queued async I2C writes and short timers run
+function settle(ms) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, ms || 20);
+  });
+}
+
+// Wait until the I2C queues of every board are empty and idle, e.g. after
+// an init or recovery queued a full register rewrite
+function drain(harness, timeoutMs) {
+  var deadline = Date.now() + (timeoutMs || 2000);
+
+  return new Promise(function(resolve, reject) {
+    (function poll() {
+      if (harness.plugin.getI2cQueueDepth() === 0) {
+        resolve();
+      } else if (Date.now() > deadline) {
+        reject(new Error('I2C queue still holds ' + harness.plugin.getI2cQueueDepth() + ' operations'));
+      } else {
+        setTimeout(poll, 1);
+      }
+    })();
+  });
+}
+
+module.exports = {
+  createPlugin: createPlugin,
+  createConfig: createConfig,
+  start: start,
+  settle: settle,
+  drain: drain
+};
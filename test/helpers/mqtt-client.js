@@ -0,0 +1,64 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+// ---------------------------------------------------------------------------
+// Fake MQTT client - stands in for mqtt.connect(); tests drive the broker
+// side with connect() / receive() / drop()
+// ---------------------------------------------------------------------------
+
+function FakeMqttClient(url, options) {
+  EventEmitter.call(this);
+
+  this.url = url;
+  this.options = options;
+  this.published = [];      // { topic, payload, options } in order
+  this.subscriptions = [];
+  this.ended = false;
+}
+
+util.inherits(FakeMqttClient, EventEmitter);
+
+FakeMqttClient.prototype.publish = function(topic, payload, options) {
+  this.published.push({ topic: topic, payload: String(payload), options: options || {} });
+};
+
+FakeMqttClient.prototype.subscribe = function(topic) {
+  this.subscriptions.push(topic);
+};
+
+FakeMqttClient.prototype.end = function() {
+  this.ended = true;
+};
+
+// Broker accepted the connection
+FakeMqttClient.prototype.connect = function() {
+  this.emit('connect');
+};
+
+// Message from the broker on a subscribed topic
+FakeMqttClient.prototype.receive = function(topic, payload) {
+  this.emit('message', topic, Buffer.from(String(payload)));
+};
+
+// Connection lost
+FakeMqttClient.prototype.drop = function() {
+  this.emit('close');
+};
+
+// Last payload sent to a topic (what a retained topic holds), or undefined
+FakeMqttClient.prototype.retained = function(topic) {
+  for (var i = this.published.length - 1; i >= 0; i--) {
+    if (this.published[i].topic === topic) {
+      return this.published[i].payload;
+    }
+  }
+  return undefined;
+};
+
+FakeMqttClient.prototype.clearLog = function() {
+  this.published = [];
+};
+
+module.exports = FakeMqttClient;
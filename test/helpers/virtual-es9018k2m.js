@@ -0,0 +1,243 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Virtual ES9018K2M - register-level model of the DAC for tests
+//
+// Read-only status: reg 64 chip ID/revision/automute/lock, reg 65 DSD flag,
+// regs 66-69 DPLL ratio derived from sampleRate and mclk.
+//
+// options.model 'es9038q2m' / 'es9028q2m' reports a Q2M chip ID instead; the
+// filter and THD helpers then decode the Q2M register layout.
+//
+// Attach to the plugin through the memory transport:
+//   plugin.transportOptions = { device: dac };
+// ---------------------------------------------------------------------------
+
+// Power-on register values
+var DATASHEET_DEFAULTS = {
+  0x00: 0x00,  // System settings
+  0x01: 0x8C,  // Input configuration
+  0x04: 0x00,  // Automute time
+  0x05: 0x68,  // Automute level
+  0x06: 0x42,  // De-emphasis / volume ramp rate
+  0x07: 0x80,  // General settings (mute, filters)
+  0x08: 0x10,  // GPIO configuration
+  0x0B: 0x04,  // Channel mapping (ch1 = left, ch2 = right)
+  0x0C: 0x5A,  // DPLL settings
+  0x0D: 0x00,  // Channel polarity inversion
+  0x0E: 0x8A,  // Soft start
+  0x0F: 0x00,  // Volume left
+  0x10: 0x00,  // Volume right
+  0x15: 0x00,  // GPIO and OSF bypass
+  0x1B: 0xC4   // ASRC and volume latch
+};
+
+var REG_STATUS = 0x40;        // 64: chip status (read-only)
+var REG_INPUT_STATUS = 0x41;  // 65: input status (read-only)
+var REG_DPLL_NUM = 0x42;      // 66-69: DPLL ratio, LSB first (read-only)
+
+var ES9018K2M_CHIP_ID = 0x04;  // bits 4:2 = 100
+
+// Q2M family: six-bit ID in bits 7:2, no revision
+var Q2M_CHIP_IDS = { es9038q2m: 0x1C, es9028q2m: 0x1A };
+
+// filter_shape [7:5] -> plugin FIR option (1 = fast, the default)
+var Q2M_FIR_SHAPES = { 0x00: 1, 0x20: 0, 0x40: 2, 0x60: 4, 0x80: 5, 0xC0: 6, 0xE0: 7 };
+
+function VirtualES9018K2M(options) {
+  var opts = options || {};
+
+  this.model = opts.model || 'es9018k2m';
+  this.chipId = opts.chipId !== undefined ? opts.chipId : ES9018K2M_CHIP_ID;
+  this.revision = opts.revision !== undefined ? opts.revision : 0;
+  this.locked = opts.locked !== undefined ? opts.locked : true;
+  this.automuted = false;
+
+  // Incoming signal
+  this.dsd = opts.dsd || false;
+  this.sampleRate = opts.sampleRate || 44100;
+  this.mclk = opts.mclk || 100000000;
+
+  // Simulate a missing / NACKing device
+  this.present = opts.present !== undefined ? opts.present : true;
+
+  this.writes = [];
+  this.reads = [];
+  this.registers = [];
+  this.reset();
+}
+
+// Return every register to its power-on value (brown-out, power cycle)
+VirtualES9018K2M.prototype.reset = function() {
+  this.registers = [];
+  for (var i = 0; i < 256; i++) {
+    this.registers.push(0);
+  }
+  for (var reg in DATASHEET_DEFAULTS) {
+    this.registers[parseInt(reg, 10)] = DATASHEET_DEFAULTS[reg];
+  }
+};
+
+VirtualES9018K2M.prototype.checkPresent = function() {
+  if (!this.present) {
+    throw new Error('Remote I/O error (no ACK from 0x48)');
+  }
+};
+
+// Register 64: [7:5] revision, [4:2] chip ID, [1] automute, [0] lock
+VirtualES9018K2M.prototype.status = function() {
+  if (Q2M_CHIP_IDS[this.model] !== undefined) {
+    return (Q2M_CHIP_IDS[this.model] << 2) |
+      (this.automuted ? 0x02 : 0x00) |
+      (this.locked ? 0x01 : 0x00);
+  }
+  return ((this.revision & 0x07) << 5) |
+    ((this.chipId & 0x07) << 2) |
+    (this.automuted ? 0x02 : 0x00) |
+    (this.locked ? 0x01 : 0x00);
+};
+
+// DPLL_NUM = FSR * 2^32 / MCLK (zero while unlocked)
+VirtualES9018K2M.prototype.dpllNum = function() {
+  if (!this.locked) {
+    return 0;
+  }
+  return Math.round(this.sampleRate * 4294967296 / this.mclk);
+};
+
+VirtualES9018K2M.prototype.read = function(register) {
+  this.checkPresent();
+  this.reads.push(register);
+
+  if (register === REG_STATUS) {
+    return this.status();
+  }
+  if (register === REG_INPUT_STATUS) {
+    return this.dsd ? 0x01 : 0x00;
+  }
+  if (register >= REG_DPLL_NUM && register < REG_DPLL_NUM + 4) {
+    var shift = (register - REG_DPLL_NUM) * 8;
+    return Math.floor(this.dpllNum() / Math.pow(2, shift)) & 0xFF;
+  }
+  return this.registers[register];
+};
+
+VirtualES9018K2M.prototype.write = function(register, value) {
+  this.checkPresent();
+  this.writes.push({ register: register, value: value });
+
+  // Status registers are read-only
+  if (register >= REG_STATUS) {
+    return;
+  }
+  this.registers[register] = value;
+};
+
+VirtualES9018K2M.prototype.clearLog = function() {
+  this.writes = [];
+  this.reads = [];
+};
+
+// Values written to one register, in order
+VirtualES9018K2M.prototype.writesTo = function(register) {
+  return this.writes
+    .filter(function(w) { return w.register === register; })
+    .map(function(w) { return w.value; });
+};
+
+// ---------------------------------------------------------------------------
+// Decoded views
+// ---------------------------------------------------------------------------
+
+VirtualES9018K2M.prototype.isMuted = function() {
+  return (this.registers[0x07] & 0x01) === 0x01;
+};
+
+// Attenuation register value per channel (0x00 = 0dB, 0xFF = -127.5dB)
+VirtualES9018K2M.prototype.attenuation = function() {
+  return {
+    left: this.registers[0x0F],
+    right: this.registers[0x10]
+  };
+};
+
+VirtualES9018K2M.prototype.attenuationDb = function() {
+  var atten = this.attenuation();
+  return {
+    left: -atten.left / 2,
+    right: -atten.right / 2
+  };
+};
+
+// Same numbering as the plugin's FIR options (3 = OSF bypass)
+VirtualES9018K2M.prototype.firFilter = function() {
+  if (Q2M_CHIP_IDS[this.model] !== undefined) {
+    var shape = Q2M_FIR_SHAPES[this.registers[0x07] & 0xE0];
+    return shape !== undefined ? shape : null;
+  }
+  if (this.registers[0x15] & 0x01) {
+    return 3;
+  }
+  switch (this.registers[0x07] & 0x60) {
+    case 0x20:
+      return 0;
+    case 0x40:
+      return 2;
+    default:
+      return 1;
+  }
+};
+
+// Same numbering as the plugin's IIR options (4 = bypass)
+VirtualES9018K2M.prototype.iirFilter = function() {
+  if (this.registers[0x15] & 0x04) {
+    return 4;
+  }
+  return (this.registers[0x07] & 0x0C) >> 2;
+};
+
+// Source feeding each output: 'left', 'right' or 'mono'
+VirtualES9018K2M.prototype.channelMapping = function() {
+  var sources = ['left', 'right', 'mono', 'mono'];
+  return {
+    left: sources[this.registers[0x0B] & 0x03],
+    right: sources[(this.registers[0x0B] & 0x0C) >> 2]
+  };
+};
+
+VirtualES9018K2M.prototype.polarity = function() {
+  return {
+    left: (this.registers[0x0D] & 0x01) === 0x01,
+    right: (this.registers[0x0D] & 0x02) === 0x02
+  };
+};
+
+VirtualES9018K2M.prototype.dpll = function() {
+  return {
+    i2s: (this.registers[0x0C] & 0xF0) >> 4,
+    dsd: this.registers[0x0C] & 0x0F
+  };
+};
+
+// Q2M THD compensation: enable bit in 0x0D, coefficients LSB first
+VirtualES9018K2M.prototype.thdCompensation = function() {
+  var registers = this.registers;
+  function coefficient(low) {
+    var word = registers[low] | (registers[low + 1] << 8);
+    return word >= 0x8000 ? word - 0x10000 : word;
+  }
+
+  return {
+    enabled: (registers[0x0D] & 0x40) === 0x40,
+    c2: coefficient(0x16),
+    c3: coefficient(0x18)
+  };
+};
+
+VirtualES9018K2M.prototype.osfBypass = function() {
+  return (this.registers[0x15] & 0x01) === 0x01;
+};
+
+VirtualES9018K2M.DATASHEET_DEFAULTS = DATASHEET_DEFAULTS;
+
+module.exports = VirtualES9018K2M;
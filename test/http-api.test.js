@@ -0,0 +1,198 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+var http = require('http');
+
+var control = require('../lib/control');
+var harness = require('./helpers/harness');
+
+var ALLOWED = { fir: [0, 1, 2, 3], iir: [0, 1, 2, 3, 4], deemphasis: [-1, 0x4A, 0x0A] };
+
+// Plugin with the API on an ephemeral port; resolves to { h, port }
+function startApi(config, options) {
+  var h = harness.createPlugin(Object.assign({
+    config: Object.assign({ httpApiEnabled: true, httpApiPort: 0 }, config)
+  }, options));
+
+  return harness.start(h).then(function() {
+    return harness.settle();
+  }).then(function() {
+    assert.ok(h.plugin.httpApi, 'API is listening');
+    return { h: h, port: h.plugin.httpApi.server.address().port };
+  });
+}
+
+// -> { status, body }
+function request(port, method, path, body, headers) {
+  return new Promise(function(resolve, reject) {
+    var json = body !== undefined ? JSON.stringify(body) : '';
+    var req = http.request({
+      host: '127.0.0.1',
+      port: port,
+      method: method,
+      path: path,
+      headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+      agent: false
+    }, function(res) {
+      var chunks = [];
+      res.on('data', function(chunk) { chunks.push(chunk); });
+      res.on('end', function() {
+        resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+      });
+    });
+    req.on('error', reject);
+    req.end(json);
+  });
+}
+
+describe('Control change validation', function() {
+  it('accepts valid fields and reports every bad one', function() {
+    assert.deepEqual(control.normalizeChanges({ volume: 40, mute: false, dpll: { dsd: 3 } }, ALLOWED), {
+      changes: { volume: 40, mute: false, dpll: { dsd: 3 } },
+      errors: []
+    });
+
+    var result = control.normalizeChanges({ volume: 101, fir: 7, dpll: { i2s: 0x55 }, gain: 1 }, ALLOWED);
+    assert.deepEqual(result.changes, {});
+    assert.equal(result.errors.length, 4);
+    assert.match(result.errors[3], /Unknown setting: gain/);
+    assert.deepEqual(control.normalizeChanges({}, ALLOWED).errors, ['Nothing to change']);
+  });
+});
+
+describe('HTTP API', function() {
+  it('stays off unless enabled', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.httpApi, null);
+    });
+  });
+
+  it('reports the full DAC state', function() {
+    return startApi({ fir: 2 }).then(function(api) {
+      return request(api.port, 'GET', '/api/state');
+    }).then(function(res) {
+      assert.equal(res.status, 200);
+      assert.equal(res.body.device.found, true);
+      assert.equal(res.body.device.chip, 'ES9018K2M');
+      assert.equal(res.body.device.boards[0].address, '0x48');
+      assert.equal(res.body.fir, 2);
+      assert.equal(res.body.active.fir, 2);
+      assert.deepEqual(res.body.dpll, { i2s: 0x50, dsd: 0x0A });
+      assert.deepEqual(res.body.options.fir.map(function(o) { return o.value; }), [0, 1, 2, 3]);
+      assert.equal(typeof res.body.signal.locked, 'boolean');
+    });
+  });
+
+  it('applies changes through the plugin setters', function() {
+    var api;
+
+    return startApi().then(function(started) {
+      api = started;
+      return request(api.port, 'POST', '/api/state', { fir: 0, iir: 4, balance: 6, dpll: { dsd: 2 } });
+    }).then(function(res) {
+      assert.equal(res.status, 200);
+      assert.equal(res.body.fir, 0);
+      assert.equal(res.body.balance, 6);
+      assert.deepEqual(res.body.dpll, { i2s: 0x50, dsd: 2 });
+      assert.equal(api.h.plugin.config.get('iir'), 4);
+      assert.equal(api.h.dac.firFilter(), 0);
+      assert.equal(api.h.dac.iirFilter(), 4);
+      return request(api.port, 'POST', '/api/volume', { value: 30 });
+    }).then(function(res) {
+      assert.equal(res.status, 200);
+      assert.equal(res.body.volume, 30);
+      assert.equal(api.h.plugin.currentVolume, 30);
+      return request(api.port, 'POST', '/api/mute', { value: true });
+    }).then(function(res) {
+      assert.equal(res.body.mute, true);
+      assert.equal(api.h.dac.isMuted(), true);
+    });
+  });
+
+  it('changes nothing when any field is invalid', function() {
+    var api;
+
+    return startApi().then(function(started) {
+      api = started;
+      api.h.dac.clearLog();
+      return request(api.port, 'POST', '/api/state', { fir: 0, volume: 'loud' });
+    }).then(function(res) {
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, /volume must be an integer/);
+      assert.equal(api.h.plugin.config.get('fir'), 1);
+      assert.deepEqual(api.h.dac.writes, []);
+      return request(api.port, 'POST', '/api/state', 'not json');
+    }).then(function(res) {
+      assert.equal(res.status, 400);
+      return request(api.port, 'GET', '/api/gain');
+    }).then(function(res) {
+      assert.equal(res.status, 404);
+      return request(api.port, 'GET', '/api/volume');
+    }).then(function(res) {
+      assert.equal(res.status, 405);
+    });
+  });
+
+  it('refuses volume while no DAC is detected', function() {
+    return startApi({}, { dac: { present: false } }).then(function(api) {
+      return request(api.port, 'POST', '/api/volume', { value: 30 });
+    }).then(function(res) {
+      assert.equal(res.status, 503);
+    });
+  });
+
+  it('requires the token when one is set', function() {
+    var api;
+
+    return startApi({ httpApiToken: 's3cret' }).then(function(started) {
+      api = started;
+      return request(api.port, 'GET', '/api/state');
+    }).then(function(res) {
+      assert.equal(res.status, 401);
+      return request(api.port, 'GET', '/api/state', undefined, { Authorization: 'Bearer s3cret' });
+    }).then(function(res) {
+      assert.equal(res.status, 200);
+      return request(api.port, 'GET', '/api/state', undefined, { Authorization: 'Bearer s3cre' });
+    }).then(function(res) {
+      assert.equal(res.status, 401);
+    });
+  });
+
+  it('only takes JSON request bodies', function() {
+    var api;
+
+    return startApi({}).then(function(started) {
+      api = started;
+      return request(api.port, 'POST', '/api/volume', { value: 30 }, { 'Content-Type': 'text/plain' });
+    }).then(function(res) {
+      assert.equal(res.status, 415);
+      assert.notEqual(api.h.plugin.currentVolume, 30);
+      return request(api.port, 'POST', '/api/volume', { value: 30 },
+        { 'Content-Type': 'application/json; charset=utf-8' });
+    }).then(function(res) {
+      assert.equal(res.status, 200);
+      assert.equal(api.h.plugin.currentVolume, 30);
+    });
+  });
+
+  it('does not open network access without a token', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      return h.plugin.saveHttpApi({
+        httpApiEnabled: true, httpApiPort: 8018, httpApiListenAll: true, httpApiToken: ' '
+      });
+    }).then(function() {
+      assert.equal(h.router.lastToast().type, 'error');
+      assert.equal(h.plugin.config.get('httpApiEnabled'), false);
+      assert.equal(h.plugin.config.get('httpApiListenAll'), false);
+      assert.equal(h.plugin.httpApi, null);
+    });
+  });
+});
@@ -0,0 +1,274 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+var libQ = require('kew');
+
+var I2cQueue = require('../lib/i2c-queue').I2cQueue;
+var harness = require('./helpers/harness');
+
+// Transport whose async operations complete only when released, so tests
+// can observe what is queued behind an operation on the bus
+function createGatedTransport() {
+  var transport = {
+    throttleMs: 0,
+    registers: {},
+    log: [],
+    gates: [],
+
+    writeByteSync: function(register, value) {
+      transport.registers[register] = value;
+      transport.log.push(['sync', register, value]);
+    },
+
+    writeByte: function(register, value) {
+      var defer = libQ.defer();
+
+      transport.log.push(['write', register, value]);
+      transport.gates.push(function() {
+        transport.registers[register] = value;
+        defer.resolve();
+      });
+      return defer.promise;
+    },
+
+    readByte: function(register) {
+      var defer = libQ.defer();
+
+      transport.log.push(['read', register]);
+      transport.gates.push(function() {
+        defer.resolve(transport.registers[register] || 0);
+      });
+      return defer.promise;
+    },
+
+    // Let the operation on the bus land, then give the queue a tick
+    release: function() {
+      transport.gates.shift()();
+      return harness.settle(5);
+    }
+  };
+
+  return transport;
+}
+
+describe('I2C queue', function() {
+  it('coalesces queued writes to the same register', function() {
+    var transport = createGatedTransport();
+    var queue = new I2cQueue(transport);
+    var first;
+    var second;
+
+    queue.write(0x0C, 0x5A);
+    first = queue.write(0x0F, 10);
+    second = queue.write(0x0F, 20);
+
+    return harness.settle(5).then(function() {
+      assert.equal(queue.depth(), 2);
+      return transport.release();
+    }).then(function() {
+      return transport.release();
+    }).then(function() {
+      return libQ.all([first, second]);
+    }).then(function() {
+      assert.deepEqual(transport.log, [['write', 0x0C, 0x5A], ['write', 0x0F, 20]]);
+      assert.equal(queue.getStats().coalesced, 1);
+    });
+  });
+
+  it('sends high priority operations before settings traffic', function() {
+    var transport = createGatedTransport();
+    var queue = new I2cQueue(transport);
+
+    queue.write(0x0C, 0x5A);
+    queue.write(0x07, 0x80);
+    queue.read(0x40);
+    queue.write(0x0F, 0x20, 'high');
+    queue.write(0x07, 0x81, 'high');
+
+    return harness.settle(5).then(function() {
+      assert.deepEqual([queue.getStats().high, queue.getStats().normal], [1, 2]);
+      return transport.release();
+    }).then(function() {
+      return transport.release();
+    }).then(function() {
+      return transport.release();
+    }).then(function() {
+      return transport.release();
+    }).then(function() {
+      // 0x07 was promoted with its newest value
+      assert.deepEqual(transport.log, [
+        ['write', 0x0F, 0x20],
+        ['write', 0x07, 0x81],
+        ['write', 0x0C, 0x5A],
+        ['read', 0x40]
+      ]);
+      assert.equal(queue.depth(), 0);
+    });
+  });
+
+  it('a sync write drops queued writes to its register', function() {
+    var transport = createGatedTransport();
+    var queue = new I2cQueue(transport);
+    var superseded;
+
+    queue.write(0x0C, 0x5A);
+    superseded = queue.write(0x07, 0x80);
+
+    return harness.settle(5).then(function() {
+      queue.writeSync(0x07, 0x81);
+      return transport.release();
+    }).then(function() {
+      return superseded;
+    }).then(function() {
+      assert.equal(queue.depth(), 0);
+      assert.equal(transport.registers[0x07], 0x81);
+    });
+  });
+
+  it('a sync write is sent again when an older value is on the bus', function() {
+    var transport = createGatedTransport();
+    var queue = new I2cQueue(transport);
+
+    queue.write(0x07, 0x80);
+
+    return harness.settle(5).then(function() {
+      queue.writeSync(0x07, 0x81);
+      // The stale write lands after the sync one
+      return transport.release();
+    }).then(function() {
+      assert.equal(transport.registers[0x07], 0x80);
+      return transport.release();
+    }).then(function() {
+      assert.equal(transport.registers[0x07], 0x81);
+    });
+  });
+
+  it('reports depth and latency', function() {
+    var transport = createGatedTransport();
+    var queue = new I2cQueue(transport);
+
+    queue.write(0x0C, 0x5A);
+    queue.read(0x40);
+
+    return harness.settle(30).then(function() {
+      return transport.release();
+    }).then(function() {
+      return transport.release();
+    }).then(function() {
+      var stats = queue.getStats();
+
+      assert.equal(stats.depth, 0);
+      assert.equal(stats.maxDepth, 2);
+      assert.equal(stats.writes, 1);
+      assert.equal(stats.reads, 1);
+      assert.ok(stats.maxLatencyMs >= 30, 'max ' + stats.maxLatencyMs);
+      assert.ok(stats.avgLatencyMs > 0);
+    });
+  });
+
+  it('spaces operations by the transport throttle', function() {
+    var transport = createGatedTransport();
+    var queue = new I2cQueue(transport, { throttleMs: 40 });
+    var started = Date.now();
+
+    queue.write(0x0C, 0x5A);
+    queue.write(0x0D, 0x00);
+
+    return harness.settle(5).then(function() {
+      return transport.release();
+    }).then(function() {
+      assert.equal(transport.log.length, 1);
+      return harness.settle(50);
+    }).then(function() {
+      assert.equal(transport.log.length, 2);
+      assert.ok(Date.now() - started >= 40);
+      return transport.release();
+    });
+  });
+
+  it('close rejects everything still waiting', function() {
+    var transport = createGatedTransport();
+    var queue = new I2cQueue(transport);
+    var waiting;
+
+    queue.write(0x0C, 0x5A);
+    waiting = queue.read(0x40);
+
+    return harness.settle(5).then(function() {
+      queue.close();
+      return waiting.then(function() {
+        assert.fail('read resolved after close');
+      }, function(err) {
+        assert.equal(err.message, 'I2C transport closed');
+        return queue.write(0x0F, 0).fail(function(err) {
+          assert.equal(err.message, 'I2C transport closed');
+        });
+      });
+    }).then(function() {
+      return transport.release();
+    });
+  });
+
+  it('a sync write after close throws instead of reaching the bus', function() {
+    var transport = createGatedTransport();
+    var queue = new I2cQueue(transport);
+
+    queue.close();
+    assert.throws(function() {
+      queue.writeSync(0x0F, 0xFF);
+    }, /I2C transport closed/);
+    assert.deepEqual(transport.log, []);
+  });
+
+  it('the operation on the bus at close starts nothing after it', function() {
+    var transport = createGatedTransport();
+    var queue = new I2cQueue(transport, { throttleMs: 20 });
+
+    queue.write(0x0C, 0x5A);
+    queue.write(0x0D, 0x12).fail(function() {});
+
+    return harness.settle(5).then(function() {
+      queue.close();
+      return transport.release();
+    }).then(function() {
+      assert.equal(queue.timer, null);
+      return harness.settle(40);
+    }).then(function() {
+      assert.equal(transport.log.length, 1);
+      assert.equal(queue.depth(), 0);
+    });
+  });
+});
+
+describe('I2C queue in the controller', function() {
+  it('a sync mute keeps the filter bits queued for register 0x07', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      return harness.settle();
+    }).then(function() {
+      h.plugin.setFirFilter(0);
+      h.plugin.setMuteSync(true);
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x07] & 0x60, 0x20);
+      assert.equal(h.dac.registers[0x07], h.plugin.reg7);
+      assert.equal(h.dac.isMuted(), true);
+      assert.equal(h.plugin.getI2cQueueDepth(), 0);
+    });
+  });
+
+  it('shows the queue in the signal status', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      return harness.settle();
+    }).then(function() {
+      var label = h.plugin.getSignalStatusLabels().i2cQueue;
+
+      assert.match(label, /^0 queued \(max \d+\), [\d.]+ ms avg \/ \d+ ms max, \d+ coalesced$/);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+var os = require('os');
+var path = require('path');
+var fs = require('fs-extra');
+
+var i2cTransport = require('../lib/i2c-transport');
+var VirtualES9018K2M = require('./helpers/virtual-es9018k2m');
+
+describe('I2C transport', function() {
+  it('memory transport stores and reads back registers', function() {
+    var transport = i2cTransport.createTransport('memory', 1, 0x48);
+
+    transport.writeByteSync(0x07, 0x81);
+    assert.equal(transport.readByteSync(0x07), 0x81);
+    assert.equal(transport.throttleMs, 0);
+  });
+
+  it('memory transport async calls resolve with register values', function() {
+    var transport = i2cTransport.createTransport('memory', 1, 0x48, {
+      registers: { 0x0C: 0x5F }
+    });
+
+    return transport.writeByte(0x0F, 0x31)
+      .then(function() {
+        return transport.readByte(0x0F);
+      })
+      .then(function(value) {
+        assert.equal(value, 0x31);
+        return transport.readByte(0x0C);
+      })
+      .then(function(value) {
+        assert.equal(value, 0x5F);
+      });
+  });
+
+  it('memory transport persists to and reloads from a file', function() {
+    var file = path.join(os.tmpdir(), 'es9018k2m-regs-' + process.pid + '.json');
+
+    try {
+      var first = i2cTransport.createTransport('memory', 1, 0x48, { file: file });
+      first.writeByteSync(0x15, 0x05);
+
+      var second = i2cTransport.createTransport('memory', 1, 0x48, { file: file });
+      assert.equal(second.readByteSync(0x15), 0x05);
+    } finally {
+      fs.removeSync(file);
+    }
+  });
+
+  it('memory transport delegates to a device model', function() {
+    var dac = new VirtualES9018K2M();
+    var transport = i2cTransport.createTransport('memory', 1, 0x48, { device: dac });
+
+    transport.writeByteSync(0x0F, 0x20);
+    assert.equal(dac.attenuation().left, 0x20);
+    assert.equal(transport.readByteSync(0x40) & 0x1C, 0x10);
+  });
+
+  it('rejects async reads when the device does not answer', function() {
+    var dac = new VirtualES9018K2M({ present: false });
+    var transport = i2cTransport.createTransport('memory', 1, 0x48, { device: dac });
+
+    return transport.readByte(0x40).then(
+      function() { assert.fail('read should fail'); },
+      function(err) { assert.match(err.message, /no ACK/); }
+    );
+  });
+
+  it('i2c-tools transport builds i2cset/i2cget commands', function() {
+    var transport = i2cTransport.createTransport('i2ctools', 1, 0x48);
+
+    assert.equal(transport.setCommand(0x0F, 0x31), 'i2cset -y 1 0x48 0xf 0x31');
+    assert.equal(transport.getCommand(0x40), 'i2cget -y 1 0x48 0x40');
+    assert.equal(transport.throttleMs, 30);
+  });
+
+  it('auto falls back to i2c-tools without /dev/i2c-N', function() {
+    var transport = i2cTransport.createTransport('auto', 99, 0x48);
+
+    assert.equal(transport.name, 'i2ctools');
+  });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+describe('Input configuration', function() {
+  it('initializes as 32-bit auto-detect by default', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      assert.equal(h.dac.registers[0x01], 0xC4);
+    });
+  });
+
+  it('builds register 0x01 from mode and bit width', function() {
+    var h = harness.createPlugin();
+    var cases = [
+      ['i2s', 32, 0xC0],
+      ['lj', 24, 0x50],
+      ['dsd', 32, 0xC3],
+      ['spdif', 16, 0x01],
+      ['auto', 24, 0x44]
+    ];
+
+    cases.forEach(function(c) {
+      h.plugin.inputMode = c[0];
+      h.plugin.inputBitWidth = c[1];
+      assert.equal(h.plugin.getInputRegister(), c[2], c[0] + ' ' + c[1]);
+    });
+  });
+
+  it('initializes from the saved configuration', function() {
+    var h = harness.createPlugin({ config: { inputMode: 'lj', inputBitWidth: 24 } });
+
+    return harness.start(h).then(function() {
+      assert.equal(h.dac.registers[0x01], 0x50);
+      assert.equal(h.plugin.getExpectedRegisters()[0x01], 0x50);
+    });
+  });
+
+  it('applies a saved input live', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.saveInputSettings({ inputMode: { value: 'spdif' }, inputBitWidth: { value: 32 } });
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x01], 0xC1);
+      assert.equal(h.plugin.config.get('inputMode'), 'spdif');
+    });
+  });
+
+  it('stores a bit width sent as a string as a number', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.saveInputSettings({ inputMode: { value: 'i2s' }, inputBitWidth: { value: '24' } });
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.config.get('inputBitWidth'), 24);
+      assert.equal(h.plugin.getInputWidthOption(h.plugin.inputBitWidth).label, '24-bit');
+      assert.equal(h.dac.registers[0x01], 0x40);
+    });
+  });
+
+  it('follows the Volumio source in source mode', function() {
+    var h = harness.createPlugin({ config: { inputMode: 'source' } });
+
+    return harness.start(h).then(function() {
+      h.plugin.handleStateChange({ status: 'play', volume: 50, service: 'inputs', trackType: 'optical' });
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x01], 0xC1);
+
+      // Stopped without a service keeps the input
+      h.plugin.handleStateChange({ status: 'stop', volume: 50 });
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x01], 0xC1);
+
+      h.plugin.handleStateChange({ status: 'play', volume: 50, service: 'mpd', trackType: 'flac' });
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.registers[0x01], 0xC4);
+    });
+  });
+
+  it('matches the configured external source names', function() {
+    var h = harness.createPlugin({ config: { inputSourceServices: 'Line-In, bluetooth' } });
+
+    assert.equal(h.plugin.isExternalInput({ service: 'line-in' }), true);
+    assert.equal(h.plugin.isExternalInput({ service: 'mpd', trackType: 'bluetooth' }), true);
+    assert.equal(h.plugin.isExternalInput({ service: 'inputs' }), false);
+  });
+
+  it('resets to auto-detect', function() {
+    var h = harness.createPlugin({ config: { inputMode: 'dsd', inputBitWidth: 16 } });
+
+    return harness.start(h).then(function() {
+      h.plugin.resetDevice();
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.inputMode, 'auto');
+      assert.equal(h.dac.registers[0x01], 0xC4);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var mqttBridge = require('../lib/mqtt-bridge');
+var harness = require('./helpers/harness');
+
+var BASE = 'volumio/es9018k2m';
+var FIR = [{ value: 1, label: 'Fast Roll-Off' }, { value: 2, label: 'Minimum Phase' }];
+
+// Plugin with MQTT on and the broker connection up
+function connected(config) {
+  var h = harness.createPlugin({ config: Object.assign({ mqttEnabled: true }, config) });
+
+  return harness.start(h).then(function() {
+    h.mqtt.connect();
+    return h;
+  });
+}
+
+function discovery(h, component, entity) {
+  return JSON.parse(h.mqtt.retained('homeassistant/' + component + '/volumio_es9018k2m/' + entity + '/config'));
+}
+
+describe('MQTT payloads', function() {
+  it('parses /set payloads into control changes', function() {
+    var options = { fir: FIR, iir: [] };
+
+    assert.equal(mqttBridge.commandName(BASE, BASE + '/dpll_i2s/set'), 'dpll_i2s');
+    assert.equal(mqttBridge.commandName(BASE, BASE + '/lock/set'), null);
+    assert.equal(mqttBridge.commandName(BASE, 'other/volume/set'), null);
+    assert.deepEqual(mqttBridge.parseCommand('volume', '42', options), { volume: 42 });
+    assert.deepEqual(mqttBridge.parseCommand('mute', 'ON', options), { mute: true });
+    assert.deepEqual(mqttBridge.parseCommand('fir', 'Minimum Phase', options), { fir: 2 });
+    assert.deepEqual(mqttBridge.parseCommand('dpll_i2s', '3', options), { dpll: { i2s: 0x30 } });
+    // Left for validation to reject
+    assert.deepEqual(mqttBridge.parseCommand('fir', 'Wobbly', options), { fir: 'Wobbly' });
+  });
+
+  it('rejects base topics with wildcards or empty levels', function() {
+    assert.equal(mqttBridge.isValidBaseTopic('home/dac'), true);
+    assert.equal(mqttBridge.isValidBaseTopic('home/#'), false);
+    assert.equal(mqttBridge.isValidBaseTopic('home//dac'), false);
+    assert.equal(mqttBridge.isValidBaseTopic(''), false);
+  });
+});
+
+describe('MQTT', function() {
+  it('stays off unless enabled', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      assert.equal(h.mqtt, null);
+      // The client module is optional and only loaded once MQTT is enabled
+      assert.equal(Object.keys(require.cache).some(function(file) {
+        return /[\\/]node_modules[\\/]mqtt[\\/]/.test(file);
+      }), false);
+    });
+  });
+
+  it('publishes retained state and discovery on connect', function() {
+    return connected().then(function(h) {
+      assert.equal(h.mqtt.url, 'mqtt://localhost:1883');
+      assert.deepEqual(h.mqtt.options.will, { topic: BASE + '/availability', payload: 'offline', qos: 1, retain: true });
+      assert.deepEqual(h.mqtt.subscriptions, [BASE + '/+/set']);
+
+      assert.equal(h.mqtt.retained(BASE + '/availability'), 'online');
+      assert.equal(h.mqtt.retained(BASE + '/fir'), 'Fast Roll-Off');
+      assert.equal(h.mqtt.retained(BASE + '/dpll_i2s'), '5');
+      assert.equal(h.mqtt.retained(BASE + '/lock'), 'OFF');
+      assert.equal(h.mqtt.published.every(function(m) { return m.options.retain; }), true);
+
+      var fir = discovery(h, 'select', 'fir');
+      assert.deepEqual(fir.options, ['Slow Roll-Off', 'Fast Roll-Off', 'Minimum Phase', 'Bypass']);
+      assert.equal(fir.command_topic, BASE + '/fir/set');
+      assert.equal(fir.device.model, 'ES9018K2M');
+      assert.equal(discovery(h, 'number', 'volume').max, 100);
+      assert.equal(discovery(h, 'binary_sensor', 'lock').command_topic, undefined);
+    });
+  });
+
+  it('applies /set commands through the plugin setters', function() {
+    var h;
+
+    return connected({ gracefulTransitions: false }).then(function(started) {
+      h = started;
+      h.mqtt.receive(BASE + '/fir/set', 'Minimum Phase');
+      h.mqtt.receive(BASE + '/dpll_dsd/set', '2');
+      h.mqtt.receive(BASE + '/mute/set', 'ON');
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.firFilter(), 2);
+      assert.equal(h.plugin.config.get('dsdDpll'), 2);
+      assert.equal(h.dac.isMuted(), true);
+      assert.equal(h.mqtt.retained(BASE + '/fir'), 'Minimum Phase');
+      assert.equal(h.mqtt.retained(BASE + '/dpll_dsd'), '2');
+      assert.equal(h.mqtt.retained(BASE + '/mute'), 'ON');
+    });
+  });
+
+  it('republishes the state when a command is rejected', function() {
+    var h;
+
+    return connected().then(function(started) {
+      h = started;
+      h.mqtt.clearLog();
+      h.mqtt.receive(BASE + '/fir/set', 'Wobbly');
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.config.get('fir'), 1);
+      assert.match(h.logger.lines.warn.join('\n'), /MQTT command fir rejected/);
+      assert.equal(h.mqtt.retained(BASE + '/fir'), 'Fast Roll-Off');
+    });
+  });
+
+  it('publishes only what changed', function() {
+    return connected().then(function(h) {
+      h.mqtt.clearLog();
+      h.plugin.publishMqttState();
+      assert.deepEqual(h.mqtt.published, []);
+
+      h.plugin.setIirFilter(4);
+      assert.deepEqual(h.mqtt.published.map(function(m) { return m.topic; }), [BASE + '/iir']);
+      assert.equal(h.mqtt.retained(BASE + '/iir'), 'Bypass');
+    });
+  });
+
+  it('reconnects with backoff and goes offline cleanly on stop', function() {
+    return connected().then(function(h) {
+      var client = h.mqtt;
+
+      client.drop();
+      assert.equal(h.plugin.mqttConnected, false);
+      assert.equal(h.plugin.mqttReconnectAttempts, 1);
+      assert.ok(h.plugin.mqttReconnectTimer);
+
+      // What the timer does: the old client is closed, the new one resets the backoff
+      h.plugin.connectMqtt();
+      h.mqtt.connect();
+      assert.equal(client.ended, true);
+      assert.equal(h.plugin.mqttReconnectAttempts, 0);
+
+      h.plugin.stopMqtt();
+      assert.equal(h.mqtt.retained(BASE + '/availability'), 'offline');
+      assert.equal(h.mqtt.ended, true);
+      assert.equal(h.plugin.mqttReconnectTimer, null);
+    });
+  });
+});
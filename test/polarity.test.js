@@ -0,0 +1,103 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+function track(album, uri) {
+  return { status: 'play', volume: 50, mute: false, album: album, artist: 'Artist', uri: uri };
+}
+
+describe('Polarity inversion', function() {
+  it('programs the inversion bits per output', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.setPolarity(true, false);
+      return harness.settle();
+    }).then(function() {
+      assert.deepEqual(h.dac.polarity(), { left: true, right: false });
+      assert.equal(h.plugin.config.get('polarityInvertLeft'), true);
+
+      h.plugin.saveBalanceSettings({ balance: 0, polarityInvertLeft: true, polarityInvertRight: true });
+      return harness.settle();
+    }).then(function() {
+      assert.deepEqual(h.dac.polarity(), { left: true, right: true });
+      assert.equal(h.plugin.getExpectedRegisters()[0x0D], 0x03);
+    });
+  });
+
+  it('restores the saved polarity on start and clears it on reset', function() {
+    var h = harness.createPlugin({ config: { polarityInvertRight: true } });
+
+    return harness.start(h).then(function() {
+      return harness.settle();
+    }).then(function() {
+      assert.deepEqual(h.dac.polarity(), { left: false, right: true });
+
+      h.plugin.resetDevice();
+      return harness.settle();
+    }).then(function() {
+      assert.deepEqual(h.dac.polarity(), { left: false, right: false });
+      assert.equal(h.plugin.config.get('polarityInvertRight'), false);
+    });
+  });
+});
+
+describe('Album polarity', function() {
+  it('inverts both outputs until the next album', function() {
+    var h = harness.createPlugin({
+      config: { polarityInvertLeft: true },
+      state: track('Kind of Blue', 'mnt/NAS/Kind of Blue/01.flac')
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.toggleAlbumPolarity();
+      return harness.settle();
+    }).then(function() {
+      // Left was already inverted - the album flip cancels it out
+      assert.deepEqual(h.dac.polarity(), { left: false, right: true });
+      assert.equal(h.router.lastToast().type, 'success');
+
+      h.plugin.handleStateChange(track('Kind of Blue', 'mnt/NAS/Kind of Blue/02.flac'));
+      h.plugin.handleStateChange({ status: 'stop', volume: 50, mute: false });
+      return harness.settle();
+    }).then(function() {
+      assert.deepEqual(h.dac.polarity(), { left: false, right: true });
+
+      h.plugin.handleStateChange(track('Blue Train', 'mnt/NAS/Blue Train/01.flac'));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.albumInvertKey, null);
+      assert.deepEqual(h.dac.polarity(), { left: true, right: false });
+      assert.equal(h.plugin.config.get('polarityInvertRight'), false);
+    });
+  });
+
+  it('uses the folder when the track has no album tag', function() {
+    var h = harness.createPlugin();
+
+    assert.equal(h.plugin.getAlbumKey({ uri: 'mnt/USB/Rips/Disc 1/03.wav' }), 'uri:mnt/USB/Rips/Disc 1');
+    assert.equal(h.plugin.getAlbumKey(track('Kind of Blue')), 'album:Artist|Kind of Blue');
+    assert.equal(h.plugin.getAlbumKey({ status: 'stop' }), null);
+  });
+
+  it('toggles off on the same album and warns when nothing plays', function() {
+    var h = harness.createPlugin({ state: track('Kind of Blue', 'mnt/NAS/Kind of Blue/01.flac') });
+
+    return harness.start(h).then(function() {
+      h.plugin.toggleAlbumPolarity();
+      h.plugin.toggleAlbumPolarity();
+      return harness.settle();
+    }).then(function() {
+      assert.deepEqual(h.dac.polarity(), { left: false, right: false });
+
+      h.router.state = { status: 'stop' };
+      h.plugin.toggleAlbumPolarity();
+      assert.equal(h.router.lastToast().type, 'warning');
+      assert.equal(h.plugin.albumInvertKey, null);
+    });
+  });
+});
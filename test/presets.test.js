@@ -0,0 +1,143 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var after = require('node:test').after;
+var assert = require('node:assert/strict');
+var os = require('os');
+var path = require('path');
+var fs = require('fs-extra');
+
+var harness = require('./helpers/harness');
+
+var presetDirs = [];
+
+function presetPlugin(config) {
+  var h = harness.createPlugin({ config: config });
+  h.plugin.presetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'es9018k2m-presets-'));
+  presetDirs.push(h.plugin.presetDir);
+  return h;
+}
+
+after(function() {
+  presetDirs.forEach(function(dir) {
+    fs.removeSync(dir);
+  });
+});
+
+function manage(h, action, selected, name) {
+  h.plugin.managePreset({
+    presetSelect: { value: selected || '' },
+    presetAction: { value: action },
+    presetName: name || ''
+  });
+}
+
+describe('Sound presets', function() {
+  it('saves the current settings and loads them back onto the DAC', function() {
+    var h = presetPlugin({ fir: 2, iir: 1, i2sDpll: 0x30, dsdDpll: 0x05, balance: 4 });
+
+    return harness.start(h).then(function() {
+      manage(h, 'save', '', 'Minimum Phase + DPLL 3');
+      assert.deepEqual(h.plugin.getPresetNames(), ['Minimum Phase + DPLL 3']);
+
+      h.plugin.saveFilterSettings({ fir: { value: 1 }, iir: { value: 0 } });
+      h.plugin.saveBalanceSettings({ balance: 0 });
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.firFilter(), 1);
+
+      manage(h, 'load', 'Minimum Phase + DPLL 3');
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.firFilter(), 2);
+      assert.equal(h.dac.iirFilter(), 1);
+      assert.deepEqual(h.dac.dpll(), { i2s: 3, dsd: 5 });
+      assert.equal(h.plugin.config.get('balance'), 4);
+      assert.equal(h.plugin.findMatchingPreset(), 'Minimum Phase + DPLL 3');
+    });
+  });
+
+  it('renames and deletes presets', function() {
+    var h = presetPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.savePreset('A');
+      h.plugin.savePreset('B');
+
+      manage(h, 'rename', 'A', 'B');
+      assert.match(h.router.lastToast().message, /already exists/);
+
+      manage(h, 'rename', 'A', 'Fast');
+      assert.deepEqual(h.plugin.getPresetNames(), ['B', 'Fast']);
+
+      manage(h, 'delete', 'B');
+      assert.deepEqual(h.plugin.getPresetNames(), ['Fast']);
+
+      manage(h, 'load', 'B');
+      assert.equal(h.router.lastToast().type, 'error');
+    });
+  });
+
+  it('rejects empty names', function() {
+    var h = presetPlugin();
+
+    return harness.start(h).then(function() {
+      manage(h, 'save', '', '   ');
+      assert.equal(h.router.lastToast().type, 'error');
+      assert.deepEqual(h.plugin.getPresetNames(), []);
+    });
+  });
+
+  it('exports to a JSON file and imports it on another unit', function() {
+    var source = presetPlugin({ fir: 0, i2sDpll: 0x50 });
+    var target = presetPlugin();
+
+    return Promise.all([harness.start(source), harness.start(target)]).then(function() {
+      source.plugin.savePreset('Slow + DPLL 5');
+      var file = source.plugin.exportPreset('Slow + DPLL 5');
+      assert.equal(path.basename(file), 'slow-dpll-5.json');
+
+      var data = fs.readJsonSync(file);
+      assert.equal(data.name, 'Slow + DPLL 5');
+      assert.equal(data.settings.fir, 0);
+
+      fs.copySync(file, path.join(target.plugin.presetDir, 'shared.json'));
+      manage(target, 'import', '', 'shared');
+      assert.deepEqual(target.plugin.getPresetNames(), ['Slow + DPLL 5']);
+    });
+  });
+
+  it('refuses files with out-of-range settings', function() {
+    var h = presetPlugin();
+
+    return harness.start(h).then(function() {
+      fs.writeJsonSync(path.join(h.plugin.presetDir, 'bad.json'), {
+        format: 'es9018k2m-preset',
+        version: 1,
+        name: 'Bad',
+        settings: { fir: 9, iir: 0, deemphasis: 0x4A, i2sDpll: 0x50, dsdDpll: 0x0A, balance: 0 }
+      });
+
+      manage(h, 'import', '', '../bad.json');
+      assert.match(h.router.lastToast().message, /Not a valid preset file/);
+      assert.deepEqual(h.plugin.getPresetNames(), []);
+    });
+  });
+
+  it('lists presets in the UI and shows the matching one', function() {
+    var h = presetPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.savePreset('Default');
+      return new Promise(function(resolve, reject) {
+        h.plugin.getUIConfig().then(resolve).fail(reject);
+      });
+    }).then(function(uiconf) {
+      var presets = uiconf.sections.find(function(s) { return s.id === 'sound_presets'; });
+      assert.deepEqual(presets.content[0].options, [{ value: 'Default', label: 'Default' }]);
+      assert.equal(presets.content[0].value.value, 'Default');
+      assert.match(presets.description, /Current settings match: Default/);
+    });
+  });
+});
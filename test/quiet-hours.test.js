@@ -0,0 +1,279 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var quietHours = require('../lib/quiet-hours');
+var harness = require('./helpers/harness');
+
+// Monday 5 January 2026
+function monday(hours, minutes) {
+  return new Date(2026, 0, 5, hours, minutes || 0);
+}
+
+function tuesday(hours, minutes) {
+  return new Date(2026, 0, 6, hours, minutes || 0);
+}
+
+function windowConfig(windows) {
+  return JSON.stringify(windows.map(function(w) {
+    return Object.assign({
+      enabled: true,
+      start: '22:00',
+      end: '07:00',
+      days: [1],
+      maxVolume: 30,
+      action: 'none'
+    }, w);
+  }));
+}
+
+// Schedule stored but off at start, so the wall clock cannot activate it
+function quietPlugin(windows, config, state) {
+  return harness.createPlugin({
+    config: Object.assign({
+      quietHoursWindows: windowConfig(windows),
+      rampDurationMs: 40
+    }, config),
+    state: state || { status: 'play', volume: 80 }
+  });
+}
+
+function enableQuietHours(h) {
+  h.plugin.quietHoursEnabled = true;
+  h.plugin.lastStatus = 'play';
+  h.plugin.currentVolume = 80;
+  h.plugin.setVolumeImmediate(80);
+}
+
+describe('Quiet hours schedule parsing', function() {
+  it('parses times and rejects invalid ones', function() {
+    assert.equal(quietHours.parseTime('22:30'), 1350);
+    assert.equal(quietHours.parseTime('7:05'), 425);
+    assert.equal(quietHours.parseTime('24:00'), null);
+    assert.equal(quietHours.parseTime('late'), null);
+  });
+
+  it('parses day lists, ranges and wrapping ranges', function() {
+    assert.deepEqual(quietHours.parseDays('Mon-Fri'), [1, 2, 3, 4, 5]);
+    assert.deepEqual(quietHours.parseDays('sat, sun'), [0, 6]);
+    assert.deepEqual(quietHours.parseDays('fri-mon'), [0, 1, 5, 6]);
+    assert.deepEqual(quietHours.parseDays('daily'), [0, 1, 2, 3, 4, 5, 6]);
+    assert.equal(quietHours.parseDays('someday'), null);
+  });
+
+  it('formats days as ranges', function() {
+    assert.equal(quietHours.formatDays([1, 2, 3, 4, 5]), 'Mon-Fri');
+    assert.equal(quietHours.formatDays([0, 6]), 'Sat-Sun');
+    assert.equal(quietHours.formatDays([0, 1, 3]), 'Mon, Wed, Sun');
+    assert.equal(quietHours.formatDays([0, 1, 2, 3, 4, 5, 6]), 'Daily');
+  });
+
+  it('runs overnight windows into the next morning', function() {
+    var entry = quietHours.normalizeWindow({
+      enabled: true, start: '22:00', end: '07:00', days: 'mon', maxVolume: 30
+    });
+
+    assert.equal(quietHours.isWindowActive(entry, monday(21, 59)), false);
+    assert.equal(quietHours.isWindowActive(entry, monday(23, 0)), true);
+    assert.equal(quietHours.isWindowActive(entry, tuesday(6, 59)), true);
+    assert.equal(quietHours.isWindowActive(entry, tuesday(7, 0)), false);
+    assert.equal(quietHours.isWindowActive(entry, tuesday(23, 0)), false);
+  });
+
+  it('picks the lowest ceiling among overlapping windows', function() {
+    var windows = [
+      { enabled: true, start: '20:00', end: '23:00', days: 'daily', maxVolume: 50 },
+      { enabled: true, start: '22:00', end: '06:00', days: 'daily', maxVolume: 20 },
+      { enabled: false, start: '00:00', end: '00:00', days: 'daily', maxVolume: 5 }
+    ].map(quietHours.normalizeWindow);
+
+    assert.equal(quietHours.findActiveWindow(windows, monday(21, 0)).maxVolume, 50);
+    assert.equal(quietHours.findActiveWindow(windows, monday(22, 30)).maxVolume, 20);
+    assert.equal(quietHours.findActiveWindow(windows, monday(12, 0)), null);
+  });
+});
+
+describe('Quiet hours enforcement', function() {
+  it('ramps down to the ceiling when a window starts during playback', function() {
+    var h = quietPlugin([{ maxVolume: 30 }]);
+
+    var from;
+    var to;
+
+    return harness.start(h).then(function() {
+      enableQuietHours(h);
+      from = h.plugin.volumeToRegister(80);
+      to = h.plugin.volumeToRegister(30);
+      h.dac.clearLog();
+
+      h.plugin.checkQuietHours(monday(22, 0));
+
+      assert.equal(h.plugin.currentVolume, 30);
+      assert.deepEqual(h.router.volumeUpdates.pop(), { vol: 30, mute: false });
+      return harness.settle(100);
+    }).then(function() {
+      var writes = h.dac.writesTo(0x0F);
+
+      // 80% -> 30% in steps, not one jump
+      assert.ok(writes.length > 1);
+      assert.ok(writes.every(function(reg) { return reg >= from && reg <= to; }));
+      assert.equal(writes[writes.length - 1], to);
+    });
+  });
+
+  it('caps alsavolume while a window is active and releases it afterwards', function() {
+    var h = quietPlugin([{ maxVolume: 30 }], { gracefulVolume: false });
+
+    return harness.start(h).then(function() {
+      enableQuietHours(h);
+      h.plugin.checkQuietHours(monday(23, 0));
+
+      h.plugin.alsavolume(70);
+      assert.equal(h.plugin.currentVolume, 30);
+      assert.deepEqual(h.router.volumeUpdates.pop(), { vol: 30, mute: false });
+
+      h.plugin.checkQuietHours(tuesday(7, 0));
+      h.plugin.alsavolume(70);
+      assert.equal(h.plugin.currentVolume, 70);
+    });
+  });
+
+  it('caps the software volume path', function() {
+    var h = quietPlugin([{ maxVolume: 25 }], {
+      volumeMode: 'software',
+      gracefulVolume: false
+    });
+
+    return harness.start(h).then(function() {
+      enableQuietHours(h);
+      h.plugin.checkQuietHours(monday(22, 0));
+
+      h.router.volumioupdatevolume({ vol: 60, mute: false });
+      assert.equal(h.router.state.volume, 25);
+      assert.equal(h.dac.attenuation().left, h.plugin.volumeToRegister(25));
+    });
+  });
+
+  it('mutes at the start of a window with the mute action', function() {
+    var h = quietPlugin([{ maxVolume: 40, action: 'mute' }]);
+
+    return harness.start(h).then(function() {
+      enableQuietHours(h);
+      h.plugin.checkQuietHours(monday(22, 0));
+
+      assert.equal(h.plugin.currentMute, true);
+      assert.deepEqual(h.router.volumeUpdates.pop(), { vol: 40, mute: true });
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.dac.isMuted(), true);
+
+      // Still inside the same window - no second action
+      h.router.volumeUpdates = [];
+      h.plugin.checkQuietHours(monday(22, 30));
+      assert.equal(h.router.volumeUpdates.length, 0);
+    });
+  });
+
+  it('fades out to silence and mutes with the fade action', function() {
+    var h = quietPlugin([{ maxVolume: 50, action: 'fade' }], { quietHoursFadeSeconds: 1 });
+
+    return harness.start(h).then(function() {
+      enableQuietHours(h);
+      h.plugin.quietHoursFadeSeconds = 1;
+      h.plugin.checkQuietHours(monday(22, 0));
+      h.dac.clearLog();
+      assert.equal(h.dac.isMuted(), false);
+
+      return harness.settle(1300);
+    }).then(function() {
+      var writes = h.dac.writesTo(0x0F);
+      assert.ok(writes.length >= 3);
+      assert.ok(writes[1] > writes[0]);
+      assert.equal(h.dac.isMuted(), true);
+      assert.equal(h.dac.attenuation().left, h.plugin.volumeToRegister(50));
+      assert.deepEqual(h.router.volumeUpdates.pop(), { vol: 50, mute: true });
+    });
+  });
+
+  it('a volume change cancels a running fade', function() {
+    var h = quietPlugin([{ maxVolume: 50, action: 'fade' }], { gracefulVolume: false });
+
+    return harness.start(h).then(function() {
+      enableQuietHours(h);
+      h.plugin.quietHoursFadeSeconds = 1;
+      h.plugin.checkQuietHours(monday(22, 0));
+      h.plugin.alsavolume(20);
+      return harness.settle(1200);
+    }).then(function() {
+      assert.equal(h.plugin.quietFade, null);
+      assert.equal(h.dac.isMuted(), false);
+      assert.equal(h.dac.attenuation().left, h.plugin.volumeToRegister(20));
+    });
+  });
+
+  it('rejects an enabled window with an invalid time', function() {
+    var h = quietPlugin([]);
+
+    return harness.start(h).then(function() {
+      h.plugin.saveQuietHours({
+        quietHoursEnabled: true,
+        qh1Enabled: true,
+        qh1Start: '25:00',
+        qh1End: '07:00',
+        qh1Days: 'daily',
+        qh1MaxVolume: 30,
+        qh1Action: { value: 'none' }
+      });
+
+      assert.match(h.router.lastToast().message, /window 1/);
+      assert.equal(h.plugin.config.get('quietHoursEnabled'), false);
+    });
+  });
+
+  it('persists the schedule from the UI', function() {
+    var h = quietPlugin([]);
+
+    return harness.start(h).then(function() {
+      h.plugin.saveQuietHours({
+        quietHoursEnabled: false,
+        quietHoursFadeSeconds: '20',
+        qh1Enabled: true,
+        qh1Start: '21:30',
+        qh1End: '06:45',
+        qh1Days: 'Mon-Fri',
+        qh1MaxVolume: '35',
+        qh1Action: { value: 'fade' },
+        qh2Enabled: false,
+        qh2Start: 'bad'
+      });
+
+      var windows = JSON.parse(h.plugin.config.get('quietHoursWindows'));
+      assert.equal(windows.length, 3);
+      assert.deepEqual(windows[0], {
+        enabled: true,
+        start: '21:30',
+        end: '06:45',
+        days: [1, 2, 3, 4, 5],
+        maxVolume: 35,
+        action: 'fade'
+      });
+      assert.equal(windows[1].enabled, false);
+      assert.equal(h.plugin.config.get('quietHoursFadeSeconds'), 20);
+    });
+  });
+
+  it('forgets the schedule on reset to defaults', function() {
+    var h = quietPlugin([{ maxVolume: 20, action: 'fade' }], { quietHoursFadeSeconds: 60 });
+
+    return harness.start(h).then(function() {
+      h.plugin.config.set('quietHoursEnabled', true);
+      h.plugin.resetDevice();
+
+      assert.equal(h.plugin.quietHoursEnabled, false);
+      assert.equal(h.plugin.quietHoursFadeSeconds, 10);
+      assert.deepEqual(h.plugin.getQuietWindows(), []);
+    });
+  });
+});
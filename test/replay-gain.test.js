@@ -0,0 +1,245 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+var libQ = require('kew');
+
+var replayGain = require('../lib/replay-gain');
+var harness = require('./helpers/harness');
+
+// MPD plugin answering readcomments from { 'NAS/x.flac': { NAME: value } }
+function fakeMpd(library) {
+  var mpd = {
+    commands: [],
+    sendMpdCommand: function(command, args) {
+      mpd.commands.push([command].concat(args));
+      if (command !== 'readcomments' || !library[args[0]]) {
+        return libQ.reject(new Error('No such file'));
+      }
+      return libQ.resolve(Object.assign({}, library[args[0]]));
+    }
+  };
+  return mpd;
+}
+
+function track(uri, extra) {
+  return Object.assign({ status: 'play', volume: 50, mute: false, service: 'mpd', uri: uri }, extra);
+}
+
+// library: tags of the MPD library tracks, keyed by MPD URI
+function replayGainPlugin(config, library) {
+  var h = harness.createPlugin({
+    config: Object.assign({ replayGainMode: 'track', rampDurationMs: 40 }, config),
+    plugins: { 'music_service/mpd': fakeMpd(library || {}) }
+  });
+  h.mpd = h.router.plugins['music_service/mpd'];
+  return h;
+}
+
+describe('ReplayGain tags', function() {
+  it('parses gains and peaks under any common spelling', function() {
+    assert.deepEqual(replayGain.fromTags({
+      REPLAYGAIN_TRACK_GAIN: '-7.21 dB',
+      replaygain_track_peak: '0.988',
+      replayGainAlbumGain: '+1.5 dB',
+      title: 'Song'
+    }), { trackGain: -7.21, trackPeak: 0.988, albumGain: 1.5, albumPeak: null });
+
+    assert.equal(replayGain.fromTags({ REPLAYGAIN_TRACK_GAIN: 'loud' }), null);
+    assert.equal(replayGain.fromTags({ REPLAYGAIN_TRACK_PEAK: '0.5' }), null);
+  });
+
+  it('picks the gain by mode, adds the preamp and caps it at the peak', function() {
+    var tags = { trackGain: -3, trackPeak: 0.5, albumGain: -8, albumPeak: 0.9 };
+
+    assert.equal(replayGain.gainDb(tags, { mode: 'track' }), -3);
+    assert.equal(replayGain.gainDb(tags, { mode: 'album' }), -8);
+    assert.equal(replayGain.gainDb(tags, { mode: 'auto', random: false }), -8);
+    assert.equal(replayGain.gainDb(tags, { mode: 'auto', random: true }), -3);
+    assert.equal(replayGain.gainDb(tags, { mode: 'off' }), 0);
+    assert.equal(replayGain.gainDb(null, { mode: 'track' }), 0);
+
+    // Album mode without album tags falls back to the track
+    assert.equal(replayGain.gainDb({ trackGain: -2, trackPeak: null, albumGain: null, albumPeak: null },
+      { mode: 'album', preampDb: 1 }), -1);
+
+    // Peak 0.5 (-6 dBFS) allows at most +6 dB
+    var capped = replayGain.gainDb(tags, { mode: 'track', preampDb: 12, preventClipping: true });
+    assert.ok(Math.abs(capped - 6.02) < 0.01);
+    assert.equal(replayGain.gainDb(tags, { mode: 'track', preampDb: 12, preventClipping: false }), 9);
+  });
+
+  it('maps library URIs to MPD URIs and leaves streams alone', function() {
+    assert.equal(replayGain.mpdUri('music-library/NAS/a b/01.flac'), 'NAS/a b/01.flac');
+    assert.equal(replayGain.mpdUri('/mnt/USB/01.mp3'), 'USB/01.mp3');
+    assert.equal(replayGain.mpdUri('http://radio.example/stream'), null);
+    assert.equal(replayGain.mpdUri('spotify:track:1'), null);
+    assert.equal(replayGain.mpdUri(''), null);
+  });
+});
+
+describe('ReplayGain', function() {
+  it('attenuates a tagged library track and ramps at the track change', function() {
+    var h = replayGainPlugin({}, {
+      'NAS/loud.flac': { REPLAYGAIN_TRACK_GAIN: '-6 dB' },
+      'NAS/quiet.mp3': { replaygain_track_gain: '-1 dB' }
+    });
+    var loud = 'music-library/NAS/loud.flac';
+    var quiet = 'music-library/NAS/quiet.mp3';
+
+    return harness.start(h).then(function() {
+      return h.plugin.handleStateChange(track(loud));
+    }).then(function() {
+      return harness.settle(100);
+    }).then(function() {
+      assert.deepEqual(h.mpd.commands, [['readcomments', 'NAS/loud.flac']]);
+      assert.equal(h.plugin.replayGainDb, -6);
+      // 100% is 0 dB; 6 dB below
+      assert.equal(h.dac.attenuation().left, 12);
+
+      h.dac.clearLog();
+      h.plugin.handleStateChange(track(quiet));
+      return harness.settle(100);
+    }).then(function() {
+      var writes = h.dac.writesTo(0x0F);
+      assert.equal(h.plugin.replayGainDb, -1);
+      assert.ok(writes.length > 1, 'glides instead of jumping');
+      assert.equal(writes[writes.length - 1], 2);
+      // Slider untouched
+      assert.equal(h.plugin.currentVolume, 100);
+      assert.deepEqual(h.router.volumeUpdates, []);
+    });
+  });
+
+  it('uses tags sent by a music service and plays untagged tracks as is', function() {
+    var h = replayGainPlugin({ replayGainMode: 'album', replayGainPreampDb: 2 });
+
+    return harness.start(h).then(function() {
+      return h.plugin.handleStateChange(track('qobuz://track/1',
+        { service: 'qobuz', replaygain_album_gain: '-5 dB' }));
+    }).then(function() {
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.plugin.replayGainDb, -3);
+      assert.equal(h.plugin.getReplayGainStatus(), '-3.0 dB');
+
+      h.plugin.handleStateChange(track('qobuz://track/2', { service: 'qobuz' }));
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.plugin.replayGainDb, 0);
+      assert.equal(h.dac.attenuation().left, 0);
+      assert.match(h.plugin.getReplayGainStatus(), /No ReplayGain tags/);
+    });
+  });
+
+  it('switches between album and track gain with shuffle in auto mode', function() {
+    var h = replayGainPlugin({ replayGainMode: 'auto' }, {
+      'NAS/auto.flac': { REPLAYGAIN_TRACK_GAIN: '-2 dB', REPLAYGAIN_ALBUM_GAIN: '-5 dB' }
+    });
+    var uri = 'music-library/NAS/auto.flac';
+
+    return harness.start(h).then(function() {
+      return h.plugin.handleStateChange(track(uri, { random: false }));
+    }).then(function() {
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.plugin.replayGainDb, -5);
+      return h.plugin.handleStateChange(track(uri, { random: true }));
+    }).then(function() {
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.plugin.replayGainDb, -2);
+    });
+  });
+
+  it('applies a new gain behind mute and unmutes to it', function() {
+    var h = replayGainPlugin({ gracefulTransitions: false }, {
+      'NAS/paused.flac': { REPLAYGAIN_TRACK_GAIN: '-10 dB' }
+    });
+    var uri = 'music-library/NAS/paused.flac';
+
+    return harness.start(h).then(function() {
+      h.plugin.handleStateChange(track('qobuz://track/3', { service: 'qobuz' }));
+      h.plugin.handleStateChange(track('qobuz://track/3', { service: 'qobuz', status: 'pause' }));
+      return harness.settle();
+    }).then(function() {
+      h.dac.clearLog();
+      return h.plugin.updateReplayGain(track(uri, { status: 'pause' }));
+    }).then(function() {
+      assert.equal(h.plugin.replayGainDb, -10);
+      assert.equal(h.dac.isMuted(), true);
+      assert.deepEqual(h.dac.writesTo(0x0F), [20]);
+
+      h.plugin.handleStateChange(track(uri));
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.dac.isMuted(), false);
+      assert.equal(h.dac.attenuation().left, 20);
+    });
+  });
+
+  it('plays a library track MPD has no tags for as is', function() {
+    var h = replayGainPlugin();
+
+    return harness.start(h).then(function() {
+      return h.plugin.handleStateChange(track('music-library/NAS/plain.wav'));
+    }).then(function() {
+      return harness.settle(100);
+    }).then(function() {
+      assert.deepEqual(h.mpd.commands, [['readcomments', 'NAS/plain.wav']]);
+      assert.equal(h.plugin.replayGainDb, 0);
+      assert.match(h.plugin.getReplayGainStatus(), /No ReplayGain tags/);
+    });
+  });
+
+  it('never lifts a track above the volume ceiling', function() {
+    var h = replayGainPlugin({ maxVolume: 50, replayGainPreventClipping: false }, {
+      'NAS/quiet.flac': { REPLAYGAIN_TRACK_GAIN: '+6 dB' },
+      'NAS/loud.flac': { REPLAYGAIN_TRACK_GAIN: '-3 dB' }
+    });
+    var ceiling;
+
+    return harness.start(h).then(function() {
+      ceiling = Math.round(-h.plugin.volumeToDb(50) * 2);
+      return h.plugin.handleStateChange(track('music-library/NAS/quiet.flac'));
+    }).then(function() {
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.plugin.replayGainDb, 6);
+      assert.equal(h.dac.attenuation().left, ceiling);
+
+      h.plugin.handleStateChange(track('music-library/NAS/loud.flac'));
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.dac.attenuation().left, ceiling + 6);
+    });
+  });
+
+  it('saves the settings and drops the gain when turned off', function() {
+    var h = replayGainPlugin();
+
+    return harness.start(h).then(function() {
+      return h.plugin.handleStateChange(track('qobuz://track/4',
+        { service: 'qobuz', REPLAYGAIN_TRACK_GAIN: '-4 dB' }));
+    }).then(function() {
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.plugin.replayGainDb, -4);
+
+      return h.plugin.saveLoudness({
+        replayGainMode: { value: 'off' },
+        replayGainPreampDb: '3.2',
+        replayGainPreventClipping: false
+      });
+    }).then(function() {
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.plugin.config.get('replayGainMode'), 'off');
+      assert.equal(h.plugin.config.get('replayGainPreampDb'), 3);
+      assert.equal(h.plugin.config.get('replayGainPreventClipping'), false);
+      assert.equal(h.plugin.replayGainDb, 0);
+      assert.equal(h.dac.attenuation().left, 0);
+    });
+  });
+});
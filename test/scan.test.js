@@ -0,0 +1,117 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var i2cTransport = require('../lib/i2c-transport');
+var harness = require('./helpers/harness');
+
+function toPromise(promise) {
+  return new Promise(function(resolve, reject) {
+    promise.then(resolve).fail(reject);
+  });
+}
+
+function field(uiconf, id) {
+  return uiconf.sections[1].content.find(function(f) { return f.id === id; });
+}
+
+// Nothing at the configured 0x48, the given DACs elsewhere
+function misconfigured(dacs, config) {
+  return harness.createPlugin({
+    config: config,
+    dac: { present: false },
+    boards: dacs
+  });
+}
+
+describe('I2C scan', function() {
+  it('lists the buses of the memory backend', function() {
+    assert.deepEqual(i2cTransport.listBuses('memory', {}), [1]);
+    assert.deepEqual(i2cTransport.listBuses('memory', { buses: [0, 1] }), [0, 1]);
+  });
+
+  it('finds every supported chip and reports it', function() {
+    var h = harness.createPlugin({ boards: { 0x4A: { model: 'es9038q2m' } } });
+
+    return harness.start(h).then(function() {
+      return toPromise(h.plugin.scanDeviceStatus());
+    }).then(function(results) {
+      assert.deepEqual(results, [
+        { bus: 1, address: 0x48, chip: 'ES9018K2M', revision: 0 },
+        { bus: 1, address: 0x4A, chip: 'ES9038Q2M', revision: null }
+      ]);
+      assert.equal(h.router.lastToast().type, 'success');
+      assert.match(h.router.lastToast().message, /bus 1, 0x4A \(ES9038Q2M\)/);
+      return toPromise(h.plugin.getUIConfig());
+    }).then(function(uiconf) {
+      assert.equal(field(uiconf, 'scanResults').value,
+        'bus 1, 0x48 (ES9018K2M, revision 0), bus 1, 0x4A (ES9038Q2M)');
+      // Board 1 needs no button
+      assert.equal(field(uiconf, 'use_scanned_0').onClick.data.data.address, 0x4A);
+      assert.equal(field(uiconf, 'use_scanned_1'), undefined);
+      assert.equal(uiconf.sections[1].content[35].id, 'reset_device');
+    });
+  });
+
+  it('adopts the only DAC found on first start', function() {
+    var h = misconfigured({ 0x4B: {} });
+
+    return harness.start(h).then(function() {
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.deviceFound, true);
+      assert.equal(h.plugin.config.get('i2cAddress'), 0x4B);
+      assert.equal(h.plugin.config.get('autoScanDone'), true);
+      assert.equal(h.boards[0x4B].isMuted(), false);
+    });
+  });
+
+  it('scans only on first start', function() {
+    var h = misconfigured({ 0x4B: {} }, { autoScanDone: true });
+
+    return harness.start(h).then(function() {
+      assert.equal(h.plugin.deviceFound, false);
+      assert.equal(h.plugin.scanResults, null);
+    });
+  });
+
+  it('leaves the choice to the user when several answer', function() {
+    var h = misconfigured({ 0x49: {}, 0x4B: {} });
+
+    return harness.start(h).then(function() {
+      assert.equal(h.plugin.deviceFound, false);
+      assert.equal(h.plugin.scanResults.length, 2);
+      return toPromise(h.plugin.useScannedDevice({ bus: 1, address: 0x49 }));
+    }).then(function(found) {
+      assert.equal(found, true);
+      assert.equal(h.plugin.deviceStarted, true);
+      assert.equal(h.plugin.config.get('i2cAddress'), 0x49);
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.boards[0x49].isMuted(), false);
+      assert.equal(h.boards[0x4B].writes.length, 0);
+    });
+  });
+
+  it('will not use a DAC that another board slot drives', function() {
+    var h = harness.createPlugin({
+      config: {
+        boards: JSON.stringify([
+          { enabled: true, bus: 1, address: 0x48 },
+          { enabled: true, bus: 1, address: 0x49 }
+        ])
+      },
+      boards: { 0x49: {} }
+    });
+
+    return harness.start(h).then(function() {
+      return toPromise(h.plugin.useScannedDevice({ bus: 1, address: 0x49 }));
+    }).then(function(found) {
+      assert.equal(found, false);
+      assert.equal(h.router.lastToast().type, 'error');
+      assert.equal(h.plugin.config.get('i2cAddress'), 0x48);
+    });
+  });
+});
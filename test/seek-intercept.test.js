@@ -0,0 +1,111 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+describe('Seek intercept', function() {
+  it('starts the mute ramp, seeks at once and unmutes afterwards while playing', function() {
+    var h = harness.createPlugin({
+      config: { seekMuteMs: 120, rampDurationMs: 40 },
+      state: { status: 'play', volume: 50 }
+    });
+    var rampAtSeek = null;
+
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 50;
+      h.plugin.originalSeek = function(position) {
+        rampAtSeek = h.plugin.activeRamp;
+        h.router.seeks.push(position);
+        return 'seeked';
+      };
+
+      // The seek does not wait for the ramp
+      assert.equal(h.router.volumioSeek(42000), 'seeked');
+      assert.deepEqual(h.router.seeks, [42000]);
+      assert.equal(rampAtSeek.to, 0xFF, 'ramp towards silence started first');
+
+      return harness.settle(80);
+    }).then(function() {
+      assert.equal(h.dac.isMuted(), true);
+      return harness.settle(150);
+    }).then(function() {
+      assert.equal(h.dac.isMuted(), false);
+      assert.equal(h.dac.attenuation().left, h.plugin.volumeToRegister(50));
+    });
+  });
+
+  it('stays muted until the latest of two quick seeks has had its mute time', function() {
+    var h = harness.createPlugin({
+      config: { seekMuteMs: 150, rampDurationMs: 40 },
+      state: { status: 'play', volume: 50 }
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 50;
+      h.plugin.originalSeek = function(position) {
+        h.router.seeks.push(position);
+      };
+
+      h.router.volumioSeek(1000);
+      return harness.settle(80);
+    }).then(function() {
+      h.router.volumioSeek(2000);
+      assert.deepEqual(h.router.seeks, [1000, 2000]);
+
+      // Past the first seek's unmute time, still inside the second's
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.dac.isMuted(), true);
+      return harness.settle(200);
+    }).then(function() {
+      assert.equal(h.dac.isMuted(), false);
+      assert.equal(h.dac.attenuation().left, h.plugin.volumeToRegister(50));
+    });
+  });
+
+  it('stays muted when playback is no longer running', function() {
+    var h = harness.createPlugin({
+      config: { seekMuteMs: 30, rampDurationMs: 40 },
+      state: { status: 'play' }
+    });
+
+    return harness.start(h).then(function() {
+      h.router.volumioSeek(1000);
+      h.router.state.status = 'pause';
+      return harness.settle(150);
+    }).then(function() {
+      assert.equal(h.dac.isMuted(), true);
+    });
+  });
+
+  it('passes seeks straight through when seek mute is disabled', function() {
+    var h = harness.createPlugin({
+      config: { seekMuteMs: 0 },
+      state: { status: 'play' }
+    });
+
+    return harness.start(h).then(function() {
+      h.dac.clearLog();
+      h.router.volumioSeek(1000);
+      assert.equal(h.dac.writes.length, 0);
+      assert.deepEqual(h.router.seeks, [1000]);
+    });
+  });
+
+  it('restores the original volumioSeek on removal', function() {
+    var h = harness.createPlugin();
+    var original = h.router.volumioSeek;
+
+    return harness.start(h).then(function() {
+      assert.notEqual(h.router.volumioSeek, original);
+      h.plugin.removeSeekIntercept();
+      h.dac.clearLog();
+      h.router.volumioSeek(5);
+      assert.equal(h.dac.writes.length, 0);
+      assert.equal(h.plugin.seekInterceptInstalled, false);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+function read(h) {
+  return new Promise(function(resolve, reject) {
+    h.plugin.readSignalStatus().then(resolve).fail(reject);
+  });
+}
+
+function poll(h) {
+  return new Promise(function(resolve, reject) {
+    h.plugin.pollSignalStatus().then(resolve).fail(reject);
+  });
+}
+
+describe('Signal status', function() {
+  it('decodes lock, input type and sample rate', function() {
+    var h = harness.createPlugin({ dac: { sampleRate: 96000 } });
+
+    return harness.start(h).then(function() {
+      return read(h);
+    }).then(function(status) {
+      assert.equal(status.locked, true);
+      assert.equal(status.dsd, false);
+      assert.ok(Math.abs(status.sampleRate - 96000) <= 1);
+      assert.equal(h.plugin.formatSampleRate(status), '96 kHz');
+    });
+  });
+
+  it('reports DSD rates as multiples of 44.1k', function() {
+    var h = harness.createPlugin({ dac: { dsd: true, sampleRate: 2822400 } });
+
+    return harness.start(h).then(function() {
+      return read(h);
+    }).then(function(status) {
+      assert.equal(status.dsd, true);
+      assert.equal(h.plugin.formatSampleRate(status), 'DSD64 (2.8224 MHz)');
+    });
+  });
+
+  it('uses the configured oscillator frequency', function() {
+    var h = harness.createPlugin({
+      config: { oscillatorMhz: 50 },
+      dac: { sampleRate: 44100, mclk: 50000000 }
+    });
+
+    return harness.start(h).then(function() {
+      return read(h);
+    }).then(function(status) {
+      assert.equal(h.plugin.formatSampleRate(status), '44.1 kHz');
+    });
+  });
+
+  it('shows attenuation per channel in dB', function() {
+    var h = harness.createPlugin({ config: { balance: 6 } });
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(50);
+      return h.plugin.updateSignalStatus();
+    }).then(function() {
+      var labels = h.plugin.getSignalStatusLabels();
+      assert.equal(labels.attenuation, 'L -28.0 dB / R -25.0 dB');
+      assert.equal(labels.lock, 'Locked');
+      assert.equal(labels.input, 'PCM');
+      assert.equal(labels.socket, 'Disconnected');
+    });
+  });
+
+  it('raises a toast when lock stays lost during playback', function() {
+    var h = harness.createPlugin({ state: { status: 'play' } });
+
+    return harness.start(h).then(function() {
+      h.plugin.lastStatus = 'play';
+      h.dac.locked = false;
+      return poll(h);
+    }).then(function() {
+      assert.equal(h.router.toasts.length, 0);
+      return poll(h);
+    }).then(function() {
+      assert.equal(h.router.lastToast().message, 'DAC lost signal lock during playback');
+      return poll(h);
+    }).then(function() {
+      assert.equal(h.router.toasts.length, 1);
+    });
+  });
+
+  it('ignores lock loss while stopped', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.lastStatus = 'stop';
+      h.dac.locked = false;
+      return poll(h);
+    }).then(function() {
+      return poll(h);
+    }).then(function() {
+      assert.equal(h.router.toasts.length, 0);
+    });
+  });
+
+  it('polls only while playing', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.handleStateChange({ status: 'play', volume: 50, mute: false });
+      assert.notEqual(h.plugin.statusPoller, null);
+      h.plugin.handleStateChange({ status: 'pause', volume: 50, mute: false });
+      assert.equal(h.plugin.statusPoller, null);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+function playing(service, extra) {
+  return Object.assign({ status: 'play', volume: 100, mute: false, service: service, uri: service + '://1' }, extra);
+}
+
+function trimPlugin(config) {
+  return harness.createPlugin({
+    config: Object.assign({ sourceTrims: 'spop:-3, airplay_emulation:-6', rampDurationMs: 40 }, config)
+  });
+}
+
+describe('Source trims', function() {
+  it('parses service:dB pairs', function() {
+    var plugin = harness.createPlugin().plugin;
+
+    assert.deepEqual(plugin.parseSourceTrims('spop:-3, AirPlay_Emulation: -2.3\nmpd:+1'),
+      { spop: -3, airplay_emulation: -2.5, mpd: 1 });
+    assert.deepEqual(plugin.parseSourceTrims(''), {});
+    assert.equal(plugin.parseSourceTrims('spop -3'), null);
+    assert.equal(plugin.parseSourceTrims('spop:-25'), null);
+  });
+
+  it('ramps to the trim of a new source and leaves the slider alone', function() {
+    var h = trimPlugin();
+
+    return harness.start(h).then(function() {
+      return h.plugin.handleStateChange(playing('mpd'));
+    }).then(function() {
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.dac.attenuation().left, 0);
+
+      h.dac.clearLog();
+      h.plugin.handleStateChange(playing('spop'));
+      return harness.settle(100);
+    }).then(function() {
+      var writes = h.dac.writesTo(0x0F);
+      assert.ok(writes.length > 1, 'glides instead of jumping');
+      assert.equal(writes[writes.length - 1], 6);
+      assert.equal(h.plugin.getSourceTrimStatus(), 'spop: -3.0 dB');
+      assert.equal(h.plugin.currentVolume, 100);
+      assert.deepEqual(h.router.volumeUpdates, []);
+
+      // No service while stopped keeps the trim; an unlisted one drops it
+      h.plugin.handleStateChange({ status: 'play', volume: 100, mute: false });
+      assert.equal(h.plugin.sourceTrimDb, -3);
+      h.plugin.handleStateChange(playing('tidalconnect'));
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.plugin.sourceTrimDb, 0);
+      assert.equal(h.dac.attenuation().left, 0);
+    });
+  });
+
+  it('adds up with the gain offset and writes behind mute', function() {
+    var h = trimPlugin({ gainOffsetDb: -6, gracefulTransitions: false });
+
+    return harness.start(h).then(function() {
+      h.plugin.handleStateChange(playing('mpd'));
+      h.plugin.handleStateChange(playing('mpd', { status: 'stop' }));
+      h.plugin.handleStateChange(playing('airplay_emulation', { status: 'stop' }));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.isMuted(), true);
+      assert.equal(h.dac.attenuation().left, 24);
+
+      h.plugin.handleStateChange(playing('airplay_emulation'));
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.dac.isMuted(), false);
+      assert.equal(h.dac.attenuation().left, 24);
+    });
+  });
+
+  it('lifts a source only as far as the volume ceiling', function() {
+    var h = trimPlugin({ sourceTrims: 'mpd:+20, spop:-3', maxVolume: 40, gainOffsetDb: -10 });
+    var ceiling;
+
+    return harness.start(h).then(function() {
+      ceiling = Math.round(-h.plugin.volumeToDb(40) * 2);
+      return h.plugin.handleStateChange(playing('mpd'));
+    }).then(function() {
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.plugin.sourceTrimDb, 20);
+      assert.equal(h.dac.attenuation().left, ceiling);
+
+      h.plugin.handleStateChange(playing('spop'));
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.dac.attenuation().left, ceiling + 26);
+    });
+  });
+
+  it('rejects an invalid table and applies a saved one to the current source', function() {
+    var h = trimPlugin();
+
+    return harness.start(h).then(function() {
+      return h.plugin.handleStateChange(playing('mpd'));
+    }).then(function() {
+      return h.plugin.saveLoudness({ replayGainMode: { value: 'off' }, sourceTrims: 'mpd:loud' });
+    }).then(function() {
+      assert.equal(h.router.toasts.pop().type, 'error');
+      assert.equal(h.plugin.config.get('sourceTrims'), 'spop:-3, airplay_emulation:-6');
+
+      return h.plugin.saveLoudness({ replayGainMode: { value: 'off' }, sourceTrims: 'mpd:-4.5' });
+    }).then(function() {
+      return harness.settle(100);
+    }).then(function() {
+      assert.equal(h.plugin.config.get('sourceTrims'), 'mpd:-4.5');
+      assert.equal(h.dac.attenuation().left, 9);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+function lastUpdate(h) {
+  return h.router.volumeUpdates[h.router.volumeUpdates.length - 1];
+}
+
+describe('Startup volume priority (hardware mode)', function() {
+  it('start muted keeps the remembered volume for the slider', function() {
+    var h = harness.createPlugin({
+      config: { startMuted: true, rememberLastVolume: true, lastSavedVolume: 40 },
+      state: { volume: 70 }
+    });
+
+    return harness.start(h).then(function() {
+      assert.deepEqual(lastUpdate(h), { vol: 40, mute: true });
+      assert.equal(h.plugin.currentMute, true);
+      assert.equal(h.plugin.reg7 & 0x01, 0x01);
+      assert.equal(h.dac.attenuation().left, h.plugin.volumeToRegister(40));
+    });
+  });
+
+  it('start muted without a remembered volume keeps the system volume', function() {
+    var h = harness.createPlugin({
+      config: { startMuted: true },
+      state: { volume: 70 }
+    });
+
+    return harness.start(h).then(function() {
+      assert.deepEqual(lastUpdate(h), { vol: 70, mute: true });
+    });
+  });
+
+  it('remember last volume overrides safe startup', function() {
+    var h = harness.createPlugin({
+      config: {
+        rememberLastVolume: true,
+        lastSavedVolume: 60,
+        safeStartupEnabled: true,
+        safeStartupVolume: 20
+      },
+      state: { volume: 90 }
+    });
+
+    return harness.start(h).then(function() {
+      assert.deepEqual(lastUpdate(h), { vol: 60, mute: false });
+      assert.equal(h.plugin.currentVolume, 60);
+    });
+  });
+
+  it('safe startup caps a loud system volume', function() {
+    var h = harness.createPlugin({
+      config: { safeStartupEnabled: true, safeStartupVolume: 25 },
+      state: { volume: 80 }
+    });
+
+    return harness.start(h).then(function() {
+      assert.deepEqual(lastUpdate(h), { vol: 25, mute: false });
+      assert.equal(h.dac.attenuation().left, h.plugin.volumeToRegister(25));
+    });
+  });
+
+  it('safe startup never raises a quiet system volume', function() {
+    var h = harness.createPlugin({
+      config: { safeStartupEnabled: true, safeStartupVolume: 25 },
+      state: { volume: 10 }
+    });
+
+    return harness.start(h).then(function() {
+      assert.deepEqual(lastUpdate(h), { vol: 10, mute: false });
+    });
+  });
+
+  it('does nothing without startup features and allows saves immediately', function() {
+    var h = harness.createPlugin({ state: { volume: 80 } });
+
+    return harness.start(h).then(function() {
+      assert.equal(h.router.volumeUpdates.length, 0);
+      assert.equal(h.plugin.startupVolumeApplied, true);
+    });
+  });
+
+  it('registers the hardware volume override on start', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      var call = h.router.pluginCalls.find(function(c) {
+        return c.method === 'setDeviceVolumeOverride';
+      });
+      assert.equal(call.data.pluginName, 'es9018k2m');
+      assert.equal(call.data.overrideMixerType, 'Hardware');
+      assert.equal(h.plugin.volumeOverrideRegistered, true);
+    });
+  });
+
+  it('does not start when the chip ID does not match', function() {
+    var h = harness.createPlugin({ dac: { chipId: 0x07 } });
+
+    return harness.start(h).then(function() {
+      assert.equal(h.plugin.deviceFound, false);
+      assert.equal(h.plugin.volumeOverrideRegistered, false);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+function section(uiconf, id) {
+  return uiconf.sections.find(function(s) { return s.id === id; });
+}
+
+function field(sectionConf, id) {
+  return sectionConf.content.find(function(c) { return c.id === id; });
+}
+
+function getUIConfig(h) {
+  return new Promise(function(resolve, reject) {
+    h.plugin.getUIConfig().then(resolve).fail(reject);
+  });
+}
+
+describe('getUIConfig', function() {
+  it('fills every section from config', function() {
+    var h = harness.createPlugin({
+      config: {
+        i2cAddress: 0x49,
+        safeStartupVolume: 30,
+        seekMuteMs: 200,
+        balance: 5,
+        fir: 2,
+        iir: 4,
+        i2sDpll: 0x30
+      }
+    });
+
+    return harness.start(h).then(function() {
+      return getUIConfig(h);
+    }).then(function(uiconf) {
+      var device = section(uiconf, 'device_detection');
+      assert.equal(field(device, 'i2cAddress').value, '0x49');
+
+      assert.equal(field(section(uiconf, 'volume_control'), 'safeStartupVolume').value, 30);
+      assert.equal(field(section(uiconf, 'mute_transitions'), 'seekMuteMs').value, 200);
+      assert.equal(field(section(uiconf, 'balance_settings'), 'balance').value, 5);
+
+      var filters = section(uiconf, 'filter_settings');
+      assert.equal(field(filters, 'fir').value.label, 'Minimum Phase');
+      assert.equal(field(filters, 'iir').value.label, 'Bypass');
+
+      assert.equal(field(section(uiconf, 'dpll_settings'), 'i2sDpll').value.label, '3');
+    });
+  });
+
+  it('fills the signal status section from the DAC', function() {
+    var h = harness.createPlugin({ dac: { sampleRate: 48000 } });
+
+    return harness.start(h).then(function() {
+      return getUIConfig(h);
+    }).then(function(uiconf) {
+      var status = section(uiconf, 'signal_status');
+      assert.equal(field(status, 'statusLock').value, 'Locked');
+      assert.equal(field(status, 'statusSampleRate').value, '48 kHz');
+      assert.equal(field(status, 'oscillatorMhz').value, 100);
+    });
+  });
+
+  it('reports device detection status in the section description', function() {
+    var h = harness.createPlugin({ dac: { present: false } });
+
+    return harness.start(h).then(function() {
+      return getUIConfig(h);
+    }).then(function(uiconf) {
+      assert.match(section(uiconf, 'device_detection').description, /not detected/);
+    });
+  });
+
+  it('hides hardware-only fields in software mode', function() {
+    var h = harness.createPlugin({ config: { volumeMode: 'software' } });
+
+    return harness.start(h).then(function() {
+      return getUIConfig(h);
+    }).then(function(uiconf) {
+      var volume = section(uiconf, 'volume_control');
+      assert.equal(field(volume, 'startMuted').hidden, true);
+      assert.equal(field(volume, 'cardNumber').hidden, true);
+    });
+  });
+});
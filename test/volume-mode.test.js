@@ -0,0 +1,100 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+function volumeControlData(overrides) {
+  return Object.assign({
+    externalVolume: false,
+    volumeMode: { value: 'hardware' },
+    cardNumber: 'auto',
+    startMuted: false,
+    safeStartupEnabled: false,
+    safeStartupVolume: 25,
+    rememberLastVolume: false
+  }, overrides);
+}
+
+function overrideCalls(h) {
+  return h.router.pluginCalls.filter(function(c) {
+    return c.method === 'setDeviceVolumeOverride';
+  });
+}
+
+describe('saveVolumeControl mode switching', function() {
+  it('switches hardware to software: unregisters override and follows callbacks', function() {
+    var h = harness.createPlugin({ state: { status: 'play' } });
+
+    return harness.start(h).then(function() {
+      h.plugin.saveVolumeControl(volumeControlData({ volumeMode: { value: 'software' } }));
+
+      var calls = overrideCalls(h);
+      assert.equal(calls[calls.length - 1].data.card, -1);
+      assert.equal(h.plugin.volumeOverrideRegistered, false);
+      assert.equal(h.plugin.config.get('volumeMode'), 'software');
+      assert.match(h.router.lastToast().message, /Software volume mode/);
+
+      h.router.volumioupdatevolume({ vol: 52, mute: false });
+      assert.equal(h.dac.attenuation().left, h.plugin.volumeToRegister(52));
+
+      return harness.settle(150);
+    }).then(function() {
+      assert.equal(h.router.broadcasts[0].message, 'pushUiConfig');
+    });
+  });
+
+  it('switches software to hardware: registers override', function() {
+    var h = harness.createPlugin({ config: { volumeMode: 'software' } });
+
+    return harness.start(h).then(function() {
+      h.plugin.saveVolumeControl(volumeControlData());
+
+      assert.equal(h.plugin.volumeOverrideRegistered, true);
+      assert.equal(overrideCalls(h).pop().data.pluginName, 'es9018k2m');
+      assert.match(h.router.lastToast().message, /Hardware volume mode/);
+    });
+  });
+
+  it('enabling external volume releases volume control', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.saveVolumeControl(volumeControlData({ externalVolume: true }));
+
+      assert.equal(h.plugin.volumeOverrideRegistered, false);
+      assert.equal(h.plugin.config.get('externalVolume'), true);
+      assert.match(h.router.lastToast().message, /External volume enabled/);
+    });
+  });
+
+  it('saves settings without re-registering when the mode is unchanged', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      var before = overrideCalls(h).length;
+      h.plugin.saveVolumeControl(volumeControlData({
+        cardNumber: '2',
+        safeStartupEnabled: true,
+        safeStartupVolume: 150
+      }));
+
+      assert.equal(overrideCalls(h).length, before);
+      assert.equal(h.plugin.cardNumber, 2);
+      assert.equal(h.plugin.safeStartupVolume, 100);
+      assert.equal(h.router.lastToast().message, 'Settings saved');
+    });
+  });
+
+  it('migrates the legacy passthrough mode to external volume', function() {
+    var h = harness.createPlugin({ config: { volumeMode: 'passthrough' } });
+
+    return harness.start(h).then(function() {
+      assert.equal(h.plugin.externalVolume, true);
+      assert.equal(h.plugin.volumeMode, 'hardware');
+      assert.equal(h.plugin.volumeOverrideRegistered, false);
+    });
+  });
+});
@@ -0,0 +1,646 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+// Every value moves towards the last one, never back
+function assertSteady(values) {
+  var last = values[values.length - 1];
+  for (var i = 1; i < values.length; i++) {
+    assert.ok(Math.abs(last - values[i]) <= Math.abs(last - values[i - 1]),
+      'ramp went backwards: ' + values.join(', '));
+  }
+}
+
+describe('Volume to register mapping', function() {
+  var plugin = harness.createPlugin().plugin;
+
+  it('maps 100 to 0dB and 1 to near -49.5dB', function() {
+    assert.equal(plugin.volumeToRegister(100), 0x00);
+    assert.equal(plugin.volumeToRegister(1), 0x62);
+  });
+
+  it('maps 0 to full mute', function() {
+    assert.equal(plugin.volumeToRegister(0), 0xFF);
+  });
+});
+
+describe('Volume curves', function() {
+  it('spreads a wider dB-linear range over the slider', function() {
+    var plugin = harness.createPlugin({ config: { volumeRangeDb: 100 } }).plugin;
+    plugin.loadConfig();
+
+    assert.equal(plugin.volumeToRegister(100), 0x00);
+    assert.equal(plugin.volumeToRegister(50), 100);
+    assert.equal(plugin.volumeToRegister(1), 198);
+    assert.equal(plugin.volumeToRegister(0), 0xFF);
+  });
+
+  it('follows an audio taper floored at the range', function() {
+    var plugin = harness.createPlugin({
+      config: { volumeCurve: 'log', volumeRangeDb: 127.5 }
+    }).plugin;
+    plugin.loadConfig();
+
+    assert.equal(plugin.volumeToRegister(100), 0x00);
+    assert.equal(plugin.volumeToRegister(50), 36);   // -18 dB
+    assert.equal(plugin.volumeToRegister(10), 120);  // -60 dB
+    assert.equal(plugin.volumeToRegister(1), 240);   // -120 dB
+  });
+
+  it('interpolates a custom table in dB', function() {
+    var plugin = harness.createPlugin({
+      config: { volumeCurve: 'table', volumeCurveTable: '1:-90, 50:-30, 100:0' }
+    }).plugin;
+    plugin.loadConfig();
+
+    assert.equal(plugin.volumeToDb(1), -90);
+    assert.equal(plugin.volumeToDb(75), -15);
+    assert.equal(plugin.volumeToRegister(50), 60);
+    assert.equal(plugin.volumeToRegister(0), 0xFF);
+  });
+
+  it('rejects malformed or rising tables', function() {
+    var plugin = harness.createPlugin().plugin;
+
+    assert.equal(plugin.parseVolumeCurveTable('50:-30'), null);
+    assert.equal(plugin.parseVolumeCurveTable('50:-30, 20:-40'), null);
+    assert.equal(plugin.parseVolumeCurveTable('1:-20, 50:-30'), null);
+    assert.equal(plugin.parseVolumeCurveTable('1:-200, 100:0'), null);
+    assert.equal(plugin.parseVolumeCurveTable('low:-60, 100:0'), null);
+  });
+
+  it('falls back to dB-linear when the stored table is unusable', function() {
+    var plugin = harness.createPlugin({
+      config: { volumeCurve: 'table', volumeCurveTable: 'broken' }
+    }).plugin;
+    plugin.loadConfig();
+
+    assert.equal(plugin.volumeCurve, 'db');
+    assert.equal(plugin.volumeToRegister(50), 50);
+  });
+
+  it('saving a curve re-maps the current volume and ramps use it', function() {
+    var h = harness.createPlugin({ config: { rampDurationMs: 40 } });
+
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 50;
+      h.plugin.saveVolumeCurve({
+        volumeCurve: { value: 'db' },
+        volumeRangeDb: '80.3',
+        volumeCurveTable: ''
+      });
+      assert.equal(h.plugin.config.get('volumeRangeDb'), 80.5);
+      assert.equal(h.dac.attenuation().left, 81);
+
+      return h.plugin.gracefulMute(true);
+    }).then(function() {
+      h.dac.clearLog();
+      return h.plugin.gracefulMute(false);
+    }).then(function() {
+      var writes = h.dac.writesTo(0x0F);
+      assert.equal(writes[0], 0xFF);
+      assert.equal(writes[writes.length - 1], 81);
+    });
+  });
+
+  it('keeps the previous curve when the table is invalid', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.saveVolumeCurve({
+        volumeCurve: { value: 'table' },
+        volumeRangeDb: 49.5,
+        volumeCurveTable: '100:0'
+      });
+      assert.equal(h.plugin.volumeCurve, 'db');
+      assert.equal(h.router.lastToast().type, 'error');
+    });
+  });
+
+  it('previews the attenuation at slider positions', function() {
+    var plugin = harness.createPlugin().plugin;
+
+    assert.equal(plugin.getVolumeCurvePreview(),
+      '1%: -49.0 dB, 10%: -44.5 dB, 25%: -37.0 dB, 50%: -25.0 dB, ' +
+      '75%: -12.5 dB, 90%: -5.0 dB, 100%: 0 dB');
+  });
+
+  it('adds a looked-up slider position to the preview', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.saveVolumeCurve({
+        volumeCurve: { value: 'db' },
+        volumeRangeDb: 49.5,
+        volumeCurveTable: '',
+        volumePreviewPosition: '37'
+      });
+      assert.equal(h.plugin.config.get('volumePreviewPosition'), 37);
+      assert.ok(h.plugin.getVolumeCurvePreview().indexOf('25%: -37.0 dB, 37%: -31.0 dB, 50%') >= 0);
+
+      h.plugin.saveVolumeCurve({
+        volumeCurve: { value: 'db' },
+        volumeRangeDb: 49.5,
+        volumeCurveTable: '',
+        volumePreviewPosition: ''
+      });
+      assert.equal(h.plugin.volumePreviewPosition, -1);
+      assert.equal(h.plugin.getVolumeCurvePreview().indexOf('37%'), -1);
+    });
+  });
+});
+
+describe('Volume limits', function() {
+  it('clamps alsavolume to the ceiling and pushes the clamped value', function() {
+    var h = harness.createPlugin({ config: { maxVolume: 60, gracefulVolume: false } });
+
+    return harness.start(h).then(function() {
+      h.plugin.alsavolume(90);
+      assert.equal(h.plugin.currentVolume, 60);
+      assert.equal(h.dac.attenuation().left, h.plugin.volumeToRegister(60));
+      assert.deepEqual(h.router.volumeUpdates.pop(), { vol: 60, mute: false });
+    });
+  });
+
+  it('clamps software-mode volume and moves the slider back', function() {
+    var h = harness.createPlugin({
+      config: { volumeMode: 'software', maxVolume: 50, gracefulVolume: false },
+      state: { status: 'play', volume: 40 }
+    });
+
+    return harness.start(h).then(function() {
+      h.router.volumioupdatevolume({ vol: 85, mute: false });
+      assert.equal(h.router.state.volume, 50);
+      assert.equal(h.dac.attenuation().left, h.plugin.volumeToRegister(50));
+      assert.equal(h.plugin.lastVolume, 50);
+    });
+  });
+
+  it('offsets every position by the fixed gain offset', function() {
+    var plugin = harness.createPlugin({ config: { gainOffsetDb: -12 } }).plugin;
+    plugin.loadConfig();
+
+    assert.equal(plugin.volumeToRegister(100), 24);
+    assert.equal(plugin.volumeToRegister(50), 50 + 24);
+    assert.equal(plugin.volumeToRegister(0), 0xFF);
+  });
+
+  it('applies ceiling and offset to ramps', function() {
+    var h = harness.createPlugin({
+      config: { maxVolume: 80, gainOffsetDb: -6, rampDurationMs: 40 }
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(60);
+      h.dac.clearLog();
+      return h.plugin.gracefulVolumeChange(100);
+    }).then(function() {
+      // 60% -> 40 + 12, then the 80% ceiling -> 20 + 12
+      var writes = h.dac.writesTo(0x0F);
+      assert.ok(writes.every(function(reg) { return reg >= 32 && reg < 52; }));
+      assert.equal(writes[writes.length - 1], 32);
+    });
+  });
+
+  it('caps the startup volume', function() {
+    var h = harness.createPlugin({ config: { maxVolume: 30 }, state: { volume: 90 } });
+
+    return harness.start(h).then(function() {
+      assert.equal(h.plugin.currentVolume, 30);
+      assert.equal(h.router.volumeUpdates[0].vol, 30);
+    });
+  });
+
+  it('saving a lower ceiling pulls the current volume down', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 90;
+      h.plugin.saveVolumeCurve({
+        volumeCurve: { value: 'db' },
+        volumeRangeDb: 49.5,
+        maxVolume: '70',
+        gainOffsetDb: '-3.2'
+      });
+      assert.equal(h.plugin.currentVolume, 70);
+      assert.equal(h.plugin.config.get('gainOffsetDb'), -3);
+      assert.deepEqual(h.router.volumeUpdates.pop(), { vol: 70, mute: false });
+      assert.equal(h.dac.attenuation().left, 30 + 6);
+    });
+  });
+});
+
+describe('Hardware ramp', function() {
+  function rampPlugin(config) {
+    return harness.createPlugin({
+      config: Object.assign({ volumeRampMode: 'hardware', hardwareFadeMs: 300 }, config)
+    });
+  }
+
+  it('programs the ramp rate and writes only the target', function() {
+    var h = rampPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(30);
+      h.dac.clearLog();
+      h.plugin.gracefulVolumeChange(80);
+
+      assert.deepEqual(h.dac.writesTo(0x0F), [20]);
+      assert.deepEqual(h.dac.writesTo(0x10), [20]);
+      // 24.5 dB in 300ms is closest to rate 0 (86 dB/s at 44.1 kHz)
+      assert.equal(h.dac.registers[0x06] & 0x07, 0);
+    });
+  });
+
+  it('keeps the de-emphasis bits of register 0x06', function() {
+    var h = rampPlugin({ deemphasis: 0x1A });
+
+    return harness.start(h).then(function() {
+      return harness.settle();
+    }).then(function() {
+      h.plugin.setVolumeImmediate(50);
+      h.plugin.gracefulMute(true);
+      assert.equal(h.dac.registers[0x06], 0x18 | 2);
+      assert.equal(h.plugin.getExpectedRegisters()[0x06], h.dac.registers[0x06]);
+    });
+  });
+
+  it('sets the mute bit only after the ramp duration', function() {
+    var h = rampPlugin();
+    var muting;
+
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 50;
+      h.plugin.setVolumeImmediate(50);
+      h.dac.clearLog();
+      muting = h.plugin.gracefulMute(true);
+
+      // 102.5 dB at rate 2 (344.5 dB/s) takes about 298ms
+      assert.deepEqual(h.dac.writesTo(0x0F), [0xFF]);
+      assert.equal(h.dac.isMuted(), false);
+      return muting;
+    }).then(function(completed) {
+      assert.equal(completed, true);
+      assert.equal(h.dac.isMuted(), true);
+      // Slider level restored behind the mute bit
+      assert.equal(h.dac.attenuation().left, 50);
+
+      h.dac.clearLog();
+      h.plugin.gracefulMute(false);
+      assert.deepEqual(h.dac.writesTo(0x0F), [0xFF, 50]);
+      assert.equal(h.dac.isMuted(), false);
+    });
+  });
+
+  it('an explicit unmute cancels the pending mute bit', function() {
+    var h = rampPlugin();
+    var muting;
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(50);
+      muting = h.plugin.gracefulMute(true);
+      h.plugin.setMuteSync(false);
+      return muting;
+    }).then(function(completed) {
+      assert.equal(completed, false);
+      return harness.settle(350);
+    }).then(function() {
+      assert.equal(h.dac.isMuted(), false);
+    });
+  });
+
+  it('estimates the gliding position when retargeted', function() {
+    var h = rampPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(50);
+      h.plugin.gracefulMute(true);
+      return harness.settle(100);
+    }).then(function() {
+      var position = h.plugin.getRampPosition();
+      assert.ok(position > 50 && position < 0xFF, 'position ' + position);
+
+      h.plugin.gracefulVolumeChange(50);
+      assert.equal(h.plugin.activeRamp.from, position);
+      assert.deepEqual(h.dac.attenuation(), { left: 50, right: 50 });
+    });
+  });
+
+  it('immediate volume changes switch back to the fastest rate', function() {
+    var h = rampPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(30);
+      h.plugin.gracefulVolumeChange(80);
+      h.plugin.setVolumeImmediate(40);
+      assert.equal(h.dac.registers[0x06] & 0x07, 7);
+      assert.equal(h.dac.attenuation().left, h.plugin.volumeToRegister(40));
+    });
+  });
+
+  it('saving software mode restores the configured register 0x06', function() {
+    var h = rampPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(30);
+      h.plugin.gracefulVolumeChange(80);
+      h.plugin.saveMuteSettings({ volumeRampMode: { value: 'software' } });
+      return harness.settle();
+    }).then(function() {
+      assert.equal(h.plugin.volumeRampMode, 'software');
+      assert.equal(h.dac.registers[0x06], 0x4A);
+    });
+  });
+});
+
+describe('Ramp engine', function() {
+  it('ramps a volume change over the ramp time', function() {
+    var h = harness.createPlugin({ config: { rampDurationMs: 80 } });
+    var started;
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(30);
+      h.dac.clearLog();
+      started = Date.now();
+      return h.plugin.gracefulVolumeChange(80);
+    }).then(function(completed) {
+      var writes = h.dac.writesTo(0x0F);
+
+      assert.equal(completed, true);
+      assert.ok(Date.now() - started >= 80);
+      assert.ok(writes.length > 2);
+      assertSteady(writes);
+      assert.equal(writes[writes.length - 1], 20);
+      assert.deepEqual(h.dac.writesTo(0x10), writes);
+    });
+  });
+
+  it('ramps down to 0xFF, sets the mute bit and restores the level behind it', function() {
+    var h = harness.createPlugin({ config: { rampDurationMs: 40 } });
+
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 50;
+      h.plugin.setVolumeImmediate(50);
+      h.dac.clearLog();
+      return h.plugin.gracefulMute(true);
+    }).then(function(completed) {
+      var writes = h.dac.writesTo(0x0F);
+
+      assert.equal(completed, true);
+      assert.equal(h.dac.isMuted(), true);
+      assert.deepEqual(writes.slice(-2), [0xFF, 50]);
+      assertSteady(writes.slice(0, -1));
+    });
+  });
+
+  it('ramps back up to the current volume on unmute', function() {
+    var h = harness.createPlugin({ config: { rampDurationMs: 40 } });
+
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 50;
+      return h.plugin.gracefulMute(true);
+    }).then(function() {
+      h.dac.clearLog();
+      return h.plugin.gracefulMute(false);
+    }).then(function() {
+      var writes = h.dac.writesTo(0x0F);
+      var silent = h.dac.writes.findIndex(function(w) { return w.register === 0x0F; });
+      var released = h.dac.writes.findIndex(function(w) { return w.register === 0x07 && !(w.value & 0x01); });
+
+      // Silent before the mute bit is released
+      assert.equal(writes[0], 0xFF);
+      assert.ok(silent >= 0 && silent < released, '0xFF written before the mute bit is cleared');
+      assert.equal(h.dac.isMuted(), false);
+
+      assertSteady(writes);
+      assert.equal(writes[writes.length - 1], 50);
+    });
+  });
+
+  it('mutes instantly with a zero ramp time', function() {
+    var h = harness.createPlugin({ config: { rampDurationMs: 0 } });
+
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 50;
+      h.dac.clearLog();
+      return h.plugin.gracefulMute(true);
+    }).then(function() {
+      assert.deepEqual(h.dac.writesTo(0x0F), [0xFF, 50]);
+      assert.equal(h.dac.isMuted(), true);
+    });
+  });
+
+  it('a new target takes over from the current register value', function() {
+    var h = harness.createPlugin({ config: { rampDurationMs: 200 } });
+    var first;
+    var position;
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(30);
+      first = h.plugin.gracefulVolumeChange(80);
+      return harness.settle(80);
+    }).then(function() {
+      position = h.dac.attenuation().left;
+      assert.ok(position > 20 && position < 69, 'position ' + position);
+
+      h.dac.clearLog();
+      return h.plugin.gracefulVolumeChange(30);
+    }).then(function(completed) {
+      var writes = h.dac.writesTo(0x0F);
+
+      assert.equal(completed, true);
+      assert.ok(writes[0] >= position);
+      assertSteady(writes);
+      assert.equal(writes[writes.length - 1], 69);
+      return first;
+    }).then(function(completed) {
+      assert.equal(completed, false);
+    });
+  });
+
+  it('cancelling leaves the outputs where they are', function() {
+    var h = harness.createPlugin({ config: { rampDurationMs: 200 } });
+    var ramp;
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(30);
+      ramp = h.plugin.gracefulVolumeChange(80);
+      return harness.settle(60);
+    }).then(function() {
+      h.plugin.cancelRamp();
+      return ramp;
+    }).then(function(completed) {
+      var position = h.dac.attenuation().left;
+
+      assert.equal(completed, false);
+      assert.equal(h.plugin.activeRamp, null);
+      return harness.settle(60).then(function() {
+        assert.equal(h.dac.attenuation().left, position);
+      });
+    });
+  });
+
+  it('shapes the ramp with the easing curve', function() {
+    var plugins = ['db', 'scurve', 'exp'].map(function(easing) {
+      return harness.createPlugin({ config: { rampEasing: easing } });
+    });
+
+    return Promise.all(plugins.map(harness.start)).then(function() {
+      plugins.forEach(function(h) {
+        h.plugin.setVolumeImmediate(100);
+      });
+      plugins.forEach(function(h) {
+        h.plugin.rampTo(200, 600);
+      });
+      return harness.settle(150);
+    }).then(function() {
+      var reached = plugins.map(function(h) {
+        return h.dac.attenuation().left;
+      });
+
+      // A quarter in: the S-curve lags linear, exponential runs ahead
+      assert.ok(reached[1] < reached[0], reached.join(', '));
+      assert.ok(reached[2] > reached[0], reached.join(', '));
+    });
+  });
+
+  it('alsavolume ramps large changes and resolves when done', function() {
+    var h = harness.createPlugin({ config: { rampDurationMs: 40 }, state: { volume: 100 } });
+
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 30;
+      h.plugin.setVolumeImmediate(30);
+      h.dac.clearLog();
+      var ramp = h.plugin.alsavolume(80);
+      assert.deepEqual(h.router.volumeUpdates.pop(), { vol: 80, mute: false });
+      return ramp;
+    }).then(function(completed) {
+      var writes = h.dac.writesTo(0x0F);
+
+      assert.equal(completed, true);
+      assertSteady(writes);
+      assert.equal(writes[writes.length - 1], 20);
+    });
+  });
+
+  it('state changes resolve after the transition and keep a fade to mute whole', function() {
+    var h = harness.createPlugin({
+      config: { volumeMode: 'software', rampDurationMs: 40 },
+      state: { status: 'play', volume: 50, mute: false }
+    });
+
+    return harness.start(h).then(function() {
+      return h.plugin.handleStateChange({ status: 'stop', volume: 30, mute: false });
+    }).then(function() {
+      assert.equal(h.dac.isMuted(), true);
+      assert.equal(h.dac.attenuation().left, h.plugin.volumeToRegister(30));
+    });
+  });
+
+  it('alsavolume writes small changes directly', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 50;
+      h.dac.clearLog();
+      h.plugin.alsavolume(53);
+      assert.deepEqual(h.dac.writesTo(0x0F), [h.plugin.volumeToRegister(53)]);
+    });
+  });
+
+  it('clamps the ramp time and falls back to linear for unknown curves', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.saveMuteSettings({ rampDurationMs: '5000', rampEasing: { value: 'bounce' } });
+      assert.equal(h.plugin.config.get('rampDurationMs'), 2000);
+      assert.equal(h.plugin.config.get('rampEasing'), 'db');
+
+      h.plugin.saveMuteSettings({ rampDurationMs: '0', rampEasing: { value: 'scurve' } });
+      assert.equal(h.plugin.rampDurationMs, 0);
+      assert.equal(h.plugin.rampEasing, 'scurve');
+    });
+  });
+
+  it('uses the hardware fade time in hardware ramp mode', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.saveMuteSettings({
+        rampDurationMs: '100',
+        volumeRampMode: { value: 'hardware' },
+        hardwareFadeMs: '5000'
+      });
+      assert.equal(h.plugin.config.get('hardwareFadeMs'), 2000);
+      assert.equal(h.plugin.getRampDurationMs(), 2000);
+
+      h.plugin.saveMuteSettings({ rampDurationMs: '100', volumeRampMode: { value: 'software' }, hardwareFadeMs: '500' });
+      assert.equal(h.plugin.getRampDurationMs(), 100);
+    });
+  });
+
+  it('converts graceful ramp steps from older configs to a ramp time', function() {
+    var stepped = harness.createPlugin();
+    var instant = harness.createPlugin();
+    var current = harness.createPlugin({ config: { rampDurationMs: 250 } });
+
+    [stepped, instant, current].forEach(function(h, i) {
+      if (i < 2) {
+        h.plugin.config.delete('rampDurationMs');
+      }
+      h.plugin.config.set('gracefulSteps', i === 1 ? 1 : 4);
+      h.plugin.loadConfig();
+    });
+
+    assert.equal(stepped.plugin.rampDurationMs, 80);
+    assert.equal(instant.plugin.rampDurationMs, 0);
+    assert.equal(current.plugin.rampDurationMs, 250);
+    assert.equal(stepped.plugin.config.has('gracefulSteps'), false);
+  });
+});
+
+describe('Balance', function() {
+  it('attenuates the left channel for positive balance', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 50;
+      h.plugin.setBalance(10);
+      assert.deepEqual(h.dac.attenuation(), { left: 50 + 10, right: 50 });
+      assert.equal(h.plugin.config.get('balance'), 10);
+    });
+  });
+
+  it('attenuates the right channel for negative balance, clamped to 40', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.currentVolume = 50;
+      h.plugin.setBalance(-60);
+      assert.deepEqual(h.dac.attenuation(), { left: 50, right: 50 + 40 });
+    });
+  });
+
+  it('never exceeds full attenuation', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.setBalance(20);
+      h.plugin.setVolumeImmediate(0);
+      assert.deepEqual(h.dac.attenuation(), { left: 0xFF, right: 0xFF });
+    });
+  });
+
+  it('is loaded from config on start', function() {
+    var h = harness.createPlugin({ config: { balance: -8 }, state: { volume: 50 } });
+
+    return harness.start(h).then(function() {
+      assert.equal(h.plugin.rBal, 8);
+      assert.equal(h.plugin.lBal, 0);
+    });
+  });
+});
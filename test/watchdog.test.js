@@ -0,0 +1,106 @@
+'use strict';
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert/strict');
+
+var harness = require('./helpers/harness');
+
+function verify(h) {
+  return new Promise(function(resolve, reject) {
+    h.plugin.verifyRegisters().then(resolve).fail(reject);
+  });
+}
+
+describe('Register watchdog', function() {
+  it('leaves a correctly configured DAC alone', function() {
+    var h = harness.createPlugin({ config: { fir: 2, i2sDpll: 0x30 } });
+
+    return harness.start(h).then(function() {
+      h.dac.clearLog();
+      return verify(h);
+    }).then(function(recovered) {
+      assert.equal(recovered, false);
+      assert.equal(h.dac.writes.length, 0);
+      assert.equal(h.router.toasts.length, 0);
+    });
+  });
+
+  it('re-applies init, settings and volume after a DAC reset', function() {
+    var h = harness.createPlugin({
+      config: { fir: 2, iir: 4, i2sDpll: 0x30, dsdDpll: 0x05, balance: 4 },
+      state: { status: 'play' }
+    });
+
+    return harness.start(h).then(function() {
+      h.plugin.setVolumeImmediate(60);
+      h.plugin.currentVolume = 60;
+      h.dac.reset();
+      return verify(h);
+    }).then(function(recovered) {
+      assert.equal(recovered, true);
+      assert.equal(h.router.lastToast().type, 'warning');
+      assert.match(h.logger.lines.warn.join('\n'), /Register drift detected/);
+      return harness.drain(h);
+    }).then(function() {
+      assert.equal(h.dac.read(0x01), 0xC4);
+      assert.equal(h.dac.firFilter(), 2);
+      assert.equal(h.dac.iirFilter(), 4);
+      assert.deepEqual(h.dac.dpll(), { i2s: 3, dsd: 5 });
+      assert.deepEqual(h.dac.attenuation(), {
+        left: h.plugin.volumeToRegister(60) + 4,
+        right: h.plugin.volumeToRegister(60)
+      });
+      assert.equal(h.dac.isMuted(), false);
+    });
+  });
+
+  it('keeps a muted DAC muted through recovery', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.setMuteSync(true);
+      h.plugin.currentMute = true;
+      h.dac.reset();
+      return verify(h);
+    }).then(function() {
+      return harness.drain(h);
+    }).then(function() {
+      assert.equal(h.dac.isMuted(), true);
+    });
+  });
+
+  it('does not re-initialise when the DAC stops answering', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.dac.present = false;
+      return verify(h);
+    }).then(function(recovered) {
+      assert.equal(recovered, false);
+      assert.equal(h.router.toasts.length, 0);
+    });
+  });
+
+  it('skips the check while async writes are queued', function() {
+    var h = harness.createPlugin();
+
+    return harness.start(h).then(function() {
+      h.plugin.setFirFilter(0);
+      h.dac.reset();
+      return verify(h);
+    }).then(function(recovered) {
+      assert.equal(recovered, false);
+    });
+  });
+
+  it('runs on the configured interval', function() {
+    var h = harness.createPlugin({ config: { watchdogEnabled: true, watchdogInterval: 30 } });
+
+    return harness.start(h).then(function() {
+      assert.notEqual(h.plugin.watchdogTimer, null);
+      h.plugin.stopWatchdog();
+      assert.equal(h.plugin.watchdogTimer, null);
+    });
+  });
+});
@@ -3,6 +3,8 @@
 echo "Uninstalling ES9018K2M DAC Control Plugin"
 echo ""
 
+rm -f /usr/local/bin/es9018k2m-ctl
+
 echo "=========================================="
 echo "ES9018K2M DAC Control Plugin uninstalled"
 echo "=========================================="